@@ -14,6 +14,8 @@
  */
 
 const { Level } = require('level');
+const { decodeBlock, decodeTransaction } = require('./src/encoding');
+const Transaction = require('./src/transaction');
 
 // Get port from command line or default to 3000
 const PORT = process.argv[2] || '3000';
@@ -50,21 +52,32 @@ async function explore() {
         blocks: [],
         pending: [],
         transactions: [],
+        accounts: [],
+        utxos: [],
         metadata: []
     };
 
     // Iterate through all entries
-    for await (const [key, value] of db.iterator()) {
-        if (key.startsWith('block:')) {
-            stats.blocks.push({ key, value });
-        } else if (key.startsWith('pending:')) {
-            stats.pending.push({ key, value });
-        } else if (key.startsWith('tx:')) {
-            stats.transactions.push({ key, value });
-        } else if (key.startsWith('height:')) {
-            // Skip height mappings in display
-        } else if (key.startsWith('meta:')) {
-            stats.metadata.push({ key, value });
+    // Blocks and pending transactions are binary (src/encoding.js), the rest is JSON
+    for await (const [key, bytes] of db.iterator({ valueEncoding: 'buffer' })) {
+        try {
+            if (key.startsWith('block:')) {
+                stats.blocks.push({ key, value: decodeBlock(bytes) });
+            } else if (key.startsWith('pending:')) {
+                stats.pending.push({ key, value: Transaction.fromJSON(decodeTransaction(bytes)) });
+            } else if (key.startsWith('tx:')) {
+                stats.transactions.push({ key, value: JSON.parse(bytes) });
+            } else if (key.startsWith('account:')) {
+                stats.accounts.push({ key, value: JSON.parse(bytes) });
+            } else if (key.startsWith('utxo:')) {
+                stats.utxos.push({ key, value: JSON.parse(bytes) });
+            } else if (key.startsWith('height:') || key.startsWith('history:') || key.startsWith('undo:') || key.startsWith('spent:')) {
+                // Skip height mappings, history entries and undo data in display
+            } else if (key.startsWith('meta:')) {
+                stats.metadata.push({ key, value: JSON.parse(bytes) });
+            }
+        } catch (error) {
+            console.log(`⚠️  Skipping unreadable ${key}: ${error.message}`);
         }
     }
 
@@ -88,6 +101,7 @@ async function explore() {
         console.log(`      Hash:     ${block.hash.substring(0, 20)}...`);
         console.log(`      PrevHash: ${block.previousHash.substring(0, 20)}...`);
         console.log(`      Nonce:    ${block.nonce}`);
+        console.log(`      Diff:     ${block.difficulty}`);
         console.log(`      Tx Count: ${block.transactions.length}`);
         console.log(`      Time:     ${new Date(block.timestamp).toISOString()}`);
         console.log('');
@@ -114,14 +128,44 @@ async function explore() {
         console.log('   (no transactions indexed)');
     } else {
         for (const { key, value } of stats.transactions.slice(0, 10)) {
-            const txHash = key.replace('tx:', '');
-            console.log(`   ${txHash} → Block #${value.blockIndex}`);
+            const txid = key.replace('tx:', '');
+            console.log(`   ${txid} → Block #${value.blockIndex}, position ${value.position}`);
         }
         if (stats.transactions.length > 10) {
             console.log(`   ... and ${stats.transactions.length - 10} more`);
         }
     }
 
+    console.log('');
+
+    // Display Account Index
+    console.log(`📒 ACCOUNTS (${stats.accounts.length} total)`);
+    console.log('----------------------------------------');
+    if (stats.accounts.length === 0) {
+        console.log('   (no accounts indexed)');
+    } else {
+        for (const { key, value } of stats.accounts.slice(0, 10)) {
+            const address = key.replace('account:', '');
+            console.log(`   ${address.substring(0, 20)}... → ${value.balance} NEKO, nonce ${value.nonce}, ${value.txCount} tx`);
+        }
+        if (stats.accounts.length > 10) {
+            console.log(`   ... and ${stats.accounts.length - 10} more`);
+        }
+    }
+
+    // Display UTXO Set (UTXO networks only)
+    if (stats.utxos.length > 0) {
+        console.log('');
+        console.log(`🪙 UNSPENT OUTPUTS (${stats.utxos.length} total)`);
+        console.log('----------------------------------------');
+        for (const { value } of stats.utxos.slice(0, 10)) {
+            console.log(`   ${value.txid.substring(0, 16)}...:${value.index} → ${value.amount} NEKO to ${value.address.substring(0, 20)}... (block #${value.height})`);
+        }
+        if (stats.utxos.length > 10) {
+            console.log(`   ... and ${stats.utxos.length - 10} more`);
+        }
+    }
+
     console.log('');
     console.log('========================================');
     console.log('✅ Exploration complete!');
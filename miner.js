@@ -9,28 +9,42 @@
  * 
  * Usage:
  *   node miner.js [wallet-address] [node-urls...]
+ *   node miner.js <wallet-address> --pool <pool-url>
  * 
  * Examples:
  *   node miner.js                           # Creates new wallet, uses default nodes
  *   node miner.js 04abc123...               # Uses existing wallet with default nodes
  *   node miner.js 04abc123... http://localhost:3000 http://localhost:3001
+ *   node miner.js 04abc123... --pool http://localhost:5000   # Mine shares for a pool (pool.js)
  * 
  * EDUCATIONAL NOTES:
  * ==================
  * 
  * This miner demonstrates how mining works in a blockchain:
  * 1. Connect to blockchain nodes
- * 2. Request to mine pending transactions
- * 3. Solve Proof of Work (find valid hash)
- * 4. Receive mining reward
- * 5. Block is broadcast to all connected nodes
+ * 2. Ask a node for a block template (GET /mining/template)
+ * 3. Solve Proof of Work locally, on every CPU core
+ * 4. Submit the nonce (POST /mining/submit) - the node validates
+ *    the block and broadcasts it to all connected nodes
+ * 5. Receive mining reward
  * 6. Repeat continuously
  * 
+ * The node never hashes for us: like Bitcoin's getblocktemplate, it only
+ * picks the transactions. If the node's tip moves while we hash (someone
+ * else found the block), we drop the stale template and start over.
+ * 
  * In real cryptocurrencies, miners compete globally.
  * The first to solve the puzzle gets the reward.
+ * 
+ * POOL MODE:
+ * With --pool, the miner hashes on the pool's job instead and submits
+ * every hash below the easier share target. The pool pays out its block
+ * rewards in proportion to the shares (see src/pool.js).
  */
 
+const os = require('os');
 const axios = require('axios');
+const { PowMiner } = require('./src/pow');
 
 // Configuration
 const DEFAULT_NODES = [
@@ -44,15 +58,20 @@ const DEFAULT_NODES = [
 let walletAddress = null;
 let nodeUrls = [];
 
-// Check if second arg is a wallet address or URL
-if (process.argv[2]) {
-    if (process.argv[2].startsWith('04')) {
-        walletAddress = process.argv[2];
+// Pool mode: --pool <pool-url>
+const poolFlag = process.argv.indexOf('--pool');
+const poolUrl = poolFlag !== -1 ? process.argv[poolFlag + 1] : null;
+const args = process.argv.slice(2).filter((arg, i) => i + 2 !== poolFlag && i + 2 !== poolFlag + 1);
+
+// Check if first arg is a wallet address or URL
+if (args[0]) {
+    if (args[0].startsWith('04')) {
+        walletAddress = args[0];
         // Rest are node URLs
-        nodeUrls = process.argv.slice(3);
-    } else if (process.argv[2].startsWith('http')) {
+        nodeUrls = args.slice(1);
+    } else if (args[0].startsWith('http')) {
         // No wallet, just URLs
-        nodeUrls = process.argv.slice(2);
+        nodeUrls = args;
     }
 }
 
@@ -61,7 +80,11 @@ if (nodeUrls.length === 0) {
     nodeUrls = DEFAULT_NODES;
 }
 
-const MINING_INTERVAL_MS = 5000;  // Wait 5 seconds between mining attempts
+const MINING_INTERVAL_MS = 1000;  // Short pause between blocks
+const TIP_POLL_INTERVAL_MS = 2000; // How often to check if our template went stale
+
+// Hash on every local core
+const powMiner = new PowMiner({ threads: os.cpus().length });
 
 // Stats
 let stats = {
@@ -71,6 +94,9 @@ let stats = {
     totalAttempts: 0,
     lastBlockTime: null,
     activeNodes: [],
+    sharesAccepted: 0,
+    sharesRejected: 0,
+    poolBlocks: 0,
 };
 
 /**
@@ -199,7 +225,7 @@ async function getTotalPending() {
 }
 
 /**
- * Mine a block on a specific node
+ * Get a block template from a node, solve it locally, and submit it
  */
 async function mineBlock(minerAddress) {
     stats.totalAttempts++;
@@ -208,26 +234,57 @@ async function mineBlock(minerAddress) {
     const nodeUrl = await getBestNode();
 
     try {
-        console.log(`   Mining on: ${nodeUrl}`);
+        console.log(`   Template from: ${nodeUrl}`);
 
-        const response = await axios.post(`${nodeUrl}/mine`, {
-            minerAddress: minerAddress
+        const { data: template } = await axios.get(`${nodeUrl}/mining/template`, {
+            params: { minerAddress },
+            timeout: 5000
+        });
+        console.log(`   Block #${template.index}: ${template.transactions.length} transaction(s), difficulty ${template.difficulty}`);
+
+        // Stop hashing if the node's tip moves (someone else found this block)
+        const watcher = setInterval(async () => {
+            try {
+                const { data: tip } = await axios.get(`${nodeUrl}/chain/tip`, { timeout: 2000 });
+                if (tip.hash !== template.previousHash) {
+                    powMiner.abort(`node moved to block #${tip.index}`);
+                }
+            } catch (error) {
+                // Keep hashing, the node may just be busy
+            }
+        }, TIP_POLL_INTERVAL_MS);
+
+        let found;
+        try {
+            found = await powMiner.mine(template);
+        } finally {
+            clearInterval(watcher);
+        }
+
+        if (!found) {
+            return false;
+        }
+
+        const response = await axios.post(`${nodeUrl}/mining/submit`, {
+            templateId: template.templateId,
+            nonce: template.nonce
         });
 
         const block = response.data.block;
-        const miningTime = response.data.miningTime;
+        const job = powMiner.lastJob;
+        const reward = parseFloat(response.data.reward);  // e.g. "50 NEKO", halves over time
 
         stats.blocksMined++;
-        stats.totalRewards += 50;  // Mining reward
+        stats.totalRewards += reward;
         stats.lastBlockTime = new Date();
 
         console.log('\n✅ Block Mined Successfully!');
         console.log(`   📦 Block #${block.index}`);
         console.log(`   🔗 Hash: ${block.hash.substring(0, 24)}...`);
-        console.log(`   ⏱️  Time: ${miningTime}`);
-        console.log(`   💰 Reward: 50 NEKO`);
-        console.log(`   � Broadcast to: ${response.data.broadcastedTo || 'peers'}`);
-        console.log(`   �📊 Total Mined: ${stats.blocksMined} blocks (${stats.totalRewards} NEKO)`);
+        console.log(`   ⏱️  Time: ${(job.elapsed / 1000).toFixed(2)} seconds (${job.hashrate.toLocaleString()} H/s)`);
+        console.log(`   💰 Reward: ${reward} NEKO`);
+        console.log(`   📡 Broadcast to: ${response.data.broadcastedTo || 'peers'}`);
+        console.log(`   📊 Total Mined: ${stats.blocksMined} blocks (${stats.totalRewards} NEKO)`);
 
         return true;
     } catch (error) {
@@ -246,6 +303,131 @@ async function mineBlock(minerAddress) {
     }
 }
 
+/**
+ * Hash on the pool's job and submit shares until the job changes.
+ * Each share is a hash below the pool's (easier) share target.
+ */
+async function mineShares(workerAddress) {
+    let job;
+    try {
+        ({ data: job } = await axios.get(`${poolUrl}/work`, { timeout: 5000 }));
+    } catch (error) {
+        console.error('❌ Could not get work from pool:', error.response ? error.response.data.error : error.message);
+        return;
+    }
+
+    console.log(`   Job for block #${job.index}: difficulty ${job.difficulty}, share difficulty ${job.shareDifficulty}`);
+
+    // Stop hashing when the pool hands out a new job
+    let stale = false;
+    const watcher = setInterval(async () => {
+        try {
+            const { data: work } = await axios.get(`${poolUrl}/work`, { timeout: 2000 });
+            if (work.jobId !== job.jobId) {
+                stale = true;
+                powMiner.abort('pool has a new job');
+            }
+        } catch (error) {
+            // Keep hashing, the pool may just be busy
+        }
+    }, TIP_POLL_INTERVAL_MS);
+
+    try {
+        let startNonce = 0;
+
+        while (!stale) {
+            const found = await powMiner.mine(job, { target: job.shareTarget, startNonce, log: false });
+            if (!found) break;
+
+            startNonce = job.nonce + 1;
+
+            try {
+                const { data: result } = await axios.post(`${poolUrl}/share`, {
+                    worker: workerAddress,
+                    jobId: job.jobId,
+                    nonce: job.nonce
+                }, { timeout: 10000 });
+
+                stats.sharesAccepted++;
+                if (result.block) {
+                    stats.poolBlocks++;
+                    console.log(`\n🎉 Our share solved block #${result.block.height} for the pool!`);
+                    break;  // The pool has moved on to the next block
+                } else {
+                    console.log(`   ✅ Share accepted (${powMiner.lastJob.hashrate.toLocaleString()} H/s)`);
+                }
+            } catch (error) {
+                stats.sharesRejected++;
+                console.log(`   ❌ Share rejected: ${error.response ? error.response.data.error : error.message}`);
+                if (error.response && error.response.data.reason === 'stale') break;
+            }
+        }
+    } finally {
+        clearInterval(watcher);
+    }
+}
+
+/**
+ * Show pool stats for this worker
+ */
+async function showPoolStats(workerAddress) {
+    console.log('\n📊 Pool Worker Statistics');
+    console.log('─'.repeat(40));
+    console.log(`   ✅ Shares Accepted: ${stats.sharesAccepted}`);
+    console.log(`   ❌ Shares Rejected: ${stats.sharesRejected}`);
+    console.log(`   🎉 Blocks Found:    ${stats.poolBlocks}`);
+
+    try {
+        const { data } = await axios.get(`${poolUrl}/stats/${encodeURIComponent(workerAddress)}`, { timeout: 2000 });
+        console.log(`   ⚡ Pool Hashrate:   ${data.hashrate.toLocaleString()} H/s (as seen by the pool)`);
+        console.log(`   ⏳ Immature:        ${data.immature} NEKO`);
+        console.log(`   💰 Unpaid Balance:  ${data.balance} NEKO`);
+        console.log(`   💸 Paid:            ${data.paid} NEKO`);
+    } catch (error) {
+        // No shares yet, or pool busy
+    }
+
+    console.log('─'.repeat(40));
+}
+
+/**
+ * Pool mining loop
+ */
+async function startPoolMining() {
+    showBanner();
+
+    if (!walletAddress) {
+        console.error('❌ Pool mining needs your wallet address: node miner.js <address> --pool <pool-url>');
+        process.exit(1);
+    }
+
+    try {
+        const { data: pool } = await axios.get(poolUrl, { timeout: 2000 });
+        console.log(`🏊 Pool:          ${poolUrl} (${pool.payoutScheme.toUpperCase()}, fee ${pool.poolFee * 100}%)`);
+    } catch (error) {
+        console.error(`❌ Pool ${poolUrl} is offline`);
+        process.exit(1);
+    }
+
+    console.log(`   Worker Address: ${walletAddress.substring(0, 40)}...`);
+    console.log(`   Hashing Threads: ${powMiner.threads}\n`);
+
+    let iteration = 0;
+
+    const poolLoop = async () => {
+        iteration++;
+        await mineShares(walletAddress);
+
+        if (iteration % 5 === 0) {
+            await showPoolStats(walletAddress);
+        }
+
+        setTimeout(poolLoop, MINING_INTERVAL_MS);
+    };
+
+    poolLoop();
+}
+
 /**
  * Show current stats
  */
@@ -283,6 +465,7 @@ async function startMining() {
 
     console.log(`\n⛏️  Starting mining loop...`);
     console.log(`   Miner Address: ${minerAddress.substring(0, 40)}...`);
+    console.log(`   Hashing Threads: ${powMiner.threads}`);
     console.log(`   Mining Interval: ${MINING_INTERVAL_MS / 1000} seconds`);
     console.log(`   Active Nodes: ${stats.activeNodes.length}\n`);
 
@@ -320,19 +503,23 @@ async function startMining() {
 // Handle graceful shutdown
 process.on('SIGINT', async () => {
     console.log('\n\n🛑 Stopping miner...');
+    powMiner.abort('miner stopped');
     console.log('\n📊 Final Statistics');
     console.log('═'.repeat(40));
     console.log(`   ⛏️  Total Blocks Mined: ${stats.blocksMined}`);
     console.log(`   🎁 Total Rewards Earned: ${stats.totalRewards} NEKO`);
     console.log(`   📡 Nodes Used: ${nodeUrls.length}`);
+    if (poolUrl) {
+        console.log(`   ✅ Shares Accepted: ${stats.sharesAccepted}`);
+    }
     console.log(`   ⏰ Session Duration: ${Math.floor((Date.now() - stats.startTime) / 1000)} seconds`);
     console.log('═'.repeat(40));
     console.log('\n👋 Thanks for mining NEKO! Goodbye.\n');
     process.exit(0);
 });
 
-// Start mining
-startMining().catch(error => {
+// Start mining (solo, or for a pool)
+(poolUrl ? startPoolMining() : startMining()).catch(error => {
     console.error('Fatal error:', error);
     process.exit(1);
 });
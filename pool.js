@@ -0,0 +1,239 @@
+#!/usr/bin/env node
+/**
+ * ========================================
+ * NEKO CHAIN - MINING POOL SERVER
+ * ========================================
+ * 
+ * Runs a mining pool in front of one node. Workers (node miner.js --pool ...)
+ * hash on the pool's job, submit shares, and get paid from the blocks
+ * the pool finds.
+ * 
+ * Usage:
+ *   node pool.js [node-url] [--port 5000] [--key POOL_PRIVATE_KEY]
+ *                [--scheme pplns|proportional] [--fee 0.01]
+ *                [--share-difficulty 2] [--min-payout 1] [--confirmations 3]
+ * 
+ * Examples:
+ *   node pool.js                                    # New pool wallet, node on localhost:3000
+ *   node pool.js http://localhost:3200 --scheme proportional
+ * 
+ * EDUCATIONAL NOTES:
+ * ==================
+ * 
+ * The pool is just another client of the node API:
+ * 1. GET /mining/template with the pool's address (the pool earns the reward)
+ * 2. Hand the header out to workers with an easier share target
+ * 3. Check every share; the rare share that beats the block target
+ *    is submitted with POST /mining/submit
+ * 4. Watch the block's height with GET /block/:height until it is buried
+ *    deep enough: the same hash there means confirmed, another block
+ *    means orphaned
+ * 5. Pay workers with POST /transaction from the pool wallet, and follow
+ *    each payout with GET /transaction/status/:txid until it is confirmed
+ * 
+ * Pool state (shares, balances) lives in memory: restarting the pool
+ * forgets unpaid balances. Real pools keep it in a database.
+ */
+
+const express = require('express');
+const axios = require('axios');
+const { MiningPool } = require('./src/pool');
+const { getKeyPairFromPrivate } = require('./src/wallet');
+const { isPublicKey } = require('./src/consensus');
+
+/**
+ * Get the value following a command-line flag (e.g. --port 5000).
+ */
+function getArg(flag) {
+    const index = process.argv.indexOf(flag);
+    return index !== -1 ? process.argv[index + 1] : undefined;
+}
+
+/**
+ * Get a numeric flag, or undefined if it wasn't given.
+ */
+function getNumberArg(flag) {
+    const value = getArg(flag);
+    return value !== undefined ? parseFloat(value) : undefined;
+}
+
+const nodeUrl = process.argv[2] && process.argv[2].startsWith('http') ? process.argv[2] : 'http://localhost:3000';
+const PORT = getArg('--port') || process.env.POOL_PORT || 5000;
+
+const TIP_POLL_INTERVAL_MS = 2000;     // How often to check the node for a new tip
+const JOB_MAX_AGE_MS = 30000;          // Refresh the job this often to pick up new transactions
+const PAYOUT_INTERVAL_MS = 30000;      // How often to check maturity and send payouts
+
+/**
+ * Load the pool wallet from --key, or create a new one on the node.
+ */
+async function getPoolWallet() {
+    const privateKey = getArg('--key') || process.env.POOL_PRIVATE_KEY;
+
+    if (privateKey) {
+        return { privateKey, publicKey: getKeyPairFromPrivate(privateKey).getPublic('hex') };
+    }
+
+    const { data } = await axios.post(`${nodeUrl}/wallet/create`);
+    console.log('🔑 Created a new pool wallet');
+    console.log(`   Address:     ${data.publicKey.substring(0, 40)}...`);
+    console.log(`   ⚠️  Private Key: ${data.privateKey}`);
+    console.log('   Restart with --key <private key> to keep the same pool wallet.\n');
+    return data;
+}
+
+async function startPool() {
+    const wallet = await getPoolWallet();
+
+    const pool = new MiningPool({
+        nodeUrl,
+        poolPrivateKey: wallet.privateKey,
+        poolAddress: wallet.publicKey,
+        payoutScheme: getArg('--scheme'),
+        poolFee: getNumberArg('--fee'),
+        shareDifficulty: getNumberArg('--share-difficulty'),
+        minPayout: getNumberArg('--min-payout'),
+        confirmations: getNumberArg('--confirmations')
+    });
+
+    await pool.checkTip();
+
+    const app = express();
+    app.use(express.json());
+
+    /**
+     * GET /
+     * Pool information
+     */
+    app.get('/', (req, res) => {
+        res.json({
+            message: '🐱 Welcome to the Neko Chain Mining Pool!',
+            poolAddress: pool.poolAddress,
+            node: nodeUrl,
+            payoutScheme: pool.payoutScheme,
+            poolFee: pool.poolFee,
+            endpoints: {
+                'GET /work': 'Get the current job (header and share target)',
+                'POST /share': 'Submit a share { worker, jobId, nonce }',
+                'GET /stats': 'Pool statistics',
+                'GET /stats/:worker': 'Statistics and payouts of one worker',
+                'GET /blocks': 'Blocks found by the pool'
+            }
+        });
+    });
+
+    /**
+     * GET /work
+     * The job to hash on. Find a nonce whose header hash is below shareTarget.
+     */
+    app.get('/work', (req, res) => {
+        const work = pool.getWork();
+
+        if (!work) {
+            return res.status(503).json({ error: 'No job yet, the pool is waiting for its node' });
+        }
+
+        res.json(work);
+    });
+
+    /**
+     * POST /share
+     * 
+     * Request body:
+     * {
+     *   worker: "04abc...",   // Worker's wallet address (payouts go there)
+     *   jobId: "f89b56d4...",
+     *   nonce: 8611
+     * }
+     */
+    app.post('/share', async (req, res) => {
+        try {
+            const { worker, jobId, nonce } = req.body;
+
+            if (!worker || !jobId || !Number.isInteger(nonce)) {
+                return res.status(400).json({
+                    error: 'Missing worker, jobId or nonce',
+                    required: ['worker', 'jobId', 'nonce']
+                });
+            }
+
+            if (!isPublicKey(worker)) {
+                return res.status(400).json({ error: 'worker must be your wallet address (public key, 04...)' });
+            }
+
+            const result = await pool.submitShare(worker, jobId, nonce);
+            res.status(result.accepted ? 200 : 400).json(result);
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    /**
+     * GET /stats
+     * Pool-wide statistics
+     */
+    app.get('/stats', (req, res) => {
+        res.json(pool.getStats());
+    });
+
+    /**
+     * GET /stats/:worker
+     * Shares, hashrate, balances and payouts of one worker
+     */
+    app.get('/stats/:worker', (req, res) => {
+        const stats = pool.getWorkerStats(req.params.worker);
+
+        if (!stats) {
+            return res.status(404).json({ error: 'Unknown worker (no shares submitted yet)' });
+        }
+
+        res.json(stats);
+    });
+
+    /**
+     * GET /blocks
+     * Blocks found by the pool, with their status and credits
+     */
+    app.get('/blocks', (req, res) => {
+        res.json({ count: pool.blocks.length, blocks: pool.blocks });
+    });
+
+    // Follow the node's tip, and refresh old jobs to pick up new transactions
+    setInterval(async () => {
+        try {
+            const changed = await pool.checkTip();
+            if (!changed && Date.now() - pool.currentJob.createdAt > JOB_MAX_AGE_MS) {
+                await pool.refreshJob();
+            }
+        } catch (error) {
+            console.error(`⚠️  Node unreachable: ${error.message}`);
+        }
+    }, TIP_POLL_INTERVAL_MS);
+
+    // Credit confirmed blocks, settle sent payouts and pay workers
+    setInterval(async () => {
+        try {
+            await pool.updateBlocks();
+            await pool.updatePayments();
+            await pool.sendPayouts();
+        } catch (error) {
+            console.error(`⚠️  Payout round failed: ${error.message}`);
+        }
+    }, PAYOUT_INTERVAL_MS);
+
+    app.listen(PORT, () => {
+        console.log('\n========================================');
+        console.log('🐱 NEKO CHAIN MINING POOL');
+        console.log('========================================');
+        console.log(`🚀 Pool API:     http://localhost:${PORT}`);
+        console.log(`⛓️  Node:         ${nodeUrl}`);
+        console.log(`💰 Payouts:      ${pool.payoutScheme.toUpperCase()}, fee ${pool.poolFee * 100}%, min ${pool.minPayout} NEKO after ${pool.confirmations} confirmations`);
+        console.log(`\n⛏️  Mine with: node miner.js <your-address> --pool http://localhost:${PORT}`);
+        console.log('========================================\n');
+    });
+}
+
+startPool().catch(error => {
+    console.error('Failed to start pool:', error.message);
+    process.exit(1);
+});
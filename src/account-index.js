@@ -0,0 +1,504 @@
+/**
+ * ========================================
+ * NEKO CHAIN - ACCOUNT INDEX MODULE
+ * ========================================
+ * 
+ * Keeps every account's balance, nonce and transaction history up to
+ * date as blocks are connected and disconnected, so lookups don't have
+ * to scan the whole chain.
+ * 
+ * EDUCATIONAL NOTES:
+ * ==================
+ * 
+ * 1. WHY AN INDEX?
+ *    - The blocks are the source of truth: a balance is just the sum of
+ *      every transaction that touched the address
+ *    - Summing them on every request gets slower with every block
+ *    - So we keep the result (the "chain state") and update it one
+ *      block at a time: lookups become a single map or database read
+ * 
+ * 2. DATA STRUCTURE (LevelDB key prefixes)
+ *    - account:{address}                     → { balance, nonce, txCount }
+ *    - history:{address}:{height}:{position} → { txid, blockHash }
+ *    - undo:{blockHash}                      → Account values before the block
+ *    - meta:accountTip                       → Last block applied to the index
+ * 
+ *    UTXO networks (see utxo.js) also keep the UTXO set:
+ *    - utxo:{txid}:{index}                   → { txid, index, address, amount, height }
+ *    - spent:{blockHash}                     → Outputs the block spent
+ * 
+ *    Heights and positions are zero-padded, so LevelDB's sorted keys
+ *    list an address's history in chain order.
+ * 
+ * 3. UNDO DATA AND REORGS
+ *    - Connecting a block records what each touched account looked like
+ *      before it, and which outputs it spent (like Bitcoin Core's rev*.dat files)
+ *    - Disconnecting the block during a reorg restores those values
+ *      exactly, instead of subtracting amounts back out
+ *    - Index updates go in the same LevelDB batch as the block itself,
+ *      so the index and the chain never disagree after a crash
+ * 
+ * 4. REBUILDING
+ *    - The index only holds data derived from blocks, so it can always
+ *      be thrown away and rebuilt by replaying the active chain
+ *    - This happens automatically if meta:accountTip isn't our tip,
+ *      or on demand with: node src/index.js --reindex
+ * 
+ * 5. PAGINATION
+ *    - History is returned newest first, a page at a time
+ *    - The next page starts "before" the last entry's height:position
+ *      (a cursor), so new blocks don't shift the pages you already read
+ */
+
+const Transaction = require('./transaction');
+const { createAccountState, applyTransactions } = require('./validation');
+const { isUtxoTransaction } = require('./encoding');
+const { getOutpoint } = require('./utxo');
+const { isConsensusAddress } = require('./consensus');
+
+const DEFAULT_HISTORY_LIMIT = 50;
+
+/**
+ * Pad a height or position so keys sort in numeric order.
+ */
+function pad(number, width) {
+    return String(number).padStart(width, '0');
+}
+
+/**
+ * Build the sortable part of a history key.
+ * 
+ * @param {number} height - Block height
+ * @param {number} position - Position of the transaction in the block
+ * @returns {string} e.g. "0000000042:000001"
+ */
+function historySuffix(height, position) {
+    return `${pad(height, 10)}:${pad(position, 6)}`;
+}
+
+/**
+ * Parse a history cursor ("height:position") into its sortable key suffix.
+ * 
+ * @param {string} cursor - Cursor from a previous page
+ * @returns {string} Key suffix
+ * @throws {Error} If the cursor is malformed
+ */
+function parseCursor(cursor) {
+    const match = /^(\d+):(\d+)$/.exec(cursor);
+    if (!match) {
+        throw new Error(`Invalid history cursor "${cursor}" (expected height:position)`);
+    }
+    return historySuffix(Number(match[1]), Number(match[2]));
+}
+
+/**
+ * Get the addresses a transaction touches (the sender only once if it pays itself).
+ * A governance vote or staking instruction only touches its sender: the
+ * engine's address is not an account (the staking pool, which holds
+ * coins, is).
+ */
+function getTouchedAddresses(tx) {
+    if (isUtxoTransaction(tx)) {
+        return [...new Set([...tx.inputs, ...tx.outputs].map(item => item.address))];
+    }
+
+    const isInstruction = tx.amount === 0 && isConsensusAddress(tx.receiverAddress);
+    const addresses = isInstruction ? [] : [tx.receiverAddress];
+    if (tx.senderAddress !== null && tx.senderAddress !== tx.receiverAddress) {
+        addresses.unshift(tx.senderAddress);
+    }
+    return addresses;
+}
+
+/**
+ * Get the outpoints a block's UTXO transactions create.
+ */
+function getCreatedOutpoints(block) {
+    return block.transactions
+        .filter(isUtxoTransaction)
+        .flatMap(tx => {
+            const txid = Transaction.getTxid(tx);
+            return tx.outputs.map((output, index) => getOutpoint(txid, index));
+        });
+}
+
+/**
+ * Get the outpoints a block's UTXO transactions spend.
+ */
+function getSpentOutpoints(block) {
+    return block.transactions
+        .filter(isUtxoTransaction)
+        .flatMap(tx => tx.inputs.map(input => getOutpoint(input.txid, input.index)));
+}
+
+class AccountIndex {
+    /**
+     * Create an account index.
+     * 
+     * @param {Storage} storage - Optional storage; without it the index lives in memory only
+     */
+    constructor(storage = null) {
+        this.storage = storage;
+        this.state = createAccountState();   // { balances, nonces } at the tip
+        this.txCounts = new Map();           // address -> number of transactions
+        this.utxosByAddress = new Map();     // address -> Map(outpoint -> unspent output)
+        this.tip = null;                     // Hash of the last block applied
+
+        // In-memory mode only (with storage these live in LevelDB)
+        this.history = new Map();            // address -> [{ txid, blockHash, height, position }]
+        this.undo = new Map();               // blockHash -> account values before the block
+        this.spent = new Map();              // blockHash -> outputs the block spent
+    }
+
+    /**
+     * Load the index for the active chain, rebuilding it if it's
+     * missing or was built for another tip.
+     * 
+     * @param {Block[]} chain - The active chain
+     * @param {Object} options
+     * @param {boolean} options.reindex - Rebuild even if the stored index is current
+     */
+    async load(chain, options = {}) {
+        const tipHash = chain[chain.length - 1].hash;
+
+        if (this.storage && !options.reindex) {
+            const storedTip = await this.storage.db.get('meta:accountTip');
+
+            if (storedTip === tipHash) {
+                for await (const [key, record] of this.storage.db.iterator({ gte: 'account:', lte: 'account:\xFF' })) {
+                    this.setRecord(key.slice('account:'.length), record);
+                }
+                for (const utxo of await this.storage.loadUtxoSet()) {
+                    this.addUtxo(getOutpoint(utxo.txid, utxo.index), utxo);
+                }
+                this.tip = tipHash;
+                console.log(`📒 Account index loaded (${this.state.balances.size} accounts)`);
+                return;
+            }
+
+            console.log('⚠️  Account index is missing or out of date, rebuilding it');
+        }
+
+        await this.reindex(chain);
+    }
+
+    /**
+     * Throw the index away and rebuild it by replaying the active chain.
+     * 
+     * @param {Block[]} chain - The active chain
+     * @returns {Object} { blocks, accounts } counts
+     */
+    async reindex(chain) {
+        console.log(`📒 Reindexing accounts from ${chain.length} block(s)...`);
+
+        this.state = createAccountState();
+        this.txCounts = new Map();
+        this.utxosByAddress = new Map();
+        this.history = new Map();
+        this.undo = new Map();
+        this.spent = new Map();
+        this.tip = null;
+
+        if (this.storage) {
+            for (const prefix of ['account:', 'history:', 'undo:', 'utxo:', 'spent:']) {
+                await this.storage.db.clear({ gte: prefix, lte: `${prefix}\xFF` });
+            }
+        }
+
+        for (const block of chain) {
+            const operations = this.connectBlock(block);
+            if (this.storage) {
+                await this.storage.db.batch(operations);
+            }
+        }
+
+        console.log(`✅ Account index rebuilt: ${this.state.balances.size} accounts`);
+        return { blocks: chain.length, accounts: this.state.balances.size };
+    }
+
+    /**
+     * Get the confirmed balance of an address.
+     * 
+     * @param {string} address - Wallet address
+     * @returns {number} Balance (0 for unknown addresses)
+     */
+    getBalance(address) {
+        return this.state.balances.get(address) || 0;
+    }
+
+    /**
+     * Get the nonce the address's next transaction must use.
+     * 
+     * @param {string} address - Wallet address
+     * @returns {number} Confirmed nonce (0 for unknown addresses)
+     */
+    getNonce(address) {
+        return this.state.nonces.get(address) || 0;
+    }
+
+    /**
+     * Get the number of confirmed transactions that touched an address.
+     * 
+     * @param {string} address - Wallet address
+     * @returns {number} Transaction count
+     */
+    getTransactionCount(address) {
+        return this.txCounts.get(address) || 0;
+    }
+
+    /**
+     * Get the unspent outputs of an address (UTXO networks).
+     * 
+     * @param {string} address - Wallet address
+     * @returns {Array} [{ txid, index, address, amount, height }]
+     */
+    getUtxos(address) {
+        const utxos = this.utxosByAddress.get(address);
+        return utxos ? [...utxos.values()] : [];
+    }
+
+    /**
+     * Add an unspent output to the UTXO set and the address lookup.
+     */
+    addUtxo(outpoint, utxo) {
+        this.state.utxos.set(outpoint, utxo);
+        if (!this.utxosByAddress.has(utxo.address)) this.utxosByAddress.set(utxo.address, new Map());
+        this.utxosByAddress.get(utxo.address).set(outpoint, utxo);
+    }
+
+    /**
+     * Remove an output from the UTXO set and the address lookup.
+     */
+    removeUtxo(outpoint) {
+        const utxo = this.state.utxos.get(outpoint);
+        if (!utxo) return;
+
+        this.state.utxos.delete(outpoint);
+        const utxos = this.utxosByAddress.get(utxo.address);
+        utxos.delete(outpoint);
+        if (utxos.size === 0) this.utxosByAddress.delete(utxo.address);
+    }
+
+    /**
+     * Get an account record ({ balance, nonce, txCount }), or null if the address is unknown.
+     */
+    getRecord(address) {
+        if (!this.state.balances.has(address)) {
+            return null;
+        }
+        return {
+            balance: this.getBalance(address),
+            nonce: this.getNonce(address),
+            txCount: this.getTransactionCount(address)
+        };
+    }
+
+    /**
+     * Set (or with null, remove) an account record in memory.
+     */
+    setRecord(address, record) {
+        if (record === null) {
+            this.state.balances.delete(address);
+            this.state.nonces.delete(address);
+            this.txCounts.delete(address);
+            return;
+        }
+
+        this.state.balances.set(address, record.balance);
+        if (record.nonce > 0) {
+            this.state.nonces.set(address, record.nonce);
+        } else {
+            this.state.nonces.delete(address);
+        }
+        this.txCounts.set(address, record.txCount);
+    }
+
+    /**
+     * Apply a block that was connected to the tip of the active chain.
+     * 
+     * @param {Block} block - The connected block
+     * @returns {Array} LevelDB batch operations to write with the block (empty in memory mode)
+     */
+    connectBlock(block) {
+        // Remember what every touched account looked like before this block
+        const undo = [];
+        for (const tx of block.transactions) {
+            for (const address of getTouchedAddresses(tx)) {
+                if (!undo.some(entry => entry.address === address)) {
+                    undo.push({ address, record: this.getRecord(address) });
+                }
+            }
+        }
+
+        // Outputs that existed before this block and are spent by it
+        const spentOutputs = getSpentOutpoints(block)
+            .filter(outpoint => this.state.utxos.has(outpoint))
+            .map(outpoint => ({ outpoint, utxo: this.state.utxos.get(outpoint) }));
+
+        // Spend and create outputs through the address lookup, then apply balances
+        for (const { outpoint } of spentOutputs) {
+            this.removeUtxo(outpoint);
+        }
+        applyTransactions(this.state, block.transactions, block.index);
+        const createdOutputs = getCreatedOutpoints(block)
+            .filter(outpoint => this.state.utxos.has(outpoint))
+            .map(outpoint => ({ outpoint, utxo: this.state.utxos.get(outpoint) }));
+        for (const { outpoint, utxo } of createdOutputs) {
+            this.addUtxo(outpoint, utxo);
+        }
+
+        const entries = [];
+        block.transactions.forEach((tx, position) => {
+            const txid = Transaction.getTxid(tx);
+            for (const address of getTouchedAddresses(tx)) {
+                this.txCounts.set(address, this.getTransactionCount(address) + 1);
+                entries.push({ address, txid, blockHash: block.hash, height: block.index, position });
+            }
+        });
+
+        this.tip = block.hash;
+
+        if (!this.storage) {
+            this.undo.set(block.hash, undo);
+            if (spentOutputs.length > 0) this.spent.set(block.hash, spentOutputs);
+            for (const { address, ...entry } of entries) {
+                if (!this.history.has(address)) this.history.set(address, []);
+                this.history.get(address).push(entry);
+            }
+            return [];
+        }
+
+        return [
+            ...undo.map(({ address }) => ({ type: 'put', key: `account:${address}`, value: this.getRecord(address) })),
+            ...entries.map(({ address, txid, blockHash, height, position }) => ({
+                type: 'put',
+                key: `history:${address}:${historySuffix(height, position)}`,
+                value: { txid, blockHash }
+            })),
+            ...spentOutputs.map(({ outpoint }) => ({ type: 'del', key: `utxo:${outpoint}` })),
+            ...createdOutputs.map(({ outpoint, utxo }) => ({ type: 'put', key: `utxo:${outpoint}`, value: utxo })),
+            ...(spentOutputs.length > 0 ? [{ type: 'put', key: `spent:${block.hash}`, value: spentOutputs }] : []),
+            { type: 'put', key: `undo:${block.hash}`, value: undo },
+            { type: 'put', key: 'meta:accountTip', value: block.hash }
+        ];
+    }
+
+    /**
+     * Undo a block that was disconnected from the tip of the active chain.
+     * 
+     * @param {Block} block - The disconnected block (must be the index's tip)
+     * @returns {Promise<Array>} LevelDB batch operations to write (empty in memory mode)
+     * @throws {Error} If the block's undo data is missing
+     */
+    async disconnectBlock(block) {
+        const undo = this.storage
+            ? await this.storage.db.get(`undo:${block.hash}`)
+            : this.undo.get(block.hash);
+
+        if (!undo) {
+            throw new Error(`No undo data for block #${block.index}, run with --reindex`);
+        }
+
+        for (const { address, record } of undo) {
+            this.setRecord(address, record);
+        }
+
+        // Remove the outputs the block created and bring back the ones it spent
+        const spentOutputs = (this.storage
+            ? await this.storage.db.get(`spent:${block.hash}`)
+            : this.spent.get(block.hash)) ?? [];
+        const createdOutpoints = getCreatedOutpoints(block);
+
+        for (const outpoint of createdOutpoints) {
+            this.removeUtxo(outpoint);
+        }
+        for (const { outpoint, utxo } of spentOutputs) {
+            this.addUtxo(outpoint, utxo);
+        }
+
+        this.tip = block.previousHash;
+
+        if (!this.storage) {
+            this.undo.delete(block.hash);
+            this.spent.delete(block.hash);
+            for (const { address } of undo) {
+                const history = this.history.get(address);
+                while (history && history.length > 0 && history[history.length - 1].blockHash === block.hash) {
+                    history.pop();
+                }
+                if (history && history.length === 0) this.history.delete(address);
+            }
+            return [];
+        }
+
+        const operations = undo.map(({ address, record }) => record === null
+            ? { type: 'del', key: `account:${address}` }
+            : { type: 'put', key: `account:${address}`, value: record });
+
+        block.transactions.forEach((tx, position) => {
+            for (const address of getTouchedAddresses(tx)) {
+                operations.push({ type: 'del', key: `history:${address}:${historySuffix(block.index, position)}` });
+            }
+        });
+
+        for (const outpoint of createdOutpoints) {
+            operations.push({ type: 'del', key: `utxo:${outpoint}` });
+        }
+        for (const { outpoint, utxo } of spentOutputs) {
+            operations.push({ type: 'put', key: `utxo:${outpoint}`, value: utxo });
+        }
+
+        operations.push({ type: 'del', key: `spent:${block.hash}` });
+        operations.push({ type: 'del', key: `undo:${block.hash}` });
+        operations.push({ type: 'put', key: 'meta:accountTip', value: block.previousHash });
+        return operations;
+    }
+
+    /**
+     * Get one page of an address's confirmed history, newest first.
+     * 
+     * @param {string} address - Wallet address
+     * @param {Object} options
+     * @param {number} options.limit - Entries per page (default 50)
+     * @param {string} options.before - Cursor ("height:position") from the previous page
+     * @returns {Promise<Object>} { total, entries: [{ txid, blockHash, height, position }], nextCursor }
+     */
+    async getHistory(address, options = {}) {
+        const limit = options.limit ?? DEFAULT_HISTORY_LIMIT;
+        const before = options.before ? parseCursor(options.before) : null;
+        const entries = [];
+
+        if (this.storage) {
+            const prefix = `history:${address}:`;
+            for await (const [key, value] of this.storage.db.iterator({
+                gte: prefix,
+                lt: before ? prefix + before : `${prefix}\xFF`,
+                reverse: true,
+                limit: limit + 1
+            })) {
+                const [height, position] = key.slice(prefix.length).split(':').map(Number);
+                entries.push({ ...value, height, position });
+            }
+        } else {
+            const history = this.history.get(address) || [];
+            for (let i = history.length - 1; i >= 0 && entries.length <= limit; i--) {
+                const entry = history[i];
+                if (before && historySuffix(entry.height, entry.position) >= before) continue;
+                entries.push(entry);
+            }
+        }
+
+        // We read one extra entry to know whether there is a next page
+        const hasMore = entries.length > limit;
+        const page = entries.slice(0, limit);
+        const last = page[page.length - 1];
+
+        return {
+            total: this.getTransactionCount(address),
+            entries: page,
+            nextCursor: hasMore ? `${last.height}:${last.position}` : null
+        };
+    }
+}
+
+module.exports = { AccountIndex };
@@ -0,0 +1,1600 @@
+/**
+ * ========================================
+ * NEKO CHAIN - REST API
+ * ========================================
+ * 
+ * The Express.js app that provides HTTP endpoints
+ * to interact with a node's blockchain.
+ * 
+ * EDUCATIONAL NOTES:
+ * ==================
+ * 
+ * This API allows you to:
+ * - Create new wallets (key pairs)
+ * - Send coins between wallets
+ * - Mine new blocks
+ * - View the blockchain
+ * - Check balances
+ * - Connect to other nodes (P2P)
+ * - Sync blockchain across nodes
+ * 
+ * P2P NETWORKING:
+ * - Nodes can register with each other
+ * - Transactions are broadcast to all peers
+ * - Newly mined blocks are broadcast to all peers
+ * - Nodes follow the chain with the most accumulated work
+ * 
+ * One app per node: the routes only use the node they are given,
+ * so several nodes can serve their APIs from one process (node.js).
+ */
+
+const express = require('express');
+const Transaction = require('./transaction');
+const { ENCODING_VERSION, encodeBlock, decodeBlock, decodeTransaction } = require('./encoding');
+const { compile } = require('./vm');
+const { createWallet, getKeyPairFromPrivate } = require('./wallet');
+const { Ledger, selectCoins } = require('./utxo');
+const { Consensus, GovernanceAction, isPublicKey } = require('./consensus');
+
+// Largest page of history GET /transactions/:address returns
+const MAX_HISTORY_PAGE = 500;
+
+/**
+ * Create the HTTP API of a node.
+ * 
+ * @param {Object} node - The node (see node.js): { blockchain, contractManager, p2p, regtest, network, url }
+ * @returns {express.Application} The Express app, not listening yet
+ */
+function createApi(node) {
+    const { blockchain: nekoCoin, contractManager, p2p: p2pNetwork, regtest: regtestTools } = node;
+
+    // Initialize Express app
+    const app = express();
+    app.use(express.json());  // Parse JSON request bodies
+
+    // Enable CORS for frontend
+    app.use((req, res, next) => {
+        res.header('Access-Control-Allow-Origin', '*');
+        res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+        res.header('Access-Control-Allow-Headers', 'Content-Type');
+        if (req.method === 'OPTIONS') {
+            return res.sendStatus(200);
+        }
+        next();
+    });
+
+    // ========================================
+    // API ENDPOINTS
+    // ========================================
+
+    /**
+     * GET /
+     * Welcome endpoint with API information
+     */
+    app.get('/', (req, res) => {
+        res.json({
+            name: '🐱 Neko Chain Blockchain API',
+            version: '2.0.0 (P2P Enabled)',
+            nodeUrl: node.url,
+            network: node.network,
+            chainId: nekoCoin.chainId,
+            ledger: nekoCoin.ledger,
+            genesisHash: nekoCoin.genesisHash,
+            peers: p2pNetwork.getPeers().length,
+            endpoints: {
+                // Wallet
+                'POST /wallet/create': 'Create a new wallet (key pair)',
+
+                // Transactions
+                'POST /transaction': 'Create and sign a transaction (optional fee, nonce)',
+                'GET /pending': 'Mempool: pending transactions by fee rate, fee histogram and limits',
+                'POST /transaction/cancel': 'Cancel a pending transaction by replacing it at a higher fee',
+                'GET /transaction/status/:txid': 'Check transaction status',
+                'GET /transaction/proof/:txid': 'Merkle inclusion proof for SPV clients',
+                'GET /tx/:txid': 'Full transaction details and location',
+
+                // Mining & Chain
+                'POST /mine': 'Mine pending transactions into a new block',
+                'GET /mining': 'Live mining status and hashrate',
+                'GET /mining/template': 'Block template for external miners',
+                'POST /mining/submit': 'Submit a nonce for a block template',
+                'GET /authorities': 'Proof-of-authority signers, whose turn it is and open votes',
+                'POST /governance/vote': 'Vote to add or remove an authority (authorities only)',
+                'GET /validators': 'Proof-of-stake validators, the next proposer and locked unstakes',
+                'POST /staking/stake': 'Lock coins as a proof-of-stake validator stake',
+                'POST /staking/unstake': 'Unlock your whole stake (paid back after the lock period)',
+                'GET /chain/tip': 'Latest block hash and height',
+                'GET /block/:id': 'A block by hash (any branch) or height, with its confirmations',
+                'GET /chain': 'View the entire blockchain',
+                'GET /chain/raw': 'Get the chain in canonical binary encoding (for P2P sync)',
+                'GET /balance/:address': 'Get balance for an address',
+                'GET /account/:address': 'Get balance, pending spends and next nonce',
+                'GET /utxos/:address': 'Unspent outputs of an address, UTXO networks (?amount=&fee= for a coin selection)',
+                'GET /transactions/:address': 'Transaction history, newest first (?limit=50&before=cursor)',
+                'GET /validate': 'Validate the blockchain integrity',
+
+                // P2P Network
+                'GET /peers': 'List all connected peers',
+                'POST /peers/connect': 'Connect to a peer node',
+                'POST /peers/register': 'Register a peer (called by other nodes)',
+                'POST /sync': 'Sync blockchain with peers',
+                'POST /transaction/receive': 'Receive transaction from peer',
+                'POST /block/receive': 'Receive block from peer',
+
+                // Developer (regtest only)
+                'GET /dev': 'Snapshots and the mock clock',
+                'POST /dev/generate': 'Mine blocks to an address instantly',
+                'POST /dev/time': 'Move the node\'s clock forward',
+                'POST /dev/snapshot': 'Snapshot the chain and pending transactions',
+                'POST /dev/revert/:id': 'Go back to a snapshot (it can\'t be used again)'
+            }
+        });
+    });
+
+    // ========================================
+    // WALLET ENDPOINTS
+    // ========================================
+
+    /**
+     * POST /wallet/create
+     * 
+     * Create a new wallet with a public/private key pair.
+     */
+    app.post('/wallet/create', (req, res) => {
+        try {
+            const wallet = createWallet();
+
+            console.log('\n👛 New wallet created!');
+            console.log(`   Address: ${wallet.publicKey.substring(0, 40)}...`);
+
+            res.json({
+                message: 'Wallet created successfully!',
+                warning: 'SAVE YOUR PRIVATE KEY! It cannot be recovered!',
+                publicKey: wallet.publicKey,
+                privateKey: wallet.privateKey
+            });
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    // ========================================
+    // TRANSACTION ENDPOINTS
+    // ========================================
+
+    /**
+     * POST /transaction
+     * 
+     * Create and sign a new transaction.
+     * Broadcasts to all peers automatically.
+     * On a UTXO network the node picks the sender's outputs to spend and
+     * sends the change back to the sender (nonce is ignored).
+     * Reusing the nonce of a pending transaction with a higher fee
+     * replaces it (speeds it up).
+     */
+    app.post('/transaction', async (req, res) => {
+        try {
+            const { senderPrivateKey, receiverAddress, amount, fee = 0, nonce } = req.body;
+
+            // Validate input
+            if (!senderPrivateKey || !receiverAddress || !amount) {
+                return res.status(400).json({
+                    error: 'Missing required fields',
+                    required: ['senderPrivateKey', 'receiverAddress', 'amount'],
+                    optional: ['fee', 'nonce']
+                });
+            }
+
+            if (amount <= 0) {
+                return res.status(400).json({ error: 'Amount must be positive' });
+            }
+
+            if (typeof fee !== 'number' || fee < 0) {
+                return res.status(400).json({ error: 'Fee must be a non-negative number' });
+            }
+
+            // Get sender's public key from private key
+            const keyPair = getKeyPairFromPrivate(senderPrivateKey);
+            const senderAddress = keyPair.getPublic('hex');
+
+            if (nonce !== undefined && (!Number.isInteger(nonce) || nonce < 0)) {
+                return res.status(400).json({ error: 'Nonce must be a non-negative integer' });
+            }
+
+            // Create the transaction (the fee goes to whoever mines it)
+            // Without an explicit nonce, use the sender's next one
+            const transaction = nekoCoin.ledger === Ledger.UTXO
+                ? nekoCoin.createUtxoPayment(senderAddress, receiverAddress, amount, fee)
+                : new Transaction(
+                    senderAddress,
+                    receiverAddress,
+                    amount,
+                    fee,
+                    nonce ?? nekoCoin.getAccount(senderAddress).nextNonce,
+                    nekoCoin.chainId            // Signed, so it can't be replayed on another network
+                );
+
+            // Sign it with the private key
+            transaction.signTransaction(senderPrivateKey);
+
+            // Add to pending transactions (validates automatically)
+            const { replaced } = await nekoCoin.addTransaction(transaction);
+
+            // Broadcast to all peers
+            await p2pNetwork.broadcastTransaction(transaction);
+
+            res.json({
+                message: 'Transaction added and broadcast to peers',
+                transaction: {
+                    from: senderAddress.substring(0, 40) + '...',
+                    to: receiverAddress.substring(0, 40) + '...',
+                    amount: amount,
+                    fee: fee,
+                    nonce: transaction.nonce,
+                    ...(transaction.inputs ? { inputs: transaction.inputs.length, outputs: transaction.outputs.length } : {}),
+                    timestamp: new Date(transaction.timestamp).toISOString(),
+                    signed: true
+                },
+                broadcastedTo: p2pNetwork.getPeers().length + ' peer(s)',
+                txHash: transaction.calculateHash(),    // The txid
+                replaced: replaced.map(tx => tx.calculateHash())
+            });
+        } catch (error) {
+            res.status(400).json({ error: error.message });
+        }
+    });
+
+    /**
+     * POST /transaction/cancel
+     * 
+     * Cancel a pending transaction: the sender signs a transaction paying
+     * themselves at a higher fee, which replaces the original in the
+     * mempool (replace-by-fee). Without a fee, the replaced fees plus a
+     * small bump is used.
+     * A miner that already has the original can still mine it.
+     */
+    app.post('/transaction/cancel', async (req, res) => {
+        try {
+            const { senderPrivateKey, txid, fee } = req.body;
+
+            if (!senderPrivateKey || !txid) {
+                return res.status(400).json({
+                    error: 'Missing required fields',
+                    required: ['senderPrivateKey', 'txid'],
+                    optional: ['fee']
+                });
+            }
+
+            if (fee !== undefined && (typeof fee !== 'number' || fee < 0)) {
+                return res.status(400).json({ error: 'Fee must be a non-negative number' });
+            }
+
+            const original = nekoCoin.getPendingTransaction(txid);
+            if (!original) {
+                return res.status(404).json({ error: 'Transaction is not pending' });
+            }
+
+            const senderAddress = getKeyPairFromPrivate(senderPrivateKey).getPublic('hex');
+            if (original.senderAddress !== senderAddress) {
+                return res.status(403).json({ error: 'Only the sender can cancel a transaction' });
+            }
+
+            const cancellation = nekoCoin.createCancellation(txid, fee);
+            cancellation.signTransaction(senderPrivateKey);
+
+            const { replaced } = await nekoCoin.addTransaction(cancellation);
+            await p2pNetwork.broadcastTransaction(cancellation);
+
+            res.json({
+                message: 'Cancellation added and broadcast to peers',
+                cancelled: txid,
+                fee: cancellation.fee,
+                broadcastedTo: p2pNetwork.getPeers().length + ' peer(s)',
+                txHash: cancellation.calculateHash(),
+                replaced: replaced.map(tx => tx.calculateHash())
+            });
+        } catch (error) {
+            res.status(400).json({ error: error.message });
+        }
+    });
+
+    /**
+     * GET /transaction/status/:txid
+     * 
+     * Get the status of a transaction by its txid (the txHash returned by POST /transaction).
+     * 
+     * Status values:
+     * - pending: Transaction is in the pending pool
+     * - confirmed: Transaction is included in a block
+     * - replaced: A higher fee transaction replaced it (replacedBy has its txid)
+     * - unknown: Transaction not found
+     */
+    app.get('/transaction/status/:txid', async (req, res) => {
+        try {
+            const status = await nekoCoin.getTransactionStatus(req.params.txid);
+
+            res.json(status);
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    /**
+     * GET /transaction/proof/:txid
+     * 
+     * Get a Merkle inclusion proof for a confirmed transaction.
+     * Returns the encoded transaction, the block header and the Merkle
+     * branch, which a light client can verify offline with
+     * verifyTransactionProof() (src/spv.js).
+     */
+    app.get('/transaction/proof/:txid', async (req, res) => {
+        try {
+            const proof = await nekoCoin.getTransactionProof(req.params.txid);
+
+            if (!proof) {
+                return res.status(404).json({
+                    error: 'Transaction not found in any confirmed block',
+                    hint: 'Check GET /transaction/status/:txid - pending transactions have no proof yet'
+                });
+            }
+
+            res.json(proof);
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    /**
+     * GET /tx/:txid
+     * 
+     * Get a transaction with every field (full addresses, signature) and
+     * where it is: the pending pool, or its block and position.
+     * Confirmed transactions are found through the persistent txid index.
+     */
+    app.get('/tx/:txid', async (req, res) => {
+        try {
+            const result = await nekoCoin.getTransaction(req.params.txid);
+
+            if (!result) {
+                return res.status(404).json({ error: 'Transaction not found', txid: req.params.txid });
+            }
+
+            res.json(result);
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    /**
+     * POST /transaction/receive
+     * 
+     * Receive a transaction broadcast from another node.
+     * This is called by peer nodes, not directly by users.
+     */
+    app.post('/transaction/receive', async (req, res) => {
+        try {
+            const { txid, transaction } = req.body;
+
+            if (typeof transaction !== 'string') {
+                return res.status(400).json({ error: 'Missing transaction data (base64 canonical encoding)' });
+            }
+
+            // Already known: no need to decode or validate it again
+            if (txid && nekoCoin.getPendingTransaction(txid)) {
+                return res.json({ success: false, txid, message: 'Transaction already in pending pool' });
+            }
+
+            const tx = Transaction.fromJSON(decodeTransaction(Buffer.from(transaction, 'base64')));
+            if (txid && tx.calculateHash() !== txid) {
+                return res.status(400).json({ error: 'txid does not match the transaction' });
+            }
+
+            const added = await nekoCoin.addReceivedTransaction(tx);
+
+            // Relay new transactions so they reach peers we know but the sender doesn't
+            if (added) {
+                await p2pNetwork.broadcastTransaction(tx);
+            }
+
+            res.json({
+                success: added,
+                txid: tx.calculateHash(),
+                message: added ? 'Transaction added to pending pool' : 'Transaction already in pending pool'
+            });
+        } catch (error) {
+            res.status(400).json({ error: error.message });
+        }
+    });
+
+    /**
+     * GET /pending
+     * 
+     * Get the mempool: pending (unconfirmed) transactions, highest fee rate
+     * first (the order miners pick them in), a fee rate histogram and the
+     * pool's limits. Fee rates are in smallest units (1e-8 NEKO) per byte.
+     */
+    app.get('/pending', (req, res) => {
+        const { mempool } = nekoCoin;
+        const entries = mempool.getSortedEntries();
+
+        res.json({
+            ...mempool.getInfo(),
+            totalFees: nekoCoin.getTotalFees(entries.map(entry => entry.tx)),
+            feeHistogram: mempool.getFeeHistogram(),
+            transactions: entries.map(({ tx, txid }) => ({
+                ...mempool.getEntryInfo(txid),
+                from: tx.senderAddress ? tx.senderAddress.substring(0, 20) + '...' : 'MINING REWARD',
+                to: tx.receiverAddress.substring(0, 20) + '...',
+                amount: tx.amount,
+                fee: tx.fee,
+                nonce: tx.nonce,
+                timestamp: new Date(tx.timestamp).toISOString()
+            }))
+        });
+    });
+
+    // ========================================
+    // MINING ENDPOINTS
+    // ========================================
+
+    /**
+     * POST /mine
+     * 
+     * Mine all pending transactions into a new block.
+     * Broadcasts the new block to all peers.
+     * On a proof-of-authority network the block is signed with this node's
+     * authority key instead, and minerAddress defaults to that authority;
+     * on a proof-of-stake network with its validator key, once its slot comes.
+     */
+    app.post('/mine', async (req, res) => {
+        try {
+            const { minerAddress = nekoCoin.consensus.authorityAddress ?? nekoCoin.consensus.validatorAddress } = req.body;
+
+            if (!minerAddress) {
+                return res.status(400).json({
+                    error: 'Missing minerAddress',
+                    hint: 'Create a wallet first with POST /wallet/create'
+                });
+            }
+
+            console.log('\n⛏️  Mining requested by:', minerAddress.substring(0, 40) + '...');
+
+            // Record start time for response
+            const startTime = Date.now();
+
+            if (nekoCoin.miner.isMining()) {
+                return res.status(409).json({
+                    error: 'Already mining a block',
+                    status: nekoCoin.miner.getStatus()
+                });
+            }
+
+            // Mine the block (Proof of Work runs on worker threads,
+            // so the node keeps answering requests meanwhile)
+            const newBlock = await nekoCoin.minePendingTransactions(minerAddress);
+
+            const miningTime = (Date.now() - startTime) / 1000;
+
+            // A peer found a block at this height first
+            if (!newBlock) {
+                return res.status(409).json({
+                    message: 'Mining aborted: the chain tip moved while mining',
+                    chainLength: nekoCoin.chain.length,
+                    miningTime: `${miningTime.toFixed(2)} seconds`
+                });
+            }
+
+            // Broadcast the new block to all peers
+            await p2pNetwork.broadcastBlock(newBlock);
+
+            res.json({
+                message: 'Block mined and broadcast to peers!',
+                block: {
+                    index: newBlock.index,
+                    hash: newBlock.hash,
+                    previousHash: newBlock.previousHash,
+                    transactions: newBlock.transactions.length,
+                    difficulty: newBlock.difficulty,
+                    nonce: newBlock.nonce,
+                    timestamp: new Date(newBlock.timestamp).toISOString()
+                },
+                miningTime: `${miningTime.toFixed(2)} seconds`,
+                reward: `${newBlock.transactions.find(tx => tx.senderAddress === null).amount} NEKO`,
+                feesCollected: nekoCoin.getTotalFees(newBlock.transactions),
+                minerBalance: nekoCoin.getBalance(minerAddress),
+                broadcastedTo: p2pNetwork.getPeers().length + ' peer(s)'
+            });
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    /**
+     * GET /mining
+     * 
+     * Get the live mining status: current job, hashrate, and the last job.
+     */
+    app.get('/mining', (req, res) => {
+        res.json(nekoCoin.miner.getStatus());
+    });
+
+    /**
+     * GET /mining/template?minerAddress=...
+     * 
+     * Get a block template for an external miner (like getblocktemplate).
+     * The miner searches nonces for the header locally, then calls POST /mining/submit.
+     */
+    app.get('/mining/template', (req, res) => {
+        try {
+            const { minerAddress } = req.query;
+
+            if (!minerAddress) {
+                return res.status(400).json({
+                    error: 'Missing minerAddress',
+                    hint: 'Create a wallet first with POST /wallet/create'
+                });
+            }
+
+            res.json(nekoCoin.createBlockTemplate(minerAddress));
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    /**
+     * POST /mining/submit
+     * 
+     * Submit a nonce for a block template (like submitblock).
+     * The node validates the block, adds it and broadcasts it to peers.
+     * 
+     * Request body:
+     * {
+     *   templateId: "f89b56d4...",
+     *   nonce: 8611
+     * }
+     */
+    app.post('/mining/submit', async (req, res) => {
+        try {
+            const { templateId, nonce } = req.body;
+
+            if (!templateId || !Number.isInteger(nonce)) {
+                return res.status(400).json({
+                    error: 'Missing templateId or nonce',
+                    required: ['templateId', 'nonce']
+                });
+            }
+
+            const result = await nekoCoin.submitBlockSolution(templateId, nonce);
+
+            if (!result.success) {
+                return res.status(400).json({
+                    success: false,
+                    reason: result.reason,
+                    error: result.error
+                });
+            }
+
+            // Broadcast the new block to all peers
+            await p2pNetwork.broadcastBlock(result.block);
+
+            res.json({
+                success: true,
+                message: result.isTip ? 'Block accepted and broadcast to peers!' : 'Block accepted on a side branch',
+                block: {
+                    index: result.block.index,
+                    hash: result.block.hash,
+                    previousHash: result.block.previousHash,
+                    transactions: result.block.transactions.length,
+                    difficulty: result.block.difficulty,
+                    nonce: result.block.nonce
+                },
+                isTip: result.isTip,
+                reward: `${result.block.transactions.find(tx => tx.senderAddress === null).amount} NEKO`,
+                broadcastedTo: p2pNetwork.getPeers().length + ' peer(s)'
+            });
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    /**
+     * POST /block/receive
+     * 
+     * Receive a newly mined block from another node.
+     * This is called by peer nodes, not directly by users.
+     */
+    app.post('/block/receive', async (req, res) => {
+        try {
+            const { block } = req.body;
+
+            if (typeof block !== 'string') {
+                return res.status(400).json({ error: 'Missing block data (base64 canonical encoding)' });
+            }
+
+            const result = await nekoCoin.addBlock(decodeBlock(Buffer.from(block, 'base64')));
+
+            res.status(result.success ? 200 : 400).json({
+                success: result.success,
+                message: result.success ? 'Block accepted into block tree' : `Block rejected: ${result.error}`,
+                reason: result.reason,
+                chainLength: nekoCoin.chain.length,
+                totalWork: nekoCoin.getChainWork()
+            });
+        } catch (error) {
+            res.status(400).json({ error: error.message });
+        }
+    });
+
+    // ========================================
+    // GOVERNANCE ENDPOINTS (PROOF OF AUTHORITY)
+    // ========================================
+
+    /**
+     * GET /authorities
+     * 
+     * Get the authorities allowed to sign the next block, whose turn it is,
+     * and the votes to add or remove an authority that have no majority yet.
+     */
+    app.get('/authorities', (req, res) => {
+        if (nekoCoin.consensus.name !== Consensus.POA) {
+            return res.status(404).json({ error: 'This network does not use proof-of-authority' });
+        }
+
+        res.json(nekoCoin.consensus.getInfo());
+    });
+
+    /**
+     * POST /governance/vote
+     * 
+     * Vote to add or remove an authority. The vote is a zero-amount
+     * transaction signed by an authority; the change applies once more
+     * than half of the authorities voted for it.
+     * 
+     * Request body:
+     * {
+     *   senderPrivateKey: "a1b2c3...",     // An authority's key
+     *   action: "add",                     // or "remove"
+     *   authority: "04f4b0...",            // Public key to add or remove
+     *   fee: 0                             // Optional
+     * }
+     */
+    app.post('/governance/vote', async (req, res) => {
+        try {
+            const { senderPrivateKey, action, authority, fee = 0 } = req.body;
+
+            if (!senderPrivateKey || !action || !authority) {
+                return res.status(400).json({
+                    error: 'Missing required fields',
+                    required: ['senderPrivateKey', 'action', 'authority'],
+                    optional: ['fee']
+                });
+            }
+
+            if (!Object.values(GovernanceAction).includes(action)) {
+                return res.status(400).json({ error: `Action must be one of: ${Object.values(GovernanceAction).join(', ')}` });
+            }
+
+            if (!isPublicKey(authority)) {
+                return res.status(400).json({ error: 'Authority must be a public key (130 hex characters starting with 04)' });
+            }
+
+            if (typeof fee !== 'number' || fee < 0) {
+                return res.status(400).json({ error: 'Fee must be a non-negative number' });
+            }
+
+            const senderAddress = getKeyPairFromPrivate(senderPrivateKey).getPublic('hex');
+            const vote = nekoCoin.createGovernanceVote(senderAddress, action, authority, fee);
+            vote.signTransaction(senderPrivateKey);
+
+            await nekoCoin.addTransaction(vote);
+            await p2pNetwork.broadcastTransaction(vote);
+
+            res.json({
+                message: `Vote to ${action} the authority added and broadcast to peers`,
+                vote: {
+                    from: senderAddress.substring(0, 40) + '...',
+                    to: vote.receiverAddress.substring(0, 40) + '...',
+                    fee: vote.fee,
+                    nonce: vote.nonce
+                },
+                broadcastedTo: p2pNetwork.getPeers().length + ' peer(s)',
+                txHash: vote.calculateHash()
+            });
+        } catch (error) {
+            res.status(400).json({ error: error.message });
+        }
+    });
+
+    // ========================================
+    // STAKING ENDPOINTS (PROOF OF STAKE)
+    // ========================================
+
+    /**
+     * GET /validators
+     * 
+     * Get the validators and their stakes, the proposer of the next slot,
+     * unstaked coins waiting for the lock period, and slashed validators.
+     */
+    app.get('/validators', (req, res) => {
+        if (nekoCoin.consensus.name !== Consensus.POS) {
+            return res.status(404).json({ error: 'This network does not use proof-of-stake' });
+        }
+
+        res.json(nekoCoin.consensus.getInfo());
+    });
+
+    /**
+     * POST /staking/stake
+     * 
+     * Lock coins as your stake. With at least the chain's minStake you
+     * become a validator from the next block on (propose with --validator-key).
+     * 
+     * Request body:
+     * {
+     *   senderPrivateKey: "a1b2c3...",     // The staker's key
+     *   amount: 100,                       // Coins to lock
+     *   fee: 0                             // Optional
+     * }
+     */
+    app.post('/staking/stake', async (req, res) => {
+        try {
+            const { senderPrivateKey, amount, fee = 0 } = req.body;
+
+            if (!senderPrivateKey || !amount) {
+                return res.status(400).json({
+                    error: 'Missing required fields',
+                    required: ['senderPrivateKey', 'amount'],
+                    optional: ['fee']
+                });
+            }
+
+            if (typeof amount !== 'number' || amount <= 0) {
+                return res.status(400).json({ error: 'Amount must be positive' });
+            }
+
+            if (typeof fee !== 'number' || fee < 0) {
+                return res.status(400).json({ error: 'Fee must be a non-negative number' });
+            }
+
+            const senderAddress = getKeyPairFromPrivate(senderPrivateKey).getPublic('hex');
+            const stake = nekoCoin.createStakeTransaction(senderAddress, amount, fee);
+            stake.signTransaction(senderPrivateKey);
+
+            await nekoCoin.addTransaction(stake);
+            await p2pNetwork.broadcastTransaction(stake);
+
+            res.json({
+                message: `Stake of ${amount} NEKO added and broadcast to peers`,
+                stake: {
+                    from: senderAddress.substring(0, 40) + '...',
+                    amount: stake.amount,
+                    fee: stake.fee,
+                    nonce: stake.nonce
+                },
+                broadcastedTo: p2pNetwork.getPeers().length + ' peer(s)',
+                txHash: stake.calculateHash()
+            });
+        } catch (error) {
+            res.status(400).json({ error: error.message });
+        }
+    });
+
+    /**
+     * POST /staking/unstake
+     * 
+     * Stop validating and unlock your whole stake. The coins are paid back
+     * by the proposer of the block stakeLockPeriod blocks later.
+     * 
+     * Request body:
+     * {
+     *   senderPrivateKey: "a1b2c3...",     // The staker's key
+     *   fee: 0                             // Optional
+     * }
+     */
+    app.post('/staking/unstake', async (req, res) => {
+        try {
+            const { senderPrivateKey, fee = 0 } = req.body;
+
+            if (!senderPrivateKey) {
+                return res.status(400).json({
+                    error: 'Missing required fields',
+                    required: ['senderPrivateKey'],
+                    optional: ['fee']
+                });
+            }
+
+            if (typeof fee !== 'number' || fee < 0) {
+                return res.status(400).json({ error: 'Fee must be a non-negative number' });
+            }
+
+            const senderAddress = getKeyPairFromPrivate(senderPrivateKey).getPublic('hex');
+            const unstake = nekoCoin.createUnstakeTransaction(senderAddress, fee);
+            unstake.signTransaction(senderPrivateKey);
+
+            await nekoCoin.addTransaction(unstake);
+            await p2pNetwork.broadcastTransaction(unstake);
+
+            res.json({
+                message: `Unstake added and broadcast to peers, coins are paid back ${nekoCoin.consensus.stakeLockPeriod} blocks after it is mined`,
+                unstake: {
+                    from: senderAddress.substring(0, 40) + '...',
+                    fee: unstake.fee,
+                    nonce: unstake.nonce
+                },
+                broadcastedTo: p2pNetwork.getPeers().length + ' peer(s)',
+                txHash: unstake.calculateHash()
+            });
+        } catch (error) {
+            res.status(400).json({ error: error.message });
+        }
+    });
+
+    // ========================================
+    // DEV ENDPOINTS (REGTEST)
+    // ========================================
+
+    // Every /dev route is behind this guard: outside regtest they don't exist
+    const devRouter = express.Router();
+    devRouter.use((req, res, next) => {
+        if (!regtestTools) {
+            return res.status(404).json({ error: 'Developer endpoints are only available in regtest mode (--regtest)' });
+        }
+
+        next();
+    });
+
+    /**
+     * GET /dev
+     * 
+     * Get the snapshots that can be reverted to and the mock clock.
+     */
+    devRouter.get('/', (req, res) => {
+        res.json(regtestTools.getInfo());
+    });
+
+    /**
+     * POST /dev/generate
+     * 
+     * Mine blocks instantly (regtest difficulty is 0), the pending
+     * transactions included. Rewards and fees go to the given address.
+     * 
+     * Request body:
+     * {
+     *   count: 10,                         // Blocks to mine (default 1)
+     *   address: "04abc..."                // Receives the rewards
+     * }
+     */
+    devRouter.post('/generate', async (req, res) => {
+        try {
+            const { count = 1, address } = req.body;
+
+            if (!address) {
+                return res.status(400).json({
+                    error: 'Missing address',
+                    hint: 'Create a wallet first with POST /wallet/create'
+                });
+            }
+
+            if (nekoCoin.miner.isMining()) {
+                return res.status(409).json({ error: 'Already mining a block' });
+            }
+
+            const blocks = await regtestTools.generate(count, address);
+
+            res.json({
+                message: `${blocks.length} block(s) generated`,
+                blocks: blocks.map(block => block.hash),
+                height: nekoCoin.getLatestBlock().index,
+                balance: nekoCoin.getBalance(address)
+            });
+        } catch (error) {
+            res.status(400).json({ error: error.message });
+        }
+    });
+
+    /**
+     * POST /dev/time
+     * 
+     * Move the node's clock forward. New blocks get timestamps from it.
+     * 
+     * Request body:
+     * {
+     *   seconds: 3600                      // How far to move it
+     * }
+     */
+    devRouter.post('/time', (req, res) => {
+        try {
+            const { seconds } = req.body;
+
+            if (typeof seconds !== 'number' || seconds < 0) {
+                return res.status(400).json({ error: 'Seconds must be a non-negative number' });
+            }
+
+            const now = regtestTools.advanceTime(Math.round(seconds * 1000));
+
+            res.json({
+                message: `Clock moved forward ${seconds} second(s)`,
+                time: new Date(now).toISOString(),
+                clock: nekoCoin.clock.getInfo()
+            });
+        } catch (error) {
+            res.status(400).json({ error: error.message });
+        }
+    });
+
+    /**
+     * POST /dev/snapshot
+     * 
+     * Remember the chain and the pending transactions,
+     * to go back to with POST /dev/revert/:id.
+     */
+    devRouter.post('/snapshot', (req, res) => {
+        res.json({
+            message: 'Snapshot taken',
+            ...regtestTools.snapshot()
+        });
+    });
+
+    /**
+     * POST /dev/revert/:id
+     * 
+     * Go back to a snapshot: blocks mined since are deleted, and the pending
+     * transactions are restored (the clock only moves forward). The snapshot
+     * and every later one are used up. Contracts are not part of snapshots.
+     */
+    devRouter.post('/revert/:id', async (req, res) => {
+        try {
+            const result = await regtestTools.revert(Number(req.params.id));
+
+            res.json({
+                message: `Reverted to snapshot ${result.id}`,
+                ...result
+            });
+        } catch (error) {
+            res.status(400).json({ error: error.message });
+        }
+    });
+
+    app.use('/dev', devRouter);
+
+    // ========================================
+    // BLOCKCHAIN ENDPOINTS
+    // ========================================
+
+    /**
+     * GET /chain
+     * 
+     * Get the entire blockchain (formatted for display).
+     */
+    app.get('/chain', (req, res) => {
+        res.json({
+            length: nekoCoin.chain.length,
+            chain: nekoCoin.chain.map(block => ({
+                index: block.index,
+                timestamp: new Date(block.timestamp).toISOString(),
+                transactions: block.transactions.map(tx => ({
+                    from: tx.senderAddress ? tx.senderAddress.substring(0, 20) + '...' : 'MINING REWARD',
+                    to: tx.receiverAddress.substring(0, 20) + '...',
+                    amount: tx.amount,
+                    fee: tx.fee || 0,
+                    nonce: tx.nonce
+                })),
+                previousHash: block.previousHash.substring(0, 20) + '...',
+                merkleRoot: block.merkleRoot,
+                hash: block.hash,
+                difficulty: block.difficulty,
+                nonce: block.nonce
+            }))
+        });
+    });
+
+    /**
+     * GET /chain/raw
+     * 
+     * Get the entire blockchain for P2P sync: every block in the
+     * canonical binary encoding (src/encoding.js), as base64.
+     */
+    app.get('/chain/raw', (req, res) => {
+        res.json({
+            length: nekoCoin.chain.length,
+            totalWork: nekoCoin.getChainWork(),
+            encoding: `neko-binary-v${ENCODING_VERSION}/base64`,
+            chain: nekoCoin.chain.map(block => encodeBlock(block).toString('base64'))
+        });
+    });
+
+    /**
+     * GET /chain/tip
+     * 
+     * Get the tip of the active chain (cheap to poll, used by miner.js
+     * to notice that its template has gone stale).
+     */
+    app.get('/chain/tip', (req, res) => {
+        const tip = nekoCoin.getLatestBlock();
+
+        res.json({
+            index: tip.index,
+            hash: tip.hash,
+            totalWork: nekoCoin.getChainWork()
+        });
+    });
+
+    /**
+     * GET /block/:id
+     * 
+     * Get a block header by hash or by height, and whether it is on the
+     * active chain (used by pool.js to tell maturing blocks from orphans).
+     */
+    app.get('/block/:id', (req, res) => {
+        const info = nekoCoin.getBlockInfo(req.params.id);
+
+        if (!info) {
+            return res.status(404).json({ error: 'Block not found', id: req.params.id });
+        }
+
+        const { block } = info;
+        res.json({
+            index: block.index,
+            hash: block.hash,
+            previousHash: block.previousHash,
+            timestamp: block.timestamp,
+            merkleRoot: block.merkleRoot,
+            difficulty: block.difficulty,
+            nonce: block.nonce,
+            transactionCount: block.transactions.length,
+            inActiveChain: info.inActiveChain,
+            confirmations: info.confirmations,
+            tipHeight: nekoCoin.getLatestBlock().index
+        });
+    });
+
+    /**
+     * GET /balance/:address
+     * 
+     * Get the balance for a wallet address.
+     */
+    app.get('/balance/:address', (req, res) => {
+        try {
+            const { address } = req.params;
+
+            if (!address) {
+                return res.status(400).json({ error: 'Address is required' });
+            }
+
+            const balance = nekoCoin.getBalance(address);
+
+            res.json({
+                address: address.substring(0, 40) + '...',
+                balance: balance,
+                unit: 'NEKO'
+            });
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    /**
+     * GET /account/:address
+     * 
+     * Get the state of an account: confirmed balance, pending spends,
+     * and the nonce its next transaction must use.
+     */
+    app.get('/account/:address', (req, res) => {
+        try {
+            const { address } = req.params;
+            const account = nekoCoin.getAccount(address);
+
+            res.json({
+                address: address.substring(0, 40) + '...',
+                ...account,
+                unit: 'NEKO'
+            });
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    /**
+     * GET /utxos/:address?amount=5&fee=0.1
+     * 
+     * Get the unspent outputs of an address (UTXO networks only).
+     * With an amount, also shows which spendable outputs a payment of
+     * amount + fee would use and the change it would get back.
+     */
+    app.get('/utxos/:address', (req, res) => {
+        try {
+            if (nekoCoin.ledger !== Ledger.UTXO) {
+                return res.status(400).json({ error: `This network uses the ${nekoCoin.ledger} ledger, it has no unspent outputs` });
+            }
+
+            const { address } = req.params;
+            const utxos = nekoCoin.getUtxos(address);
+            const response = {
+                address: address.substring(0, 40) + '...',
+                count: utxos.length,
+                balance: nekoCoin.getBalance(address),
+                utxos,
+                unit: 'NEKO'
+            };
+
+            if (req.query.amount !== undefined) {
+                const amount = Number(req.query.amount);
+                const fee = req.query.fee !== undefined ? Number(req.query.fee) : 0;
+
+                if (!(amount > 0) || !(fee >= 0)) {
+                    return res.status(400).json({ error: 'amount must be positive and fee non-negative' });
+                }
+
+                response.selection = selectCoins(nekoCoin.getSpendableUtxos(address), amount + fee);
+            }
+
+            res.json(response);
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    /**
+     * GET /transactions/:address?limit=50&before=<cursor>
+     * 
+     * Get the confirmed transactions of an address, newest first, one page
+     * at a time. Pass the returned nextCursor as ?before= to get the next page.
+     */
+    app.get('/transactions/:address', async (req, res) => {
+        try {
+            const { address } = req.params;
+            const { before } = req.query;
+            const limit = req.query.limit !== undefined ? Number(req.query.limit) : 50;
+
+            if (!Number.isInteger(limit) || limit < 1 || limit > MAX_HISTORY_PAGE) {
+                return res.status(400).json({ error: `limit must be between 1 and ${MAX_HISTORY_PAGE}` });
+            }
+            if (before !== undefined && !/^\d+:\d+$/.test(before)) {
+                return res.status(400).json({ error: 'before must be a cursor (height:position) from nextCursor' });
+            }
+
+            const page = await nekoCoin.getTransactionsForAddress(address, { limit, before });
+
+            res.json({
+                address: address.substring(0, 40) + '...',
+                totalTransactions: page.total,
+                count: page.transactions.length,
+                transactions: page.transactions,
+                nextCursor: page.nextCursor
+            });
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    /**
+     * GET /stats
+     * 
+     * Get blockchain statistics.
+     */
+    app.get('/stats', (req, res) => {
+        const stats = nekoCoin.getStats();
+        res.json({
+            ...stats,
+            nodeUrl: node.url,
+            connectedPeers: p2pNetwork.getPeers().length
+        });
+    });
+
+    /**
+     * GET /validate
+     * 
+     * Validate the entire blockchain integrity.
+     */
+    app.get('/validate', (req, res) => {
+        // Always the full check, signatures included
+        const result = nekoCoin.validateChain(nekoCoin.chain, { assumeValid: false });
+
+        res.json({
+            valid: result.valid,
+            message: result.valid
+                ? '✅ Blockchain is valid and secure!'
+                : '❌ Blockchain has been tampered with!',
+            reason: result.reason,
+            invalidBlock: result.height,
+            error: result.error
+        });
+    });
+
+    // ========================================
+    // P2P NETWORK ENDPOINTS
+    // ========================================
+
+    /**
+     * GET /peers
+     * 
+     * Get list of all connected peers.
+     */
+    app.get('/peers', (req, res) => {
+        res.json({
+            nodeUrl: node.url,
+            peers: p2pNetwork.getPeers(),
+            count: p2pNetwork.getPeers().length
+        });
+    });
+
+    /**
+     * POST /peers/connect
+     * 
+     * Connect to a peer node.
+     * This initiates a two-way connection.
+     * 
+     * Request body:
+     * {
+     *   peerUrl: "http://localhost:3001"
+     * }
+     */
+    app.post('/peers/connect', async (req, res) => {
+        try {
+            const { peerUrl } = req.body;
+
+            if (!peerUrl) {
+                return res.status(400).json({ error: 'Missing peerUrl' });
+            }
+
+            const success = await p2pNetwork.connectToPeer(peerUrl);
+
+            if (success) {
+                res.json({
+                    message: `Connected to peer: ${peerUrl}`,
+                    peers: p2pNetwork.getPeers()
+                });
+            } else {
+                res.status(400).json({
+                    error: `Failed to connect to peer: ${peerUrl}`
+                });
+            }
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    /**
+     * POST /peers/register
+     * 
+     * Register a peer (called by other nodes during connection).
+     * 
+     * Request body:
+     * {
+     *   peerUrl: "http://localhost:3001",
+     *   chainId: "neko-main",
+     *   genesisHash: "116e91b1..."
+     * }
+     * 
+     * Peers running another network are refused.
+     */
+    app.post('/peers/register', (req, res) => {
+        try {
+            const { peerUrl, chainId, genesisHash } = req.body;
+
+            if (!peerUrl) {
+                return res.status(400).json({ error: 'Missing peerUrl' });
+            }
+
+            if (chainId !== nekoCoin.chainId || genesisHash !== nekoCoin.genesisHash) {
+                return res.status(403).json({
+                    error: `Network mismatch: this node runs ${nekoCoin.chainId}`,
+                    chainId: nekoCoin.chainId,
+                    genesisHash: nekoCoin.genesisHash
+                });
+            }
+
+            const success = p2pNetwork.registerPeer(peerUrl);
+
+            res.json({
+                message: success ? 'Peer registered' : 'Peer already registered',
+                peers: p2pNetwork.getPeers()
+            });
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    /**
+     * POST /sync
+     * 
+     * Sync blockchain with all peers (get heaviest valid chain).
+     * Uses the "most accumulated work wins" consensus mechanism.
+     */
+    app.post('/sync', async (req, res) => {
+        try {
+            const wasReplaced = await p2pNetwork.syncChain();
+
+            res.json({
+                message: wasReplaced
+                    ? 'Switched to a heavier valid chain from peer'
+                    : 'Our chain is already the heaviest or no valid heavier chain found',
+                chainLength: nekoCoin.chain.length,
+                peers: p2pNetwork.getPeers().length
+            });
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    // ========================================
+    // SEED NODE MANAGEMENT ENDPOINTS
+    // ========================================
+
+    /**
+     * GET /seeds
+     * 
+     * Get all configured seed nodes.
+     */
+    app.get('/seeds', (req, res) => {
+        res.json({
+            nodeUrl: node.url,
+            seedNodes: p2pNetwork.getSeedNodes(),
+            count: p2pNetwork.getSeedNodes().length
+        });
+    });
+
+    /**
+     * POST /seeds/add
+     * 
+     * Add a new seed node dynamically.
+     * 
+     * Request body:
+     * {
+     *   nodeUrl: "http://192.168.1.10:3000"
+     * }
+     */
+    app.post('/seeds/add', (req, res) => {
+        try {
+            const { nodeUrl } = req.body;
+
+            if (!nodeUrl) {
+                return res.status(400).json({ error: 'Missing nodeUrl' });
+            }
+
+            p2pNetwork.addSeedNode(nodeUrl);
+
+            res.json({
+                message: `Seed node added: ${nodeUrl}`,
+                seedNodes: p2pNetwork.getSeedNodes()
+            });
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    /**
+     * POST /seeds/remove
+     * 
+     * Remove a seed node.
+     * 
+     * Request body:
+     * {
+     *   nodeUrl: "http://192.168.1.10:3000"
+     * }
+     */
+    app.post('/seeds/remove', (req, res) => {
+        try {
+            const { nodeUrl } = req.body;
+
+            if (!nodeUrl) {
+                return res.status(400).json({ error: 'Missing nodeUrl' });
+            }
+
+            p2pNetwork.removeSeedNode(nodeUrl);
+
+            res.json({
+                message: `Seed node removed: ${nodeUrl}`,
+                seedNodes: p2pNetwork.getSeedNodes()
+            });
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    // ========================================
+    // SMART CONTRACT ENDPOINTS
+    // ========================================
+
+    /**
+     * POST /contract/deploy
+     * 
+     * Deploy a new smart contract.
+     */
+    app.post('/contract/deploy', async (req, res) => {
+        try {
+            const { deployer, bytecode, source, gasLimit } = req.body;
+
+            if (!deployer) {
+                return res.status(400).json({
+                    error: 'Missing deployer address',
+                    hint: 'Use your wallet public key as deployer'
+                });
+            }
+
+            if (!bytecode && !source) {
+                return res.status(400).json({
+                    error: 'Missing bytecode or source',
+                    hint: 'Provide either compiled bytecode or source code'
+                });
+            }
+
+            let codeToUse = bytecode || source;
+            const isSource = !!source;
+
+            const result = await contractManager.deploy({
+                deployer,
+                bytecode: codeToUse,
+                isSource,
+                value: 0,
+                gasLimit: gasLimit || 1000000
+            });
+
+            if (result.success) {
+                res.json({
+                    message: 'Contract deployed successfully!',
+                    address: result.address,
+                    gasUsed: result.gasUsed,
+                    logs: result.logs
+                });
+            } else {
+                res.status(400).json({
+                    error: result.error,
+                    gasUsed: result.gasUsed
+                });
+            }
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    /**
+     * POST /contract/call
+     * 
+     * Call a smart contract function.
+     */
+    app.post('/contract/call', async (req, res) => {
+        try {
+            const { contractAddress, caller, data, value, gasLimit } = req.body;
+
+            if (!contractAddress || !caller) {
+                return res.status(400).json({
+                    error: 'Missing contractAddress or caller',
+                    required: ['contractAddress', 'caller']
+                });
+            }
+
+            // Convert data to buffer if provided
+            let callData = Buffer.from([]);
+            if (data) {
+                if (Array.isArray(data)) {
+                    callData = Buffer.from(data);
+                } else if (typeof data === 'string') {
+                    callData = Buffer.from(data, 'hex');
+                }
+            }
+
+            const result = await contractManager.call({
+                contractAddress,
+                caller,
+                data: callData,
+                value: value || 0,
+                gasLimit: gasLimit || 1000000
+            });
+
+            if (result.success) {
+                res.json({
+                    success: true,
+                    gasUsed: result.gasUsed,
+                    returnData: Array.from(result.returnData),
+                    logs: result.logs,
+                    stack: result.stack
+                });
+            } else {
+                res.status(400).json({
+                    success: false,
+                    error: result.error,
+                    gasUsed: result.gasUsed
+                });
+            }
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    /**
+     * GET /contract/:address
+     * 
+     * Get contract details.
+     */
+    app.get('/contract/:address', async (req, res) => {
+        try {
+            const { address } = req.params;
+            const contract = await contractManager.getContract(address);
+
+            if (!contract) {
+                return res.status(404).json({ error: 'Contract not found' });
+            }
+
+            // Convert storage to object
+            const storageObj = {};
+            for (const [key, value] of contract.storage) {
+                storageObj[key] = value.toString();
+            }
+
+            res.json({
+                address: contract.address,
+                creator: contract.creator,
+                balance: contract.balance,
+                bytecodeLength: contract.bytecode.length,
+                storage: storageObj,
+                createdAt: new Date(contract.createdAt).toISOString()
+            });
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    /**
+     * GET /contracts
+     * 
+     * List all deployed contracts.
+     */
+    app.get('/contracts', async (req, res) => {
+        try {
+            const contracts = await contractManager.getAllContracts();
+
+            res.json({
+                count: contracts.length,
+                contracts: contracts.map(c => ({
+                    address: c.address,
+                    creator: c.creator,
+                    balance: c.balance,
+                    bytecodeLength: c.bytecode.length,
+                    createdAt: new Date(c.createdAt).toISOString()
+                }))
+            });
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    /**
+     * POST /contract/compile
+     * 
+     * Compile source code to bytecode (for testing).
+     */
+    app.post('/contract/compile', (req, res) => {
+        try {
+            const { source } = req.body;
+
+            if (!source) {
+                return res.status(400).json({
+                    error: 'Missing source code',
+                    hint: 'Provide source code in the body'
+                });
+            }
+
+            const bytecode = compile(source);
+
+            res.json({
+                success: true,
+                bytecode: Array.from(bytecode),
+                bytecodeHex: bytecode.toString('hex'),
+                length: bytecode.length
+            });
+        } catch (error) {
+            res.status(400).json({
+                success: false,
+                error: error.message
+            });
+        }
+    });
+
+    return app;
+}
+
+module.exports = {
+    createApi,
+    MAX_HISTORY_PAGE
+};
@@ -14,27 +14,46 @@
  *    - Links to the previous block via previousHash
  *    - This creates an unbreakable chain of blocks
  * 
- * 2. HOW BLOCKS CREATE A CHAIN
+ * 2. BLOCK HEADER
+ *    - The hash covers only the header: index, timestamp, previousHash,
+ *      merkleRoot, difficulty and nonce
+ *    - The merkleRoot commits to every transaction in the block,
+ *      signatures included (its leaves are wtxids, see transaction.js)
+ *    - So a header (about 90 bytes) is enough to prove a transaction
+ *      is in the block with a Merkle branch (see merkle.js)
+ *    - The hash is SHA-256 of the header's canonical bytes (see encoding.js)
+ * 
+ * 3. HOW BLOCKS CREATE A CHAIN
  *    - Each block stores the hash of the previous block
  *    - If you change any data in a block, its hash changes
  *    - This breaks the link to the next block
  *    - You'd have to recalculate ALL subsequent blocks
  *    - This makes the blockchain tamper-resistant
  * 
- * 3. WHAT IS PROOF OF WORK (MINING)?
+ * 4. WHAT IS PROOF OF WORK (MINING)?
  *    - A computational puzzle that takes time to solve
  *    - Miners must find a "nonce" value that makes the hash start with zeros
  *    - More zeros required = harder puzzle = more computation needed
  *    - This prevents spam and controls block creation rate
  *    - The miner who solves it first gets the reward
  * 
- * 4. HOW MINING SECURES THE BLOCKCHAIN
+ * 5. HOW MINING SECURES THE BLOCKCHAIN
  *    - To change old transactions, you'd need to re-mine all blocks
  *    - This requires enormous computational power
  *    - It's more profitable to mine honestly than to attack
+ * 
+ * 6. SEALS
+ *    - On proof-of-authority and proof-of-stake networks (see consensus.js)
+ *      blocks are not mined: an authority or the slot's proposer signs
+ *      the block hash instead
+ *    - The signature can't be part of the hash it signs, so it is kept
+ *      next to the header; proof-of-work blocks have none
  */
 
-const SHA256 = require('crypto-js/sha256');
+const Transaction = require('./transaction');
+const { getTarget } = require('./difficulty');
+const { computeMerkleRoot } = require('./merkle');
+const { sha256, encodeBlockHeader, encodeBlock, decodeBlock } = require('./encoding');
 
 class Block {
     /**
@@ -44,35 +63,83 @@ class Block {
      * @param {number} timestamp - When the block was created
      * @param {Transaction[]} transactions - Array of transactions in this block
      * @param {string} previousHash - Hash of the previous block
+     * @param {number} difficulty - Difficulty this block is mined at
      */
-    constructor(index, timestamp, transactions, previousHash = '') {
+    constructor(index, timestamp, transactions, previousHash = '', difficulty = 0) {
         this.index = index;                    // Block number in chain
         this.timestamp = timestamp;            // Creation time
         this.transactions = transactions;      // List of transactions
         this.previousHash = previousHash;      // Link to previous block
+        this.difficulty = difficulty;          // Proof-of-work difficulty
+        this.merkleRoot = this.calculateMerkleRoot();  // Commits to all transactions
         this.nonce = 0;                        // Number used in mining
         this.hash = this.calculateHash();      // This block's hash
+        this.signature = null;                 // Authority's seal (proof-of-authority only)
+    }
+
+    /**
+     * Calculate the Merkle root of this block's transactions.
+     * Leaves are the wtxids, so the root (and the block hash) changes
+     * if a signature is swapped, not only if the signed data changes.
+     * 
+     * @returns {string} Merkle root
+     */
+    calculateMerkleRoot() {
+        return computeMerkleRoot(this.transactions.map(tx => Transaction.getWtxid(tx)));
+    }
+
+    /**
+     * Check that the stored Merkle root matches the transactions.
+     * 
+     * @returns {boolean} True if the root commits to these transactions
+     */
+    hasValidMerkleRoot() {
+        return this.merkleRoot === this.calculateMerkleRoot();
     }
 
     /**
      * Calculate the hash of this block.
      * 
-     * The hash is created from ALL block data:
-     * - index, timestamp, transactions, previousHash, nonce
+     * The hash is created from the block HEADER:
+     * - index, timestamp, merkleRoot, previousHash, difficulty, nonce
      * 
-     * Any change to any of these values = different hash
+     * The merkleRoot stands in for the transactions, so any change to
+     * any transaction still changes the hash.
      * This is what makes Bitcoin tamper-proof
      * 
      * @returns {string} SHA-256 hash of the block
      */
     calculateHash() {
-        return SHA256(
-            this.index +
-            this.timestamp +
-            JSON.stringify(this.transactions) +
-            this.previousHash +
-            this.nonce
-        ).toString();
+        return Block.hashHeader(this);
+    }
+
+    /**
+     * Hash a block header.
+     * Static so light clients can check a header without the full block.
+     * 
+     * @param {Object} header - { index, timestamp, merkleRoot, previousHash, difficulty, nonce }
+     * @returns {string} SHA-256 hash of the header
+     * @throws {Error} If a header field has the wrong type
+     */
+    static hashHeader(header) {
+        return sha256(encodeBlockHeader(header));
+    }
+
+    /**
+     * Get the block header (everything the hash commits to, plus the hash).
+     * 
+     * @returns {Object} Block header
+     */
+    getHeader() {
+        return {
+            index: this.index,
+            timestamp: this.timestamp,
+            previousHash: this.previousHash,
+            merkleRoot: this.merkleRoot,
+            difficulty: this.difficulty,
+            nonce: this.nonce,
+            hash: this.hash
+        };
     }
 
     /**
@@ -83,6 +150,8 @@ class Block {
      * 
      * 1. We want to find a hash that starts with N zeros
      *    - Example: difficulty 4 means hash must start with "0000"
+     *    - Technically: the hash, read as a number, must be below a target
+     *      (fractional difficulties like 4.5 sit between "0000" and "00000")
      * 
      * 2. We can't control what the hash will be
      *    - Hashes look random (but are deterministic)
@@ -103,18 +172,18 @@ class Block {
      * 
      * @param {number} difficulty - Number of leading zeros required
      */
-    mineBlock(difficulty) {
-        // Create a string of zeros to compare against
-        const target = Array(difficulty + 1).join('0');
+    mineBlock(difficulty = this.difficulty) {
+        // The hash must be numerically below this target
+        const target = getTarget(difficulty);
 
         console.log(`\n⛏️  Mining block ${this.index}...`);
-        console.log(`   Target: Hash must start with "${target}"`);
+        console.log(`   Target: Hash must be below ${target ? target.substring(0, 16) + '...' : 'anything'} (difficulty ${difficulty})`);
 
         const startTime = Date.now();
         let attempts = 0;
 
         // Keep trying different nonce values until we find a valid hash
-        while (this.hash.substring(0, difficulty) !== target) {
+        while (target !== null && this.hash >= target) {
             this.nonce++;
             this.hash = this.calculateHash();
             attempts++;
@@ -160,10 +229,55 @@ class Block {
             timestamp: new Date(this.timestamp).toISOString(),
             transactionCount: this.transactions.length,
             previousHash: this.previousHash,
+            merkleRoot: this.merkleRoot,
             hash: this.hash,
+            difficulty: this.difficulty,
             nonce: this.nonce
         };
     }
+
+    /**
+     * Encode the whole block (header and transactions).
+     * 
+     * @returns {Buffer} Canonical bytes (see encoding.js)
+     */
+    serialize() {
+        return encodeBlock(this);
+    }
+
+    /**
+     * Decode a block from its canonical bytes.
+     * 
+     * @param {Buffer} bytes - Output of serialize()
+     * @returns {Block} The decoded block
+     * @throws {Error} If the bytes are not a canonical block
+     */
+    static deserialize(bytes) {
+        return Block.fromJSON(decodeBlock(bytes));
+    }
+
+    /**
+     * Create from plain object (storage or P2P data).
+     * Transactions are rebuilt as Transaction instances so they can be verified.
+     * The received merkleRoot is kept as-is so validation can check it.
+     * 
+     * @param {Object} data - Block data
+     * @returns {Block} The reconstructed block
+     */
+    static fromJSON(data) {
+        const block = new Block(
+            data.index,
+            data.timestamp,
+            data.transactions.map(txData => Transaction.fromJSON(txData)),
+            data.previousHash,
+            data.difficulty
+        );
+        block.merkleRoot = data.merkleRoot;
+        block.nonce = data.nonce;
+        block.hash = data.hash;
+        block.signature = data.signature ?? null;
+        return block;
+    }
 }
 
 module.exports = Block;
@@ -21,20 +21,72 @@
  *    - All other blocks are descendants of this block
  * 
  * 3. HOW BALANCES WORK
- *    - There's no "balance" field stored anywhere!
- *    - Balance is calculated by scanning ALL transactions
- *    - Add coins when address is receiver
- *    - Subtract coins when address is sender
- *    - This is similar to how Bitcoin works (UTXO model simplified)
+ *    - There's no "balance" field in the blocks themselves!
+ *    - A balance is the sum of ALL transactions touching the address:
+ *      add coins when it's the receiver, subtract amount + fee when it's the sender
+ *    - Instead of re-summing on every request, the account index
+ *      (account-index.js) updates balances as each block is connected
  * 
  * 4. PENDING TRANSACTIONS
- *    - Transactions wait in a "pool" until mined
- *    - Mining creates a new block with all pending transactions
- *    - After mining, pending transactions are cleared
+ *    - Transactions wait in the mempool (mempool.js) until mined
+ *    - Mining fills a new block with the highest fee rate transactions
+ *      that fit, so low-fee transactions may wait for a later block
+ *    - After mining, the included transactions leave the mempool
+ * 
+ * 5. FORKS AND FORK CHOICE
+ *    - Two miners can find a block at the same height at the same time
+ *    - We keep a TREE of every valid block we know, not just one chain
+ *    - The active chain is the branch with the most accumulated work
+ *    - When a side branch becomes heavier, we "reorganize": disconnect
+ *      blocks back to the fork point and connect the heavier branch
+ *    - Transactions from disconnected blocks go back into the pool
+ *    - Blocks arrive from peers, the API and our own miner at any time,
+ *      and a reorg awaits the database between blocks: chain changes
+ *      wait for each other (lockChain), so none of them sees a chain
+ *      that is halfway through another
+ *    - New pending transactions take the same lock: they are checked
+ *      against the balances and nonces at the tip, which a reorg in
+ *      progress has only half updated
+ * 
+ * 6. LEDGER MODELS
+ *    - The chain spec picks the ledger: accounts (balances + nonces) or
+ *      UTXOs (unspent outputs, see utxo.js)
+ *    - Methods that depend on it branch on this.ledger; blocks, fork
+ *      choice and storage are the same for both
+ * 
+ * 7. CONSENSUS ENGINES
+ *    - The chain spec also picks how blocks are sealed: proof-of-work,
+ *      proof-of-authority or proof-of-stake (see consensus.js)
+ *    - this.consensus seals our blocks, checks everyone's seals and
+ *      weighs blocks for the fork choice; the rest of this class is
+ *      the same for all of them
+ *    - Proof-of-stake also makes "system transactions": unsigned payments
+ *      from its staking pool that a block must start with (createSystemTransactions)
  */
 
 const Block = require('./block');
 const Transaction = require('./transaction');
+const { getTarget, retarget } = require('./difficulty');
+const { MonetaryPolicy, toUnits, fromUnits } = require('./monetary-policy');
+const { getMerkleProof } = require('./merkle');
+const { DEFAULT_CHAIN_SPEC } = require('./chain-spec');
+const { PowMiner } = require('./pow');
+const { AccountIndex } = require('./account-index');
+const { Mempool } = require('./mempool');
+const { NetworkClock } = require('./network-time');
+const { Consensus, createConsensusEngine, getGovernanceAddress, STAKING_POOL_ADDRESS, UNSTAKE_ADDRESS } = require('./consensus');
+const { ZERO_HASH, isUtxoTransaction, encodeTransaction, getBlockEntrySize } = require('./encoding');
+const { Ledger, UtxoTransaction, getOutpoint, sumAmounts, createUtxoTransaction } = require('./utxo');
+const { BlockValidator, RejectReason, createAccountState, copyAccountState, applyTransactions } = require('./validation');
+
+// Block templates handed out to external miners that we remember
+const MAX_BLOCK_TEMPLATES = 64;
+
+// Room kept free in a block for its header, transaction count and coinbase
+const BLOCK_RESERVED_BYTES = 1000;
+
+// Fee added to the original by a cancellation that doesn't name its fee
+const DEFAULT_FEE_BUMP = 0.0001;
 
 class Blockchain {
     /**
@@ -42,22 +94,106 @@ class Blockchain {
      * Initializes with a genesis block or loads from storage.
      * 
      * @param {Storage} storage - Optional storage instance for persistence
+     * @param {Object} options - Consensus parameters (see toBlockchainOptions in chain-spec.js)
+     * @param {string} options.chainId - Network identifier
+     * @param {string} options.ledger - 'account' or 'utxo' (default 'account')
+     * @param {string} options.consensus - 'pow', 'poa' or 'pos' (default 'pow', see consensus.js)
+     * @param {string[]} options.authorities - Initial proof-of-authority signers (public keys)
+     * @param {number} options.blockPeriod - Minimum milliseconds between proof-of-authority blocks
+     * @param {string} options.authorityKey - This node's authority private key, to seal proof-of-authority blocks
+     * @param {Array} options.validators - Genesis proof-of-stake validators: [{ address, stake }]
+     * @param {number} options.slotDuration - Milliseconds per proof-of-stake slot
+     * @param {number} options.stakeLockPeriod - Blocks unstaked coins stay locked
+     * @param {number} options.minStake - Smallest stake that makes a validator
+     * @param {string} options.validatorKey - This node's validator private key, to propose proof-of-stake blocks
+     * @param {number} options.genesisTimestamp - Fixed genesis time, so every node builds the same genesis
+     * @param {Array} options.allocations - Premine: [{ address, amount }] credited in the genesis block
+     * @param {number} options.difficulty - Genesis difficulty (default 4)
+     * @param {number} options.targetBlockTime - Desired milliseconds between blocks
+     * @param {number} options.retargetInterval - Blocks between difficulty adjustments
+     * @param {number} options.minDifficulty - Lowest difficulty retargeting may reach
+     * @param {number} options.maxDifficulty - Highest difficulty retargeting may reach
+     * @param {number} options.maxBlockBytes - Largest valid block, encoded (default 1 MB)
+     * @param {number} options.maxBlockTransactions - Most transactions in a valid block, coinbase included
+     * @param {number} options.medianTimeBlocks - Blocks in the median-time-past window (default 11)
+     * @param {number} options.maxFutureBlockTime - How far ahead of network time a block may be, in milliseconds (default 2 hours)
+     * @param {number} options.miningReward - Block reward before the first halving (default 50)
+     * @param {number} options.halvingInterval - Blocks between reward halvings
+     * @param {number|null} options.maxSupply - Hard cap on issued coins (null = no cap)
+     * @param {Object} options.checkpoints - Known block hashes by height: { height: hash }
+     * @param {boolean} options.assumeValid - Skip signature checks below the last checkpoint when syncing (default false)
+     * @param {number} options.miningThreads - Worker threads used by minePendingTransactions (default 1)
+     * @param {Object} options.mempool - Mempool limits: { maxBytes, expiryMs, maxPerSender } (see mempool.js)
+     * @param {NetworkClock} options.clock - Network-adjusted clock (default: a new one, see network-time.js)
+     * @param {Object} options.logger - Where the consensus engine reports sealing and slashing: { log } (default console)
      */
-    constructor(storage = null) {
-        this.chain = [];
-        this.pendingTransactions = [];
-        this.difficulty = 4;
-        this.miningReward = 50;
+    constructor(storage = null, options = {}) {
+        this.chain = [];                   // Active chain (heaviest branch)
+        this.blockTree = new Map();        // hash -> { block, height, totalWork }
+        this.mempool = new Mempool(options.mempool);   // Pending transactions
+        this.name = options.name ?? DEFAULT_CHAIN_SPEC.name;
+        this.chainId = options.chainId ?? DEFAULT_CHAIN_SPEC.chainId;
+        this.ledger = options.ledger ?? DEFAULT_CHAIN_SPEC.ledger;
+        this.genesisTimestamp = options.genesisTimestamp ?? DEFAULT_CHAIN_SPEC.genesis.timestamp;
+        this.consensus = createConsensusEngine(this, options);   // Seals blocks and checks seals
+
+        // Premine, plus the coins the engine needs (genesis stakes)
+        this.allocations = [...(options.allocations ?? []), ...this.consensus.getGenesisAllocations()];
+        this.initialDifficulty = options.difficulty ?? 4;
+        this.targetBlockTime = options.targetBlockTime ?? 10000;
+        this.retargetInterval = options.retargetInterval ?? 10;
+        this.minDifficulty = options.minDifficulty ?? 1;
+        this.maxDifficulty = options.maxDifficulty ?? 12;
+        this.maxBlockBytes = options.maxBlockBytes ?? DEFAULT_CHAIN_SPEC.consensus.maxBlockBytes;
+        this.maxBlockTransactions = options.maxBlockTransactions ?? DEFAULT_CHAIN_SPEC.consensus.maxBlockTransactions;
+        this.medianTimeBlocks = options.medianTimeBlocks ?? DEFAULT_CHAIN_SPEC.consensus.medianTimeBlocks;
+        this.maxFutureBlockTime = options.maxFutureBlockTime ?? DEFAULT_CHAIN_SPEC.consensus.maxFutureBlockTime;
+        this.clock = options.clock ?? new NetworkClock();   // Our time, adjusted to our peers'
+        this.checkpoints = new Map(Object.entries(options.checkpoints ?? {}).map(([height, hash]) => [Number(height), hash]));
+        this.assumeValid = options.assumeValid ?? false;
+        this.monetaryPolicy = new MonetaryPolicy({
+            initialReward: options.miningReward,
+            halvingInterval: options.halvingInterval,
+            maxSupply: options.maxSupply,
+            initialSupply: this.allocations.reduce((sum, allocation) => sum + allocation.amount, 0)
+        });
+        this.genesisHash = this.createGenesisBlock().hash;
+        this.validator = new BlockValidator(this);
+        this.miner = new PowMiner({ threads: options.miningThreads });
+        this.blockTemplates = new Map();   // templateId -> unmined block handed to external miners
         this.storage = storage;
+        this.accounts = new AccountIndex(storage);   // Balances, nonces, UTXOs and history at the tip
+        this.chainLock = Promise.resolve();          // Settles when the running chain change is done
         this.initialized = false;
     }
 
+    /**
+     * Wait for our turn to change the chain: changes run one at a time,
+     * in the order they asked.
+     * 
+     * @returns {Promise<Function>} Call it when done, to let the next change run
+     */
+    async lockChain() {
+        const previous = this.chainLock;
+        let unlock;
+        this.chainLock = new Promise(resolve => {
+            unlock = resolve;
+        });
+
+        await previous;
+        return unlock;
+    }
+
     /**
      * Initialize the blockchain.
      * Loads from storage if available, otherwise creates genesis block.
+     * 
+     * @param {Object} options
+     * @param {boolean} options.reindex - Rebuild the account index from the blocks
      */
-    async initialize() {
+    async initialize(options = {}) {
         if (this.initialized) return;
+        let pendingData = [];
 
         if (this.storage) {
             await this.storage.open();
@@ -68,6 +204,7 @@ class Blockchain {
                 console.log('🌟 Creating Genesis Block...');
                 const genesis = this.createGenesisBlock();
                 this.chain = [genesis];
+                this.indexBlock(genesis);
                 await this.storage.saveBlock(genesis);
             } else {
                 // Load existing chain from storage
@@ -79,223 +216,1500 @@ class Blockchain {
                     console.log('⚠️  No blocks found, creating genesis...');
                     const genesis = this.createGenesisBlock();
                     this.chain = [genesis];
+                    this.indexBlock(genesis);
                     await this.storage.saveBlock(genesis);
                 } else {
-                    this.chain = chainData.map(blockData => {
-                        const block = new Block(
-                            blockData.index,
-                            blockData.timestamp,
-                            blockData.transactions,
-                            blockData.previousHash
-                        );
-                        block.hash = blockData.hash;
-                        block.nonce = blockData.nonce;
-                        return block;
-                    });
+                    await this.loadValidatedChain(chainData.map(blockData => Block.fromJSON(blockData)));
+
+                    // Rebuild side branches of the block tree (valid blocks only)
+                    const allBlocks = await this.storage.loadAllBlocks();
+                    for (const blockData of allBlocks) {
+                        const parent = this.blockTree.get(blockData.previousHash);
+                        if (!parent || this.blockTree.has(blockData.hash) || this.forksBeforeCheckpoint(blockData)) continue;
+
+                        const block = Block.fromJSON(blockData);
+                        if (this.validateBlock(block, parent.block).valid) {
+                            this.indexBlock(block);
+                        }
+                    }
+                }
+
+                // Pending transactions go back into the mempool once the accounts are loaded
+                pendingData = await this.storage.loadPendingTransactions();
+            }
+        } else {
+            // In-memory mode (no persistence)
+            console.log('🌟 Creating Genesis Block...');
+            this.chain = [this.createGenesisBlock()];
+            this.indexBlock(this.chain[0]);
+        }
+
+        // Balances and history for the active chain (rebuilt if missing or stale)
+        await this.accounts.load(this.chain, { reindex: options.reindex });
+        const unlock = await this.lockChain();
+        try {
+            await this.restorePendingTransactions(pendingData);
+        } finally {
+            unlock();
+        }
+
+        this.initialized = true;
+        console.log('🐱 Neko Chain Blockchain initialized!');
+        console.log(`   Chain length: ${this.chain.length} blocks`);
+        console.log(`   ${this.consensus.describe()}`);
+        console.log(`   Mining Reward: ${this.getMiningReward()} NEKO (halves every ${this.monetaryPolicy.halvingInterval} blocks)`);
+        console.log(`   Storage: ${this.storage ? 'LevelDB (persistent)' : 'In-memory (volatile)'}`);
+    }
+
+    /**
+     * Put stored pending transactions back into the mempool.
+     * They are checked again: the chain may have moved on since they were saved.
+     * The caller holds the chain lock.
+     * 
+     * @param {Array} pendingData - Transactions loaded from storage
+     */
+    async restorePendingTransactions(pendingData) {
+        // Oldest first, so nonces and pending outputs are in order
+        const transactions = pendingData
+            .map(txData => Transaction.fromJSON(txData))
+            .sort((a, b) => a.timestamp - b.timestamp || a.nonce - b.nonce);
+
+        for (const tx of transactions) {
+            try {
+                const replaces = this.checkPendingTransaction(tx);
+                await this.admitTransaction(tx, replaces, Math.min(tx.timestamp, Date.now()));
+            } catch (error) {
+                console.log(`🗑️  Dropping stored pending transaction: ${error.message}`);
+                if (this.storage) {
+                    await this.storage.removePendingTransaction(tx);
                 }
+            }
+        }
+    }
+
+    /**
+     * Replace the pending pool with the given transactions (regtest
+     * snapshot revert). They are checked again on top of our tip.
+     * 
+     * @param {Array} pendingData - Transactions to put in the pool
+     */
+    async resetPendingTransactions(pendingData) {
+        const unlock = await this.lockChain();
+        try {
+            this.mempool.filter(() => false);
+            if (this.storage) {
+                await this.storage.clearPendingTransactions();
+            }
+
+            await this.restorePendingTransactions(pendingData);
+        } finally {
+            unlock();
+        }
+    }
+
+    /**
+     * Use a chain loaded from disk, keeping only its valid prefix.
+     * Data on disk is checked with the same rules as data from peers,
+     * signatures included: assume-valid only applies to syncing.
+     * A chain from another genesis (e.g. an older chain spec) is replaced
+     * by the genesis of the current spec.
+     * 
+     * @param {Block[]} chain - Blocks loaded from storage
+     */
+    async loadValidatedChain(chain) {
+        const result = this.validateChain(chain, { assumeValid: false });
+
+        if (!result.valid && result.height === 0) {
+            console.log(`⚠️  Stored chain does not start from this chain spec's genesis (${result.error})`);
+            console.log('   Starting over from the chain spec genesis');
+            chain = [this.createGenesisBlock()];
+            await this.storage.saveBlock(chain[0]);
+        } else if (!result.valid) {
+            console.log(`⚠️  Stored block #${result.height} is invalid (${result.reason}: ${result.error})`);
+            console.log(`   Keeping the first ${result.height} valid block(s)`);
+            chain = chain.slice(0, result.height);
+        }
+
+        this.chain = chain;
+        for (const block of this.chain) {
+            this.indexBlock(block);
+        }
+    }
+
+    /**
+     * Create the genesis block (first block in the chain).
+     * 
+     * WHY A GENESIS BLOCK?
+     * - Every block needs a previousHash, but the first block has no previous
+     * - Genesis block uses "0" as its previousHash
+     * - It's the foundation of the entire blockchain
+     * - Often contains a special message (Bitcoin's genesis has a newspaper headline)
+     * 
+     * DETERMINISTIC GENESIS:
+     * - Everything comes from the chain spec (timestamp, difficulty, premine)
+     * - So every node builds exactly the same genesis block and hash
+     * 
+     * @returns {Block} The genesis block
+     */
+    createGenesisBlock() {
+        // Premine: coins that exist from the start, like mining rewards without a miner
+        // (on a UTXO network, one coinbase with an output per allocation)
+        let allocations;
+        if (this.ledger === Ledger.UTXO) {
+            const outputs = this.allocations.map(({ address, amount }) => ({ address, amount }));
+            allocations = outputs.length > 0 ? [new UtxoTransaction([], outputs, 0, this.chainId, 0)] : [];
+        } else {
+            allocations = this.allocations.map(({ address, amount }) => new Transaction(null, address, amount, 0, 0, this.chainId));
+        }
+        for (const tx of allocations) {
+            tx.timestamp = this.genesisTimestamp;
+        }
+
+        const genesisBlock = new Block(
+            0,                              // Index 0 = first block
+            this.genesisTimestamp,          // Fixed by the chain spec
+            allocations,                    // Premine allocations (if any)
+            ZERO_HASH,                      // No previous block
+            this.initialDifficulty          // Starting difficulty
+        );
+        return genesisBlock;
+    }
+
+    /**
+     * Get the most recent block in the chain.
+     * Needed to get the previousHash for the next block.
+     * 
+     * @returns {Block} The latest block
+     */
+    getLatestBlock() {
+        return this.chain[this.chain.length - 1];
+    }
+
+    // ========================================
+    // DIFFICULTY RETARGETING
+    // ========================================
+
+    /**
+     * Get the ancestor of a known block at a given height.
+     * Works for side branches too, by walking the block tree.
+     * 
+     * @param {Block} block - A block in the block tree
+     * @param {number} height - Height of the wanted ancestor
+     * @returns {Block} The ancestor block
+     */
+    getAncestor(block, height) {
+        if (this.isInActiveChain(block.hash)) {
+            return this.chain[height];
+        }
+
+        let entry = this.blockTree.get(block.hash);
+        while (entry.height > height) {
+            entry = this.blockTree.get(entry.block.previousHash);
+        }
+        return entry.block;
+    }
+
+    /**
+     * Calculate the difficulty required for the block after `parent`.
+     * 
+     * HOW RETARGETING WORKS:
+     * ======================
+     * - Difficulty only changes every `retargetInterval` blocks
+     * - At a retarget height we compare how long the last window took
+     *   with how long it should have taken (blocks × targetBlockTime)
+     * - Every node computes the same answer from block timestamps,
+     *   so each block's difficulty can be checked during validation
+     * 
+     * @param {Block} parent - The block being built on
+     * @param {Function} getBlockAt - Lookup for ancestors of parent by height
+     * @returns {number} The expected difficulty of the next block
+     */
+    getNextDifficulty(parent, getBlockAt = height => this.getAncestor(parent, height)) {
+        const height = parent.index + 1;
+
+        if (height % this.retargetInterval !== 0) {
+            return parent.difficulty;
+        }
+
+        // The first window starts at block 1: genesis's timestamp comes from
+        // the chain spec, not from mining, so it says nothing about hash rate
+        const first = getBlockAt(Math.max(1, height - this.retargetInterval - 1));
+        if (first.index >= parent.index) {
+            return parent.difficulty;
+        }
+
+        const actualTimespan = parent.timestamp - first.timestamp;
+        const expectedTimespan = (parent.index - first.index) * this.targetBlockTime;
+
+        return retarget(parent.difficulty, actualTimespan, expectedTimespan, {
+            minDifficulty: this.minDifficulty,
+            maxDifficulty: this.maxDifficulty
+        });
+    }
+
+    /**
+     * Get the median timestamp of a block and the ones before it
+     * (Bitcoin's median-time-past). The next block's timestamp must be
+     * later than this.
+     * 
+     * @param {Block} block - Last block of the window
+     * @param {Function} getBlockAt - Lookup for ancestors of block by height
+     * @returns {number} Median timestamp of the last medianTimeBlocks blocks
+     */
+    getMedianTimePast(block, getBlockAt = height => this.getAncestor(block, height)) {
+        const timestamps = [];
+        for (let height = Math.max(0, block.index - this.medianTimeBlocks + 1); height < block.index; height++) {
+            timestamps.push(getBlockAt(height).timestamp);
+        }
+        timestamps.push(block.timestamp);
+
+        timestamps.sort((a, b) => a - b);
+        return timestamps[Math.floor(timestamps.length / 2)];
+    }
+
+    /**
+     * Get the difficulty the next block on the active chain must meet.
+     * 
+     * @returns {number} Current mining difficulty
+     */
+    getCurrentDifficulty() {
+        return this.getNextDifficulty(this.getLatestBlock());
+    }
+
+    /**
+     * Get the average time between the last blocks of the active chain.
+     * 
+     * @param {number} count - Number of recent blocks to average over
+     * @returns {number|null} Average block time in milliseconds
+     */
+    getAverageBlockTime(count = this.retargetInterval) {
+        if (this.chain.length < 3) return null;
+
+        // Skip genesis, its timestamp comes from the chain spec, not from mining
+        const first = this.chain[Math.max(1, this.chain.length - 1 - count)];
+        const last = this.getLatestBlock();
+        if (last.index === first.index) return null;
+
+        return Math.round((last.timestamp - first.timestamp) / (last.index - first.index));
+    }
+
+    // ========================================
+    // CHECKPOINTS
+    // ========================================
+
+    /**
+     * Get the highest checkpoint in the chain spec.
+     * 
+     * @returns {Object|null} { height, hash }, or null if there are none
+     */
+    getLastCheckpoint() {
+        const heights = [...this.checkpoints.keys()];
+        if (heights.length === 0) return null;
+
+        const height = Math.max(...heights);
+        return { height, hash: this.checkpoints.get(height) };
+    }
+
+    /**
+     * Get the highest checkpoint our active chain has reached.
+     * 
+     * @returns {Object|null} { height, hash }, or null if none was reached
+     */
+    getLastCheckpointPassed() {
+        const heights = [...this.checkpoints.keys()].filter(height => height < this.chain.length);
+        if (heights.length === 0) return null;
+
+        const height = Math.max(...heights);
+        return { height, hash: this.checkpoints.get(height) };
+    }
+
+    /**
+     * Check whether a new block would fork the chain below the last
+     * checkpoint we passed. Every height up to it is settled, so any
+     * block there we don't already have is on a conflicting branch.
+     * 
+     * @param {Object} block - Block (or block data) with index and hash
+     * @returns {boolean} True if the block must be refused
+     */
+    forksBeforeCheckpoint(block) {
+        const passed = this.getLastCheckpointPassed();
+        return passed !== null && block.index <= passed.height && !this.blockTree.has(block.hash);
+    }
+
+    // ========================================
+    // BLOCK REWARD
+    // ========================================
+
+    /**
+     * Get the block reward at a height according to the monetary policy.
+     * 
+     * @param {number} height - Block height (defaults to the next block)
+     * @returns {number} Coins the coinbase may create
+     */
+    getMiningReward(height = this.chain.length) {
+        return this.monetaryPolicy.getBlockReward(height);
+    }
+
+    /**
+     * Sum the fees of a list of transactions.
+     * 
+     * @param {Transaction[]} transactions - Transactions to sum
+     * @returns {number} Total fees (mining rewards pay none)
+     */
+    getTotalFees(transactions) {
+        return transactions
+            .filter(tx => tx.senderAddress !== null)
+            .reduce((sum, tx) => sum + (tx.fee || 0), 0);
+    }
+
+    // ========================================
+    // BLOCK VALIDATION
+    // ========================================
+
+    /**
+     * Replay account state from genesis up to (and including) a known block.
+     * Works for side branches too, by walking the block tree.
+     * 
+     * @param {Block} block - A block in the block tree
+     * @returns {Object} { balances, nonces, utxos } after that block
+     */
+    getStateAt(block) {
+        // The account index already holds the state at our tip
+        if (block.hash === this.accounts.tip) {
+            return copyAccountState(this.accounts.state);
+        }
+
+        const path = [];
+        for (let entry = this.blockTree.get(block.hash); entry; entry = this.blockTree.get(entry.block.previousHash)) {
+            path.push(entry.block);
+        }
+
+        const state = createAccountState();
+        for (let i = path.length - 1; i >= 0; i--) {
+            applyTransactions(state, path[i].transactions, path[i].index);
+        }
+        return state;
+    }
+
+    /**
+     * Validate a block on top of a known parent with the full consensus rules.
+     * This is the single pipeline used by mining, addBlock, replaceChain and loading.
+     * 
+     * @param {Block} block - The block to validate
+     * @param {Block} parent - Its parent (must be in the block tree)
+     * @returns {Object} { valid, state } or { valid: false, reason, error }
+     */
+    validateBlock(block, parent) {
+        return this.validator.validateBlock(block, parent, {
+            getBlockAt: height => this.getAncestor(parent, height),
+            state: this.getStateAt(parent),
+            now: this.clock.now()
+        });
+    }
+
+    // ========================================
+    // BLOCK TREE & FORK CHOICE
+    // ========================================
+
+    /**
+     * Get the amount of work a block represents.
+     * 
+     * Each extra leading zero makes a valid hash 16 times harder to find,
+     * so a block at difficulty d is worth 16^d expected hash attempts.
+     * Under proof-of-authority a block weighs 2 in turn, 1 out of turn.
+     * 
+     * @param {Block} block - The block
+     * @returns {number} Expected number of hashes (or proof-of-authority weight)
+     */
+    getBlockWork(block) {
+        return this.consensus.getBlockWork(block);
+    }
+
+    /**
+     * Insert a block into the block tree.
+     * The block's parent must already be in the tree (except for genesis).
+     * 
+     * @param {Block} block - The block to index
+     * @returns {Object} The tree entry { block, height, totalWork }
+     */
+    indexBlock(block) {
+        if (this.blockTree.has(block.hash)) {
+            return this.blockTree.get(block.hash);
+        }
+
+        const parent = this.blockTree.get(block.previousHash);
+        const entry = {
+            block,
+            height: block.index,
+            totalWork: (parent ? parent.totalWork : 0) + this.getBlockWork(block)
+        };
+
+        this.blockTree.set(block.hash, entry);
+        this.consensus.observeBlock(block);
+        return entry;
+    }
+
+    /**
+     * Check if a block is known (on any branch).
+     * 
+     * @param {string} hash - Block hash
+     * @returns {boolean} True if the block is in the tree
+     */
+    hasBlock(hash) {
+        return this.blockTree.has(hash);
+    }
+
+    /**
+     * Check if a block is part of the active chain.
+     * 
+     * @param {string} hash - Block hash
+     * @returns {boolean} True if the block is on the active chain
+     */
+    isInActiveChain(hash) {
+        const entry = this.blockTree.get(hash);
+        return !!entry && !!this.chain[entry.height] && this.chain[entry.height].hash === hash;
+    }
+
+    /**
+     * Look up a block by hash (any branch) or by height (active chain).
+     * 
+     * @param {string|number} id - Block hash, or height
+     * @returns {Object|null} { block, height, inActiveChain, confirmations }, or null if unknown
+     *                  (confirmations is 0 for a block on a side branch)
+     */
+    getBlockInfo(id) {
+        let block = null;
+        if (/^\d+$/.test(String(id))) {
+            block = this.chain[Number(id)] ?? null;
+        } else if (this.blockTree.has(id)) {
+            block = this.blockTree.get(id).block;
+        }
+        if (!block) return null;
+
+        const inActiveChain = this.isInActiveChain(block.hash);
+        return {
+            block,
+            height: block.index,
+            inActiveChain,
+            confirmations: inActiveChain ? this.chain.length - block.index : 0
+        };
+    }
+
+    /**
+     * Get the accumulated work of the active chain.
+     * 
+     * @returns {number} Total work up to the current tip
+     */
+    getChainWork() {
+        return this.blockTree.get(this.getLatestBlock().hash).totalWork;
+    }
+
+    /**
+     * Make the heaviest known branch the active chain.
+     * 
+     * FORK CHOICE RULE:
+     * =================
+     * The chain with the most accumulated proof-of-work wins.
+     * On a tie we keep the branch we saw first.
+     * 
+     * @param {Object} candidate - Tree entry of a newly indexed block
+     * @returns {boolean} True if the candidate became the new tip
+     */
+    async activateBestChain(candidate) {
+        const tip = this.blockTree.get(this.getLatestBlock().hash);
+
+        if (candidate.totalWork <= tip.totalWork) {
+            console.log(`🌿 Block #${candidate.height} stored on a side branch`);
+            if (this.storage) {
+                await this.storage.saveSideBlock(candidate.block);
+            }
+            return false;
+        }
+
+        if (candidate.block.previousHash === tip.block.hash) {
+            await this.connectBlock(candidate.block);
+        } else {
+            await this.reorganize(candidate);
+        }
+
+        // A block we are mining on the old tip can no longer win
+        this.miner.abortIfStale(candidate.block);
+
+        return true;
+    }
+
+    /**
+     * Append a block to the tip of the active chain.
+     * 
+     * @param {Block} block - Block whose parent is the current tip
+     */
+    async connectBlock(block) {
+        this.chain.push(block);
+        const accountUpdates = this.accounts.connectBlock(block);
+        const removed = [...this.removeMinedTransactions(block.transactions), ...this.mempool.expire()];
+
+        if (this.storage) {
+            await this.storage.saveBlock(block, accountUpdates);
+            for (const tx of removed) {
+                await this.storage.removePendingTransaction(tx);
+            }
+        }
+    }
+
+    /**
+     * Remove the tip block from the active chain.
+     * The block stays in the block tree as a side branch.
+     * 
+     * @returns {Block} The disconnected block
+     */
+    async disconnectTip() {
+        const block = this.chain.pop();
+        const accountUpdates = await this.accounts.disconnectBlock(block);
+
+        if (this.storage) {
+            await this.storage.removeTransactionIndex(block, accountUpdates);
+        }
+
+        return block;
+    }
+
+    /**
+     * Roll the active chain back to one of its blocks and delete every
+     * block not in `keep` (regtest snapshot revert, see regtest.js).
+     * 
+     * Unlike a reorg, the disconnected blocks are gone for good: they stay
+     * out of the block tree, so they can't win the chain back, the
+     * consensus engine forgets them, and their transactions are not put
+     * back into the pool.
+     * 
+     * @param {string} hash - Block of the active chain to make the tip
+     * @param {Set<string>} keep - Hashes of the blocks to keep (the new tip and its ancestors included)
+     * @returns {Promise<Block[]>} The deleted blocks
+     * @throws {Error} If the block is not in the active chain or a block is being mined
+     */
+    async rewindTo(hash, keep) {
+        const unlock = await this.lockChain();
+        try {
+            if (!this.isInActiveChain(hash)) {
+                throw new Error(`Block ${hash.substring(0, 16)}... is not in the active chain`);
+            }
+            if (this.miner.isMining()) {
+                throw new Error('Cannot rewind the chain while mining');
+            }
+
+            while (this.getLatestBlock().hash !== hash) {
+                await this.disconnectTip();
+            }
+
+            const removed = [];
+            for (const [blockHash, entry] of this.blockTree) {
+                if (!keep.has(blockHash)) {
+                    removed.push(entry.block);
+                    this.blockTree.delete(blockHash);
+                }
+            }
+            this.blockTemplates.clear();
+            this.consensus.forgetBlocks(removed);
+
+            if (this.storage) {
+                await this.storage.deleteBlocks(removed, this.chain.length);
+            }
+
+            return removed;
+        } finally {
+            unlock();
+        }
+    }
+
+    /**
+     * Switch the active chain to a heavier branch.
+     * 
+     * HOW A REORGANIZATION WORKS:
+     * ===========================
+     * 1. Walk back from the new tip until we hit the active chain (fork point)
+     * 2. Disconnect our blocks above the fork point
+     * 3. Connect the new branch's blocks in order
+     * 4. Put transactions from disconnected blocks back into the pool
+     * 
+     * @param {Object} newTip - Tree entry of the new best block
+     */
+    async reorganize(newTip) {
+        // Collect the new branch, oldest block first
+        const branch = [];
+        let entry = newTip;
+        while (!this.isInActiveChain(entry.block.hash)) {
+            branch.unshift(entry.block);
+            entry = this.blockTree.get(entry.block.previousHash);
+        }
+        const forkHeight = entry.height;
+
+        console.log(`🔀 Reorganizing chain at fork point #${forkHeight}`);
+        console.log(`   Disconnecting ${this.getLatestBlock().index - forkHeight} block(s), connecting ${branch.length} block(s)`);
+
+        const disconnected = [];
+        while (this.getLatestBlock().index > forkHeight) {
+            disconnected.unshift(await this.disconnectTip());
+        }
+
+        const pendingBefore = this.mempool.getTransactions();
+        for (const block of branch) {
+            await this.connectBlock(block);
+        }
+
+        await this.requeueTransactions(disconnected, pendingBefore);
+    }
+
+    /**
+     * Return transactions from disconnected blocks to the pending pool.
+     * Mining rewards are dropped - they only exist in their own block.
+     * Transactions whose nonce was already used on the new chain
+     * (including the ones that made it into the new branch) are dropped too,
+     * and so are the ones that fail the pool checks on the new chain
+     * (e.g. the sender can no longer afford them). On a UTXO network, so
+     * are transactions whose inputs the new chain spent or never created.
+     * Runs inside reorganize(), so the chain lock is already held.
+     * 
+     * @param {Block[]} disconnected - Blocks that left the active chain
+     * @param {Transaction[]} pendingBefore - The pending pool before the new branch was connected
+     */
+    async requeueTransactions(disconnected, pendingBefore = []) {
+        if (this.ledger === Ledger.UTXO) {
+            return this.requeueUtxoTransactions(disconnected, pendingBefore);
+        }
+
+        const nonces = new Map();
+        let requeued = 0;
+
+        for (const block of disconnected) {
+            for (const tx of block.transactions) {
+                if (tx.senderAddress === null || this.consensus.isSystemTransaction(tx) || this.mempool.has(tx.calculateHash())) {
+                    continue;
+                }
+
+                if (!nonces.has(tx.senderAddress)) {
+                    nonces.set(tx.senderAddress, this.getNonce(tx.senderAddress));
+                }
+                if (tx.nonce < nonces.get(tx.senderAddress) || this.mempool.getConflicts(tx).length > 0) {
+                    continue;
+                }
+
+                // The new chain may not pay for it: balances and pending
+                // spends are checked like for any new transaction
+                try {
+                    this.checkPendingTransaction(tx);
+                    await this.admitTransaction(tx);
+                    requeued++;
+                } catch (error) {
+                    console.log(`🗑️  Dropping transaction from a disconnected block: ${error.message}`);
+                }
+            }
+        }
+
+        if (requeued > 0) {
+            console.log(`♻️  ${requeued} transaction(s) returned to the pending pool`);
+        }
+    }
+
+    /**
+     * requeueTransactions() for a UTXO network: each transaction goes
+     * through the pool checks again, in block order, so a transaction
+     * spending an earlier one's output finds it in the pool.
+     * Pending transactions that were dropped while the new branch was
+     * connected (their inputs were in a disconnected block) get another
+     * try afterwards.
+     * 
+     * @param {Block[]} disconnected - Blocks that left the active chain
+     * @param {Transaction[]} pendingBefore - The pending pool before the new branch was connected
+     */
+    async requeueUtxoTransactions(disconnected, pendingBefore) {
+        const candidates = [...disconnected.flatMap(block => block.transactions), ...pendingBefore];
+        let requeued = 0;
+
+        for (const tx of candidates) {
+            // A pending transaction that replaced it stays
+            if (tx.isCoinbase() || this.getPendingTransaction(tx.calculateHash()) || this.mempool.getConflicts(tx).length > 0) {
+                continue;
+            }
+
+            try {
+                this.checkPendingTransaction(tx);
+                await this.admitTransaction(tx);
+                requeued++;
+            } catch (error) {
+                continue;
+            }
+        }
+
+        if (requeued > 0) {
+            console.log(`♻️  ${requeued} transaction(s) returned to the pending pool`);
+        }
+    }
+
+    /**
+     * Check that a transaction can enter the pending pool.
+     * 
+     * - The signature must be valid
+     * - It must be signed for this network's chain ID
+     * - It must fit in a block
+     * - The nonce must be the sender's next one, counting pending transactions
+     * - The sender must afford it after their other pending spends
+     * - If it conflicts with pending transactions (same nonce, or the same
+     *   output spent), it must pay a higher fee and replaces them (mempool.js)
+     * - UTXO networks: every input must be unspent, on-chain or as the
+     *   output of a pending transaction
+     * 
+     * @param {Transaction|UtxoTransaction} transaction - The transaction to check
+     * @returns {Transaction[]} Pending transactions it replaces (usually none)
+     * @throws {Error} If the transaction can't be accepted
+     */
+    checkPendingTransaction(transaction) {
+        if (isUtxoTransaction(transaction) !== (this.ledger === Ledger.UTXO)) {
+            throw new Error(`This network uses the ${this.ledger} ledger`);
+        }
+
+        // Verify the transaction is valid (signature check)
+        if (!transaction.isValid()) {
+            throw new Error('Cannot add invalid transaction to the chain');
+        }
+
+        // Mining rewards only exist inside blocks
+        if (transaction.senderAddress === null) {
+            throw new Error('Mining reward transactions cannot be added to the pending pool');
+        }
+
+        // Transactions signed for another network can't be replayed here
+        if (transaction.chainId !== this.chainId) {
+            throw new Error(`Transaction is for chain ${transaction.chainId}, this node runs ${this.chainId}`);
+        }
+
+        // Governance votes must count (proof-of-authority only)
+        this.consensus.checkPendingTransaction(transaction);
+
+        // A transaction no block can hold would wait in the pool forever
+        const size = encodeTransaction(transaction).length;
+        if (getBlockEntrySize(size) > this.maxBlockBytes - BLOCK_RESERVED_BYTES) {
+            throw new Error(`Transaction is ${size} bytes, too large for a block (limit ${this.maxBlockBytes} bytes)`);
+        }
+
+        // Only one of two conflicting transactions can ever be mined:
+        // the new one must outbid the ones it would replace
+        const replaces = this.mempool.checkReplacement(transaction);
+
+        if (this.ledger === Ledger.UTXO) {
+            this.checkPendingInputs(transaction, replaces);
+            return replaces;
+        }
+
+        const account = this.getAccount(transaction.senderAddress);
+
+        // Replay protection: each nonce can be used exactly once, in order
+        if (transaction.nonce < account.nonce) {
+            throw new Error(`Nonce ${transaction.nonce} already used (account nonce is ${account.nonce})`);
+        }
+        if (replaces.length === 0 && transaction.nonce !== account.nextNonce) {
+            throw new Error(`Invalid nonce ${transaction.nonce}, expected ${account.nextNonce}`);
+        }
+
+        // Check if sender can pay amount + fee on top of their pending spends
+        // (a replacement frees what the transaction it replaces would spend)
+        // (compared in whole units: 0.1 + 0.2 is not 0.3 in floating point)
+        const freed = replaces.reduce((sum, tx) => sum + toUnits(tx.amount) + toUnits(tx.fee), 0);
+        const available = toUnits(account.balance) - toUnits(account.pendingSpend) + freed;
+        const needed = toUnits(transaction.amount) + toUnits(transaction.fee);
+        if (available < needed) {
+            throw new Error(`Insufficient balance! Available: ${fromUnits(available)} (balance ${account.balance} - pending ${fromUnits(toUnits(account.pendingSpend) - freed)}), Need: ${fromUnits(needed)} (amount ${transaction.amount} + fee ${transaction.fee})`);
+        }
+
+        return replaces;
+    }
+
+    /**
+     * Check the inputs of a UTXO transaction against the UTXO set at our tip
+     * plus the outputs of pending transactions.
+     * (Two pending transactions spending the same output are caught as a
+     * mempool conflict before this.)
+     * Outputs of the transactions it replaces, and of their descendants,
+     * won't exist once it is in, so it can't spend them.
+     * 
+     * @param {UtxoTransaction} transaction - The transaction to check
+     * @param {UtxoTransaction[]} replaces - Pending transactions it replaces
+     * @throws {Error} If an input is missing or wrong
+     */
+    checkPendingInputs(transaction, replaces = []) {
+        const { created } = this.getPendingOutpoints();
+        const doomed = new Set(replaces.flatMap(tx => [tx, ...this.mempool.getDescendants(tx)]).map(tx => tx.calculateHash()));
+        for (const [outpoint, output] of created) {
+            if (doomed.has(output.txid)) {
+                created.delete(outpoint);
+            }
+        }
+
+        for (const input of transaction.inputs) {
+            const outpoint = getOutpoint(input.txid, input.index);
+            const label = `${input.txid.substring(0, 16)}...:${input.index}`;
+
+            const utxo = this.accounts.state.utxos.get(outpoint) ?? created.get(outpoint);
+            if (!utxo) {
+                throw new Error(`Output ${label} does not exist or is already spent`);
+            }
+            if (utxo.address !== input.address || utxo.amount !== input.amount) {
+                throw new Error(`Input ${label} does not match the output it spends`);
+            }
+        }
+    }
+
+    /**
+     * Collect the outputs pending UTXO transactions spend and create.
+     * 
+     * @returns {Object} { spent: Map outpoint -> spending txid, created: Map outpoint -> output }
+     */
+    getPendingOutpoints() {
+        const spent = new Map();
+        const created = new Map();
+
+        for (const tx of this.mempool.getTransactions()) {
+            const txid = tx.calculateHash();
+            for (const input of tx.inputs) {
+                spent.set(getOutpoint(input.txid, input.index), txid);
+            }
+            tx.outputs.forEach(({ address, amount }, index) => {
+                created.set(getOutpoint(txid, index), { txid, index, address, amount, height: null });
+            });
+        }
+
+        return { spent, created };
+    }
+
+    /**
+     * Add a transaction to the pending pool.
+     * The transaction will be included in the next mined block.
+     * 
+     * A transaction with the nonce (or an input) of a pending one replaces
+     * it if it pays a higher fee.
+     * 
+     * @param {Transaction} transaction - The transaction to add
+     * @returns {Promise<Object>} { transaction, replaced } - replaced lists the pending transactions it replaced
+     * @throws {Error} If transaction is invalid
+     */
+    async addTransaction(transaction) {
+        // Validate the transaction
+        if (!transaction.senderAddress && transaction.senderAddress !== null) {
+            throw new Error('Transaction must have a sender address');
+        }
+
+        if (!transaction.receiverAddress) {
+            throw new Error('Transaction must have a receiver address');
+        }
+
+        // Checked and added while no block is being connected or disconnected
+        const unlock = await this.lockChain();
+        let replaced;
+        try {
+            // Verify signature, nonce and balance against the chain and the pool
+            const replaces = this.checkPendingTransaction(transaction);
+
+            // Add to the mempool (and persistent storage if available)
+            replaced = await this.admitTransaction(transaction, replaces);
+        } finally {
+            unlock();
+        }
+        console.log(`📝 Transaction added to pending pool: ${transaction.toString()}`);
+
+        return { transaction, replaced };
+    }
+
+    /**
+     * Put a checked transaction into the mempool and keep storage in step:
+     * expired, evicted and replaced transactions are deleted, the new one is saved.
+     * The caller holds the chain lock.
+     * 
+     * @param {Transaction} transaction - Transaction that passed checkPendingTransaction
+     * @param {Transaction[]} replaces - What checkPendingTransaction said it replaces
+     * @param {number} addedAt - Arrival time (default now)
+     * @returns {Transaction[]} Transactions it replaced
+     * @throws {Error} If the mempool refuses it (sender limit, fee rate too low for a full pool)
+     */
+    async admitTransaction(transaction, replaces = [], addedAt = Date.now()) {
+        const expired = this.mempool.expire(addedAt);
+        const { evicted, replaced } = this.mempool.add(transaction, addedAt, replaces);
+
+        for (const tx of replaced) {
+            console.log(`🔁 Replaced pending transaction ${tx.calculateHash().substring(0, 16)}... (fee ${tx.fee} -> ${transaction.fee})`);
+        }
+        if (evicted.length > 0) {
+            console.log(`🧹 Evicted ${evicted.length} low fee rate transaction(s) from the full mempool`);
+        }
+
+        if (this.storage) {
+            for (const tx of [...expired, ...evicted, ...replaced]) {
+                await this.storage.removePendingTransaction(tx);
+            }
+        }
+
+        // Evicted as a descendant of a low fee rate parent
+        if (!this.mempool.has(transaction.calculateHash())) {
+            throw new Error('Mempool is full: the transaction depends on a pending transaction that was evicted');
+        }
+
+        if (this.storage) {
+            await this.storage.savePendingTransaction(transaction);
+        }
+
+        return replaced;
+    }
+
+    /**
+     * Mine the best pending transactions into a new block.
+     * 
+     * HOW MINING WORKS (STEP BY STEP):
+     * =================================
+     * 
+     * 1. Create a mining reward transaction
+     *    - Sender is null (coins created from nothing)
+     *    - Receiver is the miner's address
+     *    - Amount is the block reward plus all transaction fees
+     *    - This is how new coins enter circulation
+     * 
+     * 2. Create a new block with pending transactions
+     *    - only transactions valid on top of our tip are included
+     *    - highest fee rate first, up to the block size and transaction
+     *      count limits (selectTransactions)
+     *    - includes the mining reward
+     *    - Links to previous block via hash
+     * 
+     * 3. Mine the block (Proof of Work)
+     *    - Find a nonce that makes hash start with zeros
+     *    - This takes computational work, done on worker threads (pow.js)
+     *    - If a peer's block moves our tip first, mining is aborted
+     *    - On a proof-of-authority network the block is signed with this
+     *      node's authority key instead, on a proof-of-stake network with
+     *      its validator key, in a slot where it is the proposer (consensus.js)
+     * 
+     * 4. Validate the block and add it to the chain
+     *    - Clear the included transactions from the pool
+     *    - Block is now permanent
+     * 
+     * @param {string} minerAddress - Address to receive mining reward
+     * @returns {Promise<Block|null>} The newly mined block, or null if mining was aborted
+     */
+    async minePendingTransactions(minerAddress) {
+        const parent = this.getLatestBlock();
+        const newBlock = this.createCandidateBlock(minerAddress);
+
+        // Mine the block on worker threads (find valid hash through Proof of Work)
+        // The node keeps running meanwhile; if our tip moves, mining is aborted
+        // (proof-of-authority: sign it once the block period has passed)
+        const mined = await this.consensus.seal(newBlock);
+        if (!mined) {
+            return null;
+        }
+
+        const unlock = await this.lockChain();
+        try {
+            // A block that arrived while we were sealing may have moved the tip
+            if (this.getLatestBlock().hash !== parent.hash) {
+                return null;
+            }
+
+            // Our own blocks go through the same rules as everyone else's
+            const result = this.validateBlock(newBlock, parent);
+            if (!result.valid) {
+                throw new Error(`Mined block failed validation (${result.reason}): ${result.error}`);
+            }
+
+            // Add the mined block to the block tree and the active chain
+            // (this also clears the mined transactions from the pending pool)
+            this.indexBlock(newBlock);
+            await this.connectBlock(newBlock);
+        } finally {
+            unlock();
+        }
+        console.log(`\n📦 Block ${newBlock.index} added to blockchain!`);
+
+        return newBlock;
+    }
+
+    /**
+     * Build the next block on top of our tip, ready to be mined.
+     * 
+     * @param {string} minerAddress - Address to receive mining reward (the sealing authority under proof-of-authority)
+     * @returns {Block} Unmined block (nonce 0) with transactions and coinbase
+     */
+    createCandidateBlock(minerAddress) {
+        const parent = this.getLatestBlock();
+
+        // The engine's own payments (proof-of-stake releases and slashings) come first,
+        // then the transactions that are valid on top of our tip and those payments
+        const state = this.getStateAt(parent);
+        const systemTransactions = this.createSystemTransactions(parent, state);
+        applyTransactions(state, systemTransactions);
+        const transactions = [...systemTransactions, ...this.selectTransactions(state)];
+
+        // Create the mining reward transaction
+        // Notice: senderAddress is null - coins are created from nothing!
+        // The miner also collects the fees of every transaction in the block
+        const reward = this.getMiningReward() + this.getTotalFees(transactions);
+        const rewardTransaction = this.ledger === Ledger.UTXO
+            ? new UtxoTransaction([], [{ address: minerAddress, amount: reward }], 0, this.chainId, parent.index + 1)
+            : new Transaction(
+                null,                       // No sender (new coins)
+                minerAddress,               // Goes to the miner
+                reward,
+                0,                          // Rewards pay no fee
+                parent.index + 1,           // No sender: the height makes the txid unique
+                this.chainId                // Only valid on this network
+            );
+
+        // Create a new block with the selected transactions and the reward
+        return new Block(
+            parent.index + 1,               // Next index in chain
+            Math.max(this.clock.now(), this.consensus.getEarliestTimestamp(parent)),  // Network time, after the median-time-past
+            [...transactions, rewardTransaction],
+            parent.hash,                    // Link to previous block
+            this.consensus.getNextDifficulty(parent, undefined, minerAddress)  // Difficulty for this height
+        );
+    }
+
+    /**
+     * Build the consensus engine's system transactions for the block
+     * after `parent`: unsigned, from the engine's address, with no fee
+     * and the parent's timestamp, so every node would build the same ones.
+     * 
+     * @param {Block} parent - The block being built on
+     * @param {Object} state - Account state after parent (for the engine's nonce)
+     * @returns {Transaction[]} Transactions the block must start with
+     */
+    createSystemTransactions(parent, state) {
+        const sender = this.consensus.systemAddress;
+        const nonce = state.nonces.get(sender) || 0;
+
+        return this.consensus.getSystemTransfers(parent).map(({ receiverAddress, amount }, i) => {
+            const tx = new Transaction(sender, receiverAddress, amount, 0, nonce + i, this.chainId);
+            tx.timestamp = parent.timestamp;
+            return tx;
+        });
+    }
+
+    /**
+     * Create a block template for an external miner (like Bitcoin's getblocktemplate).
+     * 
+     * The miner only needs the header fields and the target: it searches
+     * nonces locally and hands the solution back to submitBlockSolution().
+     * The node remembers the template's transactions until then.
+     * 
+     * @param {string} minerAddress - Address the coinbase pays
+     * @returns {Object} Template: header fields, target, transactions
+     */
+    createBlockTemplate(minerAddress) {
+        if (this.consensus.name !== Consensus.POW) {
+            throw new Error(`Block templates are for proof-of-work miners, this network's blocks are signed (${this.consensus.name})`);
+        }
+
+        const block = this.createCandidateBlock(minerAddress);
+
+        // The Merkle root commits to the transactions and coinbase, so it identifies the template
+        const templateId = block.merkleRoot;
+        this.blockTemplates.set(templateId, block);
+
+        // Forget the oldest templates
+        while (this.blockTemplates.size > MAX_BLOCK_TEMPLATES) {
+            this.blockTemplates.delete(this.blockTemplates.keys().next().value);
+        }
+
+        return {
+            templateId,
+            index: block.index,
+            timestamp: block.timestamp,
+            previousHash: block.previousHash,
+            merkleRoot: block.merkleRoot,
+            difficulty: block.difficulty,
+            target: getTarget(block.difficulty),
+            reward: block.transactions[block.transactions.length - 1].amount,
+            transactions: block.transactions
+        };
+    }
+
+    /**
+     * Accept a nonce found by an external miner for one of our templates.
+     * The block goes through addBlock, so it's validated like any other.
+     * 
+     * @param {string} templateId - ID returned by createBlockTemplate
+     * @param {number} nonce - Nonce the miner found
+     * @returns {Object} addBlock result plus the block: { success, reason, error, isTip, block }
+     */
+    async submitBlockSolution(templateId, nonce) {
+        const template = this.blockTemplates.get(templateId);
+        if (!template) {
+            return { success: false, reason: RejectReason.UNKNOWN_TEMPLATE, error: 'Unknown or expired block template' };
+        }
+
+        const block = Block.fromJSON({ ...template, nonce });
+        block.hash = block.calculateHash();
+
+        const result = await this.addBlock(block);
+        if (result.success) {
+            this.blockTemplates.delete(templateId);
+        }
+
+        return { ...result, block };
+    }
+
+    /**
+     * Pick the pending transactions for a new block on top of a given state.
+     * 
+     * BLOCK ASSEMBLY:
+     * ===============
+     * - Go through the mempool once, from the highest fee rate down
+     * - A transaction whose parent is not in the block yet (the sender's
+     *   previous nonce, or the pending transaction whose output it spends)
+     *   waits, and is tried right after its parent is taken
+     * - Take a transaction if it is ready (its nonce is next and the sender
+     *   can pay, or on a UTXO network its inputs are unspent) and still fits
+     *   in maxBlockBytes, counted as encodeBlock() will write it
+     * - A sender whose transaction is left out is skipped from then on:
+     *   their later nonces can't be valid without it
+     * - Stop when the block holds maxBlockTransactions (with the coinbase)
+     * 
+     * Pending transactions were verified when they entered the mempool,
+     * so signatures are not checked again here.
+     * Everything else stays in the mempool for a later block.
+     * 
+     * @param {Object} state - Account state after the parent block
+     * @returns {Transaction[]} Transactions to include, in an order that validates
+     */
+    selectTransactions(state) {
+        const available = copyAccountState(state);
+        const selected = [];
+        const selectedIds = new Set();
+        const skipped = new Set();     // Senders left out of this block
+        const waiting = new Map();     // Parent key → entries waiting for it
+        let bytes = BLOCK_RESERVED_BYTES;
+
+        const consider = entry => {
+            const { tx, txid, size } = entry;
+            if (skipped.has(tx.senderAddress)) {
+                return;
+            }
+
+            const parentKey = this.getUnselectedParent(tx, available, selectedIds);
+            if (parentKey !== null) {
+                waiting.set(parentKey, [...(waiting.get(parentKey) || []), entry]);
+                return;
+            }
+
+            const entrySize = getBlockEntrySize(size);
+            if (selected.length >= this.maxBlockTransactions - 1 || bytes + entrySize > this.maxBlockBytes || !this.canApply(tx, available)) {
+                if (!isUtxoTransaction(tx)) {
+                    skipped.add(tx.senderAddress);
+                }
+                return;
+            }
+
+            applyTransactions(available, [tx]);
+            selected.push(tx);
+            selectedIds.add(txid);
+            bytes += entrySize;
+
+            // Its children may be ready now
+            const childKeys = isUtxoTransaction(tx)
+                ? tx.outputs.map((output, index) => getOutpoint(txid, index))
+                : [`${tx.senderAddress}:${tx.nonce}`];
+            for (const key of childKeys) {
+                const children = waiting.get(key);
+                if (children) {
+                    waiting.delete(key);
+                    children.forEach(consider);
+                }
+            }
+        };
+
+        for (const entry of this.mempool.getSortedEntries()) {
+            if (selected.length >= this.maxBlockTransactions - 1) break;
+            consider(entry);
+        }
+
+        const left = this.mempool.size - selected.length;
+        if (left > 0) {
+            console.log(`⏭️  ${left} transaction(s) left in the mempool (not ready yet or no room)`);
+        }
+
+        return selected;
+    }
+
+    /**
+     * Find the pending parent a transaction still waits for during block
+     * assembly: the sender's previous nonce, or (UTXO) a pending
+     * transaction whose output it spends.
+     * 
+     * @param {Transaction|UtxoTransaction} tx - Pending transaction
+     * @param {Object} state - State with the transactions selected so far
+     * @param {Set<string>} selectedIds - Txids selected so far
+     * @returns {string|null} The parent's key (sender:nonce or outpoint), or null if it waits for nothing
+     */
+    getUnselectedParent(tx, state, selectedIds) {
+        if (isUtxoTransaction(tx)) {
+            const input = tx.inputs.find(input =>
+                !state.utxos.has(getOutpoint(input.txid, input.index)) && this.mempool.has(input.txid) && !selectedIds.has(input.txid));
+            return input ? getOutpoint(input.txid, input.index) : null;
+        }
+
+        const nonce = state.nonces.get(tx.senderAddress) || 0;
+        return tx.nonce > nonce ? `${tx.senderAddress}:${tx.nonce - 1}` : null;
+    }
+
+    /**
+     * Check whether a pending transaction can be applied on top of a state.
+     * 
+     * @param {Transaction|UtxoTransaction} tx - Pending transaction
+     * @param {Object} state - { balances, nonces, utxos }
+     * @returns {boolean} True if it would be valid next
+     */
+    canApply(tx, state) {
+        if (isUtxoTransaction(tx)) {
+            return tx.inputs.every(input => state.utxos.has(getOutpoint(input.txid, input.index)));
+        }
+
+        return tx.nonce === (state.nonces.get(tx.senderAddress) || 0) &&
+            toUnits(state.balances.get(tx.senderAddress) || 0) >= toUnits(tx.amount) + toUnits(tx.fee);
+    }
+
+    /**
+     * Get the balance of an address.
+     * 
+     * HOW BALANCE CALCULATION WORKS:
+     * ==============================
+     * 
+     * There's no "balance" stored in the blocks!
+     * A balance is the result of EVERY transaction in EVERY block:
+     * 
+     * 1. Start with balance = 0
+     * 2. For each transaction where address is RECEIVER: add amount
+     * 3. For each transaction where address is SENDER: subtract amount + fee
+     * 4. The result is the current balance
+     * 
+     * This is why "full nodes" need to store the entire blockchain -
+     * you need the full history to calculate any balance! The account
+     * index does that sum once, block by block, so this is a single lookup.
+     * 
+     * @param {string} address - The wallet address to check
+     * @returns {number} The current balance
+     */
+    getBalance(address) {
+        return this.accounts.getBalance(address);
+    }
+
+    /**
+     * Get the confirmed nonce of an address: the nonce its next
+     * transaction must use, according to the active chain.
+     * 
+     * @param {string} address - The wallet address to check
+     * @returns {number} Number of transactions sent by the address
+     */
+    getNonce(address) {
+        return this.accounts.getNonce(address);
+    }
+
+    /**
+     * Get an account's confirmed state plus its pending activity.
+     * 
+     * @param {string} address - The wallet address to check
+     * @returns {Object} Balance, nonces and pending spends
+     *                  (UTXO networks: balance, unspent outputs and pending spends)
+     */
+    getAccount(address) {
+        if (this.ledger === Ledger.UTXO) {
+            const utxos = this.getUtxos(address);
+            const spending = utxos.filter(utxo => utxo.spentBy !== null);
+
+            return {
+                balance: this.getBalance(address),
+                utxoCount: utxos.length,
+                pendingCount: new Set(spending.map(utxo => utxo.spentBy)).size,
+                pendingSpend: sumAmounts(spending),
+                availableBalance: sumAmounts(this.getSpendableUtxos(address))
+            };
+        }
 
-                // Load pending transactions
-                const pendingData = await this.storage.loadPendingTransactions();
-                this.pendingTransactions = pendingData.map(txData => {
-                    const tx = new Transaction(txData.senderAddress, txData.receiverAddress, txData.amount);
-                    tx.timestamp = txData.timestamp;
-                    tx.signature = txData.signature;
-                    return tx;
-                });
-            }
-        } else {
-            // In-memory mode (no persistence)
-            console.log('🌟 Creating Genesis Block...');
-            this.chain = [this.createGenesisBlock()];
+        const balance = this.getBalance(address);
+        const nonce = this.getNonce(address);
+        const pending = this.mempool.getBySender(address);
+        const pendingUnits = pending.reduce((sum, tx) => sum + toUnits(tx.amount) + toUnits(tx.fee), 0);
+
+        // Pending transactions use the nonces right after the confirmed one
+        const pendingNonces = new Set(pending.map(tx => tx.nonce));
+        let nextNonce = nonce;
+        while (pendingNonces.has(nextNonce)) {
+            nextNonce++;
         }
 
-        this.initialized = true;
-        console.log('🐱 Neko Chain Blockchain initialized!');
-        console.log(`   Chain length: ${this.chain.length} blocks`);
-        console.log(`   Difficulty: ${this.difficulty} (hash must start with ${'0'.repeat(this.difficulty)})`);
-        console.log(`   Mining Reward: ${this.miningReward} NEKO`);
-        console.log(`   Storage: ${this.storage ? 'LevelDB (persistent)' : 'In-memory (volatile)'}`);
+        return {
+            balance,
+            nonce,
+            nextNonce,
+            pendingCount: pending.length,
+            pendingSpend: fromUnits(pendingUnits),
+            availableBalance: fromUnits(toUnits(balance) - pendingUnits)
+        };
     }
 
     /**
-     * Create the genesis block (first block in the chain).
+     * Get the confirmed unspent outputs of an address (UTXO networks).
      * 
-     * WHY A GENESIS BLOCK?
-     * - Every block needs a previousHash, but the first block has no previous
-     * - Genesis block uses "0" as its previousHash
-     * - It's the foundation of the entire blockchain
-     * - Often contains a special message (Bitcoin's genesis has a newspaper headline)
+     * @param {string} address - The wallet address
+     * @returns {Array} [{ txid, index, address, amount, height, confirmations, spentBy }]
+     *                  spentBy is the txid of a pending transaction spending it, or null
+     */
+    getUtxos(address) {
+        const { spent } = this.getPendingOutpoints();
+
+        return this.accounts.getUtxos(address).map(utxo => ({
+            ...utxo,
+            confirmations: this.chain.length - utxo.height,
+            spentBy: spent.get(getOutpoint(utxo.txid, utxo.index)) ?? null
+        }));
+    }
+
+    /**
+     * Get the outputs an address can spend now: confirmed ones no pending
+     * transaction spends, plus outputs of pending transactions (like change),
+     * so a wallet can send again before its last payment is mined.
      * 
-     * @returns {Block} The genesis block
+     * @param {string} address - The wallet address
+     * @returns {Array} [{ txid, index, address, amount, height }] (height null if pending)
      */
-    createGenesisBlock() {
-        console.log('🌟 Creating Genesis Block...');
-        const genesisBlock = new Block(
-            0,                              // Index 0 = first block
-            Date.now(),                     // Current timestamp
-            [],                             // No transactions in genesis
-            '0'                             // No previous hash
-        );
-        return genesisBlock;
+    getSpendableUtxos(address) {
+        const { spent, created } = this.getPendingOutpoints();
+        const unspent = outpoint => !spent.has(outpoint);
+
+        const confirmed = this.accounts.getUtxos(address)
+            .filter(utxo => unspent(getOutpoint(utxo.txid, utxo.index)));
+        const pending = [...created.entries()]
+            .filter(([outpoint, utxo]) => utxo.address === address && unspent(outpoint))
+            .map(([, utxo]) => utxo);
+
+        return [...confirmed, ...pending];
     }
 
     /**
-     * Get the most recent block in the chain.
-     * Needed to get the previousHash for the next block.
+     * Build an unsigned UTXO payment from an address's spendable outputs.
      * 
-     * @returns {Block} The latest block
+     * @param {string} from - Sender address (pays, and receives the change)
+     * @param {string} to - Receiver address
+     * @param {number} amount - Amount to pay
+     * @param {number} fee - Fee for the miner
+     * @returns {UtxoTransaction} Transaction ready to be signed
+     * @throws {Error} If the spendable outputs don't cover amount + fee
      */
-    getLatestBlock() {
-        return this.chain[this.chain.length - 1];
+    createUtxoPayment(from, to, amount, fee = 0) {
+        return createUtxoTransaction({
+            utxos: this.getSpendableUtxos(from),
+            from,
+            to,
+            amount,
+            fee,
+            chainId: this.chainId
+        });
     }
 
     /**
-     * Add a transaction to the pending pool.
-     * The transaction will be included in the next mined block.
+     * Build an unsigned transaction that cancels a pending one: it pays
+     * the sender back to themselves at a higher fee, so it replaces the
+     * original (replace-by-fee) and the payment never happens.
      * 
-     * @param {Transaction} transaction - The transaction to add
-     * @throws {Error} If transaction is invalid
+     * - Account ledger: a zero-amount self-transfer with the same nonce
+     * - UTXO ledger: the same inputs, one output back to the sender
+     * 
+     * @param {string} txid - Pending transaction to cancel
+     * @param {number} fee - Fee for the cancellation (default: the fees it replaces + DEFAULT_FEE_BUMP)
+     * @returns {Transaction|UtxoTransaction} Transaction ready to be signed by the sender
+     * @throws {Error} If the transaction isn't pending, or the fee doesn't outbid it
      */
-    async addTransaction(transaction) {
-        // Validate the transaction
-        if (!transaction.senderAddress && transaction.senderAddress !== null) {
-            throw new Error('Transaction must have a sender address');
+    createCancellation(txid, fee) {
+        const original = this.getPendingTransaction(txid);
+        if (!original) {
+            throw new Error('Only pending transactions can be cancelled');
         }
 
-        if (!transaction.receiverAddress) {
-            throw new Error('Transaction must have a receiver address');
+        // On a UTXO network, transactions spending the original's outputs go too
+        const replacedFees = this.mempool.getReplacedFees([original]);
+        fee = fee ?? fromUnits(replacedFees + toUnits(DEFAULT_FEE_BUMP));
+        if (toUnits(fee) <= replacedFees) {
+            throw new Error(`Cancellation fee must be higher than the fees it replaces (${fromUnits(replacedFees)})`);
         }
 
-        // Verify the transaction is valid (signature check)
-        if (!transaction.isValid()) {
-            throw new Error('Cannot add invalid transaction to the chain');
-        }
+        const sender = original.senderAddress;
 
-        // Check if sender has enough balance (except for mining rewards)
-        if (transaction.senderAddress !== null) {
-            const balance = this.getBalance(transaction.senderAddress);
-            if (balance < transaction.amount) {
-                throw new Error(`Insufficient balance! Have: ${balance}, Need: ${transaction.amount}`);
+        if (this.ledger === Ledger.UTXO) {
+            if (!original.inputs.every(input => input.address === sender)) {
+                throw new Error('Transactions with inputs from several owners cannot be cancelled');
             }
-        }
 
-        // Add to pending transactions pool
-        this.pendingTransactions.push(transaction);
-        console.log(`📝 Transaction added to pending pool: ${transaction.toString()}`);
+            const refund = toUnits(original.getInputTotal()) - toUnits(fee);
+            if (refund <= 0) {
+                throw new Error(`Cancellation fee must be lower than the inputs (${original.getInputTotal()})`);
+            }
 
-        // Save to persistent storage if available
-        if (this.storage) {
-            await this.storage.savePendingTransaction(transaction);
+            const inputs = original.inputs.map(({ txid, index, address, amount }) => ({ txid, index, address, amount, signature: null }));
+            return new UtxoTransaction(inputs, [{ address: sender, amount: fromUnits(refund) }], fee, this.chainId);
         }
 
-        return transaction;
+        return new Transaction(sender, sender, 0, fee, original.nonce, this.chainId);
     }
 
     /**
-     * Mine all pending transactions into a new block.
-     * 
-     * HOW MINING WORKS (STEP BY STEP):
-     * =================================
-     * 
-     * 1. Create a mining reward transaction
-     *    - Sender is null (coins created from nothing)
-     *    - Receiver is the miner's address
-     *    - This is how new coins enter circulation
-     * 
-     * 2. Create a new block with pending transactions
-     *    - includes the mining reward
-     *    - Links to previous block via hash
+     * Build an unsigned governance vote: a zero-amount transaction from an
+     * authority to governance:add:<key> or governance:remove:<key>
+     * (proof-of-authority networks, see consensus.js).
      * 
-     * 3. Mine the block (Proof of Work)
-     *    - Find a nonce that makes hash start with zeros
-     *    - This takes computational work
-     * 
-     * 4. Add the block to the chain
-     *    - Clear pending transactions
-     *    - Block is now permanent
-     * 
-     * @param {string} minerAddress - Address to receive mining reward
-     * @returns {Block} The newly mined block
+     * @param {string} sender - Voting authority's address
+     * @param {string} action - 'add' or 'remove'
+     * @param {string} authority - Public key to add or remove
+     * @param {number} fee - Fee for the vote (default 0)
+     * @returns {Transaction} Transaction ready to be signed by the authority
+     * @throws {Error} If this network has no governance
      */
-    async minePendingTransactions(minerAddress) {
-        // Create the mining reward transaction
-        // Notice: senderAddress is null - coins are created from nothing!
-        const rewardTransaction = new Transaction(
-            null,                           // No sender (new coins)
-            minerAddress,                   // Goes to the miner
-            this.miningReward               // The reward amount
-        );
-
-        // Add reward to pending transactions
-        this.pendingTransactions.push(rewardTransaction);
-
-        // Create a new block with all pending transactions
-        const newBlock = new Block(
-            this.chain.length,              // Next index in chain
-            Date.now(),                     // Current time
-            this.pendingTransactions,       // All pending transactions
-            this.getLatestBlock().hash      // Link to previous block
-        );
-
-        // Mine the block (find valid hash through Proof of Work)
-        newBlock.mineBlock(this.difficulty);
-
-        // Add the mined block to the chain
-        this.chain.push(newBlock);
-        console.log(`\n📦 Block ${newBlock.index} added to blockchain!`);
-
-        // Save to persistent storage if available
-        if (this.storage) {
-            await this.storage.saveBlock(newBlock);
-            await this.storage.clearPendingTransactions();
+    createGovernanceVote(sender, action, authority, fee = 0) {
+        if (this.consensus.name !== Consensus.POA || this.ledger !== Ledger.ACCOUNT) {
+            throw new Error('Governance votes are only used on proof-of-authority networks with the account ledger');
         }
 
-        // Clear pending transactions (they're now in the block)
-        this.pendingTransactions = [];
-
-        return newBlock;
+        const receiver = getGovernanceAddress(action, authority);
+        return new Transaction(sender, receiver, 0, fee, this.getAccount(sender).nextNonce, this.chainId);
     }
 
     /**
-     * Calculate the balance of an address.
-     * 
-     * HOW BALANCE CALCULATION WORKS:
-     * ==============================
-     * 
-     * There's no "balance" stored anywhere in the blockchain!
-     * To find a balance, we scan EVERY transaction in EVERY block:
+     * Build an unsigned stake: coins sent to staking:pool, locked as the
+     * sender's stake (proof-of-stake networks, see consensus.js).
      * 
-     * 1. Start with balance = 0
-     * 2. For each transaction where address is RECEIVER: add amount
-     * 3. For each transaction where address is SENDER: subtract amount
-     * 4. The result is the current balance
-     * 
-     * This is why "full nodes" need to store the entire blockchain -
-     * you need the full history to calculate any balance!
-     * 
-     * @param {string} address - The wallet address to check
-     * @returns {number} The current balance
+     * @param {string} sender - Staker's address (its validator key)
+     * @param {number} amount - Coins to stake
+     * @param {number} fee - Fee for the transaction (default 0)
+     * @returns {Transaction} Transaction ready to be signed by the staker
+     * @throws {Error} If this network has no staking
      */
-    getBalance(address) {
-        let balance = 0;
+    createStakeTransaction(sender, amount, fee = 0) {
+        if (this.consensus.name !== Consensus.POS) {
+            throw new Error('Staking is only used on proof-of-stake networks');
+        }
 
-        // Scan through every block in the chain
-        for (const block of this.chain) {
-            // Look at every transaction in each block
-            for (const tx of block.transactions) {
-                // If we received coins, add to balance
-                if (tx.receiverAddress === address) {
-                    balance += tx.amount;
-                }
+        return new Transaction(sender, STAKING_POOL_ADDRESS, amount, fee, this.getAccount(sender).nextNonce, this.chainId);
+    }
 
-                // If we sent coins, subtract from balance
-                if (tx.senderAddress === address) {
-                    balance -= tx.amount;
-                }
-            }
+    /**
+     * Build an unsigned unstake request: a zero-amount transaction to
+     * staking:unstake. The whole stake is paid back after the lock period.
+     * 
+     * @param {string} sender - Staker's address
+     * @param {number} fee - Fee for the transaction (default 0)
+     * @returns {Transaction} Transaction ready to be signed by the staker
+     * @throws {Error} If this network has no staking
+     */
+    createUnstakeTransaction(sender, fee = 0) {
+        if (this.consensus.name !== Consensus.POS) {
+            throw new Error('Staking is only used on proof-of-stake networks');
         }
 
-        return balance;
+        return new Transaction(sender, UNSTAKE_ADDRESS, 0, fee, this.getAccount(sender).nextNonce, this.chainId);
     }
 
     /**
@@ -304,10 +1718,12 @@ class Blockchain {
      * BLOCKCHAIN VALIDATION:
      * ======================
      * 
-     * For each block (except genesis), we verify:
-     * 1. The stored hash matches the calculated hash
-     * 2. The previousHash matches the previous block's hash
-     * 3. All transactions in the block are valid
+     * Every block is re-checked with the full consensus rules:
+     * 1. Header: index, previousHash and timestamp follow the parent
+     * 2. Seal: hash, Merkle root, then difficulty and proof-of-work
+     *    (or the authority's signature and turn)
+     * 3. Coinbase: exactly one, paying the reward plus fees
+     * 4. Transactions: signed, and every sender could afford them
      * 
      * If ANY of these fail, the chain is invalid!
      * This is how tampering is detected.
@@ -317,32 +1733,11 @@ class Blockchain {
     isChainValid() {
         console.log('\n🔍 Validating blockchain...');
 
-        // Start from block 1 (skip genesis which has no previous)
-        for (let i = 1; i < this.chain.length; i++) {
-            const currentBlock = this.chain[i];
-            const previousBlock = this.chain[i - 1];
-
-            // Check 1: Does the stored hash match the calculated hash?
-            // If someone modified block data, the hashes won't match
-            if (currentBlock.hash !== currentBlock.calculateHash()) {
-                console.log(`❌ Block ${i}: Hash is invalid (data was modified)`);
-                return false;
-            }
-
-            // Check 2: Does previousHash match the actual previous block?
-            // If blocks were reordered, this would fail
-            if (currentBlock.previousHash !== previousBlock.hash) {
-                console.log(`❌ Block ${i}: Previous hash doesn't match`);
-                return false;
-            }
-
-            // Check 3: Are all transactions in the block valid?
-            if (!currentBlock.hasValidTransactions()) {
-                console.log(`❌ Block ${i}: Contains invalid transaction(s)`);
-                return false;
-            }
+        const result = this.validateChain(this.chain, { assumeValid: false });
 
-            console.log(`   ✓ Block ${i} is valid`);
+        if (!result.valid) {
+            console.log(`❌ Block ${result.height}: ${result.reason} - ${result.error}`);
+            return false;
         }
 
         console.log('✅ Blockchain is valid!\n');
@@ -350,31 +1745,48 @@ class Blockchain {
     }
 
     /**
-     * Get all transactions for a specific address.
+     * Get one page of the confirmed transactions of an address, newest first.
      * Useful for viewing transaction history.
      * 
      * @param {string} address - The wallet address
-     * @returns {Array} Array of transaction objects
+     * @param {Object} options
+     * @param {number} options.limit - Transactions per page (default 50)
+     * @param {string} options.before - Cursor returned as nextCursor by the previous page
+     * @returns {Promise<Object>} { total, transactions, nextCursor }
      */
-    getTransactionsForAddress(address) {
-        const transactions = [];
+    async getTransactionsForAddress(address, options = {}) {
+        const { total, entries, nextCursor } = await this.accounts.getHistory(address, options);
+
+        const transactions = entries.map(({ txid, blockHash, height, position }) => {
+            const tx = this.blockTree.get(blockHash).block.transactions[position];
+            const type = tx.senderAddress === address ? 'SENT' : 'RECEIVED';
+            return {
+                txid,
+                type,
+                // A UTXO transaction can pay several addresses: show what this one received
+                amount: type === 'RECEIVED' && isUtxoTransaction(tx)
+                    ? sumAmounts(tx.outputs.filter(output => output.address === address))
+                    : tx.amount,
+                fee: tx.fee || 0,
+                nonce: tx.nonce,
+                from: tx.senderAddress ? tx.senderAddress.substring(0, 20) + '...' : 'MINING REWARD',
+                to: tx.receiverAddress.substring(0, 20) + '...',
+                timestamp: new Date(tx.timestamp).toISOString(),
+                blockIndex: height,
+                position
+            };
+        });
 
-        for (const block of this.chain) {
-            for (const tx of block.transactions) {
-                if (tx.senderAddress === address || tx.receiverAddress === address) {
-                    transactions.push({
-                        type: tx.senderAddress === address ? 'SENT' : 'RECEIVED',
-                        amount: tx.amount,
-                        from: tx.senderAddress ? tx.senderAddress.substring(0, 20) + '...' : 'MINING REWARD',
-                        to: tx.receiverAddress.substring(0, 20) + '...',
-                        timestamp: new Date(tx.timestamp).toISOString(),
-                        blockIndex: block.index
-                    });
-                }
-            }
-        }
+        return { total, transactions, nextCursor };
+    }
 
-        return transactions;
+    /**
+     * Rebuild the account index (balances, nonces, history) from the active chain.
+     * 
+     * @returns {Promise<Object>} { blocks, accounts } counts
+     */
+    async reindex() {
+        return this.accounts.reindex(this.chain);
     }
 
     /**
@@ -384,85 +1796,147 @@ class Blockchain {
      */
     getStats() {
         let totalTransactions = 0;
-        let totalCoins = 0;
 
         for (const block of this.chain) {
             totalTransactions += block.transactions.length;
-            for (const tx of block.transactions) {
-                if (tx.senderAddress === null) {
-                    totalCoins += tx.amount;  // Only count newly minted coins
-                }
-            }
         }
 
+        // Coins minted so far: the premine plus each block's scheduled reward
+        // (a coinbase also collects fees, but those coins already existed)
+        const totalCoins = this.monetaryPolicy.getIssuedSupply(this.chain.length);
+
         return {
+            chainId: this.chainId,
+            ledger: this.ledger,
+            genesisHash: this.genesisHash,
             totalBlocks: this.chain.length,
+            knownBlocks: this.blockTree.size,
+            chainWork: this.getChainWork(),
             totalTransactions,
             totalCoinsInCirculation: totalCoins,
-            difficulty: this.difficulty,
-            miningReward: this.miningReward,
-            pendingTransactions: this.pendingTransactions.length
+            consensus: this.consensus.getInfo(),
+            difficulty: this.getCurrentDifficulty(),
+            targetBlockTime: this.targetBlockTime,
+            maxBlockBytes: this.maxBlockBytes,
+            maxBlockTransactions: this.maxBlockTransactions,
+            medianTimePast: this.getMedianTimePast(this.getLatestBlock()),
+            clock: this.clock.getInfo(),
+            lastCheckpoint: this.getLastCheckpointPassed(),
+            assumeValid: this.assumeValid,
+            averageBlockTime: this.getAverageBlockTime(),
+            retargetInterval: this.retargetInterval,
+            nextRetargetHeight: Math.ceil(this.chain.length / this.retargetInterval) * this.retargetInterval,
+            miningReward: this.getMiningReward(),
+            ...this.monetaryPolicy.getInfo(this.chain.length),
+            pendingTransactions: this.mempool.size,
+            mempool: this.mempool.getInfo(),
+            ...(this.ledger === Ledger.UTXO ? { unspentOutputs: this.accounts.state.utxos.size } : {}),
+            mining: this.miner.isMining(),
+            hashrate: this.miner.getStatus().hashrate
         };
     }
 
     /**
-     * Get the status of a transaction by its hash.
+     * Find a pending transaction by txid.
+     * 
+     * @param {string} txid - Transaction ID
+     * @returns {Transaction|null} The pending transaction, or null
+     */
+    getPendingTransaction(txid) {
+        return this.mempool.get(txid);
+    }
+
+    /**
+     * Find a transaction on the active chain by txid.
+     * 
+     * With storage this is one lookup in the persistent tx: index, which is
+     * kept in step with the active chain (entries are removed on a reorg).
+     * In-memory nodes have no index and scan the chain instead.
+     * 
+     * @param {string} txid - Transaction ID
+     * @returns {Promise<Object|null>} { transaction, block, position } or null if not confirmed
+     */
+    async findConfirmedTransaction(txid) {
+        if (this.storage) {
+            const location = await this.storage.getTransactionLocation(txid);
+            if (!location || !this.isInActiveChain(location.blockHash)) {
+                return null;
+            }
+
+            const block = this.blockTree.get(location.blockHash).block;
+            return { transaction: block.transactions[location.position], block, position: location.position };
+        }
+
+        for (let i = this.chain.length - 1; i >= 0; i--) {
+            const block = this.chain[i];
+            const position = block.transactions.findIndex(tx => tx.calculateHash() === txid);
+
+            if (position !== -1) {
+                return { transaction: block.transactions[position], block, position };
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Get the status of a transaction by its txid.
      * 
      * TRANSACTION LIFECYCLE:
      * ======================
      * 1. PENDING - Transaction is in the pending pool, waiting to be mined
      * 2. CONFIRMED - Transaction has been included in a mined block
-     * 3. UNKNOWN - Transaction not found in pending or any block
+     * 3. REPLACED - A higher fee transaction took its place in the pool
+     *    (it can still be confirmed if a miner had the old one)
+     * 4. UNKNOWN - Transaction not found in pending or any block
      * 
-     * @param {string} txHash - The transaction hash to look up
-     * @returns {Object} Transaction status with details
+     * @param {string} txid - The transaction ID to look up
+     * @returns {Promise<Object>} Transaction status with details
      */
-    getTransactionStatus(txHash) {
+    async getTransactionStatus(txid) {
+        const summarize = tx => ({
+            from: tx.senderAddress ? tx.senderAddress.substring(0, 20) + '...' : 'MINING REWARD',
+            to: tx.receiverAddress.substring(0, 20) + '...',
+            amount: tx.amount,
+            fee: tx.fee,
+            nonce: tx.nonce,
+            timestamp: new Date(tx.timestamp).toISOString()
+        });
+
         // Check pending transactions first
-        for (const tx of this.pendingTransactions) {
-            if (tx.calculateHash() === txHash) {
-                return {
-                    status: 'pending',
-                    message: 'Transaction is waiting to be mined',
-                    transaction: {
-                        from: tx.senderAddress ? tx.senderAddress.substring(0, 20) + '...' : 'MINING REWARD',
-                        to: tx.receiverAddress.substring(0, 20) + '...',
-                        amount: tx.amount,
-                        timestamp: new Date(tx.timestamp).toISOString()
-                    },
-                    confirmations: 0,
-                    blockIndex: null
-                };
-            }
-        }
-
-        // Check confirmed transactions in blocks
-        for (let i = this.chain.length - 1; i >= 0; i--) {
-            const block = this.chain[i];
-            for (const tx of block.transactions) {
-                // Calculate hash for comparison
-                const Transaction = require('./transaction');
-                const txObj = new Transaction(tx.senderAddress, tx.receiverAddress, tx.amount);
-                txObj.timestamp = tx.timestamp;
-                txObj.signature = tx.signature;
-
-                if (txObj.calculateHash() === txHash) {
-                    const confirmations = this.chain.length - block.index;
-                    return {
-                        status: 'confirmed',
-                        message: `Transaction confirmed in block #${block.index}`,
-                        transaction: {
-                            from: tx.senderAddress ? tx.senderAddress.substring(0, 20) + '...' : 'MINING REWARD',
-                            to: tx.receiverAddress.substring(0, 20) + '...',
-                            amount: tx.amount,
-                            timestamp: new Date(tx.timestamp).toISOString()
-                        },
-                        confirmations: confirmations,
-                        blockIndex: block.index,
-                        blockHash: block.hash
-                    };
-                }
-            }
+        const pending = this.getPendingTransaction(txid);
+        if (pending) {
+            return {
+                status: 'pending',
+                message: 'Transaction is waiting to be mined',
+                transaction: summarize(pending),
+                confirmations: 0,
+                blockIndex: null
+            };
+        }
+
+        const confirmed = await this.findConfirmedTransaction(txid);
+        if (confirmed) {
+            return {
+                status: 'confirmed',
+                message: `Transaction confirmed in block #${confirmed.block.index}`,
+                transaction: summarize(confirmed.transaction),
+                confirmations: this.chain.length - confirmed.block.index,
+                blockIndex: confirmed.block.index,
+                blockHash: confirmed.block.hash
+            };
+        }
+
+        const replacement = this.mempool.getReplacement(txid);
+        if (replacement) {
+            return {
+                status: 'replaced',
+                message: `Transaction was replaced by ${replacement.replacedBy.substring(0, 16)}... (higher fee)`,
+                transaction: summarize(replacement.tx),
+                replacedBy: replacement.replacedBy,
+                confirmations: 0,
+                blockIndex: null
+            };
         }
 
         // Transaction not found
@@ -475,150 +1949,243 @@ class Blockchain {
         };
     }
 
+    /**
+     * Get every detail of a transaction by txid (used by GET /tx/:txid).
+     * 
+     * @param {string} txid - Transaction ID
+     * @returns {Promise<Object|null>} Full transaction and its location, or null if unknown
+     */
+    async getTransaction(txid) {
+        const pending = this.getPendingTransaction(txid);
+        if (pending) {
+            return { txid, status: 'pending', transaction: pending, confirmations: 0 };
+        }
+
+        const confirmed = await this.findConfirmedTransaction(txid);
+        if (!confirmed) {
+            const replacement = this.mempool.getReplacement(txid);
+            if (replacement) {
+                const { tx, replacedBy, replacedAt } = replacement;
+                return { txid, status: 'replaced', transaction: tx, replacedBy, replacedAt, confirmations: 0 };
+            }
+            return null;
+        }
+
+        return {
+            txid,
+            status: 'confirmed',
+            transaction: confirmed.transaction,
+            blockHash: confirmed.block.hash,
+            blockIndex: confirmed.block.index,
+            blockTimestamp: confirmed.block.timestamp,
+            position: confirmed.position,
+            confirmations: this.chain.length - confirmed.block.index
+        };
+    }
+
+    /**
+     * Build a Merkle inclusion proof for a confirmed transaction.
+     * 
+     * A light client can check the result offline with
+     * verifyTransactionProof() from spv.js - it only needs the header
+     * and a few sibling hashes, not the whole block.
+     * 
+     * The Merkle leaves are wtxids, so the proof carries the encoded
+     * transaction: its hash is the leaf, and the txid is computed from it.
+     * 
+     * @param {string} txid - The transaction ID to prove
+     * @returns {Promise<Object|null>} Proof with encoded transaction, header and Merkle branch, or null if not confirmed
+     */
+    async getTransactionProof(txid) {
+        const confirmed = await this.findConfirmedTransaction(txid);
+        if (!confirmed) {
+            return null;
+        }
+
+        const { block, position } = confirmed;
+        const wtxids = block.transactions.map(tx => Transaction.getWtxid(tx));
+
+        return {
+            txHash: txid,
+            rawTransaction: encodeTransaction(block.transactions[position]).toString('hex'),
+            blockIndex: block.index,
+            position,
+            header: block.getHeader(),
+            branch: getMerkleProof(wtxids, position),
+            confirmations: this.chain.length - block.index
+        };
+    }
+
     // ========================================
     // P2P NETWORK SUPPORT METHODS
     // ========================================
 
     /**
-     * Replace the chain with a new one (used for consensus).
+     * Merge a chain received from a peer (used for consensus).
      * 
      * CONSENSUS MECHANISM:
-     * When we receive a longer chain from a peer, we need to
-     * validate it and replace our chain if it's valid.
+     * When we receive a chain from a peer, we validate it and add
+     * every block we don't know yet to our block tree. The fork choice
+     * rule then decides which branch is active - so a chain only "wins"
+     * if it carries more accumulated work than ours, not just more blocks.
      * 
      * @param {Array} newChainData - Array of block data from peer
-     * @returns {boolean} True if chain was replaced
+     * @returns {boolean} True if our active chain changed
      */
-    replaceChain(newChainData) {
+    async replaceChain(newChainData) {
         // Reconstruct Block objects from plain data
-        const newChain = newChainData.map(blockData => {
-            const block = new Block(
-                blockData.index,
-                blockData.timestamp,
-                blockData.transactions.map(txData => {
-                    const tx = new Transaction(
-                        txData.senderAddress,
-                        txData.receiverAddress,
-                        txData.amount
-                    );
-                    tx.timestamp = txData.timestamp;
-                    tx.signature = txData.signature;
-                    return tx;
-                }),
-                blockData.previousHash
-            );
-            block.nonce = blockData.nonce;
-            block.hash = blockData.hash;
-            return block;
-        });
+        let newChain;
+        try {
+            newChain = newChainData.map(blockData => Block.fromJSON(blockData));
+        } catch (error) {
+            console.log(`❌ Received chain is malformed: ${error.message}`);
+            return false;
+        }
 
         // Validate the new chain
-        if (!this.validateChain(newChain)) {
-            console.log('❌ Received chain is invalid');
+        const result = this.validateChain(newChain);
+        if (!result.valid) {
+            console.log(`❌ Received chain is invalid at block #${result.height} (${result.reason}: ${result.error})`);
             return false;
         }
 
-        // Replace our chain
-        this.chain = newChain;
-        console.log('✅ Chain replaced with valid longer chain');
+        const unlock = await this.lockChain();
+        try {
+            // History below a checkpoint we passed can't be rewritten
+            const fork = newChain.find(block => this.forksBeforeCheckpoint(block));
+            if (fork) {
+                console.log(`❌ Received chain forks at block #${fork.index}, below checkpoint #${this.getLastCheckpointPassed().height}`);
+                return false;
+            }
+
+            const previousTip = this.getLatestBlock().hash;
+
+            for (const block of newChain) {
+                if (this.blockTree.has(block.hash)) continue;
+                await this.activateBestChain(this.indexBlock(block));
+            }
+
+            if (this.getLatestBlock().hash === previousTip) {
+                return false;
+            }
+        } finally {
+            unlock();
+        }
+
+        console.log('✅ Switched to heavier chain from peer');
         return true;
     }
 
     /**
-     * Validate a chain (used for validating received chains).
-     * Similar to isChainValid but works on any chain array.
+     * Validate a chain (used for received chains, loading and /validate).
+     * Replays balances from genesis so every block is checked in context.
+     * 
+     * In assume-valid mode, if the chain contains the last checkpoint,
+     * signatures up to it are not checked: the blocks are hash-linked
+     * to the checkpoint, and block hashes commit to signatures (wtxid
+     * Merkle leaves), so they are exactly the blocks it vouches for.
      * 
      * @param {Array} chain - The chain to validate
-     * @returns {boolean} True if chain is valid
+     * @param {Object} options
+     * @param {boolean} options.assumeValid - Override this node's assume-valid setting
+     * @returns {Object} { valid: true } or { valid: false, reason, error, height }
      */
-    validateChain(chain) {
+    validateChain(chain, options = {}) {
         // Check genesis block
-        if (chain.length === 0) return false;
-
-        // Validate each block
-        for (let i = 1; i < chain.length; i++) {
-            const currentBlock = chain[i];
-            const previousBlock = chain[i - 1];
+        if (chain.length === 0) {
+            return { valid: false, reason: RejectReason.BAD_GENESIS, error: 'Chain is empty', height: 0 };
+        }
 
-            // Verify hash
-            if (currentBlock.hash !== currentBlock.calculateHash()) {
-                return false;
-            }
+        let result = this.validator.validateGenesis(chain[0]);
+        if (!result.valid) {
+            return { ...result, height: 0 };
+        }
 
-            // Verify chain link
-            if (currentBlock.previousHash !== previousBlock.hash) {
-                return false;
-            }
+        let assumeValidHeight = 0;
+        const checkpoint = this.getLastCheckpoint();
+        if ((options.assumeValid ?? this.assumeValid) && checkpoint && chain[checkpoint.height]?.hash === checkpoint.hash) {
+            assumeValidHeight = checkpoint.height;
+            console.log(`⏩ Assume-valid: skipping signature checks up to checkpoint #${checkpoint.height}`);
+        }
 
-            // Verify proof of work
-            if (currentBlock.hash.substring(0, this.difficulty) !== '0'.repeat(this.difficulty)) {
-                return false;
+        // Validate each block on top of the state left by its parent
+        let state = result.state;
+        for (let i = 1; i < chain.length; i++) {
+            result = this.validator.validateBlock(chain[i], chain[i - 1], {
+                getBlockAt: height => chain[height],
+                state,
+                now: this.clock.now(),
+                assumeValid: i <= assumeValidHeight
+            });
+
+            if (!result.valid) {
+                return { ...result, height: i };
             }
+            state = result.state;
         }
 
-        return true;
+        return { valid: true };
     }
 
     /**
      * Add a received block from another node.
      * Used when a peer broadcasts a newly mined block.
      * 
+     * The block may extend our tip, start or extend a side branch,
+     * or make a side branch heavier than the active chain (reorg).
+     * 
      * @param {Object} blockData - Block data from peer
-     * @returns {boolean} True if block was added
+     * @returns {Object} { success: true, isTip } or { success: false, reason, error }
      */
-    addBlock(blockData) {
-        // Reconstruct the block
-        const block = new Block(
-            blockData.index,
-            blockData.timestamp,
-            blockData.transactions.map(txData => {
-                const tx = new Transaction(
-                    txData.senderAddress,
-                    txData.receiverAddress,
-                    txData.amount
-                );
-                tx.timestamp = txData.timestamp;
-                tx.signature = txData.signature;
-                return tx;
-            }),
-            blockData.previousHash
-        );
-        block.nonce = blockData.nonce;
-        block.hash = blockData.hash;
-
-        // Verify the block links to our latest block
-        const latestBlock = this.getLatestBlock();
+    async addBlock(blockData) {
+        const reject = (reason, error) => {
+            console.log(`❌ Block #${blockData.index} rejected (${reason}): ${error}`);
+            return { success: false, reason, error };
+        };
 
-        if (block.previousHash !== latestBlock.hash) {
-            console.log('❌ Block does not link to our chain');
-            return false;
+        // Reconstruct the block
+        let block;
+        try {
+            block = Block.fromJSON(blockData);
+        } catch (error) {
+            return reject(RejectReason.MALFORMED_BLOCK, error.message);
         }
 
-        if (block.index !== latestBlock.index + 1) {
-            console.log('❌ Block index mismatch');
-            return false;
-        }
+        // Blocks are checked and connected one at a time: the parent's
+        // state must not change under us while a reorg is in progress
+        const unlock = await this.lockChain();
+        try {
+            if (this.blockTree.has(block.hash)) {
+                return reject(RejectReason.DUPLICATE_BLOCK, 'Block already known');
+            }
 
-        // Verify the hash is valid
-        if (block.hash !== block.calculateHash()) {
-            console.log('❌ Block hash is invalid');
-            return false;
-        }
+            // Verify the block links to a block we know (on any branch)
+            const parent = this.blockTree.get(block.previousHash);
+            if (!parent) {
+                return reject(RejectReason.UNKNOWN_PARENT, 'Block does not link to any known block');
+            }
 
-        // Verify proof of work
-        if (block.hash.substring(0, this.difficulty) !== '0'.repeat(this.difficulty)) {
-            console.log('❌ Block does not meet difficulty requirement');
-            return false;
-        }
+            if (this.forksBeforeCheckpoint(block)) {
+                return reject(RejectReason.FORK_BEFORE_CHECKPOINT, `Block forks below checkpoint #${this.getLastCheckpointPassed().height}`);
+            }
 
-        // Add the block
-        this.chain.push(block);
-        console.log(`📦 Received block #${block.index} added to chain`);
+            // Full consensus validation against the parent's state
+            const result = this.validateBlock(block, parent.block);
+            if (!result.valid) {
+                return reject(result.reason, result.error);
+            }
 
-        // Remove transactions that are now in the block from pending
-        this.removeMinedTransactions(block.transactions);
+            // Add to the tree and let the fork choice rule decide
+            const entry = this.indexBlock(block);
+            const isTip = await this.activateBestChain(entry);
+            if (isTip) {
+                console.log(`📦 Received block #${block.index} is the new tip`);
+            }
 
-        return true;
+            return { success: true, isTip };
+        } finally {
+            unlock();
+        }
     }
 
     /**
@@ -626,54 +2193,61 @@ class Blockchain {
      * Used when a peer broadcasts a new transaction.
      * 
      * @param {Object} txData - Transaction data from peer
-     * @returns {boolean} True if transaction was added
+     * @returns {Promise<boolean>} True if transaction was added, false if already known
+     * @throws {Error} If the transaction is invalid, replayed, unaffordable or refused by the mempool
      */
-    addReceivedTransaction(txData) {
+    async addReceivedTransaction(txData) {
         // Reconstruct the transaction
-        const transaction = new Transaction(
-            txData.senderAddress,
-            txData.receiverAddress,
-            txData.amount
-        );
-        transaction.timestamp = txData.timestamp;
-        transaction.signature = txData.signature;
-
-        // Check if we already have this transaction
-        const exists = this.pendingTransactions.some(tx =>
-            tx.senderAddress === transaction.senderAddress &&
-            tx.receiverAddress === transaction.receiverAddress &&
-            tx.amount === transaction.amount &&
-            tx.timestamp === transaction.timestamp
-        );
+        const transaction = Transaction.fromJSON(txData);
 
-        if (exists) {
-            return false;  // Already have it
-        }
+        const unlock = await this.lockChain();
+        try {
+            // Check if we already have this transaction
+            if (this.getPendingTransaction(transaction.calculateHash())) {
+                return false;  // Already have it
+            }
 
-        // Validate and add
-        if (transaction.isValid()) {
-            this.pendingTransactions.push(transaction);
-            console.log(`📝 Received transaction added to pending pool`);
-            return true;
-        }
+            // Same checks as locally created transactions (a higher fee can replace a pending one)
+            const replaces = this.checkPendingTransaction(transaction);
 
-        return false;
+            await this.admitTransaction(transaction, replaces);
+        } finally {
+            unlock();
+        }
+        console.log(`📝 Received transaction added to pending pool`);
+        return true;
     }
 
     /**
-     * Remove transactions that have been mined from pending pool.
+     * Remove transactions that have been mined from the mempool.
+     * Pending transactions whose nonce is now used on-chain can never
+     * be mined, so they are removed as well. On a UTXO network that means
+     * transactions whose inputs were spent by the block (double spends),
+     * and then anything spending their outputs.
      * 
      * @param {Array} minedTransactions - Transactions in the new block
+     * @returns {Transaction[]} The transactions removed from the pool
      */
     removeMinedTransactions(minedTransactions) {
-        this.pendingTransactions = this.pendingTransactions.filter(pending => {
-            return !minedTransactions.some(mined =>
-                mined.senderAddress === pending.senderAddress &&
-                mined.receiverAddress === pending.receiverAddress &&
-                mined.amount === pending.amount &&
-                mined.timestamp === pending.timestamp
-            );
-        });
+        const removed = minedTransactions
+            .map(tx => this.mempool.remove(tx.calculateHash()))
+            .filter(tx => tx !== null);
+
+        if (this.ledger === Ledger.UTXO) {
+            // Repeat until stable: dropping a transaction orphans its spenders
+            for (let dropped = [null]; dropped.length > 0;) {
+                const { created } = this.getPendingOutpoints();
+                dropped = this.mempool.filter(tx => tx.inputs.every(input => {
+                    const outpoint = getOutpoint(input.txid, input.index);
+                    return this.accounts.state.utxos.has(outpoint) || created.has(outpoint);
+                }));
+                removed.push(...dropped);
+            }
+            return removed;
+        }
+
+        removed.push(...this.mempool.filter(pending => pending.nonce >= this.getNonce(pending.senderAddress)));
+        return removed;
     }
 }
 
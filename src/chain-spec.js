@@ -0,0 +1,261 @@
+/**
+ * ========================================
+ * NEKO CHAIN - CHAIN SPECIFICATION MODULE
+ * ========================================
+ * 
+ * Loads the chain specification: the JSON file that defines a network.
+ * 
+ * EDUCATIONAL NOTES:
+ * ==================
+ * 
+ * 1. WHY A CHAIN SPEC?
+ *    - Every node must start from exactly the same genesis block
+ *    - If each node made its own (e.g. with Date.now()), their genesis
+ *      hashes would differ and they could never share blocks
+ *    - Bitcoin hard-codes its genesis block; Ethereum and Substrate
+ *      chains ship a "genesis file" / "chain spec" instead
+ * 
+ * 2. WHAT'S IN IT?
+ *    - chainId:    Name of the network
+ *    - ledger:     "account" (balances and nonces) or "utxo" (unspent
+ *                  outputs, see utxo.js), fixed for the life of the network
+ *    - genesis:    Fixed timestamp, starting difficulty, and premine
+ *                  allocations (coins that exist from block 0)
+ *    - consensus:  The engine ("pow", "poa" with its authorities and
+ *                  block period, or "pos" with its genesis validators,
+ *                  slots and staking rules, see consensus.js), difficulty
+ *                  retargeting parameters, the largest
+ *                  block (encoded bytes, transaction count) nodes accept,
+ *                  and the timestamp rules (median-time-past window,
+ *                  how far ahead of network time a block may be)
+ *    - rewards:    Block reward schedule (halving, supply cap)
+ *    - checkpoints: Known block hashes by height ({ "1000": "00ab..." });
+ *                  chains with another block at those heights are rejected
+ * 
+ * 3. SAME SPEC = SAME GENESIS HASH
+ *    - Nodes report their genesis hash, so mismatched networks are easy to spot
+ */
+
+const fs = require('fs');
+const { Ledger } = require('./utxo');
+const { Consensus, isPublicKey } = require('./consensus');
+
+// Used when no chain spec file is given
+const DEFAULT_CHAIN_SPEC = {
+    name: 'Neko Chain',
+    chainId: 'neko-main',
+    ledger: Ledger.ACCOUNT,
+    genesis: {
+        timestamp: 1735689600000,   // 2025-01-01T00:00:00Z
+        difficulty: 4,
+        allocations: []
+    },
+    consensus: {
+        engine: Consensus.POW,
+        authorities: [],                // Proof-of-authority signers (public keys)
+        blockPeriod: 5000,              // Proof-of-authority: minimum milliseconds between blocks
+        validators: [],                 // Proof-of-stake genesis stakes: [{ address, stake }]
+        slotDuration: 5000,             // Proof-of-stake: milliseconds per slot
+        stakeLockPeriod: 100,           // Proof-of-stake: blocks unstaked coins stay locked
+        minStake: 1,                    // Proof-of-stake: smallest stake that makes a validator
+        targetBlockTime: 10000,
+        retargetInterval: 10,
+        minDifficulty: 1,
+        maxDifficulty: 12,
+        maxBlockBytes: 1000 * 1000,     // 1 MB, like Bitcoin before segwit
+        maxBlockTransactions: 10000,    // Coinbase included
+        medianTimeBlocks: 11,           // Median-time-past window, like Bitcoin
+        maxFutureBlockTime: 2 * 60 * 60 * 1000
+    },
+    rewards: {
+        initialReward: 50,
+        halvingInterval: 100000,
+        maxSupply: null
+    },
+    checkpoints: {}
+};
+
+/**
+ * Fill in defaults and check a chain spec.
+ * 
+ * @param {Object} spec - Chain spec as parsed from JSON
+ * @returns {Object} A complete chain spec
+ * @throws {Error} If a field has the wrong type or an unusable value
+ */
+function normalizeChainSpec(spec = {}) {
+    const normalized = {
+        name: spec.name ?? DEFAULT_CHAIN_SPEC.name,
+        chainId: spec.chainId ?? DEFAULT_CHAIN_SPEC.chainId,
+        ledger: spec.ledger ?? DEFAULT_CHAIN_SPEC.ledger,
+        genesis: { ...DEFAULT_CHAIN_SPEC.genesis, ...spec.genesis },
+        consensus: { ...DEFAULT_CHAIN_SPEC.consensus, ...spec.consensus },
+        rewards: { ...DEFAULT_CHAIN_SPEC.rewards, ...spec.rewards },
+        checkpoints: spec.checkpoints ?? DEFAULT_CHAIN_SPEC.checkpoints
+    };
+
+    if (typeof normalized.chainId !== 'string' || normalized.chainId.length === 0) {
+        throw new Error('Chain spec: chainId must be a non-empty string');
+    }
+
+    if (!Object.values(Ledger).includes(normalized.ledger)) {
+        throw new Error(`Chain spec: ledger must be one of: ${Object.values(Ledger).join(', ')}`);
+    }
+
+    if (!Number.isInteger(normalized.genesis.timestamp) || normalized.genesis.timestamp < 0) {
+        throw new Error('Chain spec: genesis.timestamp must be a Unix time in milliseconds');
+    }
+
+    if (!Array.isArray(normalized.genesis.allocations)) {
+        throw new Error('Chain spec: genesis.allocations must be an array');
+    }
+
+    if (!Object.values(Consensus).includes(normalized.consensus.engine)) {
+        throw new Error(`Chain spec: consensus.engine must be one of: ${Object.values(Consensus).join(', ')}`);
+    }
+
+    if (normalized.consensus.engine === Consensus.POA) {
+        const { authorities, blockPeriod } = normalized.consensus;
+        if (!Array.isArray(authorities) || authorities.length === 0 || !authorities.every(isPublicKey)) {
+            throw new Error('Chain spec: consensus.authorities must list the public keys of at least one authority');
+        }
+        if (new Set(authorities).size !== authorities.length) {
+            throw new Error('Chain spec: consensus.authorities lists an authority twice');
+        }
+        if (!Number.isInteger(blockPeriod) || blockPeriod < 0) {
+            throw new Error('Chain spec: consensus.blockPeriod must be a non-negative integer (milliseconds)');
+        }
+    }
+
+    if (normalized.consensus.engine === Consensus.POS) {
+        const { validators, slotDuration, stakeLockPeriod, minStake } = normalized.consensus;
+        if (normalized.ledger !== Ledger.ACCOUNT) {
+            throw new Error('Chain spec: proof-of-stake needs the account ledger');
+        }
+        if (typeof minStake !== 'number' || !(minStake > 0)) {
+            throw new Error('Chain spec: consensus.minStake must be a positive amount');
+        }
+        if (!Array.isArray(validators) || validators.length === 0) {
+            throw new Error('Chain spec: consensus.validators must list at least one genesis validator');
+        }
+        for (const validator of validators) {
+            if (!isPublicKey(validator.address)) {
+                throw new Error('Chain spec: every validator address must be a public key');
+            }
+            if (typeof validator.stake !== 'number' || !(validator.stake >= minStake)) {
+                throw new Error(`Chain spec: validator ${validator.address.substring(0, 20)}... must stake at least minStake (${minStake})`);
+            }
+        }
+        if (new Set(validators.map(validator => validator.address)).size !== validators.length) {
+            throw new Error('Chain spec: consensus.validators lists a validator twice');
+        }
+        if (!Number.isInteger(slotDuration) || slotDuration < 1) {
+            throw new Error('Chain spec: consensus.slotDuration must be a positive integer (milliseconds)');
+        }
+        if (!Number.isInteger(stakeLockPeriod) || stakeLockPeriod < 1) {
+            throw new Error('Chain spec: consensus.stakeLockPeriod must be a positive integer (blocks)');
+        }
+    }
+
+    for (const field of ['targetBlockTime', 'retargetInterval', 'maxBlockBytes', 'maxBlockTransactions', 'medianTimeBlocks', 'maxFutureBlockTime']) {
+        if (!Number.isInteger(normalized.consensus[field]) || normalized.consensus[field] < 1) {
+            throw new Error(`Chain spec: consensus.${field} must be a positive integer`);
+        }
+    }
+
+    // Difficulty counts leading zeros, so 0 (regtest) is allowed
+    for (const field of ['minDifficulty', 'maxDifficulty']) {
+        if (!Number.isInteger(normalized.consensus[field]) || normalized.consensus[field] < 0) {
+            throw new Error(`Chain spec: consensus.${field} must be a non-negative integer`);
+        }
+    }
+    if (normalized.consensus.minDifficulty > normalized.consensus.maxDifficulty) {
+        throw new Error('Chain spec: consensus.minDifficulty must not be above consensus.maxDifficulty');
+    }
+
+    if (!Number.isFinite(normalized.rewards.initialReward) || !(normalized.rewards.initialReward > 0)) {
+        throw new Error('Chain spec: rewards.initialReward must be a positive amount');
+    }
+    if (!Number.isInteger(normalized.rewards.halvingInterval) || normalized.rewards.halvingInterval < 1) {
+        throw new Error('Chain spec: rewards.halvingInterval must be a positive integer (blocks)');
+    }
+
+    if (typeof normalized.checkpoints !== 'object' || normalized.checkpoints === null || Array.isArray(normalized.checkpoints)) {
+        throw new Error('Chain spec: checkpoints must be an object of height -> block hash');
+    }
+
+    for (const [height, hash] of Object.entries(normalized.checkpoints)) {
+        if (!/^[1-9][0-9]*$/.test(height)) {
+            throw new Error(`Chain spec: checkpoint height "${height}" must be a positive integer`);
+        }
+        if (typeof hash !== 'string' || !/^[0-9a-f]{64}$/.test(hash)) {
+            throw new Error(`Chain spec: checkpoint ${height} must be a 64-character hex block hash`);
+        }
+    }
+
+    for (const allocation of normalized.genesis.allocations) {
+        if (typeof allocation.address !== 'string' || allocation.address.length === 0) {
+            throw new Error('Chain spec: every allocation needs an address');
+        }
+        if (typeof allocation.amount !== 'number' || !(allocation.amount > 0)) {
+            throw new Error(`Chain spec: allocation to ${allocation.address.substring(0, 20)}... must have a positive amount`);
+        }
+    }
+
+    return normalized;
+}
+
+/**
+ * Read and check a chain spec file.
+ * 
+ * @param {string} filePath - Path to the JSON file
+ * @returns {Object} A complete chain spec
+ */
+function loadChainSpec(filePath) {
+    const spec = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    return normalizeChainSpec(spec);
+}
+
+/**
+ * Turn a chain spec into Blockchain constructor options.
+ * 
+ * @param {Object} spec - Chain spec (normalized or not)
+ * @returns {Object} Options for new Blockchain(storage, options)
+ */
+function toBlockchainOptions(spec) {
+    const { name, chainId, ledger, genesis, consensus, rewards, checkpoints } = normalizeChainSpec(spec);
+
+    return {
+        name,
+        chainId,
+        ledger,
+        consensus: consensus.engine,
+        authorities: consensus.authorities,
+        blockPeriod: consensus.blockPeriod,
+        validators: consensus.validators,
+        slotDuration: consensus.slotDuration,
+        stakeLockPeriod: consensus.stakeLockPeriod,
+        minStake: consensus.minStake,
+        genesisTimestamp: genesis.timestamp,
+        allocations: genesis.allocations,
+        difficulty: genesis.difficulty,
+        targetBlockTime: consensus.targetBlockTime,
+        retargetInterval: consensus.retargetInterval,
+        minDifficulty: consensus.minDifficulty,
+        maxDifficulty: consensus.maxDifficulty,
+        maxBlockBytes: consensus.maxBlockBytes,
+        maxBlockTransactions: consensus.maxBlockTransactions,
+        medianTimeBlocks: consensus.medianTimeBlocks,
+        maxFutureBlockTime: consensus.maxFutureBlockTime,
+        miningReward: rewards.initialReward,
+        halvingInterval: rewards.halvingInterval,
+        maxSupply: rewards.maxSupply,
+        checkpoints
+    };
+}
+
+module.exports = {
+    DEFAULT_CHAIN_SPEC,
+    normalizeChainSpec,
+    loadChainSpec,
+    toBlockchainOptions
+};
@@ -0,0 +1,1376 @@
+/**
+ * ========================================
+ * NEKO CHAIN - CONSENSUS ENGINE MODULE
+ * ========================================
+ * 
+ * Decides who may produce the next block and how everyone else checks it.
+ * The chain spec picks the engine: proof-of-work, proof-of-authority or
+ * proof-of-stake.
+ * 
+ * EDUCATIONAL NOTES:
+ * ==================
+ * 
+ * 1. WHAT AN ENGINE DOES
+ *    - Seals a new block (PoW: find a nonce; PoA and PoS: sign it)
+ *    - Checks the seal of every block we receive (see validation.js)
+ *    - Says how much a block weighs, for the fork choice rule
+ *    - Everything else (transactions, rewards, limits) is the same
+ *      for every engine
+ * 
+ * 2. PROOF OF AUTHORITY
+ *    - A fixed list of known signers (authorities) in the chain spec,
+ *      like Ethereum's Clique: fine for a private or team network,
+ *      where everyone knows who runs the nodes - no CPU is burned
+ *    - An authority seals a block by signing its hash with its key;
+ *      the coinbase must pay that authority, so the signer is committed
+ *      to by the Merkle root and can't be swapped afterwards
+ *    - Authorities take turns: block N is "in turn" for authority
+ *      N mod (number of authorities)
+ * 
+ * 3. TURNS AND FORK CHOICE
+ *    - An in-turn block has difficulty 2, an out-of-turn block 1, and
+ *      the chain with the highest sum wins - so the in-turn authority's
+ *      chain wins when two authorities seal at the same height
+ *    - Any authority may step in when the in-turn one is offline, but no
+ *      authority may sign more than one of any floor(N/2) + 1 blocks in
+ *      a row, so one rogue authority can't take over the chain
+ *    - Blocks are at least blockPeriod apart
+ * 
+ * 4. GOVERNANCE
+ *    - An authority votes by sending a zero-amount transaction to
+ *      governance:add:<public key> or governance:remove:<public key>
+ *    - Once more than half of the authorities voted for the same change,
+ *      it applies from the next block on
+ *    - Votes that don't count (not from an authority, a repeated vote,
+ *      adding an existing authority...) are ignored, as in Clique
+ *    - The authority set after a block is replayed from the votes in its
+ *      branch, so a reorg also undoes the votes of the old branch
+ *    - Votes are account transactions: on a UTXO network the authority
+ *      set stays the one in the chain spec
+ * 
+ * 5. PROOF OF STAKE
+ *    - Anyone can become a validator by locking coins (staking); the
+ *      validator set is whoever has at least minStake locked
+ *    - Time is split into slots of slotDuration, counted from the genesis
+ *      timestamp. Each slot has one proposer, picked from the validators
+ *      with a chance proportional to their stake, seeded by the parent's
+ *      hash and the slot number - every node computes the same proposer
+ *    - The proposer signs the block like an authority does, and the
+ *      coinbase (reward and fees) pays it
+ *    - An offline proposer's slot is simply empty; each block weighs 1,
+ *      so the longest chain wins
+ *    - The seed comes from the parent block, so a proposer could try
+ *      different transaction sets to pick the next proposer (grinding):
+ *      real chains mix in randomness nobody controls alone (RANDAO, VRFs)
+ * 
+ * 6. STAKING TRANSACTIONS
+ *    - Stake: send coins to staking:pool. They leave your balance and
+ *      count as your stake from the next block on
+ *    - Unstake: send 0 NEKO to staking:unstake. Your whole stake stops
+ *      counting at once, but the coins stay locked for stakeLockPeriod
+ *      blocks - long enough for misbehaviour to be noticed and punished
+ *    - Once the lock period is over, the proposer of that height must
+ *      pay the coins back from staking:pool: "system transactions" that
+ *      no one signs, the engine checks they are exactly the ones due
+ *    - Staking only exists on the account ledger
+ * 
+ * 7. SLASHING
+ *    - A validator must never sign two different blocks for the same slot:
+ *      that is how it would help two forks at once ("nothing at stake")
+ *    - Two such signed headers prove it. Nodes notice it when they see both
+ *      blocks, and the next proposer includes the evidence as a system
+ *      transaction to staking:slash:...
+ *    - The validator loses its stake and any coins still locked after
+ *      unstaking (they stay in the pool forever, i.e. are burned), and
+ *      can never propose again
+ */
+
+const { signData, verifySignature, getKeyPairFromPrivate } = require('./wallet');
+const { getWork, meetsDifficulty } = require('./difficulty');
+const { RejectReason, check } = require('./validation');
+const { sha256, decodeBlockHeader, encodeBlockHeader } = require('./encoding');
+const { toUnits, fromUnits } = require('./monetary-policy');
+
+// Consensus engines a chain spec can pick
+const Consensus = {
+    POW: 'pow',
+    POA: 'poa',
+    POS: 'pos'
+};
+
+// Proof-of-authority block difficulties (Clique's values)
+const DIFFICULTY_IN_TURN = 2;
+const DIFFICULTY_NO_TURN = 1;
+
+// Receivers of governance votes: governance:add:<key>, governance:remove:<key>
+const GOVERNANCE_PREFIX = 'governance:';
+const GovernanceAction = {
+    ADD: 'add',
+    REMOVE: 'remove'
+};
+
+// Staking receivers: stakes are held by the pool, which also pays them back
+const STAKING_PREFIX = 'staking:';
+const STAKING_POOL_ADDRESS = 'staking:pool';
+const UNSTAKE_ADDRESS = 'staking:unstake';
+const SLASHING_PREFIX = 'staking:slash:';
+
+// Every proof-of-stake block weighs the same
+const POS_DIFFICULTY = 1;
+
+// How many slots ahead a validator looks for its next turn to propose
+const MAX_SLOT_SEARCH = 64;
+
+// Signed headers remembered for spotting double-signing
+const MAX_OBSERVED_HEADERS = 1000;
+
+// Uncompressed secp256k1 public key, as created by wallet.js
+const PUBLIC_KEY_PATTERN = /^04[0-9a-f]{128}$/;
+
+/**
+ * Check whether a string is a public key an authority can have.
+ * 
+ * @param {*} value - Value to check
+ * @returns {boolean} True for an uncompressed secp256k1 public key in hex
+ */
+function isPublicKey(value) {
+    return typeof value === 'string' && PUBLIC_KEY_PATTERN.test(value);
+}
+
+/**
+ * Get the receiver address of a governance vote.
+ * 
+ * @param {string} action - GovernanceAction.ADD or GovernanceAction.REMOVE
+ * @param {string} authority - Public key to add or remove
+ * @returns {string} governance:<action>:<authority>
+ */
+function getGovernanceAddress(action, authority) {
+    return `${GOVERNANCE_PREFIX}${action}:${authority}`;
+}
+
+/**
+ * Check whether a receiver address is meant as a governance vote.
+ * 
+ * @param {string} address - Receiver address
+ * @returns {boolean} True if it starts with governance:
+ */
+function isGovernanceAddress(address) {
+    return typeof address === 'string' && address.startsWith(GOVERNANCE_PREFIX);
+}
+
+/**
+ * Read the proposal out of a governance address.
+ * 
+ * @param {string} address - Receiver address
+ * @returns {Object|null} { action, authority }, or null if it isn't a well-formed vote
+ */
+function parseGovernanceAddress(address) {
+    if (!isGovernanceAddress(address)) {
+        return null;
+    }
+
+    const [action, authority, ...rest] = address.substring(GOVERNANCE_PREFIX.length).split(':');
+    if (!Object.values(GovernanceAction).includes(action) || !isPublicKey(authority) || rest.length > 0) {
+        return null;
+    }
+    return { action, authority };
+}
+
+/**
+ * Check whether a receiver address is meant for the staking engine.
+ * 
+ * @param {string} address - Receiver address
+ * @returns {boolean} True if it starts with staking:
+ */
+function isStakingAddress(address) {
+    return typeof address === 'string' && address.startsWith(STAKING_PREFIX);
+}
+
+/**
+ * Check whether a receiver address is an instruction to a consensus
+ * engine (a governance vote or a staking transaction) rather than an account.
+ * 
+ * @param {string} address - Receiver address
+ * @returns {boolean} True for governance: and staking: addresses
+ */
+function isConsensusAddress(address) {
+    return isGovernanceAddress(address) || isStakingAddress(address);
+}
+
+/**
+ * Get the receiver address carrying double-signing evidence: two
+ * different headers for the same slot, both signed by the validator.
+ * 
+ * @param {string} validator - Public key of the validator
+ * @param {Object} first - { header, signature }: a signed block header
+ * @param {Object} second - { header, signature }: another one, same slot
+ * @returns {string} staking:slash:<validator>:<header>:<signature>:<header>:<signature>
+ */
+function getSlashingAddress(validator, first, second) {
+    // Sorted by hash, so the same pair always gives the same address
+    const [a, b] = [first, second].sort((x, y) => (x.header.hash < y.header.hash ? -1 : 1));
+    const parts = [a, b].map(({ header, signature }) => `${encodeBlockHeader(header).toString('hex')}:${signature}`);
+    return `${SLASHING_PREFIX}${validator}:${parts.join(':')}`;
+}
+
+/**
+ * Read the evidence out of a slashing address.
+ * 
+ * @param {string} address - Receiver address
+ * @returns {Object|null} { validator, headers: [{ header, signature }, ...] }, or null if malformed
+ */
+function parseSlashingAddress(address) {
+    if (typeof address !== 'string' || !address.startsWith(SLASHING_PREFIX)) {
+        return null;
+    }
+
+    const [validator, headerA, signatureA, headerB, signatureB, ...rest] = address.substring(SLASHING_PREFIX.length).split(':');
+    if (!isPublicKey(validator) || rest.length > 0 || !signatureB) {
+        return null;
+    }
+
+    try {
+        return {
+            validator,
+            headers: [
+                { header: decodeBlockHeader(Buffer.from(headerA, 'hex')), signature: signatureA },
+                { header: decodeBlockHeader(Buffer.from(headerB, 'hex')), signature: signatureB }
+            ]
+        };
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Get the address a block's coinbase pays. Under proof-of-authority
+ * and proof-of-stake that is the block's signer.
+ * 
+ * @param {Block} block - The block
+ * @returns {string|null} Coinbase receiver, or null if there is no coinbase
+ */
+function getBlockSigner(block) {
+    const coinbase = block.transactions.find(tx => tx.senderAddress === null);
+    return coinbase ? coinbase.receiverAddress : null;
+}
+
+class ConsensusEngine {
+    /**
+     * Defaults shared by every engine: no coins at genesis, no system
+     * transactions, and no governance or staking transactions.
+     * 
+     * @param {string} name - Consensus.POW, Consensus.POA or Consensus.POS
+     * @param {Blockchain} blockchain - The chain the engine works for
+     * @param {Object} options
+     * @param {Object} options.logger - Where sealing and slashing are reported: { log } (default console)
+     */
+    constructor(name, blockchain, options = {}) {
+        this.name = name;
+        this.blockchain = blockchain;
+        this.systemAddress = null;         // Sender of the engine's own transactions, if it makes any
+        this.logger = options.logger ?? console;
+    }
+
+    /**
+     * Get coins the engine needs in the genesis block, besides the premine.
+     * 
+     * @returns {Array} [{ address, amount }]
+     */
+    getGenesisAllocations() {
+        return [];
+    }
+
+    /**
+     * Check whether a transaction was made by the engine itself (unsigned,
+     * from systemAddress). Those are checked by checkBlock instead of
+     * by their signature.
+     * 
+     * @param {Transaction} tx - Any transaction
+     * @returns {boolean} True if it is a system transaction
+     */
+    isSystemTransaction(tx) {
+        return this.systemAddress !== null && tx.senderAddress === this.systemAddress;
+    }
+
+    /**
+     * Get the payments the engine makes at the start of the block after
+     * `parent` (Blockchain.createSystemTransactions turns them into transactions).
+     * 
+     * @param {Block} parent - The block being built on
+     * @returns {Array} [{ receiverAddress, amount }]
+     */
+    getSystemTransfers(parent) {
+        return [];
+    }
+
+    /**
+     * Look at a block that joined the block tree (any branch).
+     * 
+     * @param {Block} block - A valid block
+     */
+    observeBlock(block) {
+    }
+
+    /**
+     * Forget blocks deleted from the block tree (regtest snapshot revert):
+     * nothing the engine keeps may still refer to them.
+     * 
+     * @param {Block[]} blocks - The deleted blocks
+     */
+    forgetBlocks(blocks) {
+    }
+
+    /**
+     * Get the earliest timestamp the block after `parent` may have.
+     * 
+     * @param {Block} parent - The block being built on
+     * @returns {number} Milliseconds since the Unix epoch
+     */
+    getEarliestTimestamp(parent) {
+        return this.blockchain.getMedianTimePast(parent) + 1;
+    }
+
+    /**
+     * Check engine-specific rules for a pending transaction.
+     * 
+     * @param {Transaction} transaction - Transaction entering the mempool
+     * @throws {Error} If it is meant for another engine
+     */
+    checkPendingTransaction(transaction) {
+        if (isGovernanceAddress(transaction.receiverAddress)) {
+            throw new Error('Governance votes are only used on proof-of-authority networks');
+        }
+        if (isStakingAddress(transaction.receiverAddress)) {
+            throw new Error('Staking transactions are only used on proof-of-stake networks');
+        }
+    }
+}
+
+class ProofOfWork extends ConsensusEngine {
+    /**
+     * Proof-of-work: blocks are sealed by finding a nonce (pow.js).
+     * 
+     * @param {Blockchain} blockchain - Supplies retargeting and the miner
+     * @param {Object} options
+     * @param {Object} options.logger - See ConsensusEngine
+     */
+    constructor(blockchain, options = {}) {
+        super(Consensus.POW, blockchain, options);
+    }
+
+    /**
+     * Get the difficulty the block after `parent` must have.
+     * 
+     * @param {Block} parent - The block being built on
+     * @param {Function} getBlockAt - Lookup for ancestors of parent by height
+     * @returns {number} Expected difficulty (from retargeting)
+     */
+    getNextDifficulty(parent, getBlockAt) {
+        return this.blockchain.getNextDifficulty(parent, getBlockAt);
+    }
+
+    /**
+     * Get the weight of a block for the fork choice rule.
+     * 
+     * @param {Block} block - The block
+     * @returns {number} Expected number of hashes (16^difficulty)
+     */
+    getBlockWork(block) {
+        return getWork(block.difficulty);
+    }
+
+    /**
+     * Check the difficulty and proof-of-work of a block.
+     * 
+     * @param {Block} block - Block whose hash and Merkle root were already checked
+     * @param {Block} parent - Its parent
+     * @param {Function} getBlockAt - Lookup for ancestors of parent by height
+     * @throws {ValidationError} If the seal is wrong
+     */
+    checkBlock(block, parent, getBlockAt) {
+        check(block.signature === null || block.signature === undefined, RejectReason.BAD_SEAL,
+            'Proof-of-work blocks are not signed');
+
+        const expectedDifficulty = this.getNextDifficulty(parent, getBlockAt);
+        check(block.difficulty === expectedDifficulty, RejectReason.BAD_DIFFICULTY,
+            `Block difficulty ${block.difficulty} does not match expected ${expectedDifficulty}`);
+        check(meetsDifficulty(block.hash, block.difficulty), RejectReason.INSUFFICIENT_WORK,
+            'Block hash does not meet its difficulty target');
+    }
+
+    /**
+     * Seal a block by mining it on worker threads.
+     * 
+     * @param {Block} block - Candidate block
+     * @returns {Promise<boolean>} True if sealed, false if aborted
+     */
+    seal(block) {
+        return this.blockchain.miner.mine(block);
+    }
+
+    /**
+     * Describe the engine for the startup log.
+     * 
+     * @returns {string} One line
+     */
+    describe() {
+        const { retargetInterval, targetBlockTime } = this.blockchain;
+        return `Difficulty: ${this.blockchain.getCurrentDifficulty()} (retargets every ${retargetInterval} blocks, target ${targetBlockTime / 1000}s/block)`;
+    }
+
+    /**
+     * Get a summary for the API.
+     * 
+     * @returns {Object} { engine, difficulty }
+     */
+    getInfo() {
+        return { engine: this.name, difficulty: this.blockchain.getCurrentDifficulty() };
+    }
+}
+
+class ProofOfAuthority extends ConsensusEngine {
+    /**
+     * Proof-of-authority: authorities take turns signing blocks.
+     * 
+     * @param {Blockchain} blockchain - Supplies the clock and the active chain
+     * @param {Object} options
+     * @param {string[]} options.authorities - Public keys of the initial authorities
+     * @param {number} options.blockPeriod - Minimum milliseconds between blocks
+     * @param {string} options.authorityKey - This node's authority private key (only needed to seal)
+     * @param {Object} options.logger - See ConsensusEngine
+     */
+    constructor(blockchain, options = {}) {
+        super(Consensus.POA, blockchain, options);
+        this.blockPeriod = options.blockPeriod ?? 0;
+        this.genesisState = { authorities: [...options.authorities], votes: new Map() };
+        this.states = new Map();           // block hash -> { authorities, votes } after that block
+        this.authorityKey = options.authorityKey ?? null;
+        this.authorityAddress = this.authorityKey
+            ? getKeyPairFromPrivate(this.authorityKey).getPublic('hex')
+            : null;
+    }
+
+    /**
+     * Get the authority set and open votes after a block, replaying the
+     * votes of its branch (results are cached by block hash).
+     * 
+     * @param {Block} block - A known block
+     * @param {Function} getBlockAt - Lookup for ancestors of block by height
+     * @returns {Object} { authorities: string[], votes: Map proposal address -> voters }
+     */
+    getGovernanceState(block, getBlockAt = height => this.blockchain.getAncestor(block, height)) {
+        const path = [];
+        let current = block;
+        while (!this.states.has(current.hash)) {
+            if (current.index === 0) {
+                this.states.set(current.hash, this.genesisState);
+                break;
+            }
+            path.push(current);
+            current = getBlockAt(current.index - 1);
+        }
+
+        let state = this.states.get(current.hash);
+        for (let i = path.length - 1; i >= 0; i--) {
+            state = path[i].transactions.reduce((result, tx) => this.applyVote(result, tx), state);
+            this.states.set(path[i].hash, state);
+        }
+        return state;
+    }
+
+    /**
+     * Drop the cached governance states of deleted blocks.
+     * 
+     * @param {Block[]} blocks - The deleted blocks
+     */
+    forgetBlocks(blocks) {
+        for (const block of blocks) {
+            this.states.delete(block.hash);
+        }
+    }
+
+    /**
+     * Get the authorities that may sign the block after `parent`.
+     * 
+     * @param {Block} parent - The block being built on
+     * @param {Function} getBlockAt - Lookup for ancestors of parent by height
+     * @returns {string[]} Public keys, in turn order
+     */
+    getAuthorities(parent, getBlockAt) {
+        return this.getGovernanceState(parent, getBlockAt).authorities;
+    }
+
+    /**
+     * Explain why a vote wouldn't count, or return null if it would.
+     * 
+     * @param {Object} state - { authorities, votes }
+     * @param {string} voter - Sender of the vote
+     * @param {Object|null} proposal - { action, authority } from parseGovernanceAddress
+     * @param {string} address - The vote's receiver address
+     * @returns {string|null} Reason, or null if the vote counts
+     */
+    getVoteProblem(state, voter, proposal, address) {
+        if (!proposal) {
+            return 'Governance votes go to governance:add:<public key> or governance:remove:<public key>';
+        }
+        if (!state.authorities.includes(voter)) {
+            return 'Only authorities can vote';
+        }
+        if (proposal.action === GovernanceAction.ADD && state.authorities.includes(proposal.authority)) {
+            return 'That key is already an authority';
+        }
+        if (proposal.action === GovernanceAction.REMOVE && !state.authorities.includes(proposal.authority)) {
+            return 'That key is not an authority';
+        }
+        if (proposal.action === GovernanceAction.REMOVE && state.authorities.length === 1) {
+            return 'The last authority can\'t be removed';
+        }
+        if ((state.votes.get(address) ?? []).includes(voter)) {
+            return 'This authority already voted for that change';
+        }
+        return null;
+    }
+
+    /**
+     * Apply one transaction of a block to the governance state.
+     * Anything but a vote that counts leaves the state unchanged.
+     * 
+     * @param {Object} state - { authorities, votes } (not modified)
+     * @param {Transaction} tx - Transaction from the block
+     * @returns {Object} The new state (or the same one)
+     */
+    applyVote(state, tx) {
+        const address = tx.receiverAddress;
+        if (!isGovernanceAddress(address)) {
+            return state;
+        }
+
+        const proposal = parseGovernanceAddress(address);
+        if (this.getVoteProblem(state, tx.senderAddress, proposal, address) !== null) {
+            return state;
+        }
+
+        const votes = new Map(state.votes);
+        const voters = [...(votes.get(address) ?? []), tx.senderAddress];
+
+        // Not a majority yet: just record the vote
+        if (voters.length <= Math.floor(state.authorities.length / 2)) {
+            votes.set(address, voters);
+            return { authorities: state.authorities, votes };
+        }
+
+        votes.delete(address);
+        if (proposal.action === GovernanceAction.ADD) {
+            return { authorities: [...state.authorities, proposal.authority], votes };
+        }
+
+        // A removed authority's open votes no longer count
+        for (const [other, otherVoters] of votes) {
+            const remaining = otherVoters.filter(voter => voter !== proposal.authority);
+            if (remaining.length > 0) {
+                votes.set(other, remaining);
+            } else {
+                votes.delete(other);
+            }
+        }
+        return { authorities: state.authorities.filter(authority => authority !== proposal.authority), votes };
+    }
+
+    /**
+     * Get the authority whose turn it is to sign the block after `parent`.
+     * 
+     * @param {Block} parent - The block being built on
+     * @param {Function} getBlockAt - Lookup for ancestors of parent by height
+     * @returns {string} Public key of the in-turn authority
+     */
+    getInTurnAuthority(parent, getBlockAt) {
+        const authorities = this.getAuthorities(parent, getBlockAt);
+        return authorities[(parent.index + 1) % authorities.length];
+    }
+
+    /**
+     * Get the difficulty the block after `parent` must have.
+     * 
+     * @param {Block} parent - The block being built on
+     * @param {Function} getBlockAt - Lookup for ancestors of parent by height
+     * @param {string} signer - Authority signing the block
+     * @returns {number} DIFFICULTY_IN_TURN or DIFFICULTY_NO_TURN
+     */
+    getNextDifficulty(parent, getBlockAt, signer) {
+        return this.getInTurnAuthority(parent, getBlockAt) === signer ? DIFFICULTY_IN_TURN : DIFFICULTY_NO_TURN;
+    }
+
+    /**
+     * Check whether an authority signed one of the last floor(N/2) blocks
+     * up to `parent`, in which case it can't sign the next one.
+     * 
+     * @param {string} signer - Authority public key
+     * @param {Block} parent - The block being built on
+     * @param {Function} getBlockAt - Lookup for ancestors of parent by height
+     * @returns {boolean} True if it must wait for another authority's block
+     */
+    signedRecently(signer, parent, getBlockAt = height => this.blockchain.getAncestor(parent, height)) {
+        const limit = Math.floor(this.getAuthorities(parent, getBlockAt).length / 2);
+
+        for (let height = parent.index; height > Math.max(0, parent.index - limit); height--) {
+            if (getBlockSigner(getBlockAt(height)) === signer) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Get the earliest timestamp the block after `parent` may have.
+     * 
+     * @param {Block} parent - The block being built on
+     * @returns {number} Milliseconds since the Unix epoch
+     */
+    getEarliestTimestamp(parent) {
+        return Math.max(this.blockchain.getMedianTimePast(parent) + 1, parent.timestamp + this.blockPeriod);
+    }
+
+    /**
+     * Get the weight of a block for the fork choice rule.
+     * 
+     * @param {Block} block - The block
+     * @returns {number} Its difficulty (2 in turn, 1 out of turn)
+     */
+    getBlockWork(block) {
+        return block.difficulty;
+    }
+
+    /**
+     * Check the seal, signer and turn of a block, and that its governance
+     * votes are well-formed.
+     * 
+     * @param {Block} block - Block whose hash and Merkle root were already checked
+     * @param {Block} parent - Its parent
+     * @param {Function} getBlockAt - Lookup for ancestors of parent by height
+     * @throws {ValidationError} If a rule is broken
+     */
+    checkBlock(block, parent, getBlockAt) {
+        check(block.nonce === 0 && typeof block.signature === 'string', RejectReason.BAD_SEAL,
+            'Proof-of-authority blocks have a signature and nonce 0');
+
+        const signer = getBlockSigner(block);
+        check(typeof signer === 'string', RejectReason.BAD_SEAL, 'Block has no coinbase naming its signer');
+        check(this.getAuthorities(parent, getBlockAt).includes(signer), RejectReason.UNAUTHORIZED_SIGNER,
+            `Block signer ${signer.substring(0, 16)}... is not an authority`);
+        check(verifySignature(signer, block.hash, block.signature), RejectReason.BAD_SEAL,
+            'Block signature was not made by the authority its coinbase pays');
+
+        const expectedDifficulty = this.getNextDifficulty(parent, getBlockAt, signer);
+        check(block.difficulty === expectedDifficulty, RejectReason.BAD_DIFFICULTY,
+            `Block difficulty ${block.difficulty} does not match expected ${expectedDifficulty} (${expectedDifficulty === DIFFICULTY_IN_TURN ? 'in' : 'out of'} turn)`);
+        check(!this.signedRecently(signer, parent, getBlockAt), RejectReason.SIGNER_TOO_RECENT,
+            `Authority ${signer.substring(0, 16)}... signed one of the last blocks, another authority must sign first`);
+        check(block.timestamp >= parent.timestamp + this.blockPeriod, RejectReason.BAD_TIMESTAMP,
+            `Blocks must be at least ${this.blockPeriod / 1000}s apart`);
+
+        for (const tx of block.transactions) {
+            if (isGovernanceAddress(tx.receiverAddress)) {
+                check(parseGovernanceAddress(tx.receiverAddress) !== null && tx.amount === 0, RejectReason.BAD_GOVERNANCE,
+                    `Governance vote ${tx.calculateHash().substring(0, 16)}... must send 0 NEKO to governance:add:<key> or governance:remove:<key>`);
+            }
+        }
+    }
+
+    /**
+     * Check that a governance vote would count on top of our tip.
+     * Other transactions are not affected by this engine.
+     * 
+     * @param {Transaction} transaction - Transaction entering the mempool
+     * @throws {Error} If it is a vote that wouldn't count, or a staking transaction
+     */
+    checkPendingTransaction(transaction) {
+        const address = transaction.receiverAddress;
+        if (!isGovernanceAddress(address)) {
+            return super.checkPendingTransaction(transaction);
+        }
+        if (transaction.amount !== 0) {
+            throw new Error('Governance votes send 0 NEKO');
+        }
+
+        const state = this.getGovernanceState(this.blockchain.getLatestBlock());
+        const problem = this.getVoteProblem(state, transaction.senderAddress, parseGovernanceAddress(address), address);
+        if (problem) {
+            throw new Error(problem);
+        }
+
+        const pending = this.blockchain.mempool.getTransactions()
+            .find(tx => tx.senderAddress === transaction.senderAddress && tx.receiverAddress === address);
+        if (pending && pending.nonce !== transaction.nonce) {
+            throw new Error('This authority already has a pending vote for that change');
+        }
+    }
+
+    /**
+     * Seal a block by signing its hash with this node's authority key.
+     * Waits until the block's timestamp (at least blockPeriod after its parent).
+     * 
+     * @param {Block} block - Candidate block whose coinbase pays this node's authority
+     * @returns {Promise<boolean>} True once sealed
+     * @throws {Error} If this node can't sign this block
+     */
+    async seal(block) {
+        if (!this.authorityKey) {
+            throw new Error('This node has no authority key to seal blocks with (start it with --authority-key)');
+        }
+        if (getBlockSigner(block) !== this.authorityAddress) {
+            throw new Error('On a proof-of-authority network the block reward goes to the sealing authority');
+        }
+
+        const parent = this.blockchain.blockTree.get(block.previousHash).block;
+        if (!this.getAuthorities(parent).includes(this.authorityAddress)) {
+            throw new Error('This node\'s key is not an authority');
+        }
+        if (this.signedRecently(this.authorityAddress, parent)) {
+            throw new Error('This authority signed one of the last blocks, another authority must sign first');
+        }
+
+        const wait = block.timestamp - this.blockchain.clock.now();
+        if (wait > 0) {
+            this.logger.log(`⏳ Waiting ${(wait / 1000).toFixed(1)}s for the block period`);
+            await new Promise(resolve => setTimeout(resolve, wait));
+        }
+
+        block.nonce = 0;
+        block.hash = block.calculateHash();
+        block.signature = signData(this.authorityKey, block.hash);
+        this.logger.log(`\n✍️  Sealed block ${block.index} (${block.difficulty === DIFFICULTY_IN_TURN ? 'in turn' : 'out of turn'})`);
+        return true;
+    }
+
+    /**
+     * Describe the engine for the startup log.
+     * 
+     * @returns {string} One line
+     */
+    describe() {
+        const authorities = this.getAuthorities(this.blockchain.getLatestBlock());
+        const role = this.authorityAddress ? (authorities.includes(this.authorityAddress) ? ', this node is one' : ', this node\'s key is not one') : '';
+        return `Proof of authority: ${authorities.length} authorities${role}, blocks every ${this.blockPeriod / 1000}s or more`;
+    }
+
+    /**
+     * Get a summary for the API: the authorities, whose turn it is and open votes.
+     * 
+     * @returns {Object} { engine, blockPeriod, authorities, inTurn, votes, authority }
+     */
+    getInfo() {
+        const tip = this.blockchain.getLatestBlock();
+        const { authorities, votes } = this.getGovernanceState(tip);
+
+        return {
+            engine: this.name,
+            blockPeriod: this.blockPeriod,
+            authorities,
+            inTurn: this.getInTurnAuthority(tip),
+            votes: [...votes].map(([address, voters]) => ({
+                ...parseGovernanceAddress(address),
+                voters,
+                needed: Math.floor(authorities.length / 2) + 1
+            })),
+            authority: this.authorityAddress
+        };
+    }
+}
+
+class ProofOfStake extends ConsensusEngine {
+    /**
+     * Proof-of-stake: validators lock coins, and a stake-weighted pick
+     * decides who signs the block of each slot.
+     * 
+     * @param {Blockchain} blockchain - Supplies the clock, genesis time and the active chain
+     * @param {Object} options
+     * @param {Array} options.validators - Genesis stakes: [{ address, stake }]
+     * @param {number} options.slotDuration - Milliseconds per slot
+     * @param {number} options.stakeLockPeriod - Blocks unstaked coins stay locked
+     * @param {number} options.minStake - Smallest stake that makes a validator
+     * @param {string} options.validatorKey - This node's validator private key (only needed to propose)
+     * @param {Object} options.logger - See ConsensusEngine
+     */
+    constructor(blockchain, options = {}) {
+        super(Consensus.POS, blockchain, options);
+        this.systemAddress = STAKING_POOL_ADDRESS;
+        this.slotDuration = options.slotDuration ?? 5000;
+        this.stakeLockPeriod = options.stakeLockPeriod ?? 100;
+        this.minStake = options.minStake ?? 1;
+        this.genesisStakes = (options.validators ?? []).map(({ address, stake }) => ({ address, stake }));
+        this.genesisState = {
+            stakes: new Map(this.genesisStakes.map(({ address, stake }) => [address, toUnits(stake)])),
+            unbonding: [],
+            slashed: new Set()
+        };
+        this.states = new Map();           // block hash -> { stakes, unbonding, slashed } after that block
+        this.signedHeaders = new Map();    // "slot:validator" -> { header, signature } of the first block seen
+        this.evidence = new Map();         // validator -> slashing address, waiting to be included
+        this.lastSignedSlot = -1;          // Never sign two blocks for one slot
+        this.validatorKey = options.validatorKey ?? null;
+        this.validatorAddress = this.validatorKey
+            ? getKeyPairFromPrivate(this.validatorKey).getPublic('hex')
+            : null;
+    }
+
+    /**
+     * The genesis stakes are real coins: the genesis block credits them
+     * to the pool, which pays them back when the validators unstake.
+     * 
+     * @returns {Array} [{ address: 'staking:pool', amount }]
+     */
+    getGenesisAllocations() {
+        const total = this.genesisStakes.reduce((sum, { stake }) => sum + toUnits(stake), 0);
+        return total > 0 ? [{ address: STAKING_POOL_ADDRESS, amount: fromUnits(total) }] : [];
+    }
+
+    /**
+     * Get the slot a timestamp falls in.
+     * 
+     * @param {number} timestamp - Milliseconds since the Unix epoch
+     * @returns {number} Slot number (the genesis block is in slot 0)
+     */
+    getSlot(timestamp) {
+        return Math.floor((timestamp - this.blockchain.genesisTimestamp) / this.slotDuration);
+    }
+
+    /**
+     * Get the time a slot starts.
+     * 
+     * @param {number} slot - Slot number
+     * @returns {number} Milliseconds since the Unix epoch
+     */
+    getSlotStart(slot) {
+        return this.blockchain.genesisTimestamp + slot * this.slotDuration;
+    }
+
+    /**
+     * Get the stakes after a block, replaying the staking transactions
+     * of its branch (results are cached by block hash).
+     * 
+     * @param {Block} block - A known block
+     * @param {Function} getBlockAt - Lookup for ancestors of block by height
+     * @returns {Object} { stakes: Map address -> units, unbonding: [{ address, amount, releaseHeight }], slashed: Set }
+     */
+    getStakingState(block, getBlockAt = height => this.blockchain.getAncestor(block, height)) {
+        const path = [];
+        let current = block;
+        while (!this.states.has(current.hash)) {
+            if (current.index === 0) {
+                this.states.set(current.hash, this.genesisState);
+                break;
+            }
+            path.push(current);
+            current = getBlockAt(current.index - 1);
+        }
+
+        let state = this.states.get(current.hash);
+        for (let i = path.length - 1; i >= 0; i--) {
+            state = this.applyBlock(state, path[i]);
+            this.states.set(path[i].hash, state);
+        }
+        return state;
+    }
+
+    /**
+     * Apply the staking transactions of a block (already checked by
+     * checkBlock) to the staking state.
+     * 
+     * @param {Object} state - State after the parent (not modified)
+     * @param {Block} block - The block
+     * @returns {Object} The new state
+     */
+    applyBlock(state, block) {
+        const stakes = new Map(state.stakes);
+        const slashed = new Set(state.slashed);
+
+        // The block starts by paying out everything due at its height
+        let unbonding = state.unbonding.filter(entry => entry.releaseHeight > block.index);
+
+        for (const tx of block.transactions) {
+            if (tx.receiverAddress === STAKING_POOL_ADDRESS && tx.senderAddress !== null) {
+                stakes.set(tx.senderAddress, (stakes.get(tx.senderAddress) ?? 0) + toUnits(tx.amount));
+            } else if (tx.receiverAddress === UNSTAKE_ADDRESS && stakes.has(tx.senderAddress)) {
+                unbonding = [...unbonding, {
+                    address: tx.senderAddress,
+                    amount: stakes.get(tx.senderAddress),
+                    releaseHeight: block.index + this.stakeLockPeriod
+                }];
+                stakes.delete(tx.senderAddress);
+            } else if (tx.senderAddress === STAKING_POOL_ADDRESS && tx.receiverAddress.startsWith(SLASHING_PREFIX)) {
+                const { validator } = parseSlashingAddress(tx.receiverAddress);
+                stakes.delete(validator);
+                unbonding = unbonding.filter(entry => entry.address !== validator);
+                slashed.add(validator);
+            }
+        }
+
+        return { stakes, unbonding, slashed };
+    }
+
+    /**
+     * Get the validators that may propose: at least minStake, never slashed.
+     * 
+     * @param {Object} state - Staking state
+     * @returns {Array} [{ address, stake }] sorted by address, stake in units
+     */
+    getValidators(state) {
+        const minStake = toUnits(this.minStake);
+        return [...state.stakes]
+            .filter(([address, stake]) => stake >= minStake && !state.slashed.has(address))
+            .map(([address, stake]) => ({ address, stake }))
+            .sort((a, b) => (a.address < b.address ? -1 : 1));
+    }
+
+    /**
+     * Pick the proposer of a slot: a validator chosen with a chance
+     * proportional to its stake, from a seed every node computes the same.
+     * 
+     * @param {Object} state - Staking state after `parent`
+     * @param {Block} parent - The block being built on
+     * @param {number} slot - Slot of the new block
+     * @returns {string|null} Proposer's public key, or null if there are no validators
+     */
+    getProposer(state, parent, slot) {
+        const validators = this.getValidators(state);
+        const total = validators.reduce((sum, { stake }) => sum + stake, 0);
+        if (total === 0) {
+            return null;
+        }
+
+        const seed = BigInt(`0x${sha256(Buffer.from(`${parent.hash}:${slot}`))}`);
+        let ticket = Number(seed % BigInt(total));
+        for (const { address, stake } of validators) {
+            if (ticket < stake) {
+                return address;
+            }
+            ticket -= stake;
+        }
+        return null;
+    }
+
+    /**
+     * Get the unstaked coins to pay back in the block at `height`.
+     * 
+     * @param {Object} state - Staking state after the parent
+     * @param {number} height - Height of the new block
+     * @returns {Array} [{ address, amount, releaseHeight }], in unstaking order
+     */
+    getDueReleases(state, height) {
+        return state.unbonding.filter(entry => entry.releaseHeight <= height);
+    }
+
+    /**
+     * Explain why double-signing evidence can't be used, or return null
+     * if it proves a validator signed two blocks for one slot.
+     * 
+     * @param {Object} state - Staking state
+     * @param {Object|null} evidence - From parseSlashingAddress
+     * @returns {string|null} Reason, or null if the validator can be slashed
+     */
+    getEvidenceProblem(state, evidence) {
+        if (!evidence) {
+            return 'Slashing evidence goes to staking:slash:<validator>:<header>:<signature>:<header>:<signature>';
+        }
+
+        const { validator, headers: [a, b] } = evidence;
+        if (!(a.header.hash < b.header.hash)) {
+            return 'Slashing evidence must name two different headers, sorted by hash';
+        }
+        if (this.getSlot(a.header.timestamp) !== this.getSlot(b.header.timestamp)) {
+            return 'The two headers are for different slots';
+        }
+        if (!verifySignature(validator, a.header.hash, a.signature) || !verifySignature(validator, b.header.hash, b.signature)) {
+            return 'The validator did not sign both headers';
+        }
+        if (state.slashed.has(validator)) {
+            return 'This validator was already slashed';
+        }
+        if (!state.stakes.has(validator) && !state.unbonding.some(entry => entry.address === validator)) {
+            return 'This validator has no stake left to slash';
+        }
+        return null;
+    }
+
+    /**
+     * Get the payments the block after `parent` must start with: the
+     * unstaked coins due at its height, then slashings for any
+     * double-signing we have seen.
+     * 
+     * @param {Block} parent - The block being built on
+     * @returns {Array} [{ receiverAddress, amount }]
+     */
+    getSystemTransfers(parent) {
+        const state = this.getStakingState(parent);
+        const releases = this.getDueReleases(state, parent.index + 1)
+            .map(({ address, amount }) => ({ receiverAddress: address, amount: fromUnits(amount) }));
+        const slashings = [...this.evidence.values()]
+            .filter(address => this.getEvidenceProblem(state, parseSlashingAddress(address)) === null)
+            .map(address => ({ receiverAddress: address, amount: 0 }));
+
+        return [...releases, ...slashings];
+    }
+
+    /**
+     * Forget deleted blocks: their staking states, the slots they signed,
+     * and evidence built from them. A validator may sign its slot again
+     * once its block for it is gone, so the last slot we signed goes
+     * back to the latest one we still have a block for.
+     * 
+     * @param {Block[]} blocks - The deleted blocks
+     */
+    forgetBlocks(blocks) {
+        const hashes = new Set(blocks.map(block => block.hash));
+
+        for (const hash of hashes) {
+            this.states.delete(hash);
+        }
+        for (const [key, { header }] of this.signedHeaders) {
+            if (hashes.has(header.hash)) {
+                this.signedHeaders.delete(key);
+            }
+        }
+        for (const [validator, address] of this.evidence) {
+            const { headers } = parseSlashingAddress(address);
+            if (headers.some(({ header }) => hashes.has(header.hash))) {
+                this.evidence.delete(validator);
+            }
+        }
+
+        this.lastSignedSlot = -1;
+        for (const key of this.signedHeaders.keys()) {
+            const [slot, validator] = key.split(':');
+            if (validator === this.validatorAddress) {
+                this.lastSignedSlot = Math.max(this.lastSignedSlot, Number(slot));
+            }
+        }
+    }
+
+    /**
+     * Remember who signed each slot, and keep evidence when a validator
+     * signs a second, different block for the same slot.
+     * 
+     * @param {Block} block - A valid block
+     */
+    observeBlock(block) {
+        if (block.index === 0 || typeof block.signature !== 'string') {
+            return;
+        }
+
+        const validator = getBlockSigner(block);
+        const slot = this.getSlot(block.timestamp);
+        const key = `${slot}:${validator}`;
+        const signed = { header: block.getHeader(), signature: block.signature };
+        const first = this.signedHeaders.get(key);
+
+        if (!first) {
+            this.signedHeaders.set(key, signed);
+            while (this.signedHeaders.size > MAX_OBSERVED_HEADERS) {
+                this.signedHeaders.delete(this.signedHeaders.keys().next().value);
+            }
+            return;
+        }
+
+        if (first.header.hash !== block.hash && !this.evidence.has(validator)) {
+            this.evidence.set(validator, getSlashingAddress(validator, first, signed));
+            this.logger.log(`🚨 Validator ${validator.substring(0, 16)}... signed two blocks for slot ${slot}, its stake will be slashed`);
+        }
+    }
+
+    /**
+     * Get the difficulty the block after `parent` must have.
+     * 
+     * @returns {number} Always POS_DIFFICULTY
+     */
+    getNextDifficulty() {
+        return POS_DIFFICULTY;
+    }
+
+    /**
+     * Get the earliest timestamp the block after `parent` may have:
+     * the start of the slot after the parent's.
+     * 
+     * @param {Block} parent - The block being built on
+     * @returns {number} Milliseconds since the Unix epoch
+     */
+    getEarliestTimestamp(parent) {
+        return Math.max(super.getEarliestTimestamp(parent), this.getSlotStart(this.getSlot(parent.timestamp) + 1));
+    }
+
+    /**
+     * Get the weight of a block for the fork choice rule.
+     * 
+     * @returns {number} Always 1: the longest chain wins
+     */
+    getBlockWork() {
+        return POS_DIFFICULTY;
+    }
+
+    /**
+     * Check the seal, slot and proposer of a block, then its staking
+     * transactions: the system transactions it must start with, and
+     * well-formed stakes and unstakes.
+     * 
+     * @param {Block} block - Block whose hash and Merkle root were already checked
+     * @param {Block} parent - Its parent
+     * @param {Function} getBlockAt - Lookup for ancestors of parent by height
+     * @throws {ValidationError} If a rule is broken
+     */
+    checkBlock(block, parent, getBlockAt) {
+        check(block.nonce === 0 && typeof block.signature === 'string', RejectReason.BAD_SEAL,
+            'Proof-of-stake blocks have a signature and nonce 0');
+        check(block.difficulty === POS_DIFFICULTY, RejectReason.BAD_DIFFICULTY,
+            `Proof-of-stake blocks have difficulty ${POS_DIFFICULTY}`);
+
+        const slot = this.getSlot(block.timestamp);
+        check(slot > this.getSlot(parent.timestamp), RejectReason.BAD_TIMESTAMP,
+            `Block is in slot ${slot}, it must come after its parent's slot`);
+        check(block.timestamp <= this.blockchain.clock.now() + this.slotDuration, RejectReason.BAD_TIMESTAMP,
+            `Block is for slot ${slot}, which hasn't started yet`);
+
+        const signer = getBlockSigner(block);
+        check(typeof signer === 'string', RejectReason.BAD_SEAL, 'Block has no coinbase naming its proposer');
+
+        const state = this.getStakingState(parent, getBlockAt);
+        const proposer = this.getProposer(state, parent, slot);
+        check(proposer !== null, RejectReason.UNAUTHORIZED_SIGNER, 'No validator has enough stake to propose blocks');
+        check(signer === proposer, RejectReason.WRONG_PROPOSER,
+            `Slot ${slot} belongs to validator ${proposer.substring(0, 16)}..., not ${signer.substring(0, 16)}...`);
+        check(verifySignature(signer, block.hash, block.signature), RejectReason.BAD_SEAL,
+            'Block signature was not made by the validator its coinbase pays');
+
+        this.checkStakingTransactions(block, parent, state);
+    }
+
+    /**
+     * Check the system transactions at the start of a block (the releases
+     * due, then slashings with valid evidence) and the staking
+     * transactions of its users.
+     * 
+     * @param {Block} block - The block
+     * @param {Block} parent - Its parent
+     * @param {Object} state - Staking state after the parent
+     * @throws {ValidationError} If a rule is broken
+     */
+    checkStakingTransactions(block, parent, state) {
+        const transactions = block.transactions;
+        const isSystemTransfer = tx => this.isSystemTransaction(tx) && !tx.signature &&
+            tx.fee === 0 && tx.timestamp === parent.timestamp;
+        let i = 0;
+
+        for (const release of this.getDueReleases(state, block.index)) {
+            const tx = transactions[i++];
+            check(tx !== undefined && isSystemTransfer(tx) && tx.receiverAddress === release.address &&
+                toUnits(tx.amount) === release.amount, RejectReason.BAD_STAKING,
+                `Block must start by paying back ${fromUnits(release.amount)} NEKO unstaked by ${release.address.substring(0, 16)}...`);
+        }
+
+        const slashed = new Set();
+        for (; i < transactions.length && this.isSystemTransaction(transactions[i]); i++) {
+            const tx = transactions[i];
+            const evidence = parseSlashingAddress(tx.receiverAddress);
+            const problem = this.getEvidenceProblem(state, evidence);
+
+            check(isSystemTransfer(tx) && tx.amount === 0, RejectReason.BAD_STAKING,
+                'After the releases due, the pool only sends slashings (0 NEKO, no fee, parent\'s timestamp)');
+            check(problem === null, RejectReason.BAD_STAKING, `Bad slashing evidence: ${problem}`);
+            check(!slashed.has(evidence.validator), RejectReason.BAD_STAKING, 'Block slashes the same validator twice');
+            slashed.add(evidence.validator);
+        }
+
+        for (; i < transactions.length; i++) {
+            const tx = transactions[i];
+            const address = tx.receiverAddress;
+            check(!this.isSystemTransaction(tx), RejectReason.BAD_STAKING,
+                'Pool payments must come first in the block');
+            if (!isStakingAddress(address) || tx.senderAddress === null) {
+                continue;
+            }
+
+            const txid = tx.calculateHash().substring(0, 16);
+            check(address === STAKING_POOL_ADDRESS || address === UNSTAKE_ADDRESS, RejectReason.BAD_STAKING,
+                `Transaction ${txid}... sends to ${address.substring(0, 24)}..., stakes go to ${STAKING_POOL_ADDRESS} and unstakes to ${UNSTAKE_ADDRESS}`);
+            check(address === STAKING_POOL_ADDRESS ? tx.amount > 0 : tx.amount === 0, RejectReason.BAD_STAKING,
+                `Transaction ${txid}... must ${address === STAKING_POOL_ADDRESS ? 'stake a positive amount' : 'send 0 NEKO to unstake'}`);
+        }
+    }
+
+    /**
+     * Check that a staking transaction would work on top of our tip.
+     * Other transactions are not affected by this engine.
+     * 
+     * @param {Transaction} transaction - Transaction entering the mempool
+     * @throws {Error} If it is a stake or unstake that wouldn't work, or a governance vote
+     */
+    checkPendingTransaction(transaction) {
+        const address = transaction.receiverAddress;
+        if (!isStakingAddress(address)) {
+            return super.checkPendingTransaction(transaction);
+        }
+
+        const state = this.getStakingState(this.blockchain.getLatestBlock());
+        const sender = transaction.senderAddress;
+
+        if (address === STAKING_POOL_ADDRESS) {
+            if (state.slashed.has(sender)) {
+                throw new Error('This validator was slashed and can\'t stake again');
+            }
+            return;
+        }
+        if (address !== UNSTAKE_ADDRESS) {
+            throw new Error(`Stakes go to ${STAKING_POOL_ADDRESS} and unstakes to ${UNSTAKE_ADDRESS} (slashing evidence is added by proposers)`);
+        }
+        if (transaction.amount !== 0) {
+            throw new Error('Unstaking sends 0 NEKO: the whole stake is unlocked after the lock period');
+        }
+        if (!state.stakes.has(sender)) {
+            throw new Error('This address has nothing staked');
+        }
+
+        const pending = this.blockchain.mempool.getTransactions()
+            .find(tx => tx.senderAddress === sender && tx.receiverAddress === UNSTAKE_ADDRESS);
+        if (pending && pending.nonce !== transaction.nonce) {
+            throw new Error('This address already has a pending unstake');
+        }
+    }
+
+    /**
+     * Seal a block by signing it with this node's validator key, in the
+     * next slot this validator is the proposer of (waiting for it to start).
+     * 
+     * @param {Block} block - Candidate block whose coinbase pays this node's validator
+     * @returns {Promise<boolean>} True once sealed
+     * @throws {Error} If this node can't propose this block
+     */
+    async seal(block) {
+        if (!this.validatorKey) {
+            throw new Error('This node has no validator key to sign blocks with (start it with --validator-key)');
+        }
+        if (getBlockSigner(block) !== this.validatorAddress) {
+            throw new Error('On a proof-of-stake network the block reward goes to the proposer');
+        }
+
+        const parent = this.blockchain.blockTree.get(block.previousHash).block;
+        const state = this.getStakingState(parent);
+        if (!this.getValidators(state).some(({ address }) => address === this.validatorAddress)) {
+            throw new Error(`This node's key is not a validator (stake at least ${this.minStake} NEKO first)`);
+        }
+
+        const first = this.getSlot(block.timestamp);
+        let slot = first;
+        while (this.getProposer(state, parent, slot) !== this.validatorAddress) {
+            if (++slot - first >= MAX_SLOT_SEARCH) {
+                throw new Error(`This validator is not the proposer of any of the next ${MAX_SLOT_SEARCH} slots`);
+            }
+        }
+        if (slot <= this.lastSignedSlot) {
+            throw new Error(`This validator already signed a block for slot ${this.lastSignedSlot}`);
+        }
+
+        block.timestamp = Math.max(block.timestamp, this.getSlotStart(slot));
+        const wait = block.timestamp - this.blockchain.clock.now();
+        if (wait > 0) {
+            this.logger.log(`⏳ Waiting ${(wait / 1000).toFixed(1)}s for slot ${slot}`);
+            await new Promise(resolve => setTimeout(resolve, wait));
+        }
+
+        // Checked again after the wait: another seal() may have signed this slot meanwhile.
+        // The slot is only claimed once signed, so a seal that fails doesn't use it up
+        if (slot <= this.lastSignedSlot) {
+            throw new Error(`This validator already signed a block for slot ${this.lastSignedSlot}`);
+        }
+
+        block.nonce = 0;
+        block.hash = block.calculateHash();
+        block.signature = signData(this.validatorKey, block.hash);
+        this.lastSignedSlot = slot;
+        this.logger.log(`\n✍️  Proposed block ${block.index} in slot ${slot}`);
+        return true;
+    }
+
+    /**
+     * Describe the engine for the startup log.
+     * 
+     * @returns {string} One line
+     */
+    describe() {
+        const validators = this.getValidators(this.getStakingState(this.blockchain.getLatestBlock()));
+        const staked = fromUnits(validators.reduce((sum, { stake }) => sum + stake, 0));
+        const role = this.validatorAddress
+            ? (validators.some(({ address }) => address === this.validatorAddress) ? ', this node is one' : ', this node\'s key is not one')
+            : '';
+        return `Proof of stake: ${validators.length} validators with ${staked} NEKO staked${role}, ${this.slotDuration / 1000}s slots, unstaked coins locked for ${this.stakeLockPeriod} blocks`;
+    }
+
+    /**
+     * Get a summary for the API: validators, the next proposer, coins
+     * waiting to be paid back and slashed validators.
+     * 
+     * @returns {Object} { engine, slotDuration, stakeLockPeriod, minStake, slot, nextProposer, validators, unbonding, slashed, validator }
+     */
+    getInfo() {
+        const tip = this.blockchain.getLatestBlock();
+        const state = this.getStakingState(tip);
+        const nextSlot = Math.max(this.getSlot(tip.timestamp) + 1, this.getSlot(this.blockchain.clock.now()));
+
+        return {
+            engine: this.name,
+            slotDuration: this.slotDuration,
+            stakeLockPeriod: this.stakeLockPeriod,
+            minStake: this.minStake,
+            slot: this.getSlot(this.blockchain.clock.now()),
+            nextProposer: { slot: nextSlot, address: this.getProposer(state, tip, nextSlot) },
+            validators: this.getValidators(state).map(({ address, stake }) => ({ address, stake: fromUnits(stake) })),
+            unbonding: state.unbonding.map(({ address, amount, releaseHeight }) => ({ address, amount: fromUnits(amount), releaseHeight })),
+            slashed: [...state.slashed],
+            validator: this.validatorAddress
+        };
+    }
+}
+
+/**
+ * Create the consensus engine named by the Blockchain options.
+ * 
+ * @param {Blockchain} blockchain - The chain it works for
+ * @param {Object} options - Blockchain options: consensus, authorities, blockPeriod, authorityKey,
+ *                           validators, slotDuration, stakeLockPeriod, minStake, validatorKey
+ * @returns {ProofOfWork|ProofOfAuthority|ProofOfStake} The engine
+ * @throws {Error} If the engine is unknown
+ */
+function createConsensusEngine(blockchain, options = {}) {
+    const engine = options.consensus ?? Consensus.POW;
+
+    if (engine === Consensus.POW) {
+        return new ProofOfWork(blockchain, options);
+    }
+    if (engine === Consensus.POA) {
+        return new ProofOfAuthority(blockchain, options);
+    }
+    if (engine === Consensus.POS) {
+        return new ProofOfStake(blockchain, options);
+    }
+    throw new Error(`Unknown consensus engine "${engine}" (choose one of: ${Object.values(Consensus).join(', ')})`);
+}
+
+module.exports = {
+    Consensus,
+    GovernanceAction,
+    DIFFICULTY_IN_TURN,
+    DIFFICULTY_NO_TURN,
+    STAKING_POOL_ADDRESS,
+    UNSTAKE_ADDRESS,
+    ConsensusEngine,
+    ProofOfWork,
+    ProofOfAuthority,
+    ProofOfStake,
+    createConsensusEngine,
+    isPublicKey,
+    getGovernanceAddress,
+    isGovernanceAddress,
+    parseGovernanceAddress,
+    isStakingAddress,
+    isConsensusAddress,
+    getSlashingAddress,
+    parseSlashingAddress,
+    getBlockSigner
+};
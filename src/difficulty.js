@@ -0,0 +1,115 @@
+/**
+ * ========================================
+ * NEKO CHAIN - DIFFICULTY MODULE
+ * ========================================
+ * 
+ * Helpers for proof-of-work targets and difficulty retargeting.
+ * 
+ * EDUCATIONAL NOTES:
+ * ==================
+ * 
+ * 1. DIFFICULTY VS TARGET
+ *    - Difficulty d means "the hash must start with d zeros" (hex)
+ *    - Under the hood that is a number comparison: hash < target
+ *    - target = 16^(64 - d), so difficulty 4 → target 0x0001000...0
+ *    - Using a target lets difficulty be fractional (e.g. 4.25),
+ *      so it can move in small steps instead of 16x jumps
+ * 
+ * 2. WORK
+ *    - A block at difficulty d takes about 16^d hash attempts
+ *    - Summing this over a branch gives its accumulated work
+ * 
+ * 3. RETARGETING
+ *    - Every N blocks we look at how long the last N blocks took
+ *    - Too fast → raise difficulty, too slow → lower it
+ *    - The adjustment is clamped (at most 4x easier or harder) so a
+ *      few strange timestamps can't swing difficulty wildly
+ *    - Bitcoin does the same every 2016 blocks (~2 weeks)
+ */
+
+// Largest adjustment allowed in one retarget (4x, same as Bitcoin)
+const MAX_ADJUSTMENT_FACTOR = 4;
+
+/**
+ * Round a difficulty so every node computes exactly the same value.
+ * 
+ * @param {number} difficulty - Raw difficulty
+ * @returns {number} Difficulty rounded to 2 decimal places
+ */
+function roundDifficulty(difficulty) {
+    return Math.round(difficulty * 100) / 100;
+}
+
+/**
+ * Get the target for a difficulty as a 64-character hex string.
+ * 
+ * @param {number} difficulty - Number of leading hex zeros (may be fractional)
+ * @returns {string|null} Target in hex, or null if any hash is valid
+ */
+function getTarget(difficulty) {
+    if (difficulty <= 0) {
+        return null;
+    }
+
+    // target = 2^(256 - 4d), split into a whole power of two and a fraction
+    const exponent = 256 - 4 * difficulty;
+    const whole = Math.floor(exponent);
+    const fraction = Math.round(Math.pow(2, exponent - whole) * 1e6);
+    const target = (1n << BigInt(whole)) * BigInt(fraction) / 1000000n;
+
+    return target.toString(16).padStart(64, '0');
+}
+
+/**
+ * Check whether a block hash satisfies a difficulty.
+ * Equal-length lowercase hex strings compare like the numbers they encode.
+ * 
+ * @param {string} hash - Block hash (hex)
+ * @param {number} difficulty - Required difficulty
+ * @returns {boolean} True if hash < target
+ */
+function meetsDifficulty(hash, difficulty) {
+    const target = getTarget(difficulty);
+    return target === null || hash < target;
+}
+
+/**
+ * Get the expected number of hash attempts for a difficulty.
+ * 
+ * @param {number} difficulty - Block difficulty
+ * @returns {number} Work represented by one block
+ */
+function getWork(difficulty) {
+    return Math.pow(16, difficulty);
+}
+
+/**
+ * Calculate the new difficulty after a retarget window.
+ * 
+ * @param {number} difficulty - Difficulty of the last window
+ * @param {number} actualTimespan - Milliseconds the window actually took
+ * @param {number} expectedTimespan - Milliseconds the window should have taken
+ * @param {Object} limits - { minDifficulty, maxDifficulty }
+ * @returns {number} The adjusted difficulty
+ */
+function retarget(difficulty, actualTimespan, expectedTimespan, limits) {
+    // Clamp the timespan so one window can't change difficulty too much
+    const timespan = Math.min(
+        Math.max(actualTimespan, expectedTimespan / MAX_ADJUSTMENT_FACTOR),
+        expectedTimespan * MAX_ADJUSTMENT_FACTOR
+    );
+
+    // Work scales by 16^Δd, so Δd = log16(expected / actual)
+    const adjusted = difficulty + Math.log2(expectedTimespan / timespan) / 4;
+
+    return roundDifficulty(Math.min(Math.max(adjusted, limits.minDifficulty), limits.maxDifficulty));
+}
+
+module.exports = {
+    MAX_ADJUSTMENT_FACTOR,
+    roundDifficulty,
+    getTarget,
+    meetsDifficulty,
+    getWork,
+    retarget
+};
@@ -0,0 +1,606 @@
+/**
+ * ========================================
+ * NEKO CHAIN - CANONICAL ENCODING MODULE
+ * ========================================
+ * 
+ * Defines the one binary encoding of transactions and block headers.
+ * It is used for hashing, signing, storage and P2P messages.
+ * 
+ * EDUCATIONAL NOTES:
+ * ==================
+ * 
+ * 1. WHY NOT JSON?
+ *    - JSON doesn't fix key order, number formatting (1e21 vs 1000...0)
+ *      or what happens to null and undefined fields
+ *    - Two nodes can format the same transaction differently and get
+ *      different hashes, so signatures and block hashes break
+ *    - Bitcoin and Ethereum define an exact byte layout for the same reason
+ *      (Bitcoin's serialization format, Ethereum's RLP)
+ * 
+ * 2. CANONICAL = EXACTLY ONE ENCODING
+ *    - Every value has exactly one valid byte string, and the decoder
+ *      rejects anything else (trailing bytes, over-long integers, -0, NaN)
+ *    - So: decode(encode(x)) equals x, and encode(decode(bytes)) equals bytes
+ *    - Hashing the bytes is then the same as hashing the value
+ * 
+ * 3. LAYOUT (version 1, integers big-endian)
+ *    Every encoding starts with [version u8][type u8]
+ * 
+ *    Transaction:  sender?  receiver  amount f64  fee f64  nonce varint
+ *                  chainId?  timestamp u64  signature?
+ *    Signing form: the same without the signature (its hash is the txid)
+ *    UTXO tx:      inputCount varint  [height varint, coinbase only]
+ *                  (txid 32 bytes  index varint  address
+ *                  amount f64  signature?)*  outputCount varint
+ *                  (address  amount f64)*  fee f64  chainId?  timestamp u64
+ *    Signing form: the same without the input signatures
+ *    Block header: index varint  timestamp u64  previousHash 32 bytes
+ *                  merkleRoot 32 bytes  difficulty f64  nonce u64
+ *    Block:        header  txCount varint  (length varint + transaction)*
+ *                  [seal string]  (proof-of-authority and proof-of-stake
+ *                  blocks, see consensus.js; absent, not 0x00, on
+ *                  proof-of-work blocks)
+ * 
+ *    string = length varint + UTF-8 bytes
+ *    x?     = 0x00 (absent) or 0x01 followed by x
+ *    varint = unsigned LEB128, shortest form only
+ * 
+ * 4. VERSIONING
+ *    - The version byte lets the format change later: a node can tell
+ *      old encodings from new ones instead of misreading them
+ */
+
+const crypto = require('crypto');
+
+const ENCODING_VERSION = 1;
+
+// Second byte of every encoding: what kind of object follows
+const EncodingType = {
+    TRANSACTION: 0x01,
+    TRANSACTION_SIGNING: 0x02,
+    BLOCK_HEADER: 0x03,
+    BLOCK: 0x04,
+    UTXO_TRANSACTION: 0x05,
+    UTXO_TRANSACTION_SIGNING: 0x06
+};
+
+// Previous hash of the genesis block (there is no block before it)
+const ZERO_HASH = '0'.repeat(64);
+
+const UINT32 = 0x100000000;
+const HASH_PATTERN = /^[0-9a-f]{64}$/;
+
+/**
+ * Collects the bytes of an encoding.
+ */
+class Writer {
+    constructor() {
+        this.chunks = [];
+    }
+
+    u8(value) {
+        this.chunks.push(Buffer.from([value]));
+    }
+
+    varint(value, field) {
+        if (!Number.isSafeInteger(value) || value < 0) {
+            throw new Error(`Encoding: ${field} must be a non-negative integer`);
+        }
+
+        const bytes = [];
+        do {
+            let byte = value % 128;
+            value = Math.floor(value / 128);
+            if (value > 0) byte |= 0x80;
+            bytes.push(byte);
+        } while (value > 0);
+
+        this.chunks.push(Buffer.from(bytes));
+    }
+
+    u64(value, field) {
+        if (!Number.isSafeInteger(value) || value < 0) {
+            throw new Error(`Encoding: ${field} must be a non-negative integer`);
+        }
+
+        const buffer = Buffer.alloc(8);
+        buffer.writeUInt32BE(Math.floor(value / UINT32), 0);
+        buffer.writeUInt32BE(value % UINT32, 4);
+        this.chunks.push(buffer);
+    }
+
+    f64(value, field) {
+        if (typeof value !== 'number' || !Number.isFinite(value)) {
+            throw new Error(`Encoding: ${field} must be a finite number`);
+        }
+
+        const buffer = Buffer.alloc(8);
+        buffer.writeDoubleBE(value === 0 ? 0 : value, 0);  // -0 is written as 0
+        this.chunks.push(buffer);
+    }
+
+    string(value, field) {
+        if (typeof value !== 'string') {
+            throw new Error(`Encoding: ${field} must be a string`);
+        }
+
+        const bytes = Buffer.from(value, 'utf8');
+        this.varint(bytes.length, field);
+        this.chunks.push(bytes);
+    }
+
+    optionalString(value, field) {
+        if (value === null || value === undefined) {
+            this.u8(0);
+        } else {
+            this.u8(1);
+            this.string(value, field);
+        }
+    }
+
+    hash(value, field) {
+        if (typeof value !== 'string' || !HASH_PATTERN.test(value)) {
+            throw new Error(`Encoding: ${field} must be 64 lowercase hex characters`);
+        }
+
+        this.chunks.push(Buffer.from(value, 'hex'));
+    }
+
+    bytes(value) {
+        this.varint(value.length, 'length');
+        this.chunks.push(value);
+    }
+
+    raw(value) {
+        this.chunks.push(value);
+    }
+
+    toBuffer() {
+        return Buffer.concat(this.chunks);
+    }
+}
+
+/**
+ * Reads an encoding back, rejecting anything that isn't canonical.
+ */
+class Reader {
+    constructor(bytes) {
+        if (!Buffer.isBuffer(bytes)) {
+            throw new Error('Decoding: expected a Buffer');
+        }
+
+        this.bytes = bytes;
+        this.offset = 0;
+    }
+
+    take(length) {
+        if (this.offset + length > this.bytes.length) {
+            throw new Error('Decoding: unexpected end of data');
+        }
+
+        const slice = this.bytes.subarray(this.offset, this.offset + length);
+        this.offset += length;
+        return slice;
+    }
+
+    u8() {
+        return this.take(1)[0];
+    }
+
+    varint() {
+        let value = 0;
+        let scale = 1;
+
+        for (;;) {
+            const byte = this.u8();
+            value += (byte & 0x7f) * scale;
+
+            if (!Number.isSafeInteger(value)) {
+                throw new Error('Decoding: integer too large');
+            }
+
+            if ((byte & 0x80) === 0) {
+                // A last byte of 0 (except for the value 0 itself) means the encoding was padded
+                if (byte === 0 && scale > 1) {
+                    throw new Error('Decoding: integer is not in its shortest form');
+                }
+                return value;
+            }
+
+            scale *= 128;
+        }
+    }
+
+    u64() {
+        const bytes = this.take(8);
+        const value = bytes.readUInt32BE(0) * UINT32 + bytes.readUInt32BE(4);
+
+        if (!Number.isSafeInteger(value)) {
+            throw new Error('Decoding: integer too large');
+        }
+
+        return value;
+    }
+
+    f64() {
+        const value = this.take(8).readDoubleBE(0);
+
+        if (!Number.isFinite(value) || Object.is(value, -0)) {
+            throw new Error('Decoding: number is not finite or is -0');
+        }
+
+        return value;
+    }
+
+    string() {
+        const bytes = this.take(this.varint());
+        const value = bytes.toString('utf8');
+
+        // Invalid UTF-8 would decode to replacement characters and not round-trip
+        if (!Buffer.from(value, 'utf8').equals(bytes)) {
+            throw new Error('Decoding: string is not valid UTF-8');
+        }
+
+        return value;
+    }
+
+    optionalString() {
+        const present = this.u8();
+
+        if (present > 1) {
+            throw new Error('Decoding: bad optional field marker');
+        }
+
+        return present === 1 ? this.string() : null;
+    }
+
+    hash() {
+        return this.take(32).toString('hex');
+    }
+
+    bytesField() {
+        return this.take(this.varint());
+    }
+
+    peekType() {
+        if (this.offset + 2 > this.bytes.length) {
+            throw new Error('Decoding: unexpected end of data');
+        }
+        return this.bytes[this.offset + 1];
+    }
+
+    prefix(type) {
+        const version = this.u8();
+        if (version !== ENCODING_VERSION) {
+            throw new Error(`Decoding: unsupported encoding version ${version}`);
+        }
+
+        const actualType = this.u8();
+        if (actualType !== type) {
+            throw new Error(`Decoding: expected type ${type}, got ${actualType}`);
+        }
+    }
+
+    end() {
+        if (this.offset !== this.bytes.length) {
+            throw new Error(`Decoding: ${this.bytes.length - this.offset} unexpected trailing byte(s)`);
+        }
+    }
+}
+
+/**
+ * SHA-256 of some bytes, as hex.
+ * 
+ * @param {Buffer} bytes - Data to hash
+ * @returns {string} 64-character hex digest
+ */
+function sha256(bytes) {
+    return crypto.createHash('sha256').update(bytes).digest('hex');
+}
+
+function writeTransactionFields(writer, tx) {
+    writer.optionalString(tx.senderAddress, 'senderAddress');
+    writer.string(tx.receiverAddress, 'receiverAddress');
+    writer.f64(tx.amount, 'amount');
+    writer.f64(tx.fee, 'fee');
+    writer.varint(tx.nonce, 'nonce');
+    writer.optionalString(tx.chainId, 'chainId');
+    writer.u64(tx.timestamp, 'timestamp');
+}
+
+/**
+ * Check whether a transaction is in the UTXO form (inputs and outputs).
+ * 
+ * @param {Object} tx - Transaction or plain transaction data
+ * @returns {boolean} True for UTXO transactions
+ */
+function isUtxoTransaction(tx) {
+    return Array.isArray(tx.inputs);
+}
+
+function writeList(writer, items, field) {
+    if (!Array.isArray(items)) {
+        throw new Error(`Encoding: ${field} must be an array`);
+    }
+    writer.varint(items.length, `${field} count`);
+}
+
+function writeUtxoTransaction(writer, tx, withSignatures) {
+    writeList(writer, tx.inputs, 'inputs');
+    if (tx.inputs.length === 0) {
+        writer.varint(tx.height, 'coinbase height');
+    }
+    for (const input of tx.inputs) {
+        writer.hash(input.txid, 'input txid');
+        writer.varint(input.index, 'input index');
+        writer.string(input.address, 'input address');
+        writer.f64(input.amount, 'input amount');
+        if (withSignatures) {
+            writer.optionalString(input.signature, 'input signature');
+        }
+    }
+
+    writeList(writer, tx.outputs, 'outputs');
+    for (const output of tx.outputs) {
+        writer.string(output.address, 'output address');
+        writer.f64(output.amount, 'output amount');
+    }
+
+    writer.f64(tx.fee, 'fee');
+    writer.optionalString(tx.chainId, 'chainId');
+    writer.u64(tx.timestamp, 'timestamp');
+}
+
+function readUtxoTransaction(reader) {
+    reader.prefix(EncodingType.UTXO_TRANSACTION);
+
+    const inputCount = reader.varint();
+    const height = inputCount === 0 ? reader.varint() : null;
+
+    const inputs = [];
+    while (inputs.length < inputCount) {
+        inputs.push({
+            txid: reader.hash(),
+            index: reader.varint(),
+            address: reader.string(),
+            amount: reader.f64(),
+            signature: reader.optionalString()
+        });
+    }
+
+    const outputs = [];
+    for (let count = reader.varint(); outputs.length < count;) {
+        outputs.push({ address: reader.string(), amount: reader.f64() });
+    }
+
+    return {
+        inputs,
+        outputs,
+        fee: reader.f64(),
+        chainId: reader.optionalString(),
+        timestamp: reader.u64(),
+        height
+    };
+}
+
+/**
+ * Encode a transaction, signature included (storage and P2P).
+ * Account and UTXO transactions each have their own type byte.
+ * 
+ * @param {Object} tx - Transaction or plain transaction data
+ * @returns {Buffer} Canonical bytes
+ * @throws {Error} If a field has the wrong type
+ */
+function encodeTransaction(tx) {
+    const writer = new Writer();
+    writer.u8(ENCODING_VERSION);
+
+    if (isUtxoTransaction(tx)) {
+        writer.u8(EncodingType.UTXO_TRANSACTION);
+        writeUtxoTransaction(writer, tx, true);
+        return writer.toBuffer();
+    }
+
+    writer.u8(EncodingType.TRANSACTION);
+    writeTransactionFields(writer, tx);
+    writer.optionalString(tx.signature, 'signature');
+    return writer.toBuffer();
+}
+
+/**
+ * Encode the part of a transaction that is signed (everything but the signature).
+ * Its SHA-256 is the transaction hash.
+ * 
+ * @param {Object} tx - Transaction or plain transaction data
+ * @returns {Buffer} Canonical bytes
+ */
+function encodeTransactionForSigning(tx) {
+    const writer = new Writer();
+    writer.u8(ENCODING_VERSION);
+
+    if (isUtxoTransaction(tx)) {
+        writer.u8(EncodingType.UTXO_TRANSACTION_SIGNING);
+        writeUtxoTransaction(writer, tx, false);
+    } else {
+        writer.u8(EncodingType.TRANSACTION_SIGNING);
+        writeTransactionFields(writer, tx);
+    }
+
+    return writer.toBuffer();
+}
+
+function readTransaction(reader) {
+    if (reader.peekType() === EncodingType.UTXO_TRANSACTION) {
+        return readUtxoTransaction(reader);
+    }
+
+    reader.prefix(EncodingType.TRANSACTION);
+
+    return {
+        senderAddress: reader.optionalString(),
+        receiverAddress: reader.string(),
+        amount: reader.f64(),
+        fee: reader.f64(),
+        nonce: reader.varint(),
+        chainId: reader.optionalString(),
+        timestamp: reader.u64(),
+        signature: reader.optionalString()
+    };
+}
+
+/**
+ * Decode a transaction encoded with encodeTransaction.
+ * 
+ * @param {Buffer} bytes - Canonical bytes
+ * @returns {Object} Plain transaction data (for Transaction.fromJSON)
+ * @throws {Error} If the bytes are not a canonical transaction
+ */
+function decodeTransaction(bytes) {
+    const reader = new Reader(bytes);
+    const tx = readTransaction(reader);
+    reader.end();
+    return tx;
+}
+
+/**
+ * Encode a block header. The nonce is always the last 8 bytes,
+ * so miners can encode once and only rewrite the nonce (see setHeaderNonce).
+ * 
+ * @param {Object} header - { index, timestamp, previousHash, merkleRoot, difficulty, nonce }
+ * @returns {Buffer} Canonical bytes (their SHA-256 is the block hash)
+ */
+function encodeBlockHeader(header) {
+    const writer = new Writer();
+    writer.u8(ENCODING_VERSION);
+    writer.u8(EncodingType.BLOCK_HEADER);
+    writer.varint(header.index, 'index');
+    writer.u64(header.timestamp, 'timestamp');
+    writer.hash(header.previousHash, 'previousHash');
+    writer.hash(header.merkleRoot, 'merkleRoot');
+    writer.f64(header.difficulty, 'difficulty');
+    writer.u64(header.nonce, 'nonce');
+    return writer.toBuffer();
+}
+
+/**
+ * Overwrite the nonce of an encoded block header in place.
+ * 
+ * @param {Buffer} bytes - Output of encodeBlockHeader
+ * @param {number} nonce - New nonce
+ */
+function setHeaderNonce(bytes, nonce) {
+    const offset = bytes.length - 8;
+    bytes.writeUInt32BE(Math.floor(nonce / UINT32), offset);
+    bytes.writeUInt32BE(nonce % UINT32, offset + 4);
+}
+
+function readBlockHeader(reader) {
+    reader.prefix(EncodingType.BLOCK_HEADER);
+
+    return {
+        index: reader.varint(),
+        timestamp: reader.u64(),
+        previousHash: reader.hash(),
+        merkleRoot: reader.hash(),
+        difficulty: reader.f64(),
+        nonce: reader.u64()
+    };
+}
+
+/**
+ * Decode a block header encoded with encodeBlockHeader.
+ * 
+ * @param {Buffer} bytes - Canonical bytes
+ * @returns {Object} Header fields plus the hash they produce
+ */
+function decodeBlockHeader(bytes) {
+    const reader = new Reader(bytes);
+    const header = readBlockHeader(reader);
+    reader.end();
+    return { ...header, hash: sha256(bytes) };
+}
+
+/**
+ * Encode a full block: header, then every transaction, then the
+ * authority's signature if the block has one.
+ * The block hash isn't included, it is the hash of the header.
+ * 
+ * @param {Object} block - Block or plain block data
+ * @returns {Buffer} Canonical bytes
+ */
+function encodeBlock(block) {
+    const writer = new Writer();
+    writer.u8(ENCODING_VERSION);
+    writer.u8(EncodingType.BLOCK);
+    writer.raw(encodeBlockHeader(block));
+    writer.varint(block.transactions.length, 'transaction count');
+
+    for (const tx of block.transactions) {
+        writer.bytes(encodeTransaction(tx));
+    }
+
+    if (block.signature !== null && block.signature !== undefined) {
+        writer.string(block.signature, 'signature');
+    }
+
+    return writer.toBuffer();
+}
+
+/**
+ * Count the bytes a transaction adds to an encoded block: the
+ * transaction plus its length prefix.
+ * 
+ * @param {number} size - Length of the encoded transaction
+ * @returns {number} Bytes it takes up in encodeBlock's output
+ */
+function getBlockEntrySize(size) {
+    let prefix = 1;
+    while (size >= 128 ** prefix) {
+        prefix++;
+    }
+    return prefix + size;
+}
+
+/**
+ * Decode a block encoded with encodeBlock.
+ * 
+ * @param {Buffer} bytes - Canonical bytes
+ * @returns {Object} Plain block data with its hash (for Block.fromJSON)
+ * @throws {Error} If the bytes are not a canonical block
+ */
+function decodeBlock(bytes) {
+    const reader = new Reader(bytes);
+    reader.prefix(EncodingType.BLOCK);
+
+    const headerStart = reader.offset;
+    const header = readBlockHeader(reader);
+    const hash = sha256(bytes.subarray(headerStart, reader.offset));
+
+    const count = reader.varint();
+    const transactions = [];
+    for (let i = 0; i < count; i++) {
+        transactions.push(decodeTransaction(reader.bytesField()));
+    }
+
+    const signature = reader.offset < bytes.length ? reader.string() : null;
+    reader.end();
+
+    return { ...header, transactions, hash, signature };
+}
+
+module.exports = {
+    ENCODING_VERSION,
+    EncodingType,
+    ZERO_HASH,
+    sha256,
+    isUtxoTransaction,
+    encodeTransaction,
+    encodeTransactionForSigning,
+    decodeTransaction,
+    encodeBlockHeader,
+    decodeBlockHeader,
+    setHeaderNonce,
+    encodeBlock,
+    decodeBlock,
+    getBlockEntrySize
+};
@@ -0,0 +1,454 @@
+/**
+ * ========================================
+ * NEKO CHAIN - MEMPOOL MODULE
+ * ========================================
+ * 
+ * The mempool holds transactions that are valid but not mined yet,
+ * and decides which of them a miner should include first.
+ * 
+ * EDUCATIONAL NOTES:
+ * ==================
+ * 
+ * 1. FEE RATE, NOT FEE
+ *    - Block space is limited in bytes, so miners compare fee per byte
+ *    - A 1000-byte transaction paying 0.01 pays less per byte than a
+ *      200-byte one paying 0.005
+ *    - We measure it in smallest units per byte (like Bitcoin's sat/vB)
+ * 
+ * 2. LIMITS
+ *    - Memory is finite: when the pool is over its byte limit, the
+ *      lowest fee rate transactions are evicted (so spamming the pool
+ *      costs more than the going rate)
+ *    - Transactions that wait too long expire
+ *    - One sender can only have a limited number of pending transactions
+ * 
+ * 3. CONFLICTS AND DESCENDANTS
+ *    - Two transactions conflict if only one of them can ever be mined:
+ *      the same sender and nonce (accounts), or the same spent output (UTXO)
+ *    - A transaction can depend on another pending one: the next nonce of
+ *      the same sender, or an output of a pending transaction
+ *    - Removing a transaction removes its descendants too, they could
+ *      never be mined without it
+ * 
+ * 4. REPLACE-BY-FEE
+ *    - A conflicting transaction is accepted if it pays a strictly higher
+ *      fee than everything it removes from the pool (what it conflicts
+ *      with, and on a UTXO network their descendants); those are dropped
+ *    - That is how a stuck payment is sped up, or cancelled by paying
+ *      yourself nothing at a higher fee (Bitcoin's BIP 125)
+ *    - Only a miner decides which version ends up in a block: a replaced
+ *      transaction can still be mined by a node that never saw the new one
+ * 
+ * 5. POLICY, NOT CONSENSUS
+ *    - Every node can pick its own limits; they decide what the node
+ *      relays and mines, not which blocks are valid
+ */
+
+const { encodeTransaction, isUtxoTransaction } = require('./encoding');
+const { toUnits, fromUnits } = require('./monetary-policy');
+const { getOutpoint } = require('./utxo');
+
+// Defaults for the pool limits
+const DEFAULT_MAX_BYTES = 5 * 1000 * 1000;          // 5 MB of transactions
+const DEFAULT_EXPIRY_MS = 24 * 60 * 60 * 1000;      // 24 hours
+const DEFAULT_MAX_PER_SENDER = 25;                   // Like Bitcoin's ancestor limit
+
+// Replaced transactions remembered for status lookups
+const MAX_REPLACED = 1000;
+
+// Lower bounds of the fee rate histogram buckets (units per byte)
+const FEE_RATE_BUCKETS = [0, 1, 10, 100, 1000, 10000, 100000, 1000000];
+
+/**
+ * Get the spent outpoints of a transaction (none for account transactions).
+ */
+function getInputOutpoints(tx) {
+    return isUtxoTransaction(tx) ? tx.inputs.map(input => getOutpoint(input.txid, input.index)) : [];
+}
+
+class Mempool {
+    /**
+     * Create an empty mempool.
+     * 
+     * @param {Object} options
+     * @param {number} options.maxBytes - Total size of pending transactions before eviction
+     * @param {number} options.expiryMs - How long a transaction may wait before it is dropped
+     * @param {number} options.maxPerSender - Pending transactions allowed per sender
+     */
+    constructor(options = {}) {
+        this.maxBytes = options.maxBytes ?? DEFAULT_MAX_BYTES;
+        this.expiryMs = options.expiryMs ?? DEFAULT_EXPIRY_MS;
+        this.maxPerSender = options.maxPerSender ?? DEFAULT_MAX_PER_SENDER;
+        this.entries = new Map();          // txid -> { tx, txid, size, feeRate, addedAt }
+        this.bytes = 0;                    // Total size of all entries
+        this.replaced = new Map();         // txid -> { tx, replacedBy, replacedAt }, oldest first
+    }
+
+    /**
+     * Number of pending transactions.
+     */
+    get size() {
+        return this.entries.size;
+    }
+
+    /**
+     * Check whether a transaction is in the pool.
+     * 
+     * @param {string} txid - Transaction ID
+     * @returns {boolean} True if pending
+     */
+    has(txid) {
+        return this.entries.has(txid);
+    }
+
+    /**
+     * Get a pending transaction.
+     * 
+     * @param {string} txid - Transaction ID
+     * @returns {Transaction|null} The transaction, or null
+     */
+    get(txid) {
+        const entry = this.entries.get(txid);
+        return entry ? entry.tx : null;
+    }
+
+    /**
+     * Get every pending transaction, in arrival order.
+     * 
+     * @returns {Transaction[]} Pending transactions
+     */
+    getTransactions() {
+        return [...this.entries.values()].map(entry => entry.tx);
+    }
+
+    /**
+     * Get the pending transactions of one sender.
+     * 
+     * @param {string} address - Sender address
+     * @returns {Transaction[]} Their pending transactions, in arrival order
+     */
+    getBySender(address) {
+        return this.getTransactions().filter(tx => tx.senderAddress === address);
+    }
+
+    /**
+     * Get every entry, highest fee rate first (oldest first on a tie).
+     * 
+     * @returns {Array} Entries: { tx, txid, size, feeRate, addedAt }
+     */
+    getSortedEntries() {
+        return [...this.entries.values()].sort((a, b) => b.feeRate - a.feeRate || a.addedAt - b.addedAt);
+    }
+
+    /**
+     * Find the pending transactions that conflict with a transaction:
+     * only one of them can ever be mined.
+     * 
+     * @param {Transaction|UtxoTransaction} tx - Incoming transaction
+     * @returns {Transaction[]} Conflicting pending transactions
+     */
+    getConflicts(tx) {
+        const txid = tx.calculateHash();
+
+        if (isUtxoTransaction(tx)) {
+            const spends = new Set(getInputOutpoints(tx));
+            return this.getTransactions().filter(pending =>
+                pending.calculateHash() !== txid && getInputOutpoints(pending).some(outpoint => spends.has(outpoint)));
+        }
+
+        return this.getBySender(tx.senderAddress).filter(pending =>
+            pending.nonce === tx.nonce && pending.calculateHash() !== txid);
+    }
+
+    /**
+     * Find the pending transactions that can only be mined after this one.
+     * 
+     * @param {Transaction|UtxoTransaction} tx - A pending transaction
+     * @returns {Transaction[]} Its descendants
+     */
+    getDescendants(tx) {
+        if (!isUtxoTransaction(tx)) {
+            // Later nonces of the same sender
+            return this.getBySender(tx.senderAddress).filter(pending => pending.nonce > tx.nonce);
+        }
+
+        // Spenders of its outputs, and their spenders, and so on
+        const descendants = [];
+        const parents = [tx.calculateHash()];
+        while (parents.length > 0) {
+            const parent = parents.pop();
+            for (const pending of this.getTransactions()) {
+                if (!descendants.includes(pending) && pending.inputs.some(input => input.txid === parent)) {
+                    descendants.push(pending);
+                    parents.push(pending.calculateHash());
+                }
+            }
+        }
+        return descendants;
+    }
+
+    /**
+     * Add up the fees a replacement takes out of the pool: the replaced
+     * transactions and, on a UTXO network, their descendants.
+     * 
+     * @param {Transaction[]} replaces - Pending transactions to replace
+     * @returns {number} Total fee in smallest units
+     */
+    getReplacedFees(replaces) {
+        const removed = new Set(replaces.flatMap(tx => isUtxoTransaction(tx) ? [tx, ...this.getDescendants(tx)] : [tx]));
+        return [...removed].reduce((sum, tx) => sum + toUnits(tx.fee || 0), 0);
+    }
+
+    /**
+     * Check whether a transaction may replace the pending transactions
+     * it conflicts with (replace-by-fee).
+     * 
+     * @param {Transaction|UtxoTransaction} tx - Incoming transaction
+     * @returns {Transaction[]} The transactions it would replace (empty if it conflicts with none)
+     * @throws {Error} If it conflicts but doesn't pay more than everything it would remove
+     */
+    checkReplacement(tx) {
+        const conflicts = this.getConflicts(tx);
+        if (conflicts.length === 0) {
+            return [];
+        }
+
+        const replacedFees = this.getReplacedFees(conflicts);
+        if (toUnits(tx.fee || 0) <= replacedFees) {
+            const why = isUtxoTransaction(tx) ? 'spends the same output' : 'same sender and nonce';
+            throw new Error(`Transaction conflicts with pending transaction ${conflicts[0].calculateHash().substring(0, 16)}... (${why}); ` +
+                `a replacement must pay a fee higher than ${fromUnits(replacedFees)}`);
+        }
+
+        return conflicts;
+    }
+
+    /**
+     * Add a transaction that already passed the blockchain's checks.
+     * 
+     * - Transactions it replaces (see checkReplacement) are removed first;
+     *   on a UTXO network their descendants go too, they spent outputs
+     *   that will never exist
+     * - If the pool is then over its byte limit, the lowest fee rate
+     *   transactions are evicted. The new transaction can be among them
+     *   if it spends an output of an evicted one: check has() afterwards.
+     * 
+     * @param {Transaction|UtxoTransaction} tx - Transaction to add
+     * @param {number} now - Arrival time (default Date.now())
+     * @param {Transaction[]} replaces - Pending transactions it replaces
+     * @returns {Object} { evicted, replaced } - transactions that left the pool
+     * @throws {Error} If the transaction is known, its sender is at the limit, or the pool is full and its fee rate too low
+     */
+    add(tx, now = Date.now(), replaces = []) {
+        const txid = tx.calculateHash();
+        if (this.entries.has(txid)) {
+            throw new Error('Transaction is already in the mempool');
+        }
+
+        const fromSender = this.getBySender(tx.senderAddress).filter(pending => !replaces.includes(pending)).length;
+        if (fromSender >= this.maxPerSender) {
+            throw new Error(`Sender already has ${fromSender} pending transactions (limit ${this.maxPerSender})`);
+        }
+
+        const size = encodeTransaction(tx).length;
+        const entry = { tx, txid, size, feeRate: toUnits(tx.fee || 0) / size, addedAt: now };
+
+        // A full pool only takes transactions that pay more than its cheapest one
+        const others = this.getSortedEntries().filter(other => !replaces.includes(other.tx));
+        const freed = replaces.reduce((sum, replaced) => sum + this.entries.get(replaced.calculateHash()).size, 0);
+        if (this.bytes - freed + size > this.maxBytes && others.length > 0 && entry.feeRate <= others[others.length - 1].feeRate) {
+            throw new Error(`Mempool is full: fee rate ${formatFeeRate(entry.feeRate)} is too low (minimum ${formatFeeRate(others[others.length - 1].feeRate)} units/byte)`);
+        }
+
+        const replaced = [];
+        for (const old of replaces) {
+            const removed = isUtxoTransaction(old) ? this.removeWithDescendants(old.calculateHash()) : [this.remove(old.calculateHash())];
+            for (const each of removed.filter(Boolean)) {
+                this.recordReplacement(each, txid, now);
+                replaced.push(each);
+            }
+        }
+
+        this.entries.set(txid, entry);
+        this.bytes += size;
+
+        const evicted = [];
+        while (this.bytes > this.maxBytes) {
+            evicted.push(...this.removeWithDescendants(this.getSortedEntries().pop().txid));
+        }
+
+        return { evicted, replaced };
+    }
+
+    /**
+     * Remember that a transaction was replaced, for status lookups.
+     * Only the latest MAX_REPLACED replacements are kept.
+     */
+    recordReplacement(tx, replacedBy, now) {
+        this.replaced.set(tx.calculateHash(), { tx, replacedBy, replacedAt: now });
+
+        while (this.replaced.size > MAX_REPLACED) {
+            this.replaced.delete(this.replaced.keys().next().value);
+        }
+    }
+
+    /**
+     * Look up a transaction that was replaced by fee.
+     * 
+     * @param {string} txid - Transaction ID
+     * @returns {Object|null} { tx, replacedBy, replacedAt }, or null if it wasn't replaced (recently)
+     */
+    getReplacement(txid) {
+        return this.replaced.get(txid) ?? null;
+    }
+
+    /**
+     * Remove one transaction (its descendants stay).
+     * 
+     * @param {string} txid - Transaction ID
+     * @returns {Transaction|null} The removed transaction, or null if unknown
+     */
+    remove(txid) {
+        const entry = this.entries.get(txid);
+        if (!entry) return null;
+
+        this.entries.delete(txid);
+        this.bytes -= entry.size;
+        return entry.tx;
+    }
+
+    /**
+     * Remove a transaction and everything that depends on it.
+     * 
+     * @param {string} txid - Transaction ID
+     * @returns {Transaction[]} The removed transactions
+     */
+    removeWithDescendants(txid) {
+        const tx = this.get(txid);
+        if (!tx) return [];
+
+        const removed = [tx, ...this.getDescendants(tx)];
+        for (const each of removed) {
+            this.remove(each.calculateHash());
+        }
+        return removed;
+    }
+
+    /**
+     * Drop transactions that have waited longer than the expiry time.
+     * 
+     * @param {number} now - Current time (default Date.now())
+     * @returns {Transaction[]} The expired transactions (and their descendants)
+     */
+    expire(now = Date.now()) {
+        const expired = [];
+        for (const entry of [...this.entries.values()]) {
+            if (this.entries.has(entry.txid) && now - entry.addedAt > this.expiryMs) {
+                expired.push(...this.removeWithDescendants(entry.txid));
+            }
+        }
+
+        if (expired.length > 0) {
+            console.log(`⌛ ${expired.length} transaction(s) expired from the mempool`);
+        }
+        return expired;
+    }
+
+    /**
+     * Keep only the transactions a filter accepts.
+     * 
+     * @param {Function} keep - (tx) => boolean
+     * @returns {Transaction[]} The removed transactions
+     */
+    filter(keep) {
+        const removed = [];
+        for (const entry of [...this.entries.values()]) {
+            if (!keep(entry.tx)) {
+                removed.push(this.remove(entry.txid));
+            }
+        }
+        return removed;
+    }
+
+    /**
+     * Get the details of a pending transaction.
+     * 
+     * @param {string} txid - Transaction ID
+     * @param {number} now - Current time (default Date.now())
+     * @returns {Object|null} { txid, size, feeRate, addedAt, expiresAt }, or null
+     */
+    getEntryInfo(txid, now = Date.now()) {
+        const entry = this.entries.get(txid);
+        if (!entry) return null;
+
+        return {
+            txid,
+            size: entry.size,
+            feeRate: formatFeeRate(entry.feeRate),
+            ageSeconds: Math.floor((now - entry.addedAt) / 1000),
+            expiresAt: new Date(entry.addedAt + this.expiryMs).toISOString()
+        };
+    }
+
+    /**
+     * Get the lowest fee rate in the pool.
+     * 
+     * @returns {number} Units per byte (0 if the pool is empty)
+     */
+    getMinFeeRate() {
+        const lowest = this.getSortedEntries().pop();
+        return lowest ? lowest.feeRate : 0;
+    }
+
+    /**
+     * Count pending transactions per fee rate range.
+     * 
+     * @returns {Array} [{ minFeeRate, maxFeeRate, count, bytes, totalFees }], empty buckets left out
+     */
+    getFeeHistogram() {
+        const buckets = FEE_RATE_BUCKETS.map((min, i) => ({
+            minFeeRate: min,
+            maxFeeRate: FEE_RATE_BUCKETS[i + 1] ?? null,
+            count: 0,
+            bytes: 0,
+            feeUnits: 0
+        }));
+
+        for (const entry of this.entries.values()) {
+            const bucket = buckets.findLast(each => entry.feeRate >= each.minFeeRate);
+            bucket.count++;
+            bucket.bytes += entry.size;
+            bucket.feeUnits += toUnits(entry.tx.fee || 0);
+        }
+
+        return buckets
+            .filter(bucket => bucket.count > 0)
+            .map(({ feeUnits, ...bucket }) => ({ ...bucket, totalFees: fromUnits(feeUnits) }));
+    }
+
+    /**
+     * Get the pool's size and limits.
+     * 
+     * @returns {Object} Mempool summary
+     */
+    getInfo() {
+        return {
+            count: this.entries.size,
+            bytes: this.bytes,
+            maxBytes: this.maxBytes,
+            usage: Math.round((this.bytes / this.maxBytes) * 10000) / 100,
+            minFeeRate: formatFeeRate(this.getMinFeeRate()),
+            expiryHours: this.expiryMs / (60 * 60 * 1000),
+            maxPerSender: this.maxPerSender
+        };
+    }
+}
+
+/**
+ * Round a fee rate for display.
+ */
+function formatFeeRate(feeRate) {
+    return Math.round(feeRate * 100) / 100;
+}
+
+module.exports = { Mempool, FEE_RATE_BUCKETS };
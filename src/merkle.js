@@ -0,0 +1,147 @@
+/**
+ * ========================================
+ * NEKO CHAIN - MERKLE TREE MODULE
+ * ========================================
+ * 
+ * Builds Merkle trees over transaction IDs and checks inclusion proofs.
+ * 
+ * EDUCATIONAL NOTES:
+ * ==================
+ * 
+ * 1. WHAT IS A MERKLE TREE?
+ *    - Hash every transaction ID (the leaves)
+ *    - Hash pairs of hashes together, level by level
+ *    - The single hash left at the top is the "Merkle root"
+ *    - If a level has an odd count, the last hash is paired with itself
+ * 
+ *                  root
+ *                /      \
+ *           H(AB)        H(CC)
+ *          /    \       /    \
+ *         A      B     C     (C)
+ * 
+ * 2. WHY PUT THE ROOT IN THE BLOCK HEADER?
+ *    - The block hash commits to the root, the root commits to every tx
+ *    - Changing any transaction changes the root and the block hash
+ * 
+ * 3. INCLUSION PROOFS (SPV)
+ *    - To prove tx C is in a block you only need the sibling hashes
+ *      on the path to the root: [H(C) with itself, H(AB)]
+ *    - That's log2(n) hashes instead of the whole block
+ *    - A light client rebuilds the root and compares it to the header
+ */
+
+const SHA256 = require('crypto-js/sha256');
+
+// Root of a block with no transactions
+const EMPTY_ROOT = '0'.repeat(64);
+
+/**
+ * Hash two child nodes into their parent.
+ * 
+ * @param {string} left - Left child hash
+ * @param {string} right - Right child hash
+ * @returns {string} Parent hash
+ */
+function hashPair(left, right) {
+    return SHA256(left + right).toString();
+}
+
+/**
+ * Build every level of the tree, from the leaves up to the root.
+ * 
+ * @param {string[]} leaves - Transaction IDs
+ * @returns {string[][]} Levels, levels[0] = leaves, last level = [root]
+ */
+function buildLevels(leaves) {
+    const levels = [leaves];
+
+    while (levels[levels.length - 1].length > 1) {
+        const level = levels[levels.length - 1];
+        const next = [];
+
+        for (let i = 0; i < level.length; i += 2) {
+            // Odd count: pair the last hash with itself
+            const right = i + 1 < level.length ? level[i + 1] : level[i];
+            next.push(hashPair(level[i], right));
+        }
+
+        levels.push(next);
+    }
+
+    return levels;
+}
+
+/**
+ * Compute the Merkle root of a list of transaction IDs.
+ * 
+ * @param {string[]} txIds - Transaction IDs in block order
+ * @returns {string} The Merkle root
+ */
+function computeMerkleRoot(txIds) {
+    if (txIds.length === 0) {
+        return EMPTY_ROOT;
+    }
+
+    const levels = buildLevels(txIds);
+    return levels[levels.length - 1][0];
+}
+
+/**
+ * Build the Merkle branch proving that one transaction is in the tree.
+ * 
+ * @param {string[]} txIds - Transaction IDs in block order
+ * @param {number} index - Position of the transaction to prove
+ * @returns {Array} Branch of { hash, position } from leaf to root,
+ *                  position says which side the sibling is on
+ */
+function getMerkleProof(txIds, index) {
+    if (index < 0 || index >= txIds.length) {
+        throw new Error(`Transaction index ${index} out of range`);
+    }
+
+    const levels = buildLevels(txIds);
+    const proof = [];
+
+    for (let depth = 0; depth < levels.length - 1; depth++) {
+        const level = levels[depth];
+        const isRight = index % 2 === 1;
+        const siblingIndex = isRight ? index - 1 : Math.min(index + 1, level.length - 1);
+
+        proof.push({
+            hash: level[siblingIndex],
+            position: isRight ? 'left' : 'right'
+        });
+
+        index = Math.floor(index / 2);
+    }
+
+    return proof;
+}
+
+/**
+ * Check a Merkle branch against a root (no blockchain needed).
+ * 
+ * @param {string} txId - The transaction ID being proven
+ * @param {Array} proof - Branch from getMerkleProof
+ * @param {string} merkleRoot - Root from a trusted block header
+ * @returns {boolean} True if the transaction is in the tree
+ */
+function verifyMerkleProof(txId, proof, merkleRoot) {
+    let hash = txId;
+
+    for (const step of proof) {
+        hash = step.position === 'left'
+            ? hashPair(step.hash, hash)
+            : hashPair(hash, step.hash);
+    }
+
+    return hash === merkleRoot;
+}
+
+module.exports = {
+    EMPTY_ROOT,
+    computeMerkleRoot,
+    getMerkleProof,
+    verifyMerkleProof
+};
@@ -0,0 +1,176 @@
+/**
+ * ========================================
+ * NEKO CHAIN - MONETARY POLICY MODULE
+ * ========================================
+ * 
+ * This module decides how many new coins each block may create.
+ * 
+ * EDUCATIONAL NOTES:
+ * ==================
+ * 
+ * 1. BLOCK REWARD
+ *    - The miner of a block pays itself a "coinbase" transaction
+ *    - This is the ONLY way new coins enter circulation
+ *    - Every node checks the coinbase against this schedule
+ * 
+ * 2. HALVING
+ *    - Every N blocks the reward is cut in half
+ *    - Bitcoin: 50 → 25 → 12.5 → ... every 210,000 blocks (~4 years)
+ *    - Issuance slows down over time, creating scarcity
+ * 
+ * 3. SUPPLY CAP
+ *    - Halving alone converges to a maximum (initialReward × N × 2)
+ *    - An explicit cap can stop issuance earlier
+ *    - The last reward before the cap is trimmed so the cap is never exceeded
+ *    - Coins allocated in the genesis block (premine) count toward the cap
+ */
+
+// Smallest unit we track (like Bitcoin's satoshi)
+const PRECISION = 1e8;
+
+// After this many halvings the reward is effectively zero
+const MAX_HALVINGS = 64;
+
+/**
+ * Round an amount down to the smallest tracked unit.
+ * 
+ * @param {number} amount - Amount in NEKO
+ * @returns {number} Rounded amount
+ */
+function floorAmount(amount) {
+    return Math.floor(amount * PRECISION) / PRECISION;
+}
+
+/**
+ * Convert an amount to whole smallest units, so amounts can be
+ * compared exactly despite floating point rounding (0.1 + 0.2).
+ * 
+ * @param {number} amount - Amount in NEKO
+ * @returns {number} Integer number of smallest units
+ */
+function toUnits(amount) {
+    return Math.round(amount * PRECISION);
+}
+
+/**
+ * Convert whole smallest units back to an amount in NEKO.
+ * 
+ * @param {number} units - Integer number of smallest units
+ * @returns {number} Amount in NEKO
+ */
+function fromUnits(units) {
+    return units / PRECISION;
+}
+
+class MonetaryPolicy {
+    /**
+     * Create a monetary policy.
+     * 
+     * @param {Object} options
+     * @param {number} options.initialReward - Reward for blocks in the first era (default 50)
+     * @param {number} options.halvingInterval - Blocks between halvings (default 100000)
+     * @param {number|null} options.maxSupply - Hard cap on issued coins (null = no cap)
+     * @param {number} options.initialSupply - Coins allocated in the genesis block (default 0)
+     */
+    constructor(options = {}) {
+        this.initialReward = options.initialReward ?? 50;
+        this.halvingInterval = options.halvingInterval ?? 100000;
+        this.maxSupply = options.maxSupply ?? null;
+        this.initialSupply = options.initialSupply ?? 0;
+    }
+
+    /**
+     * Get the reward of the halving era a height belongs to, ignoring the cap.
+     * 
+     * @param {number} height - Block height
+     * @returns {number} Scheduled reward
+     */
+    getScheduledReward(height) {
+        if (height <= 0) return 0;  // Genesis has no coinbase
+
+        const halvings = Math.floor(height / this.halvingInterval);
+        if (halvings >= MAX_HALVINGS) return 0;
+
+        return floorAmount(this.initialReward / Math.pow(2, halvings));
+    }
+
+    /**
+     * Get the total amount issued by genesis plus blocks 1..height-1.
+     * Computed era by era, so it doesn't need to scan the chain.
+     * 
+     * @param {number} height - Block height
+     * @returns {number} Coins issued before this height
+     */
+    getIssuedSupply(height) {
+        let issued = this.initialSupply;
+        let eraStart = 1;
+
+        while (eraStart < height) {
+            const eraEnd = Math.min(height, (Math.floor(eraStart / this.halvingInterval) + 1) * this.halvingInterval);
+            const reward = this.getScheduledReward(eraStart);
+            if (reward === 0) break;
+
+            issued += reward * (eraEnd - eraStart);
+            eraStart = eraEnd;
+        }
+
+        issued = floorAmount(issued);
+        return this.maxSupply === null ? issued : Math.min(issued, this.maxSupply);
+    }
+
+    /**
+     * Get the block reward at a height, respecting the supply cap.
+     * 
+     * @param {number} height - Block height
+     * @returns {number} Maximum coins the coinbase may create
+     */
+    getBlockReward(height) {
+        const reward = this.getScheduledReward(height);
+
+        if (this.maxSupply === null) {
+            return reward;
+        }
+
+        const remaining = this.maxSupply - this.getIssuedSupply(height);
+        return floorAmount(Math.max(0, Math.min(reward, remaining)));
+    }
+
+    /**
+     * Get the height of the next halving after a height.
+     * 
+     * @param {number} height - Block height
+     * @returns {number} Height where the reward halves next
+     */
+    getNextHalvingHeight(height) {
+        return (Math.floor(height / this.halvingInterval) + 1) * this.halvingInterval;
+    }
+
+    /**
+     * Get how many coins can still be issued from a height on.
+     * 
+     * @param {number} height - Block height
+     * @returns {number|null} Remaining issuable supply (null if uncapped)
+     */
+    getRemainingSupply(height) {
+        if (this.maxSupply === null) return null;
+        return floorAmount(this.maxSupply - this.getIssuedSupply(height));
+    }
+
+    /**
+     * Summarize the policy at a height (used by /stats).
+     * 
+     * @param {number} height - Height of the next block
+     * @returns {Object} Reward, halving and supply information
+     */
+    getInfo(height) {
+        return {
+            currentReward: this.getBlockReward(height),
+            halvingInterval: this.halvingInterval,
+            nextHalvingHeight: this.getNextHalvingHeight(height),
+            maxSupply: this.maxSupply,
+            remainingSupply: this.getRemainingSupply(height)
+        };
+    }
+}
+
+module.exports = { MonetaryPolicy, floorAmount, toUnits, fromUnits };
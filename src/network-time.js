@@ -0,0 +1,162 @@
+/**
+ * ========================================
+ * NEKO CHAIN - NETWORK TIME MODULE
+ * ========================================
+ * 
+ * Keeps a clock adjusted to the peers' clocks, for checking block timestamps.
+ * 
+ * EDUCATIONAL NOTES:
+ * ==================
+ * 
+ * 1. WHY NOT JUST Date.now()?
+ *    - A block more than 2 hours in the future is rejected, and a node
+ *      whose clock is off would reject blocks everyone else accepts
+ *      (or accept blocks everyone else rejects)
+ *    - Bitcoin adjusts its clock by the median offset of its peers:
+ *      every peer reports its time in the version (handshake) message
+ * 
+ * 2. THE MEDIAN
+ *    - Our own clock counts as one sample with offset 0
+ *    - A median can't be dragged far by one or two lying peers,
+ *      unlike an average
+ *    - Message latency is ignored: it is small next to the 2 hour window
+ * 
+ * 3. LIMITS
+ *    - If the median says our clock is off by more than 70 minutes
+ *      (Bitcoin's limit), we don't trust it and keep our own time -
+ *      and warn, since either we or the network have a broken clock
+ *    - Each host (IP address) has one sample, taken when it connects and
+ *      dropped when it disconnects, like Bitcoin: a peer can't add weight
+ *      by reconnecting or opening more connections, or replace another
+ *      peer's sample by claiming its URL
+ * 
+ * 4. MOCK TIME (REGTEST)
+ *    - Tests of time rules (future blocks, slots, retargeting) shouldn't
+ *      have to wait for the real clock
+ *    - advance() moves our clock forward on top of the peers' offset,
+ *      like Bitcoin's setmocktime or Ganache's evm_increaseTime
+ *    - Only forward: blocks already made must stay in the past
+ */
+
+// Largest adjustment we apply to our own clock (70 minutes, same as Bitcoin)
+const MAX_CLOCK_ADJUSTMENT = 70 * 60 * 1000;
+
+// Peers we take samples from
+const MAX_CLOCK_SAMPLES = 200;
+
+class NetworkClock {
+    /**
+     * Create a network-adjusted clock.
+     * 
+     * @param {Object} options
+     * @param {number} options.maxAdjustment - Largest offset applied, in milliseconds (default 70 minutes)
+     * @param {Function} options.localTime - Our own clock (default Date.now)
+     */
+    constructor(options = {}) {
+        this.maxAdjustment = options.maxAdjustment ?? MAX_CLOCK_ADJUSTMENT;
+        this.localTime = options.localTime ?? Date.now;
+        this.samples = new Map();          // peer -> offset in milliseconds (their clock - ours)
+        this.mockOffset = 0;               // Added by advance() (regtest)
+        this.warned = false;
+    }
+
+    /**
+     * Record the time a peer reported. A peer that already has a
+     * sample keeps it until removeSample().
+     * 
+     * @param {string} peer - Peer identifier (its remote address)
+     * @param {number} peerTime - The peer's clock, in milliseconds
+     * @returns {boolean} True if the sample was used
+     */
+    addSample(peer, peerTime) {
+        if (!Number.isSafeInteger(peerTime)) {
+            return false;
+        }
+        if (this.samples.has(peer) || this.samples.size >= MAX_CLOCK_SAMPLES) {
+            return false;
+        }
+
+        this.samples.set(peer, peerTime - this.localTime());
+        return true;
+    }
+
+    /**
+     * Forget a peer's sample (it disconnected).
+     * 
+     * @param {string} peer - Peer identifier
+     */
+    removeSample(peer) {
+        this.samples.delete(peer);
+    }
+
+    /**
+     * Get the offset applied to our clock: the median of the peers'
+     * offsets and our own (0), or 0 if that is beyond maxAdjustment.
+     * 
+     * @returns {number} Offset in milliseconds
+     */
+    getOffset() {
+        const offsets = [0, ...this.samples.values()].sort((a, b) => a - b);
+        const middle = Math.floor(offsets.length / 2);
+        const median = offsets.length % 2 === 1
+            ? offsets[middle]
+            : Math.round((offsets[middle - 1] + offsets[middle]) / 2);
+
+        if (Math.abs(median) > this.maxAdjustment) {
+            if (!this.warned) {
+                console.log(`⚠️  Peers' clocks differ from ours by ${Math.round(median / 1000)}s - check your computer's date and time`);
+                this.warned = true;
+            }
+            return 0;
+        }
+
+        this.warned = false;
+        return median;
+    }
+
+    /**
+     * Move our clock forward (regtest).
+     * 
+     * @param {number} milliseconds - How far to move it
+     * @returns {number} Total mock offset, in milliseconds
+     * @throws {Error} If the amount is negative or not an integer
+     */
+    advance(milliseconds) {
+        if (!Number.isSafeInteger(milliseconds) || milliseconds < 0) {
+            throw new Error('The clock can only move forward by a whole number of milliseconds');
+        }
+
+        this.mockOffset += milliseconds;
+        return this.mockOffset;
+    }
+
+    /**
+     * Get the network-adjusted time.
+     * 
+     * @returns {number} Milliseconds since the Unix epoch
+     */
+    now() {
+        return this.localTime() + this.mockOffset + this.getOffset();
+    }
+
+    /**
+     * Get a summary for the API.
+     * 
+     * @returns {Object} { offset, mockOffset, samples, maxAdjustment, adjustedTime }
+     */
+    getInfo() {
+        const offset = this.getOffset();
+        return {
+            offset,
+            mockOffset: this.mockOffset,
+            samples: this.samples.size,
+            maxAdjustment: this.maxAdjustment,
+            adjustedTime: new Date(this.localTime() + this.mockOffset + offset).toISOString()
+        };
+    }
+}
+
+module.exports = {
+    NetworkClock,
+    MAX_CLOCK_ADJUSTMENT
+};
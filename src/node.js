@@ -0,0 +1,240 @@
+/**
+ * ========================================
+ * NEKO CHAIN - NODE MODULE
+ * ========================================
+ * 
+ * Builds a full node from options: storage, blockchain, contracts,
+ * P2P transport and HTTP API, with start and stop handles.
+ * 
+ * EDUCATIONAL NOTES:
+ * ==================
+ * 
+ * 1. A LIBRARY, NOT A SCRIPT
+ *    - Nothing here reads the command line or starts on require:
+ *      the CLI (index.js) is a thin wrapper that turns flags into options
+ *    - So several nodes can run in one process, e.g. a test that starts
+ *      three nodes, connects them and checks a block reaches all of them
+ * 
+ * 2. EPHEMERAL PORTS
+ *    - Port 0 asks the operating system for any free port, so nodes
+ *      started side by side never clash
+ *    - The real ports (and the node's URLs) are known once start() resolves
+ * 
+ * 3. LIFECYCLE
+ *    - createNode() only wires the parts together
+ *    - start() loads the chain, then listens (HTTP API, then P2P)
+ *    - stop() closes everything start() opened, so the process can
+ *      exit (or start the next test) cleanly
+ */
+
+const path = require('path');
+const Blockchain = require('./blockchain');
+const P2PNetwork = require('./p2p');
+const WebSocketP2P = require('./p2p-ws');
+const Storage = require('./storage');
+const { loadChainSpec, toBlockchainOptions } = require('./chain-spec');
+const { ContractManager } = require('./contract');
+const { RegtestTools } = require('./regtest');
+const { createApi } = require('./api');
+
+// Network presets: createNode({ network: 'dev' }) or node src/index.js --network dev
+// Each network has its own chain spec, default port, seed nodes and data directory,
+// so nodes of different networks can run side by side on one machine.
+// (WebSocket P2P runs on the HTTP port + 1000 by default)
+const NETWORKS = {
+    main: {
+        port: 3000,
+        seedPorts: [3000, 3001, 3002, 3003],
+        dataDir: port => `./blockchain-data-${port}`,
+        chainSpec: 'main.json'
+    },
+    test: {
+        port: 3100,
+        seedPorts: [3100, 3101, 3102, 3103],
+        dataDir: port => `./blockchain-data-test-${port}`,
+        chainSpec: 'test.json'
+    },
+    dev: {
+        port: 3200,
+        seedPorts: [3200, 3201, 3202, 3203],
+        dataDir: port => `./blockchain-data-dev-${port}`,
+        chainSpec: 'dev.json'
+    },
+    utxo: {
+        port: 3300,
+        seedPorts: [3300, 3301, 3302, 3303],
+        dataDir: port => `./blockchain-data-utxo-${port}`,
+        chainSpec: 'utxo.json'
+    },
+    poa: {
+        port: 3400,
+        seedPorts: [3400, 3401, 3402, 3403],
+        dataDir: port => `./blockchain-data-poa-${port}`,
+        chainSpec: 'poa.json'
+    },
+    pos: {
+        port: 3500,
+        seedPorts: [3500, 3501, 3502, 3503],
+        dataDir: port => `./blockchain-data-pos-${port}`,
+        chainSpec: 'pos.json'
+    },
+    regtest: {
+        port: 3600,
+        seedPorts: [3600, 3601, 3602, 3603],
+        dataDir: port => `./blockchain-data-regtest-${port}`,
+        chainSpec: 'regtest.json'
+    }
+};
+
+/**
+ * Create a node. Nothing is opened or listening until start().
+ * 
+ * @param {Object} options
+ * @param {string} options.network - Network preset (default 'main', see NETWORKS)
+ * @param {string} options.chain - Chain spec file (default: the preset's, in chains/)
+ * @param {number} options.port - HTTP port (default: the preset's, 0 for any free port)
+ * @param {number} options.p2pPort - WebSocket port (default: HTTP port + 1000, any free port if the HTTP port is 0)
+ * @param {string|null} options.dataDir - LevelDB directory (default null: in-memory)
+ * @param {string} options.transport - 'ws' (default) or 'http' (legacy polling, served on the HTTP port)
+ * @param {boolean} options.p2p - Start the P2P transport (default true, false on regtest)
+ * @param {Array|null} options.seedNodes - Peer URLs to discover from (default none, null for SEED_NODES or the transport's defaults)
+ * @param {boolean} options.reindex - Rebuild the account index from the stored blocks on start
+ * @param {boolean} options.assumeValid - Skip signature checks below the last checkpoint
+ * @param {string} options.authorityKey - Private key to seal blocks with (proof-of-authority)
+ * @param {string} options.validatorKey - Private key to propose blocks with (proof-of-stake)
+ * @param {number} options.miningThreads - Worker threads per mining job (default 1)
+ * @param {Object} options.logger - Logger for the consensus engine: { log } (default console, { log() {} } silences it)
+ * @returns {Object} The node: { network, chainSpec, blockchain, storage, contractManager, p2p, regtest, app,
+ *                   port, url, p2pUrl, start(), stop(), connect(url) }
+ * @throws {Error} If the network is unknown or the chain spec is invalid
+ */
+function createNode(options = {}) {
+    const networkName = options.network ?? 'main';
+    const network = NETWORKS[networkName];
+    if (!network) {
+        throw new Error(`Unknown network "${networkName}" (choose one of: ${Object.keys(NETWORKS).join(', ')})`);
+    }
+
+    const port = options.port ?? network.port;
+    const transport = options.transport ?? 'ws';
+    if (transport !== 'ws' && transport !== 'http') {
+        throw new Error(`Unknown P2P transport "${transport}" (choose ws or http)`);
+    }
+
+    const isRegtest = networkName === 'regtest';
+    const useP2P = options.p2p ?? !isRegtest;
+
+    const chainSpec = loadChainSpec(options.chain ?? path.join(__dirname, '..', 'chains', network.chainSpec));
+
+    const storage = options.dataDir ? new Storage(options.dataDir) : null;
+
+    const blockchain = new Blockchain(storage, {
+        ...toBlockchainOptions(chainSpec),
+        assumeValid: options.assumeValid ?? false,
+        authorityKey: options.authorityKey,
+        validatorKey: options.validatorKey,
+        miningThreads: options.miningThreads,
+        logger: options.logger
+    });
+
+    const contractManager = new ContractManager(storage);
+
+    // Embedded nodes only talk to the peers they are given
+    const seedNodes = options.seedNodes === undefined ? [] : options.seedNodes;
+    const p2p = transport === 'http'
+        ? new P2PNetwork(blockchain, port, seedNodes)
+        : new WebSocketP2P(blockchain, port, seedNodes, options.p2pPort ?? (port === 0 ? 0 : parseInt(port) + 1000));
+
+    // Developer tools: instant blocks, mock time, snapshots (regtest only)
+    const regtest = isRegtest
+        ? new RegtestTools(blockchain, { onBlock: block => p2p.broadcastBlock(block) })
+        : null;
+
+    let server = null;
+
+    const node = {
+        network: networkName,
+        chainSpec,
+        transport,
+        useP2P,
+        blockchain,
+        storage,
+        contractManager,
+        p2p,
+        regtest,
+        app: null,
+        port,
+        url: `http://localhost:${port}`,
+        p2pUrl: useP2P ? p2p.nodeUrl : null,
+
+        /**
+         * Load the chain and start listening.
+         * 
+         * @returns {Promise<Object>} The node, with its real ports and URLs
+         */
+        async start() {
+            if (server) {
+                throw new Error('Node already started');
+            }
+
+            await blockchain.initialize({ reindex: options.reindex ?? false });
+
+            server = await new Promise((resolve, reject) => {
+                const listening = node.app.listen(port, () => resolve(listening));
+                listening.once('error', reject);
+            });
+            node.port = server.address().port;
+            node.url = `http://localhost:${node.port}`;
+
+            if (useP2P) {
+                if (transport === 'http') {
+                    p2p.startServer(node.port);
+                } else {
+                    await p2p.startServer();
+                }
+                node.p2pUrl = p2p.nodeUrl;
+            }
+
+            return node;
+        },
+
+        /**
+         * Stop listening, abort mining and close the database.
+         */
+        async stop() {
+            blockchain.miner.abort('node stopped');
+
+            if (useP2P) {
+                await p2p.shutdown();
+            }
+
+            if (server) {
+                server.closeAllConnections();
+                await new Promise(resolve => server.close(() => resolve()));
+                server = null;
+            }
+
+            if (storage) {
+                await storage.close();
+            }
+        },
+
+        /**
+         * Connect to a peer (e.g. another node's p2pUrl, or its url with the HTTP transport).
+         * 
+         * @param {string} peerUrl - The peer's URL
+         * @returns {Promise<boolean>} True if connected
+         */
+        connect(peerUrl) {
+            return p2p.connectToPeer(peerUrl);
+        }
+    };
+
+    node.app = createApi(node);
+    return node;
+}
+
+module.exports = {
+    createNode,
+    NETWORKS
+};
@@ -24,10 +24,34 @@
  * 
  * 3. CONNECTION FLOW:
  *    Client connects → Handshake → Exchange peer lists → Sync chains
+ *    The handshake carries the chain ID and genesis hash: peers from
+ *    another network are refused before anything else is exchanged.
+ *    It also carries the sender's clock: our network-adjusted time is
+ *    the median of the peers' clocks (network-time.js)
+ * 
+ * 4. WIRE FORMAT:
+ *    - Messages are JSON envelopes { type, data }
+ *    - Blocks and transactions inside them are in the canonical binary
+ *      encoding (encoding.js), sent as base64 strings: every node reads
+ *      back exactly the bytes that were hashed and signed
+ *    - NEW_TX carries the txid next to the transaction, so a node that
+ *      already has it can drop the message without decoding it
+ * 
+ * 5. FORK RESOLUTION:
+ *    - Peers compare accumulated work (not chain length) in the handshake
+ *    - A block whose parent we don't know triggers a chain request,
+ *      so we can learn the missing branch and reorganize onto it
+ * 
+ * 6. EPHEMERAL PORTS:
+ *    - With port 0 the operating system picks a free port, so many nodes
+ *      can run in one process (tests) without clashing
+ *    - Our URL, sent in the handshake, is only known once the server listens
  */
 
 const WebSocket = require('ws');
 const http = require('http');
+const { encodeBlock, decodeBlock, encodeTransaction, decodeTransaction } = require('./encoding');
+const Transaction = require('./transaction');
 
 // Message types for P2P communication
 const MessageType = {
@@ -45,12 +69,14 @@ class WebSocketP2P {
      * Create a new WebSocket P2P network.
      * 
      * @param {Blockchain} blockchain - The blockchain instance
-     * @param {number} port - Port for WebSocket server (HTTP port + 1000)
+     * @param {number} httpPort - This node's HTTP port
+     * @param {Array} seedNodes - Seed node URLs (null: SEED_NODES or the default seeds)
+     * @param {number} wsPort - Port for the WebSocket server (default HTTP port + 1000, 0 for any free port)
      */
-    constructor(blockchain, httpPort) {
+    constructor(blockchain, httpPort, seedNodes = null, wsPort = parseInt(httpPort) + 1000) {
         this.blockchain = blockchain;
         this.httpPort = httpPort;
-        this.wsPort = parseInt(httpPort) + 1000;  // WebSocket on port + 1000
+        this.wsPort = wsPort;
         this.nodeUrl = `ws://localhost:${this.wsPort}`;
 
         // Connected peers (WebSocket connections)
@@ -60,12 +86,13 @@ class WebSocketP2P {
         this.knownPeers = new Set();
 
         // Seed nodes for discovery
-        this.seedNodes = this.loadSeedNodes();
+        this.seedNodes = this.loadSeedNodes(seedNodes);
 
         // WebSocket server
         this.wss = null;
 
-        // Reconnection interval
+        // Discovery timer and reconnection interval
+        this.discoveryTimeout = null;
         this.reconnectInterval = null;
 
         console.log(`🌐 WebSocket P2P initialized`);
@@ -75,8 +102,13 @@ class WebSocketP2P {
 
     /**
      * Load seed nodes for initial discovery.
+     * 
+     * @param {Array} providedSeeds - Seeds provided to constructor (an empty array means none)
      */
-    loadSeedNodes() {
+    loadSeedNodes(providedSeeds) {
+        if (Array.isArray(providedSeeds)) {
+            return providedSeeds;
+        }
         if (process.env.SEED_NODES) {
             return process.env.SEED_NODES.split(',').map(s => s.trim());
         }
@@ -91,26 +123,35 @@ class WebSocketP2P {
 
     /**
      * Start the WebSocket server.
+     * 
+     * @returns {Promise<number>} The port it listens on
      */
     startServer() {
-        this.wss = new WebSocket.Server({ port: this.wsPort });
+        return new Promise((resolve, reject) => {
+            this.wss = new WebSocket.Server({ port: this.wsPort }, () => {
+                this.wsPort = this.wss.address().port;
+                this.nodeUrl = `ws://localhost:${this.wsPort}`;
+                console.log(`✅ WebSocket server listening on port ${this.wsPort}`);
 
-        this.wss.on('connection', (ws, req) => {
-            console.log(`📡 Incoming WebSocket connection from ${req.socket.remoteAddress}`);
-            this.initConnection(ws, true);
-        });
+                // Start peer discovery
+                this.discoveryTimeout = setTimeout(() => this.discoverPeers(), 2000);
 
-        this.wss.on('error', (error) => {
-            console.error(`❌ WebSocket server error: ${error.message}`);
-        });
+                // Reconnect to known peers periodically
+                this.reconnectInterval = setInterval(() => this.reconnectToPeers(), 30000);
 
-        console.log(`✅ WebSocket server listening on port ${this.wsPort}`);
+                resolve(this.wsPort);
+            });
 
-        // Start peer discovery
-        setTimeout(() => this.discoverPeers(), 2000);
+            this.wss.on('connection', (ws, req) => {
+                console.log(`📡 Incoming WebSocket connection from ${req.socket.remoteAddress}`);
+                this.initConnection(ws, true, req.socket.remoteAddress);
+            });
 
-        // Reconnect to known peers periodically
-        this.reconnectInterval = setInterval(() => this.reconnectToPeers(), 30000);
+            this.wss.on('error', (error) => {
+                console.error(`❌ WebSocket server error: ${error.message}`);
+                reject(error);
+            });
+        });
     }
 
     /**
@@ -118,9 +159,12 @@ class WebSocketP2P {
      * 
      * @param {WebSocket} ws - The WebSocket connection
      * @param {boolean} isIncoming - True if connection was initiated by peer
+     * @param {string|null} remoteAddress - The peer's IP address (keys its clock sample)
      */
-    initConnection(ws, isIncoming = false) {
+    initConnection(ws, isIncoming = false, remoteAddress = null) {
         ws.isAlive = true;
+        ws.remoteAddress = remoteAddress ? remoteAddress.replace(/^::ffff:/, '') : null;  // One form for IPv4 hosts
+        ws.clockSample = null;             // Set once this connection's clock sample is taken
 
         ws.on('pong', () => {
             ws.isAlive = true;
@@ -144,6 +188,11 @@ class WebSocketP2P {
                     break;
                 }
             }
+
+            // Only the connection that added a sample removes it
+            if (ws.clockSample) {
+                this.blockchain.clock.removeSample(ws.clockSample);
+            }
         });
 
         ws.on('error', (error) => {
@@ -156,6 +205,10 @@ class WebSocketP2P {
             data: {
                 nodeUrl: this.nodeUrl,
                 chainLength: this.blockchain.chain.length,
+                totalWork: this.blockchain.getChainWork(),
+                chainId: this.blockchain.chainId,
+                genesisHash: this.blockchain.genesisHash,
+                time: Date.now(),               // Our own clock, not the adjusted one
                 version: '2.0'
             }
         });
@@ -174,11 +227,11 @@ class WebSocketP2P {
                 break;
 
             case MessageType.NEW_BLOCK:
-                this.handleNewBlock(message.data);
+                this.handleNewBlock(ws, message.data).catch(error => this.logHandlerError(message.type, error));
                 break;
 
             case MessageType.NEW_TX:
-                this.handleNewTransaction(message.data);
+                this.handleNewTransaction(ws, message.data).catch(error => this.logHandlerError(message.type, error));
                 break;
 
             case MessageType.GET_CHAIN:
@@ -186,7 +239,7 @@ class WebSocketP2P {
                 break;
 
             case MessageType.CHAIN:
-                this.handleChain(message.data);
+                this.handleChain(message.data).catch(error => this.logHandlerError(message.type, error));
                 break;
 
             case MessageType.GET_PEERS:
@@ -202,11 +255,22 @@ class WebSocketP2P {
         }
     }
 
+    /**
+     * Log a message handler that failed. The handlers are async and nobody
+     * awaits them: a bad message from one peer must not crash the node.
+     * 
+     * @param {string} type - Type of the message being handled
+     * @param {Error} error - What went wrong
+     */
+    logHandlerError(type, error) {
+        console.log(`❌ Failed to handle ${type} message: ${error.message}`);
+    }
+
     /**
      * Handle handshake from a peer.
      */
     handleHandshake(ws, data) {
-        const { nodeUrl, chainLength } = data;
+        const { nodeUrl, chainLength, totalWork, chainId, genesisHash, time } = data;
 
         // Don't connect to ourselves
         if (nodeUrl === this.nodeUrl) {
@@ -214,6 +278,14 @@ class WebSocketP2P {
             return;
         }
 
+        // Refuse peers from another network (different chain ID or genesis)
+        if (chainId !== this.blockchain.chainId || genesisHash !== this.blockchain.genesisHash) {
+            console.log(`🚫 Refusing peer ${nodeUrl}: runs chain ${chainId}, we run ${this.blockchain.chainId}`);
+            this.knownPeers.delete(nodeUrl);
+            ws.close();
+            return;
+        }
+
         // Store the connection
         if (!this.peers.has(nodeUrl)) {
             this.peers.set(nodeUrl, ws);
@@ -222,9 +294,18 @@ class WebSocketP2P {
             console.log(`   Total peers: ${this.peers.size}`);
         }
 
-        // If peer has longer chain, request it
-        if (chainLength > this.blockchain.chain.length) {
-            console.log(`📥 Peer has longer chain (${chainLength} vs ${this.blockchain.chain.length}), requesting...`);
+        // The peer's clock feeds our network-adjusted time: one sample per host,
+        // taken when this connection registers, not when a handshake claims
+        // the URL of a peer connected on another socket
+        const registered = this.peers.get(nodeUrl) === ws;
+        if (registered && ws.remoteAddress && !ws.clockSample && this.blockchain.clock.addSample(ws.remoteAddress, time)) {
+            ws.clockSample = ws.remoteAddress;
+            console.log(`🕒 Clock of ${nodeUrl} differs from ours by ${time - Date.now()}ms (network offset ${this.blockchain.clock.getOffset()}ms)`);
+        }
+
+        // If peer has a heavier chain, request it
+        if (totalWork > this.blockchain.getChainWork()) {
+            console.log(`📥 Peer has more work (${totalWork} vs ${this.blockchain.getChainWork()}), requesting chain...`);
             this.sendMessage(ws, { type: MessageType.GET_CHAIN });
         }
 
@@ -234,33 +315,70 @@ class WebSocketP2P {
 
     /**
      * Handle a new block broadcast.
+     * If the block builds on a branch we haven't seen, ask the sender for its chain.
      */
-    handleNewBlock(blockData) {
+    async handleNewBlock(ws, encoded) {
+        let blockData;
+        try {
+            blockData = decodeBlock(Buffer.from(encoded, 'base64'));
+        } catch (error) {
+            console.log(`❌ Received a malformed block: ${error.message}`);
+            return;
+        }
+
         console.log(`📦 Received new block #${blockData.index} from peer`);
 
-        const added = this.blockchain.addBlock(blockData);
+        if (!this.blockchain.hasBlock(blockData.previousHash)) {
+            console.log(`📥 Block #${blockData.index} builds on an unknown branch, requesting chain...`);
+            this.sendMessage(ws, { type: MessageType.GET_CHAIN });
+            return;
+        }
 
-        if (added) {
-            console.log(`✅ Block #${blockData.index} added to chain`);
-            // Save to storage if available
-            if (this.blockchain.storage) {
-                this.blockchain.storage.saveBlock(blockData);
-            }
+        const result = await this.blockchain.addBlock(blockData);
+
+        if (result.success) {
+            console.log(`✅ Block #${blockData.index} accepted`);
         } else {
-            console.log(`❌ Block #${blockData.index} rejected`);
+            console.log(`❌ Block #${blockData.index} rejected: ${result.reason}`);
         }
     }
 
     /**
-     * Handle a new transaction broadcast.
+     * Handle a new transaction broadcast: { txid, tx: base64 }.
+     * Transactions we already have are dropped by txid without decoding;
+     * new ones are relayed to our other peers.
      */
-    async handleNewTransaction(txData) {
-        console.log(`📝 Received transaction from peer: ${txData.amount} NEKO`);
+    async handleNewTransaction(ws, data) {
+        let txid;
+        let transaction;
+        try {
+            if (!data || typeof data.txid !== 'string' || typeof data.tx !== 'string') {
+                throw new Error('expected { txid, tx }');
+            }
+
+            txid = data.txid;
+            if (this.blockchain.getPendingTransaction(txid)) {
+                return;
+            }
+
+            transaction = Transaction.fromJSON(decodeTransaction(Buffer.from(data.tx, 'base64')));
+        } catch (error) {
+            console.log(`❌ Received a malformed transaction: ${error.message}`);
+            return;
+        }
+
+        if (transaction.calculateHash() !== txid) {
+            console.log(`❌ Received transaction does not match its txid ${txid.substring(0, 16)}...`);
+            return;
+        }
+
+        console.log(`📝 Received transaction ${txid.substring(0, 16)}... from peer: ${transaction.amount} NEKO (fee ${transaction.fee || 0})`);
 
         try {
-            const added = await this.blockchain.addReceivedTransaction(txData);
+            const added = await this.blockchain.addReceivedTransaction(transaction);
             if (added) {
                 console.log(`✅ Transaction added to pending pool`);
+                this.broadcastTransaction(transaction, ws);
             }
         } catch (error) {
             console.log(`❌ Transaction rejected: ${error.message}`);
@@ -273,23 +391,30 @@ class WebSocketP2P {
     sendChain(ws) {
         this.sendMessage(ws, {
             type: MessageType.CHAIN,
-            data: this.blockchain.chain
+            data: this.blockchain.chain.map(block => encodeBlock(block).toString('base64'))
         });
     }
 
     /**
      * Handle receiving a blockchain from a peer.
+     * The blockchain merges it into its block tree and keeps the heaviest branch.
      */
-    handleChain(chainData) {
+    async handleChain(encodedChain) {
+        let chainData;
+        try {
+            chainData = encodedChain.map(encoded => decodeBlock(Buffer.from(encoded, 'base64')));
+        } catch (error) {
+            console.log(`❌ Received a malformed chain: ${error.message}`);
+            return;
+        }
+
         console.log(`📥 Received chain with ${chainData.length} blocks`);
 
-        if (chainData.length > this.blockchain.chain.length) {
-            const replaced = this.blockchain.replaceChain(chainData);
-            if (replaced) {
-                console.log(`✅ Chain replaced with longer chain`);
-            } else {
-                console.log(`❌ Received chain is invalid`);
-            }
+        const replaced = await this.blockchain.replaceChain(chainData);
+        if (replaced) {
+            console.log(`✅ Switched to peer's heavier chain`);
+        } else {
+            console.log(`ℹ️  Kept our chain (peer's chain is not heavier or invalid)`);
         }
     }
 
@@ -321,31 +446,42 @@ class WebSocketP2P {
      * Connect to a peer by URL.
      * 
      * @param {string} url - WebSocket URL of the peer
+     * @returns {Promise<boolean>} True once connected, false if the connection failed
      */
     connectToPeer(url) {
         // Don't connect to ourselves
-        if (url === this.nodeUrl) return;
+        if (url === this.nodeUrl) return Promise.resolve(false);
 
         // Already connected
-        if (this.peers.has(url)) return;
-
-        try {
-            const ws = new WebSocket(url);
+        if (this.peers.has(url)) return Promise.resolve(true);
 
-            ws.on('open', () => {
-                console.log(`🔗 Connected to peer: ${url}`);
-                this.initConnection(ws, false);
-                this.peers.set(url, ws);
-                this.knownPeers.add(url);
-            });
-
-            ws.on('error', (error) => {
-                // Silent fail for connection attempts
-            });
+        return new Promise(resolve => {
+            try {
+                const ws = new WebSocket(url);
+
+                let remoteAddress = null;
+                ws.on('upgrade', response => {
+                    remoteAddress = response.socket.remoteAddress;
+                });
+
+                ws.on('open', () => {
+                    console.log(`🔗 Connected to peer: ${url}`);
+                    this.initConnection(ws, false, remoteAddress);
+                    this.peers.set(url, ws);
+                    this.knownPeers.add(url);
+                    resolve(true);
+                });
+
+                ws.on('error', (error) => {
+                    // Silent fail for connection attempts
+                    resolve(false);
+                });
 
-        } catch (error) {
-            // Silent fail
-        }
+            } catch (error) {
+                // Silent fail
+                resolve(false);
+            }
+        });
     }
 
     /**
@@ -380,14 +516,7 @@ class WebSocketP2P {
     broadcastBlock(block) {
         const message = {
             type: MessageType.NEW_BLOCK,
-            data: {
-                index: block.index,
-                timestamp: block.timestamp,
-                transactions: block.transactions,
-                previousHash: block.previousHash,
-                hash: block.hash,
-                nonce: block.nonce
-            }
+            data: encodeBlock(block).toString('base64')
         };
 
         console.log(`📡 Broadcasting block #${block.index} to ${this.peers.size} peer(s)...`);
@@ -398,33 +527,32 @@ class WebSocketP2P {
      * Broadcast a new transaction to all peers.
      * 
      * @param {Transaction} tx - The transaction to broadcast
+     * @param {WebSocket} exclude - Peer not to send it to (the one we got it from)
      */
-    broadcastTransaction(tx) {
+    broadcastTransaction(tx, exclude = null) {
         const message = {
             type: MessageType.NEW_TX,
             data: {
-                senderAddress: tx.senderAddress,
-                receiverAddress: tx.receiverAddress,
-                amount: tx.amount,
-                timestamp: tx.timestamp,
-                signature: tx.signature
+                txid: tx.calculateHash(),
+                tx: encodeTransaction(tx).toString('base64')
             }
         };
 
         console.log(`📡 Broadcasting transaction to ${this.peers.size} peer(s)...`);
-        this.broadcast(message);
+        this.broadcast(message, exclude);
     }
 
     /**
      * Broadcast a message to all connected peers.
      * 
      * @param {Object} message - The message to broadcast
+     * @param {WebSocket} exclude - Peer to skip (optional)
      */
-    broadcast(message) {
+    broadcast(message, exclude = null) {
         const data = JSON.stringify(message);
 
         for (const [url, ws] of this.peers) {
-            if (ws.readyState === WebSocket.OPEN) {
+            if (ws !== exclude && ws.readyState === WebSocket.OPEN) {
                 ws.send(data);
             }
         }
@@ -471,19 +599,26 @@ class WebSocketP2P {
 
     /**
      * Shutdown the P2P network.
+     * 
+     * @returns {Promise} Resolves once the server is closed
      */
-    shutdown() {
+    async shutdown() {
+        clearTimeout(this.discoveryTimeout);
         if (this.reconnectInterval) {
             clearInterval(this.reconnectInterval);
         }
 
-        // Close all connections
+        // Close all connections (incoming ones that never finished the handshake too)
         for (const [url, ws] of this.peers) {
-            ws.close();
+            ws.terminate();
         }
 
         if (this.wss) {
-            this.wss.close();
+            for (const ws of this.wss.clients) {
+                ws.terminate();
+            }
+            await new Promise(resolve => this.wss.close(() => resolve()));
+            this.wss = null;
         }
 
         console.log('👋 WebSocket P2P shutdown complete');
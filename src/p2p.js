@@ -19,10 +19,12 @@
  *    - When a transaction is created, broadcast to all peers
  *    - When a block is mined, broadcast to all peers
  *    - Peers validate and add to their chain
+ *    - Blocks and transactions are sent in the canonical binary encoding
+ *      (encoding.js) as base64 strings
  * 
- * 3. CONSENSUS (Longest Chain Rule)
+ * 3. CONSENSUS (Most Work Rule)
  *    - If two nodes mine at the same time, a fork occurs
- *    - The network follows the LONGEST valid chain
+ *    - The network follows the valid chain with the MOST accumulated work
  *    - This resolves conflicts automatically
  * 
  * 4. SIMPLIFIED IMPLEMENTATION
@@ -32,6 +34,7 @@
  */
 
 const axios = require('axios');
+const { encodeBlock, decodeBlock, encodeTransaction } = require('./encoding');
 
 class P2PNetwork {
     /**
@@ -39,7 +42,7 @@ class P2PNetwork {
      * 
      * @param {Blockchain} blockchain - Reference to the local blockchain
      * @param {number} port - This node's port
-     * @param {Array} seedNodes - Optional array of seed node URLs
+     * @param {Array} seedNodes - Seed node URLs (null: SEED_NODES or the default seeds)
      */
     constructor(blockchain, port, seedNodes = null) {
         this.blockchain = blockchain;
@@ -59,18 +62,45 @@ class P2PNetwork {
         // Auto-discovery interval (every 15 seconds)
         this.discoveryInterval = 15000;
 
+        // Timers started by startServer(), stopped by shutdown()
+        this.startTimeout = null;
+        this.intervals = [];
+
         console.log(`🌐 P2P Network initialized for node at ${this.nodeUrl}`);
         console.log(`   Seed nodes: ${this.seedNodes.length} configured`);
+    }
+
+    /**
+     * Start peer discovery and sync.
+     * Peers talk to our HTTP API, so this runs once the API listens
+     * (with port 0 our port is only known then).
+     * 
+     * @param {number} port - The port the HTTP API listens on
+     */
+    startServer(port = this.port) {
+        this.port = port;
+        this.nodeUrl = `http://localhost:${port}`;
 
         // Start auto-discovery and sync after a short delay
-        setTimeout(() => this.startAutoDiscovery(), 3000);
+        this.startTimeout = setTimeout(() => this.startAutoDiscovery(), 3000);
+    }
+
+    /**
+     * Stop peer discovery and sync.
+     */
+    shutdown() {
+        clearTimeout(this.startTimeout);
+        for (const interval of this.intervals) {
+            clearInterval(interval);
+        }
+        this.intervals = [];
     }
 
     /**
      * Load seed nodes from various sources.
      * 
      * Priority:
-     * 1. Constructor parameter (passed directly)
+     * 1. Constructor parameter (passed directly, an empty array means none)
      * 2. Environment variable SEED_NODES (comma-separated URLs)
      * 3. Default nodes (localhost:3000-3003)
      * 
@@ -79,7 +109,7 @@ class P2PNetwork {
      */
     loadSeedNodes(providedSeeds) {
         // Option 1: Use provided seeds
-        if (providedSeeds && Array.isArray(providedSeeds) && providedSeeds.length > 0) {
+        if (Array.isArray(providedSeeds)) {
             console.log('📌 Using provided seed nodes');
             return providedSeeds;
         }
@@ -161,16 +191,16 @@ class P2PNetwork {
         this.discoverPeers();
 
         // Periodic discovery
-        setInterval(() => {
+        this.intervals.push(setInterval(() => {
             this.discoverPeers();
-        }, this.discoveryInterval);
+        }, this.discoveryInterval));
 
         // Periodic sync
-        setInterval(() => {
+        this.intervals.push(setInterval(() => {
             if (this.peers.size > 0) {
                 this.syncChain();
             }
-        }, this.syncInterval);
+        }, this.syncInterval));
     }
 
     /**
@@ -242,8 +272,11 @@ class P2PNetwork {
     async connectToPeer(peerUrl) {
         try {
             // Register ourselves with the peer
+            // (the peer refuses us if we run another network)
             await axios.post(`${peerUrl}/peers/register`, {
-                peerUrl: this.nodeUrl
+                peerUrl: this.nodeUrl,
+                chainId: this.blockchain.chainId,
+                genesisHash: this.blockchain.genesisHash
             });
 
             // Add them as our peer
@@ -279,17 +312,15 @@ class P2PNetwork {
     async broadcastTransaction(transaction) {
         console.log(`📡 Broadcasting transaction to ${this.peers.size} peer(s)...`);
 
+        // Canonical binary encoding, as base64 inside the JSON body
+        const encoded = encodeTransaction(transaction).toString('base64');
+        const txid = transaction.calculateHash();
         const promises = [];
 
         for (const peerUrl of this.peers) {
             const promise = axios.post(`${peerUrl}/transaction/receive`, {
-                transaction: {
-                    senderAddress: transaction.senderAddress,
-                    receiverAddress: transaction.receiverAddress,
-                    amount: transaction.amount,
-                    timestamp: transaction.timestamp,
-                    signature: transaction.signature
-                }
+                txid,
+                transaction: encoded
             }).catch(err => {
                 console.log(`   Failed to send to ${peerUrl}: ${err.message}`);
             });
@@ -314,11 +345,12 @@ class P2PNetwork {
     async broadcastBlock(block) {
         console.log(`📡 Broadcasting new block #${block.index} to ${this.peers.size} peer(s)...`);
 
+        const encoded = encodeBlock(block).toString('base64');
         const promises = [];
 
         for (const peerUrl of this.peers) {
             const promise = axios.post(`${peerUrl}/block/receive`, {
-                block: block
+                block: encoded
             }).catch(err => {
                 console.log(`   Failed to send to ${peerUrl}: ${err.message}`);
             });
@@ -331,65 +363,52 @@ class P2PNetwork {
     }
 
     /**
-     * Sync the blockchain with peers (get the longest valid chain).
+     * Sync the blockchain with peers (get the heaviest valid chain).
      * 
-     * CONSENSUS MECHANISM (Longest Chain Rule):
-     * ==========================================
+     * CONSENSUS MECHANISM (Most Work Rule):
+     * =====================================
      * 
-     * When there's a conflict (multiple valid chains), we use the
-     * "longest chain" rule:
+     * When there's a conflict (multiple valid chains), we follow the
+     * chain with the most accumulated proof-of-work:
      * 
      * 1. Ask all peers for their blockchain
-     * 2. Find the longest chain that is valid
-     * 3. Replace our chain if a longer valid one exists
+     * 2. Merge every valid chain into our block tree
+     * 3. The blockchain switches to the heaviest branch it knows
      * 
-     * WHY LONGEST CHAIN?
-     * - More blocks = more computational work invested
+     * WHY MOST WORK, NOT MOST BLOCKS?
+     * - Work is what an attacker has to redo to rewrite history
      * - An attacker would need >50% of network computing power
-     * - This makes the network secure against manipulation
+     * - Once difficulty varies, a longer chain can carry less work
      * 
-     * @returns {boolean} True if chain was replaced
+     * @returns {boolean} True if our active chain changed
      */
     async syncChain() {
         console.log(`🔄 Syncing blockchain with ${this.peers.size} peer(s)...`);
 
-        let longestChain = null;
-        let maxLength = this.blockchain.chain.length;
+        let replaced = false;
 
         for (const peerUrl of this.peers) {
             try {
                 const response = await axios.get(`${peerUrl}/chain/raw`);
-                const peerChain = response.data.chain;
+                const peerChain = response.data.chain.map(encoded => decodeBlock(Buffer.from(encoded, 'base64')));
 
                 console.log(`   ${peerUrl}: ${peerChain.length} blocks`);
 
-                // Check if peer has a longer chain
-                if (peerChain.length > maxLength) {
-                    // We'll validate it before accepting
-                    longestChain = peerChain;
-                    maxLength = peerChain.length;
+                // The blockchain validates the chain and applies the fork choice rule
+                if (await this.blockchain.replaceChain(peerChain)) {
+                    console.log(`✅ Switched to heavier chain from ${peerUrl}`);
+                    replaced = true;
                 }
             } catch (error) {
                 console.log(`   ${peerUrl}: unreachable`);
             }
         }
 
-        // If we found a longer chain, validate and replace
-        if (longestChain) {
-            console.log(`   Found longer chain with ${maxLength} blocks!`);
-
-            // Reconstruct and validate the chain
-            if (this.blockchain.replaceChain(longestChain)) {
-                console.log(`✅ Chain replaced with longer valid chain`);
-                return true;
-            } else {
-                console.log(`❌ Longer chain was invalid, keeping current`);
-            }
-        } else {
-            console.log(`   Our chain is already the longest (${this.blockchain.chain.length} blocks)`);
+        if (!replaced) {
+            console.log(`   Our chain is already the heaviest (${this.blockchain.chain.length} blocks)`);
         }
 
-        return false;
+        return replaced;
     }
 
     /**
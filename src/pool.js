@@ -0,0 +1,548 @@
+/**
+ * ========================================
+ * NEKO CHAIN - MINING POOL MODULE
+ * ========================================
+ * 
+ * Lets many miners work together and share the block rewards.
+ * Used by pool.js, which serves it over HTTP.
+ * 
+ * EDUCATIONAL NOTES:
+ * ==================
+ * 
+ * 1. WHY POOLS?
+ *    - A small miner may wait weeks for a block: the income is "lumpy"
+ *    - Miners in a pool all hash on the same block, paid to the pool
+ *      address, and split the reward: smaller but steady income
+ * 
+ * 2. SHARES
+ *    - The pool can't see how hard a worker hashes, so it asks for proof:
+ *      hashes below an easier "share" target (e.g. 2 hex zeros less)
+ *    - A share is a near-miss block: it takes about 16^shareDifficulty
+ *      attempts, so the number of shares measures the work done
+ *    - Some shares also beat the real target: those are blocks!
+ * 
+ * 3. PAYOUT SCHEMES
+ *    - Proportional: the reward is split by the shares of the current
+ *      round (all shares since the pool's previous block)
+ *    - PPLNS (Pay Per Last N Shares): split by the last N shares,
+ *      whenever they were found. Workers who hop in and out of the pool
+ *      at the start of a round gain nothing, so it's the fairer scheme
+ * 
+ * 4. MATURITY
+ *    - A found block can still be orphaned by a reorg
+ *    - Blocks are tracked by height and hash: one that lost its height to
+ *      another branch stays immature until that branch is `confirmations`
+ *      deep, since a reorg could still bring it back
+ *    - Workers are only credited once the block has enough confirmations,
+ *      then paid with normal signed transactions (POST /transaction)
+ *    - A payout is only final once its transaction has the same number
+ *      of confirmations. If the node drops it (evicted, expired) or it is
+ *      replaced, the amount goes back to the worker's balance
+ */
+
+const axios = require('axios');
+const Block = require('./block');
+const { getTarget, getWork, meetsDifficulty } = require('./difficulty');
+const { floorAmount } = require('./monetary-policy');
+const { isPublicKey } = require('./consensus');
+
+const PAYOUT_SCHEMES = ['pplns', 'proportional'];
+
+// Shares are easier than blocks by this much (16^2 = 256x) unless set explicitly
+const DEFAULT_SHARE_DIFFICULTY_OFFSET = 2;
+
+// Hashrate estimates use the shares of the last 10 minutes
+const HASHRATE_WINDOW_MS = 10 * 60 * 1000;
+
+// Keep the last few jobs so shares for a just-replaced template still count
+const MAX_JOBS = 8;
+
+class MiningPool {
+    /**
+     * Create a mining pool.
+     * 
+     * @param {Object} options
+     * @param {string} options.nodeUrl - Node that provides templates and takes payouts
+     * @param {string} options.poolPrivateKey - Key of the pool wallet (signs payouts)
+     * @param {string} options.poolAddress - Pool wallet address (receives block rewards)
+     * @param {string} options.payoutScheme - 'pplns' or 'proportional' (default 'pplns')
+     * @param {number} options.pplnsWindow - PPLNS window in blocks' worth of work (default 2)
+     * @param {number} options.shareDifficulty - Fixed share difficulty (default: block difficulty - 2)
+     * @param {number} options.poolFee - Fraction of each reward kept by the pool (default 0.01)
+     * @param {number} options.minPayout - Smallest balance worth a payout transaction (default 1)
+     * @param {number} options.payoutFee - Transaction fee paid by the pool per payout (default 0)
+     * @param {number} options.confirmations - Confirmations before a block is credited or a payout is final (default 3)
+     */
+    constructor(options) {
+        this.nodeUrl = options.nodeUrl;
+        this.poolPrivateKey = options.poolPrivateKey;
+        this.poolAddress = options.poolAddress;
+        this.payoutScheme = options.payoutScheme ?? 'pplns';
+        this.pplnsWindow = options.pplnsWindow ?? 2;
+        this.shareDifficulty = options.shareDifficulty ?? null;
+        this.poolFee = options.poolFee ?? 0.01;
+        this.minPayout = options.minPayout ?? 1;
+        this.payoutFee = options.payoutFee ?? 0;
+        this.confirmations = options.confirmations ?? 3;
+
+        if (!PAYOUT_SCHEMES.includes(this.payoutScheme)) {
+            throw new Error(`Unknown payout scheme "${this.payoutScheme}" (choose one of: ${PAYOUT_SCHEMES.join(', ')})`);
+        }
+
+        if (!(this.poolFee >= 0 && this.poolFee < 1)) {
+            throw new Error('Pool fee must be between 0 and 1');
+        }
+
+        this.jobs = new Map();      // jobId → { template, shareDifficulty, nonces }
+        this.currentJob = null;
+        this.shares = [];           // Shares that can still earn: { worker, weight, timestamp }
+        this.recentShares = [];     // Shares of the hashrate window
+        this.roundStart = 0;        // Index in this.shares where the current round began
+        this.workers = new Map();   // address → per-worker stats and balance
+        this.blocks = [];           // Blocks found by the pool
+        this.payments = [];         // Payout transactions: { address, amount, txHash, sentAt, status }
+        this.startedAt = Date.now();
+    }
+
+    /**
+     * Get the share difficulty for a block difficulty.
+     * 
+     * @param {number} blockDifficulty - Difficulty of the template
+     * @returns {number} Share difficulty (never harder than the block)
+     */
+    getShareDifficulty(blockDifficulty) {
+        const difficulty = this.shareDifficulty ?? blockDifficulty - DEFAULT_SHARE_DIFFICULTY_OFFSET;
+        return Math.min(Math.max(difficulty, 1), blockDifficulty);
+    }
+
+    /**
+     * Fetch a new block template (paying the pool) and make it the current job.
+     * 
+     * @returns {Promise<Object>} The new job
+     */
+    async refreshJob() {
+        const { data: template } = await axios.get(`${this.nodeUrl}/mining/template`, {
+            params: { minerAddress: this.poolAddress },
+            timeout: 5000
+        });
+
+        const job = {
+            id: template.templateId,
+            template,
+            shareDifficulty: this.getShareDifficulty(template.difficulty),
+            nonces: new Set(),
+            createdAt: Date.now()
+        };
+
+        this.jobs.set(job.id, job);
+        this.currentJob = job;
+
+        // Forget the oldest jobs
+        while (this.jobs.size > MAX_JOBS) {
+            this.jobs.delete(this.jobs.keys().next().value);
+        }
+
+        return job;
+    }
+
+    /**
+     * Refresh the job if the node's chain tip has moved past it.
+     * 
+     * @returns {Promise<boolean>} True if a new job was created
+     */
+    async checkTip() {
+        const { data: tip } = await axios.get(`${this.nodeUrl}/chain/tip`, { timeout: 2000 });
+
+        if (this.currentJob && this.currentJob.template.previousHash === tip.hash) {
+            return false;
+        }
+
+        const job = await this.refreshJob();
+        console.log(`📋 New job for block #${job.template.index} (difficulty ${job.template.difficulty}, shares ${job.shareDifficulty})`);
+        return true;
+    }
+
+    /**
+     * Get the work a worker should hash on: the header of the current job
+     * and the share target. Workers never see the transactions.
+     * 
+     * @returns {Object|null} Job header and targets, or null before the first job
+     */
+    getWork() {
+        const job = this.currentJob;
+        if (!job) return null;
+
+        return {
+            jobId: job.id,
+            index: job.template.index,
+            timestamp: job.template.timestamp,
+            merkleRoot: job.template.merkleRoot,
+            previousHash: job.template.previousHash,
+            difficulty: job.template.difficulty,
+            target: job.template.target,
+            shareDifficulty: job.shareDifficulty,
+            shareTarget: getTarget(job.shareDifficulty)
+        };
+    }
+
+    /**
+     * Get (or create) the stats record of a worker.
+     */
+    getWorker(address) {
+        if (!this.workers.has(address)) {
+            this.workers.set(address, {
+                address,
+                validShares: 0,
+                staleShares: 0,
+                invalidShares: 0,
+                blocksFound: 0,
+                immature: 0,    // Credits from blocks that aren't confirmed yet
+                balance: 0,     // Confirmed credits not paid out yet
+                pending: 0,     // Sent in payouts that aren't confirmed yet
+                paid: 0,
+                firstShareAt: null,
+                lastShareAt: null
+            });
+        }
+
+        return this.workers.get(address);
+    }
+
+    /**
+     * Check a share submitted by a worker, record it, and submit it to the
+     * node if it also solves the block.
+     * 
+     * @param {string} worker - Worker's wallet address (payouts go there)
+     * @param {string} jobId - Job the share was found for
+     * @param {number} nonce - Nonce found by the worker
+     * @returns {Promise<Object>} { accepted, reason?, hash?, block? }
+     */
+    async submitShare(worker, jobId, nonce) {
+        // Credits are paid to the worker name, so it must be an address
+        if (!isPublicKey(worker)) {
+            return { accepted: false, reason: 'bad-worker', error: 'Worker must be a wallet address (public key)' };
+        }
+
+        const stats = this.getWorker(worker);
+        const job = this.jobs.get(jobId);
+
+        if (!job || job.template.previousHash !== this.currentJob.template.previousHash) {
+            stats.staleShares++;
+            return { accepted: false, reason: 'stale', error: 'Job is no longer current, fetch new work' };
+        }
+
+        if (job.nonces.has(nonce)) {
+            stats.invalidShares++;
+            return { accepted: false, reason: 'duplicate', error: 'Share already submitted' };
+        }
+
+        const hash = Block.hashHeader({ ...job.template, nonce });
+
+        if (!meetsDifficulty(hash, job.shareDifficulty)) {
+            stats.invalidShares++;
+            return { accepted: false, reason: 'low-difficulty', error: 'Hash does not meet the share target' };
+        }
+
+        job.nonces.add(nonce);
+
+        const now = Date.now();
+        const share = { worker, weight: getWork(job.shareDifficulty), timestamp: now };
+        this.shares.push(share);
+        this.recentShares.push(share);
+        while (this.recentShares[0].timestamp < now - HASHRATE_WINDOW_MS) {
+            this.recentShares.shift();
+        }
+        stats.validShares++;
+        stats.firstShareAt = stats.firstShareAt ?? now;
+        stats.lastShareAt = now;
+
+        if (!meetsDifficulty(hash, job.template.difficulty)) {
+            return { accepted: true, hash };
+        }
+
+        const block = await this.submitBlock(job, nonce, worker);
+        return { accepted: true, hash, block };
+    }
+
+    /**
+     * Submit a block found by a worker to the node and split its reward.
+     * 
+     * @param {Object} job - Job the block was found for
+     * @param {number} nonce - Winning nonce
+     * @param {string} finder - Worker that found it
+     * @returns {Promise<Object|null>} The found block record, or null if the node rejected it
+     */
+    async submitBlock(job, nonce, finder) {
+        let response;
+        try {
+            response = await axios.post(`${this.nodeUrl}/mining/submit`, { templateId: job.id, nonce }, { timeout: 10000 });
+        } catch (error) {
+            const reason = error.response ? error.response.data.error : error.message;
+            console.error(`❌ Node rejected block #${job.template.index}: ${reason}`);
+            return null;
+        }
+
+        const coinbase = job.template.transactions[job.template.transactions.length - 1];
+        const found = {
+            height: job.template.index,
+            hash: response.data.block.hash,
+            reward: coinbase.amount,
+            finder,
+            foundAt: Date.now(),
+            status: 'immature',
+            credits: this.calculateCredits(coinbase.amount, job.template.difficulty)
+        };
+
+        for (const [address, amount] of Object.entries(found.credits)) {
+            this.getWorker(address).immature += amount;
+        }
+        this.getWorker(finder).blocksFound++;
+
+        this.blocks.push(found);
+        this.roundStart = this.shares.length;
+        this.trimShares(job.template.difficulty);
+
+        console.log(`🎉 Pool found block #${found.height}! ${found.hash.substring(0, 16)}... (${found.reward} NEKO)`);
+
+        await this.refreshJob();
+        return found;
+    }
+
+    /**
+     * Split a block reward among workers according to the payout scheme.
+     * 
+     * @param {number} reward - Block reward (subsidy + fees)
+     * @param {number} blockDifficulty - Difficulty of the found block (sets the PPLNS window)
+     * @returns {Object} address → credited amount
+     */
+    calculateCredits(reward, blockDifficulty) {
+        const shares = this.payoutScheme === 'pplns'
+            ? this.getPplnsShares(blockDifficulty)
+            : this.shares.slice(this.roundStart);
+
+        const weights = new Map();
+        let totalWeight = 0;
+        for (const share of shares) {
+            weights.set(share.worker, (weights.get(share.worker) || 0) + share.weight);
+            totalWeight += share.weight;
+        }
+
+        const distributable = reward * (1 - this.poolFee);
+        const credits = {};
+        for (const [worker, weight] of weights) {
+            credits[worker] = floorAmount(distributable * weight / totalWeight);
+        }
+
+        return credits;
+    }
+
+    /**
+     * Get the last N shares: newest first, until they add up to
+     * pplnsWindow blocks' worth of work.
+     */
+    getPplnsShares(blockDifficulty) {
+        const window = this.pplnsWindow * getWork(blockDifficulty);
+        const shares = [];
+        let total = 0;
+
+        for (let i = this.shares.length - 1; i >= 0 && total < window; i--) {
+            shares.push(this.shares[i]);
+            total += this.shares[i].weight;
+        }
+
+        return shares;
+    }
+
+    /**
+     * Drop shares that can no longer earn anything.
+     * Proportional rounds end at each block; PPLNS keeps one window.
+     */
+    trimShares(blockDifficulty) {
+        const keep = this.payoutScheme === 'pplns' ? this.getPplnsShares(blockDifficulty).length : 0;
+        const drop = Math.max(this.shares.length - keep, 0);
+
+        this.shares.splice(0, drop);
+        this.roundStart = Math.max(this.roundStart - drop, 0);
+    }
+
+    /**
+     * Credit workers for blocks with enough confirmations and drop orphaned ones.
+     * 
+     * A block that lost its height to another branch is only orphaned once
+     * that branch has buried it `confirmations` deep: until then a reorg
+     * can still bring it back, so it stays immature.
+     * 
+     * @returns {Promise<void>}
+     */
+    async updateBlocks() {
+        for (const found of this.blocks.filter(b => b.status === 'immature')) {
+            // The active chain's block at our height: ours, or a competitor
+            let active;
+            try {
+                ({ data: active } = await axios.get(`${this.nodeUrl}/block/${found.height}`, { timeout: 5000 }));
+            } catch (error) {
+                // The active chain is shorter than our block's height (it moved to a heavier, shorter branch)
+                if (error.response && error.response.status === 404) continue;
+                throw error;
+            }
+
+            if (active.confirmations < this.confirmations) {
+                continue;
+            }
+
+            if (active.hash === found.hash) {
+                found.status = 'confirmed';
+                console.log(`✅ Block #${found.height} confirmed, crediting ${Object.keys(found.credits).length} worker(s)`);
+            } else {
+                found.status = 'orphaned';
+                console.log(`💀 Block #${found.height} was orphaned, its credits are void`);
+            }
+
+            for (const [address, amount] of Object.entries(found.credits)) {
+                const worker = this.getWorker(address);
+                worker.immature = floorAmount(worker.immature - amount);
+                if (found.status === 'confirmed') {
+                    worker.balance = floorAmount(worker.balance + amount);
+                }
+            }
+        }
+    }
+
+    /**
+     * Pay every worker whose confirmed balance reached the minimum payout.
+     * Payouts are ordinary transactions from the pool wallet; the amount
+     * stays pending until updatePayments() sees the transaction confirmed.
+     * 
+     * @returns {Promise<Object[]>} Payments sent
+     */
+    async sendPayouts() {
+        const sent = [];
+
+        for (const worker of this.workers.values()) {
+            if (worker.balance < this.minPayout) continue;
+
+            const amount = worker.balance;
+            try {
+                const { data } = await axios.post(`${this.nodeUrl}/transaction`, {
+                    senderPrivateKey: this.poolPrivateKey,
+                    receiverAddress: worker.address,
+                    amount,
+                    fee: this.payoutFee
+                }, { timeout: 5000 });
+
+                worker.balance = floorAmount(worker.balance - amount);
+                worker.pending = floorAmount(worker.pending + amount);
+
+                const payment = { address: worker.address, amount, txHash: data.txHash, sentAt: Date.now(), status: 'pending' };
+                this.payments.push(payment);
+                sent.push(payment);
+
+                console.log(`💸 Sent ${amount} NEKO to ${worker.address.substring(0, 20)}... (tx ${data.txHash.substring(0, 16)}...)`);
+            } catch (error) {
+                const reason = error.response ? error.response.data.error : error.message;
+                console.error(`❌ Payout to ${worker.address.substring(0, 20)}... failed: ${reason}`);
+            }
+        }
+
+        return sent;
+    }
+
+    /**
+     * Follow the pending payouts on the node (GET /transaction/status/:txid).
+     * 
+     * - Confirmed `confirmations` deep: the worker is paid
+     * - Replaced, or unknown to the node (evicted, expired, or dropped in
+     *   a reorg): the payout failed, the amount goes back to the balance
+     *   and the next payout round sends it again
+     * - Otherwise it is still on its way
+     * 
+     * @returns {Promise<void>}
+     */
+    async updatePayments() {
+        for (const payment of this.payments.filter(p => p.status === 'pending')) {
+            const { data: status } = await axios.get(`${this.nodeUrl}/transaction/status/${payment.txHash}`, { timeout: 5000 });
+            const worker = this.getWorker(payment.address);
+
+            if (status.status === 'confirmed' && status.confirmations >= this.confirmations) {
+                payment.status = 'confirmed';
+                worker.pending = floorAmount(worker.pending - payment.amount);
+                worker.paid = floorAmount(worker.paid + payment.amount);
+                console.log(`✅ Payout ${payment.txHash.substring(0, 16)}... confirmed`);
+            } else if (status.status === 'replaced' || status.status === 'unknown') {
+                payment.status = status.status === 'replaced' ? 'replaced' : 'dropped';
+                worker.pending = floorAmount(worker.pending - payment.amount);
+                worker.balance = floorAmount(worker.balance + payment.amount);
+                console.log(`↩️  Payout ${payment.txHash.substring(0, 16)}... was ${payment.status}, ${payment.amount} NEKO back to ${worker.address.substring(0, 20)}...`);
+            }
+        }
+    }
+
+    /**
+     * Estimate a worker's hashrate from its recent shares.
+     * Each share stands for about 16^shareDifficulty attempts.
+     */
+    getHashrate(address = null) {
+        const since = Date.now() - HASHRATE_WINDOW_MS;
+        const window = Math.min(HASHRATE_WINDOW_MS, Date.now() - this.startedAt);
+        if (window <= 0) return 0;
+
+        const work = this.recentShares
+            .filter(share => share.timestamp >= since && (address === null || share.worker === address))
+            .reduce((sum, share) => sum + share.weight, 0);
+
+        return Math.round(work / (window / 1000));
+    }
+
+    /**
+     * Get one worker's stats (used by GET /stats/:worker).
+     * 
+     * @param {string} address - Worker address
+     * @returns {Object|null} Stats, or null if the worker never submitted a share
+     */
+    getWorkerStats(address) {
+        const worker = this.workers.get(address);
+        if (!worker) return null;
+
+        return {
+            ...worker,
+            hashrate: this.getHashrate(address),
+            roundShares: this.shares.slice(this.roundStart).filter(share => share.worker === address).length,
+            payments: this.payments.filter(payment => payment.address === address)
+        };
+    }
+
+    /**
+     * Get pool-wide stats (used by GET /stats).
+     */
+    getStats() {
+        return {
+            poolAddress: this.poolAddress,
+            nodeUrl: this.nodeUrl,
+            payoutScheme: this.payoutScheme,
+            pplnsWindow: this.payoutScheme === 'pplns' ? this.pplnsWindow : undefined,
+            poolFee: this.poolFee,
+            minPayout: this.minPayout,
+            confirmations: this.confirmations,
+            hashrate: this.getHashrate(),
+            workers: this.workers.size,
+            roundShares: this.shares.length - this.roundStart,
+            currentJob: this.currentJob ? {
+                height: this.currentJob.template.index,
+                difficulty: this.currentJob.template.difficulty,
+                shareDifficulty: this.currentJob.shareDifficulty
+            } : null,
+            blocksFound: this.blocks.length,
+            blocks: {
+                immature: this.blocks.filter(b => b.status === 'immature').length,
+                confirmed: this.blocks.filter(b => b.status === 'confirmed').length,
+                orphaned: this.blocks.filter(b => b.status === 'orphaned').length
+            },
+            pendingPayouts: this.payments.filter(payment => payment.status === 'pending').length,
+            totalPaid: floorAmount(this.payments
+                .filter(payment => payment.status === 'confirmed')
+                .reduce((sum, payment) => sum + payment.amount, 0))
+        };
+    }
+}
+
+module.exports = { MiningPool, PAYOUT_SCHEMES };
@@ -0,0 +1,45 @@
+/**
+ * ========================================
+ * NEKO CHAIN - PROOF-OF-WORK WORKER
+ * ========================================
+ * 
+ * Runs in a worker thread (see pow.js) and searches for a nonce.
+ * The target is the block's own, unless a pool share target is given.
+ * 
+ * Each worker tries nonces startNonce, startNonce + step, startNonce + 2*step, ...
+ * so several workers never try the same nonce. It reports progress every
+ * PROGRESS_INTERVAL attempts (for hashrate) and posts the winning nonce.
+ * The header is encoded once; each attempt only rewrites the nonce bytes.
+ * The main thread stops it with worker.terminate().
+ */
+
+const { parentPort, workerData } = require('worker_threads');
+const { getTarget } = require('./difficulty');
+const { sha256, encodeBlockHeader, setHeaderNonce } = require('./encoding');
+
+// Report attempts to the main thread this often
+const PROGRESS_INTERVAL = 10000;
+
+const { header, startNonce, step } = workerData;
+const target = workerData.target ?? getTarget(header.difficulty);
+
+const bytes = encodeBlockHeader({ ...header, nonce: startNonce });
+let nonce = startNonce;
+let attempts = 0;
+
+while (true) {
+    setHeaderNonce(bytes, nonce);
+    const hash = sha256(bytes);
+    attempts++;
+
+    if (target === null || hash < target) {
+        parentPort.postMessage({ type: 'found', nonce, hash, attempts: attempts % PROGRESS_INTERVAL });
+        break;
+    }
+
+    nonce += step;
+
+    if (attempts % PROGRESS_INTERVAL === 0) {
+        parentPort.postMessage({ type: 'progress', attempts: PROGRESS_INTERVAL });
+    }
+}
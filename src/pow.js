@@ -0,0 +1,224 @@
+/**
+ * ========================================
+ * NEKO CHAIN - BACKGROUND MINING MODULE
+ * ========================================
+ * 
+ * Runs proof-of-work on worker threads, so the node keeps serving
+ * the API and the P2P network while it mines.
+ * 
+ * EDUCATIONAL NOTES:
+ * ==================
+ * 
+ * 1. WHY WORKER THREADS?
+ *    - JavaScript runs on one thread: a busy mining loop blocks everything,
+ *      including the HTTP server and WebSocket messages
+ *    - Worker threads run the hashing loop in parallel, and the main
+ *      thread stays free to handle requests
+ * 
+ * 2. ABORTING STALE WORK
+ *    - If a peer finds a block at the height we are mining, our block
+ *      would build on an old tip and lose the race anyway
+ *    - So the blockchain aborts the job as soon as its tip moves,
+ *      and the miner can start again on top of the new tip
+ * 
+ * 3. HASHRATE
+ *    - Hashes tried per second, the usual measure of mining power
+ *    - Workers report attempts as they go, so the rate is live
+ * 
+ * 4. SHARES (POOL MINING)
+ *    - A pool asks for hashes below an easier "share" target instead
+ *      of the block target, so every worker can prove its effort often
+ *    - mine() accepts a custom target and a starting nonce for that
+ * 
+ * 5. DIFFICULTY 0 (REGTEST)
+ *    - At difficulty 0 every hash meets the target, so the first nonce
+ *      wins: the block is sealed right away, without starting workers
+ */
+
+const path = require('path');
+const { Worker } = require('worker_threads');
+
+const WORKER_SCRIPT = path.join(__dirname, 'pow-worker.js');
+
+class PowMiner {
+    /**
+     * Create a background miner.
+     * 
+     * @param {Object} options
+     * @param {number} options.threads - Worker threads per job (default 1)
+     */
+    constructor(options = {}) {
+        this.threads = options.threads ?? 1;
+        this.job = null;        // The block being mined right now
+        this.lastJob = null;    // Summary of the previous job
+    }
+
+    /**
+     * Check whether a job is running.
+     * 
+     * @returns {boolean} True while mining
+     */
+    isMining() {
+        return this.job !== null;
+    }
+
+    /**
+     * Mine a block on worker threads.
+     * On success the block's nonce and hash are set.
+     * 
+     * @param {Block} block - Block to mine (header fields are fixed)
+     * @param {Object} options
+     * @param {string} options.target - Hex target to beat instead of the block's (pool shares)
+     * @param {number} options.startNonce - First nonce to try (default 0)
+     * @param {boolean} options.log - Log progress to the console (default true)
+     * @returns {Promise<boolean>} True if mined, false if aborted
+     * @throws {Error} If another block is already being mined
+     */
+    mine(block, options = {}) {
+        const { target = null, startNonce = 0, log = true } = options;
+
+        if (this.job) {
+            throw new Error(`Already mining block #${this.job.height}`);
+        }
+
+        if (target === null && block.difficulty <= 0) {
+            block.nonce = startNonce;
+            block.hash = block.calculateHash();
+            return Promise.resolve(true);
+        }
+
+        const header = {
+            index: block.index,
+            timestamp: block.timestamp,
+            merkleRoot: block.merkleRoot,
+            previousHash: block.previousHash,
+            difficulty: block.difficulty
+        };
+
+        if (log) {
+            console.log(`\n⛏️  Mining block ${block.index} on ${this.threads} worker thread(s)...`);
+        }
+
+        return new Promise((resolve, reject) => {
+            const job = {
+                height: block.index,
+                previousHash: block.previousHash,
+                difficulty: block.difficulty,
+                startedAt: Date.now(),
+                attempts: 0,
+                log,
+                workers: [],
+                finish: null
+            };
+
+            job.finish = (result, error = null) => {
+                for (const worker of job.workers) {
+                    worker.terminate();
+                }
+
+                this.lastJob = { ...this.getJobStatus(job), result: error ? 'error' : result };
+                this.job = null;
+
+                if (error) {
+                    reject(error);
+                } else {
+                    resolve(result === 'mined');
+                }
+            };
+
+            for (let i = 0; i < this.threads; i++) {
+                const worker = new Worker(WORKER_SCRIPT, {
+                    workerData: { header, target, startNonce: startNonce + i, step: this.threads }
+                });
+
+                worker.on('message', message => {
+                    if (this.job !== job) return;  // Job already finished
+                    job.attempts += message.attempts;
+
+                    if (message.type === 'found') {
+                        block.nonce = message.nonce;
+                        block.hash = message.hash;
+
+                        if (log) {
+                            const seconds = (Date.now() - job.startedAt) / 1000;
+                            console.log(`✅ Block mined!`);
+                            console.log(`   Hash:     ${block.hash}`);
+                            console.log(`   Nonce:    ${block.nonce}`);
+                            console.log(`   Attempts: ${job.attempts.toLocaleString()}`);
+                            console.log(`   Time:     ${seconds.toFixed(2)} seconds`);
+                        }
+
+                        job.finish('mined');
+                    }
+                });
+
+                worker.on('error', error => {
+                    if (this.job === job) job.finish(null, error);
+                });
+
+                job.workers.push(worker);
+            }
+
+            this.job = job;
+        });
+    }
+
+    /**
+     * Stop the current job. The pending mine() call resolves to false.
+     * 
+     * @param {string} reason - Why mining was stopped (for the log)
+     * @returns {boolean} True if a job was aborted
+     */
+    abort(reason) {
+        if (!this.job) return false;
+
+        if (this.job.log) {
+            console.log(`⏹️  Mining of block #${this.job.height} aborted: ${reason}`);
+        }
+        this.job.finish('aborted');
+        return true;
+    }
+
+    /**
+     * Abort the current job if it no longer builds on the given tip.
+     * 
+     * @param {Block} tip - The new tip of the active chain
+     * @returns {boolean} True if a job was aborted
+     */
+    abortIfStale(tip) {
+        if (!this.job || this.job.previousHash === tip.hash) return false;
+        return this.abort(`chain tip moved to block #${tip.index}`);
+    }
+
+    /**
+     * Summarize a job (attempts, duration, hashrate).
+     */
+    getJobStatus(job) {
+        const elapsed = Date.now() - job.startedAt;
+
+        return {
+            height: job.height,
+            difficulty: job.difficulty,
+            attempts: job.attempts,
+            elapsed,
+            hashrate: elapsed > 0 ? Math.round(job.attempts / (elapsed / 1000)) : 0
+        };
+    }
+
+    /**
+     * Get the miner's live status (used by /mining and /stats).
+     * 
+     * @returns {Object} Current job, hashrate and the previous job
+     */
+    getStatus() {
+        return {
+            mining: this.isMining(),
+            threads: this.threads,
+            hashrate: this.job ? this.getJobStatus(this.job).hashrate : 0,
+            currentJob: this.job ? this.getJobStatus(this.job) : null,
+            lastJob: this.lastJob
+        };
+    }
+}
+
+module.exports = { PowMiner };
@@ -0,0 +1,175 @@
+/**
+ * ========================================
+ * NEKO CHAIN - REGTEST MODULE
+ * ========================================
+ * 
+ * Developer tools for a private test chain: mine blocks instantly,
+ * move the clock forward, and take snapshots of the chain to go back to.
+ * 
+ * EDUCATIONAL NOTES:
+ * ==================
+ * 
+ * 1. WHY A REGTEST MODE?
+ *    - Testing a wallet or a contract shouldn't mean waiting for
+ *      proof-of-work: Bitcoin's "regression test" network has a trivial
+ *      difficulty and a generatetoaddress command for that
+ *    - The regtest chain spec uses difficulty 0, so every nonce is a
+ *      valid one and a block is sealed as soon as it is built
+ *    - Blocks still go through every consensus rule, so what works on
+ *      regtest works on the real networks
+ * 
+ * 2. MOCK TIME
+ *    - Time rules (future timestamps, retargeting, expiry) are tested by
+ *      moving the node's clock forward instead of waiting
+ *      (Bitcoin's setmocktime, Ganache's evm_increaseTime)
+ * 
+ * 3. SNAPSHOTS
+ *    - A snapshot remembers the tip, the known blocks and the pending
+ *      transactions (Ganache's evm_snapshot)
+ *    - Reverting deletes the blocks made since, so each test can start
+ *      from the same state without restarting the node
+ *    - The clock is not reverted: it only moves forward, so blocks made
+ *      after a revert are still later than the median-time-past
+ *    - Like evm_revert, reverting uses up the snapshot and every later one
+ *    - Contracts are kept off-chain (contract.js), so they are not part
+ *      of a snapshot
+ * 
+ * 4. A PRIVATE CHAIN
+ *    - Regtest nodes don't connect to peers unless asked to (--p2p):
+ *      a test chain shouldn't reach, or be reached by, anyone else
+ */
+
+// Most blocks one generate() call mines
+const MAX_GENERATE_BLOCKS = 1000;
+
+class RegtestTools {
+    /**
+     * Create the developer tools for a node.
+     * 
+     * @param {Blockchain} blockchain - The node's blockchain
+     * @param {Object} options
+     * @param {Function} options.onBlock - Called with each generated block (e.g. to broadcast it)
+     */
+    constructor(blockchain, options = {}) {
+        this.blockchain = blockchain;
+        this.onBlock = options.onBlock ?? null;
+        this.snapshots = new Map();    // id -> { tip, height, blocks, pending, createdAt }
+        this.nextSnapshotId = 1;
+    }
+
+    /**
+     * Mine blocks on top of our tip, the pending transactions included.
+     * 
+     * @param {number} count - Number of blocks
+     * @param {string} address - Address to receive the rewards and fees
+     * @returns {Promise<Block[]>} The new blocks
+     * @throws {Error} If the count or address is invalid, or mining is interrupted
+     */
+    async generate(count, address) {
+        if (!Number.isSafeInteger(count) || count < 1 || count > MAX_GENERATE_BLOCKS) {
+            throw new Error(`Count must be a whole number from 1 to ${MAX_GENERATE_BLOCKS}`);
+        }
+        if (typeof address !== 'string' || address.length === 0) {
+            throw new Error('Missing address to mine to');
+        }
+
+        const blocks = [];
+        for (let i = 0; i < count; i++) {
+            const block = await this.blockchain.minePendingTransactions(address);
+            if (!block) {
+                throw new Error(`Mining interrupted after ${blocks.length} block(s): the chain tip moved`);
+            }
+
+            blocks.push(block);
+            if (this.onBlock) {
+                await this.onBlock(block);
+            }
+        }
+
+        console.log(`⚡ Generated ${blocks.length} block(s), tip is now #${this.blockchain.getLatestBlock().index}`);
+        return blocks;
+    }
+
+    /**
+     * Move the node's clock forward.
+     * 
+     * @param {number} milliseconds - How far to move it
+     * @returns {number} The node's time afterwards, in milliseconds
+     */
+    advanceTime(milliseconds) {
+        this.blockchain.clock.advance(milliseconds);
+        return this.blockchain.clock.now();
+    }
+
+    /**
+     * Remember the current state of the chain.
+     * 
+     * @returns {Object} { id, height, hash }
+     */
+    snapshot() {
+        const tip = this.blockchain.getLatestBlock();
+        const id = this.nextSnapshotId++;
+
+        this.snapshots.set(id, {
+            tip: tip.hash,
+            height: tip.index,
+            blocks: new Set(this.blockchain.blockTree.keys()),
+            pending: this.blockchain.mempool.getTransactions(),
+            createdAt: Date.now()
+        });
+
+        console.log(`📸 Snapshot ${id} taken at block #${tip.index}`);
+        return { id, height: tip.index, hash: tip.hash };
+    }
+
+    /**
+     * Go back to a snapshot: delete the blocks made since, and restore
+     * the pending transactions. The clock keeps its time.
+     * The snapshot and every later one can't be used again.
+     * 
+     * @param {number} id - Snapshot ID
+     * @returns {Promise<Object>} { id, height, hash, removedBlocks }
+     * @throws {Error} If the snapshot is unknown or its tip left the active chain
+     */
+    async revert(id) {
+        const snapshot = this.snapshots.get(id);
+        if (!snapshot) {
+            throw new Error(`Unknown snapshot ${id}`);
+        }
+
+        const removed = await this.blockchain.rewindTo(snapshot.tip, snapshot.blocks);
+        await this.blockchain.resetPendingTransactions(snapshot.pending);
+
+        for (const snapshotId of [...this.snapshots.keys()]) {
+            if (snapshotId >= id) {
+                this.snapshots.delete(snapshotId);
+            }
+        }
+
+        console.log(`⏪ Reverted to snapshot ${id} at block #${snapshot.height} (${removed.length} block(s) removed)`);
+        return { id, height: snapshot.height, hash: snapshot.tip, removedBlocks: removed.length };
+    }
+
+    /**
+     * Get a summary for the API.
+     * 
+     * @returns {Object} { snapshots, clock }
+     */
+    getInfo() {
+        return {
+            snapshots: [...this.snapshots.entries()].map(([id, snapshot]) => ({
+                id,
+                height: snapshot.height,
+                hash: snapshot.tip,
+                pending: snapshot.pending.length,
+                createdAt: new Date(snapshot.createdAt).toISOString()
+            })),
+            clock: this.blockchain.clock.getInfo()
+        };
+    }
+}
+
+module.exports = {
+    RegtestTools,
+    MAX_GENERATE_BLOCKS
+};
@@ -0,0 +1,72 @@
+/**
+ * ========================================
+ * NEKO CHAIN - SPV VERIFICATION MODULE
+ * ========================================
+ * 
+ * Offline verification of transaction inclusion proofs for light clients.
+ * 
+ * EDUCATIONAL NOTES:
+ * ==================
+ * 
+ * 1. WHAT IS SPV?
+ *    - "Simplified Payment Verification" from the Bitcoin whitepaper
+ *    - A light client keeps only block headers, not full blocks
+ *    - It asks a full node for a Merkle branch of its transaction
+ * 
+ * 2. WHAT GETS CHECKED
+ *    - The header hashes to the claimed block hash
+ *    - The block hash meets the header's difficulty (real work was done)
+ *    - The Merkle branch leads from the transaction to the header's root
+ *    - The leaves are wtxids (signatures included), so the proof carries
+ *      the encoded transaction: it must hash to the leaf, and its txid
+ *      must be the one asked about
+ * 
+ * 3. WHAT SPV DOES NOT CHECK
+ *    - That the block is on the heaviest chain (compare with known headers)
+ *    - That the transaction's inputs were valid (full nodes do that)
+ */
+
+const Block = require('./block');
+const Transaction = require('./transaction');
+const { meetsDifficulty } = require('./difficulty');
+const { verifyMerkleProof } = require('./merkle');
+const { sha256, decodeTransaction } = require('./encoding');
+
+/**
+ * Verify a proof returned by GET /transaction/proof/:hash.
+ * 
+ * @param {Object} proof - { txHash, rawTransaction, header, branch }
+ * @returns {boolean} True if the transaction is committed to by the header
+ */
+function verifyTransactionProof(proof) {
+    const { txHash, rawTransaction, header, branch } = proof;
+
+    if (!txHash || typeof rawTransaction !== 'string' || !header || !Array.isArray(branch)) {
+        return false;
+    }
+
+    // The encoded transaction must be the one asked about
+    const bytes = Buffer.from(rawTransaction, 'hex');
+    try {
+        if (Transaction.getTxid(decodeTransaction(bytes)) !== txHash) {
+            return false;
+        }
+    } catch (error) {
+        return false;
+    }
+
+    // The header must hash to the block hash it claims
+    if (Block.hashHeader(header) !== header.hash) {
+        return false;
+    }
+
+    // The block hash must carry the proof-of-work its header claims
+    if (!meetsDifficulty(header.hash, header.difficulty)) {
+        return false;
+    }
+
+    // The Merkle branch must lead from the transaction's wtxid to the header's root
+    return verifyMerkleProof(sha256(bytes), branch, header.merkleRoot);
+}
+
+module.exports = { verifyTransactionProof };
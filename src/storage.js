@@ -16,12 +16,20 @@
  * 
  * 2. DATA STRUCTURE
  *    Key prefixes used:
- *    - block:{hash}     → Full block data (JSON)
- *    - height:{index}   → Block hash at that height
- *    - tx:{hash}        → Transaction location (blockHash)
+ *    - block:{hash}     → Full block (canonical binary), side branches included
+ *    - height:{index}   → Block hash at that height (active chain only)
+ *    - tx:{txid}        → Transaction location (blockHash, blockIndex, position)
  *    - meta:chainLength → Current chain length
- *    - meta:difficulty  → Current difficulty
- *    - pending:{hash}   → Pending transaction data
+ *    - pending:{txid}   → Pending transaction (canonical binary)
+ * 
+ *    {txid} is the full transaction ID from Transaction.getTxid()
+ *    - utxo:{txid}:{index} → Unspent output (UTXO networks only)
+ * 
+ *    Account balances, history and the UTXO set are written by the
+ *    account index (account-index.js), in the same batch as their block
+ * 
+ *    Blocks and transactions use the same encoding as hashing and P2P
+ *    (see encoding.js); the small index records are JSON.
  * 
  * 3. CONSISTENCY
  *    - Writes are atomic within a batch
@@ -31,6 +39,11 @@
 
 const { Level } = require('level');
 const path = require('path');
+const Transaction = require('./transaction');
+const { encodeBlock, decodeBlock, encodeTransaction, decodeTransaction } = require('./encoding');
+
+// Per-operation option for values stored in the canonical binary encoding
+const BINARY = { valueEncoding: 'buffer' };
 
 class Storage {
     /**
@@ -78,41 +91,115 @@ class Storage {
      * Save a block to the database.
      * 
      * @param {Block} block - The block to save
+     * @param {Array} operations - Extra batch operations written atomically with it (e.g. account index updates)
      */
-    async saveBlock(block) {
+    async saveBlock(block, operations = []) {
         const batch = this.db.batch();
 
         // Save block by hash
-        batch.put(`block:${block.hash}`, {
-            index: block.index,
-            timestamp: block.timestamp,
-            transactions: block.transactions,
-            previousHash: block.previousHash,
-            hash: block.hash,
-            nonce: block.nonce
-        });
+        batch.put(`block:${block.hash}`, encodeBlock(block), BINARY);
 
         // Save height to hash mapping
         batch.put(`height:${block.index}`, block.hash);
 
-        // Index all transactions in this block
-        for (const tx of block.transactions) {
-            // Create a simple hash for transaction lookup
-            const txId = this.hashTransaction(tx);
-            batch.put(`tx:${txId}`, {
+        // Index all transactions in this block by txid
+        block.transactions.forEach((tx, position) => {
+            batch.put(`tx:${Transaction.getTxid(tx)}`, {
                 blockHash: block.hash,
-                blockIndex: block.index
+                blockIndex: block.index,
+                position
             });
-        }
+        });
 
         // Update chain length
         batch.put('meta:chainLength', block.index + 1);
 
+        this.addOperations(batch, operations);
         await batch.write();
 
         console.log(`💾 Block #${block.index} saved to disk`);
     }
 
+    /**
+     * Save a side-branch block to the database.
+     * 
+     * The block is stored by hash so the block tree survives a restart,
+     * but it gets no height mapping or transaction index because it is
+     * not part of the active chain.
+     * 
+     * @param {Block} block - The block to save
+     */
+    async saveSideBlock(block) {
+        await this.db.put(`block:${block.hash}`, encodeBlock(block), BINARY);
+    }
+
+    /**
+     * Remove the transaction index entries of a block.
+     * Used when a block is disconnected from the active chain during a reorg.
+     * 
+     * @param {Block} block - The disconnected block
+     * @param {Array} operations - Extra batch operations written atomically with it
+     */
+    async removeTransactionIndex(block, operations = []) {
+        const batch = this.db.batch();
+
+        for (const tx of block.transactions) {
+            batch.del(`tx:${Transaction.getTxid(tx)}`);
+        }
+
+        this.addOperations(batch, operations);
+        await batch.write();
+    }
+
+    /**
+     * Delete blocks for good (regtest snapshot revert).
+     * Blocks must already be disconnected from the active chain.
+     * 
+     * @param {Block[]} blocks - The blocks to delete
+     * @param {number} chainLength - Length of the active chain after the delete
+     */
+    async deleteBlocks(blocks, chainLength) {
+        const batch = this.db.batch();
+
+        for (const block of blocks) {
+            batch.del(`block:${block.hash}`);
+        }
+
+        // Height mappings above the new tip pointed at disconnected blocks
+        const oldLength = await this.getChainLength();
+        for (let i = chainLength; i < oldLength; i++) {
+            batch.del(`height:${i}`);
+        }
+
+        batch.put('meta:chainLength', chainLength);
+        await batch.write();
+    }
+
+    /**
+     * Look up where a confirmed transaction is (active chain only).
+     * 
+     * @param {string} txid - Transaction ID
+     * @returns {Object|null} { blockHash, blockIndex, position } or null if not indexed
+     */
+    async getTransactionLocation(txid) {
+        return (await this.db.get(`tx:${txid}`)) ?? null;
+    }
+
+    /**
+     * Load the UTXO set (UTXO networks).
+     * 
+     * @returns {Array} Every unspent output: [{ txid, index, address, amount, height }]
+     */
+    async loadUtxoSet() {
+        const utxos = [];
+
+        for await (const [, utxo] of this.db.iterator({ gte: 'utxo:', lte: 'utxo:\xFF' })) {
+            utxos.push(utxo);
+        }
+
+        return utxos;
+    }
+
     /**
      * Load a block by its hash.
      * 
@@ -121,7 +208,8 @@ class Storage {
      */
     async getBlockByHash(hash) {
         try {
-            return await this.db.get(`block:${hash}`);
+            const bytes = await this.db.get(`block:${hash}`, BINARY);
+            return bytes ? this.decodeStored(decodeBlock, bytes, `block ${hash.substring(0, 16)}...`) : null;
         } catch (error) {
             if (error.code === 'LEVEL_NOT_FOUND') {
                 return null;
@@ -139,7 +227,7 @@ class Storage {
     async getBlockByHeight(index) {
         try {
             const hash = await this.db.get(`height:${index}`);
-            return await this.getBlockByHash(hash);
+            return hash ? await this.getBlockByHash(hash) : null;
         } catch (error) {
             if (error.code === 'LEVEL_NOT_FOUND') {
                 return null;
@@ -170,6 +258,26 @@ class Storage {
         return chain;
     }
 
+    /**
+     * Load every stored block, including side branches.
+     * 
+     * @returns {Array} Array of block data sorted by index
+     */
+    async loadAllBlocks() {
+        const blocks = [];
+
+        for await (const [key, value] of this.db.iterator({
+            gte: 'block:',
+            lte: 'block:\xFF',
+            ...BINARY
+        })) {
+            const block = this.decodeStored(decodeBlock, value, key);
+            if (block) blocks.push(block);
+        }
+
+        return blocks.sort((a, b) => a.index - b.index);
+    }
+
     /**
      * Get the current chain length.
      * 
@@ -196,14 +304,7 @@ class Storage {
      * @param {Transaction} tx - Transaction to save
      */
     async savePendingTransaction(tx) {
-        const txId = this.hashTransaction(tx);
-        await this.db.put(`pending:${txId}`, {
-            senderAddress: tx.senderAddress,
-            receiverAddress: tx.receiverAddress,
-            amount: tx.amount,
-            timestamp: tx.timestamp,
-            signature: tx.signature
-        });
+        await this.db.put(`pending:${Transaction.getTxid(tx)}`, encodeTransaction(tx), BINARY);
     }
 
     /**
@@ -212,9 +313,8 @@ class Storage {
      * @param {Transaction} tx - Transaction to remove
      */
     async removePendingTransaction(tx) {
-        const txId = this.hashTransaction(tx);
         try {
-            await this.db.del(`pending:${txId}`);
+            await this.db.del(`pending:${Transaction.getTxid(tx)}`);
         } catch (error) {
             // Ignore if not found
         }
@@ -230,9 +330,11 @@ class Storage {
 
         for await (const [key, value] of this.db.iterator({
             gte: 'pending:',
-            lte: 'pending:\xFF'
+            lte: 'pending:\xFF',
+            ...BINARY
         })) {
-            pending.push(value);
+            const tx = this.decodeStored(decodeTransaction, value, key);
+            if (tx) pending.push(tx);
         }
 
         console.log(`💾 Loaded ${pending.length} pending transactions`);
@@ -261,15 +363,37 @@ class Storage {
     // ========================================
 
     /**
-     * Create a simple hash for transaction identification.
+     * Add operations ({ type: 'put' | 'del', key, value }) to a batch.
+     * 
+     * @param {Object} batch - Chained LevelDB batch
+     * @param {Array} operations - Operations to add
+     */
+    addOperations(batch, operations) {
+        for (const { type, key, value } of operations) {
+            if (type === 'del') {
+                batch.del(key);
+            } else {
+                batch.put(key, value);
+            }
+        }
+    }
+
+    /**
+     * Decode a stored block or transaction.
+     * Records that don't decode (e.g. written by an older version) are skipped.
      * 
-     * @param {Object} tx - Transaction object
-     * @returns {string} Simple hash string
+     * @param {Function} decode - decodeBlock or decodeTransaction
+     * @param {Buffer} bytes - Stored value
+     * @param {string} label - What is being read (for the warning)
+     * @returns {Object|null} Decoded data, or null if unreadable
      */
-    hashTransaction(tx) {
-        const crypto = require('crypto');
-        const data = `${tx.senderAddress}${tx.receiverAddress}${tx.amount}${tx.timestamp}`;
-        return crypto.createHash('sha256').update(data).digest('hex').substring(0, 16);
+    decodeStored(decode, bytes, label) {
+        try {
+            return decode(bytes);
+        } catch (error) {
+            console.log(`⚠️  Skipping unreadable ${label}: ${error.message}`);
+            return null;
+        }
     }
 
     /**
@@ -291,17 +415,23 @@ class Storage {
         let blockCount = 0;
         let txCount = 0;
         let pendingCount = 0;
+        let accountCount = 0;
+        let utxoCount = 0;
 
         for await (const [key] of this.db.iterator({ values: false })) {
             if (key.startsWith('block:')) blockCount++;
             if (key.startsWith('tx:')) txCount++;
             if (key.startsWith('pending:')) pendingCount++;
+            if (key.startsWith('account:')) accountCount++;
+            if (key.startsWith('utxo:')) utxoCount++;
         }
 
         return {
             blocks: blockCount,
             transactions: txCount,
             pending: pendingCount,
+            accounts: accountCount,
+            utxos: utxoCount,
             dataDir: path.resolve(this.dataDir)
         };
     }
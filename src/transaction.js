@@ -10,7 +10,7 @@
  * 
  * 1. WHAT IS A TRANSACTION?
  *    - A record of coin transfer from one address to another
- *    - Contains: sender, receiver, amount, timestamp, and signature
+ *    - Contains: sender, receiver, amount, fee, nonce, chain ID, timestamp, and signature
  *    - Once signed over and added to a block, it's permanent
  * 
  * 2. WHY DO WE NEED SIGNATURES?
@@ -21,12 +21,47 @@
  * 
  * 3. TRANSACTION VALIDATION
  *    - Must have valid signature (except mining rewards)
- *    - Sender must have sufficient balance (checked by blockchain)
- *    - Amount must be positive
+ *    - Sender must have sufficient balance for amount + fee (checked by blockchain)
+ *    - Amount must be positive, fee must not be negative
+ * 
+ * 4. TRANSACTION FEES
+ *    - The sender pays a fee on top of the amount
+ *    - The miner who includes the transaction collects the fee
+ *    - The fee is signed, so nobody can change it after signing
+ * 
+ * 5. NONCES (REPLAY PROTECTION)
+ *    - Every account has a counter: its first transaction has nonce 0,
+ *      the next nonce 1, and so on (like Ethereum)
+ *    - The nonce is signed, so a transaction can only ever be used once:
+ *      re-broadcasting it after it was mined is rejected
+ *    - It also orders an account's transactions in the mempool
+ *    - A mining reward has no sender, so its nonce is the block height
+ *      instead: two rewards to the same miner still get different txids
+ *      (like Bitcoin's BIP 34)
+ * 
+ * 6. CHAIN ID (NETWORK ISOLATION)
+ *    - The network's chain ID is signed too (like Ethereum's EIP-155)
+ *    - A transaction signed for the dev network is invalid on test or main,
+ *      even if the same keys hold coins there
+ * 
+ * 7. CANONICAL ENCODING
+ *    - The hash is taken over the transaction's canonical bytes (encoding.js),
+ *      not over a string or JSON, so every node hashes it the same way
+ *    - serialize() / deserialize() use the same encoding for storage and P2P
+ * 
+ * 8. TRANSACTION ID (TXID)
+ *    - That hash is the transaction's ID: storage keys, /tx/:txid,
+ *      mempool dedupe and P2P relay all use it, full length
+ *    - The signature is not part of it, so the txid is known before signing
+ *    - The wtxid hashes the full encoding, signature included. Blocks
+ *      commit to wtxids (see block.js), so a block's hash also covers
+ *      its signatures (like Bitcoin's SegWit witness commitment)
  */
 
-const SHA256 = require('crypto-js/sha256');
 const { signData, verifySignature } = require('./wallet');
+const { sha256, encodeTransaction, encodeTransactionForSigning, decodeTransaction } = require('./encoding');
+const { UtxoTransaction } = require('./utxo');
+const { isConsensusAddress } = require('./consensus');
 
 class Transaction {
     /**
@@ -35,11 +70,17 @@ class Transaction {
      * @param {string|null} senderAddress - Sender's public key (null for mining reward)
      * @param {string} receiverAddress - Receiver's public key
      * @param {number} amount - Amount of coins to transfer
+     * @param {number} fee - Fee paid to the miner (default 0)
+     * @param {number} nonce - Sender's transaction counter (default 0; the block height for a mining reward)
+     * @param {string|null} chainId - Network the transaction is valid on
      */
-    constructor(senderAddress, receiverAddress, amount) {
+    constructor(senderAddress, receiverAddress, amount, fee = 0, nonce = 0, chainId = null) {
         this.senderAddress = senderAddress;      // Public key of sender
         this.receiverAddress = receiverAddress;  // Public key of receiver
         this.amount = amount;                    // Number of coins
+        this.fee = fee;                          // Paid to the block's miner
+        this.nonce = nonce;                      // Sender's sequence number
+        this.chainId = chainId;                  // Network this is valid on
         this.timestamp = Date.now();             // When transaction was created
         this.signature = null;                   // Will be set when signed
     }
@@ -54,15 +95,37 @@ class Transaction {
      * - Cannot reverse the hash to get original data
      * - Used to create a "fingerprint" of the transaction
      * 
+     * The input is the canonical encoding of every field except the
+     * signature, so the hash can be signed.
+     * 
      * @returns {string} SHA-256 hash of transaction data
+     * @throws {Error} If a field has the wrong type
      */
     calculateHash() {
-        return SHA256(
-            this.senderAddress +
-            this.receiverAddress +
-            this.amount +
-            this.timestamp
-        ).toString();
+        return Transaction.getTxid(this);
+    }
+
+    /**
+     * Get the transaction ID (txid) of a transaction or of plain transaction data.
+     * It is the same value as calculateHash(), for account and UTXO transactions.
+     * 
+     * @param {Object} tx - Transaction or plain data (e.g. from a block template)
+     * @returns {string} Full 64-character txid
+     */
+    static getTxid(tx) {
+        return sha256(encodeTransactionForSigning(tx));
+    }
+
+    /**
+     * Get the witness transaction ID (wtxid): the hash of the full
+     * encoding, signatures included. Only the Merkle root uses it;
+     * lookups use the txid.
+     * 
+     * @param {Object} tx - Transaction, UTXO transaction or plain data
+     * @returns {string} Full 64-character wtxid
+     */
+    static getWtxid(tx) {
+        return sha256(encodeTransaction(tx));
     }
 
     /**
@@ -96,28 +159,53 @@ class Transaction {
      * 1. Mining rewards are always valid (no sender)
      * 2. Transaction must have a signature
      * 3. Signature must be valid for the transaction hash
-     * 4. Amount must be positive
+     * 4. Amount must be positive (zero only when sending to yourself,
+     *    which is how a pending transaction is cancelled, or for a
+     *    governance vote or unstake request, see consensus.js), fee
+     *    must not be negative
+     * 5. Nonce must be a non-negative integer
      * 
+     * @param {boolean} checkSignature - Verify the signature (skipped below an assume-valid checkpoint)
      * @returns {boolean} True if transaction is valid
      */
-    isValid() {
+    isValid(checkSignature = true) {
         // Mining reward transactions have no sender - they're valid
         if (this.senderAddress === null) {
             return true;
         }
 
         // Regular transactions must have a signature
-        if (!this.signature || this.signature.length === 0) {
+        if (checkSignature && (!this.signature || this.signature.length === 0)) {
             console.log('Transaction rejected: No signature');
             return false;
         }
 
-        // Amount must be positive
-        if (this.amount <= 0) {
+        // Amount must be positive - a zero-amount self-transfer only pays
+        // the fee, it replaces (cancels) a pending transaction;
+        // governance votes and unstake requests move no coins either
+        const isCancellation = this.amount === 0 && this.receiverAddress === this.senderAddress;
+        const isInstruction = this.amount === 0 && isConsensusAddress(this.receiverAddress);
+        if (!(this.amount > 0) && !isCancellation && !isInstruction) {
             console.log('Transaction rejected: Amount must be positive');
             return false;
         }
 
+        // Fee must be a non-negative number
+        if (typeof this.fee !== 'number' || !(this.fee >= 0)) {
+            console.log('Transaction rejected: Fee must not be negative');
+            return false;
+        }
+
+        // Nonce must be a non-negative integer
+        if (!Number.isInteger(this.nonce) || this.nonce < 0) {
+            console.log('Transaction rejected: Nonce must be a non-negative integer');
+            return false;
+        }
+
+        if (!checkSignature) {
+            return true;
+        }
+
         // Verify the signature matches this transaction's hash
         const transactionHash = this.calculateHash();
         const isValid = verifySignature(
@@ -143,7 +231,45 @@ class Transaction {
         if (this.senderAddress === null) {
             return `Mining Reward: ${this.amount} coins -> ${this.receiverAddress.substring(0, 20)}...`;
         }
-        return `Transfer: ${this.amount} coins from ${this.senderAddress.substring(0, 20)}... to ${this.receiverAddress.substring(0, 20)}...`;
+        return `Transfer: ${this.amount} coins (fee ${this.fee}, nonce ${this.nonce}) from ${this.senderAddress.substring(0, 20)}... to ${this.receiverAddress.substring(0, 20)}...`;
+    }
+
+    /**
+     * Encode the transaction, signature included.
+     * 
+     * @returns {Buffer} Canonical bytes (see encoding.js)
+     */
+    serialize() {
+        return encodeTransaction(this);
+    }
+
+    /**
+     * Decode a transaction from its canonical bytes.
+     * 
+     * @param {Buffer} bytes - Output of serialize()
+     * @returns {Transaction} The decoded transaction
+     * @throws {Error} If the bytes are not a canonical transaction
+     */
+    static deserialize(bytes) {
+        return Transaction.fromJSON(decodeTransaction(bytes));
+    }
+
+    /**
+     * Create from plain object (storage or P2P data).
+     * Data with inputs and outputs becomes a UtxoTransaction (see utxo.js).
+     * 
+     * @param {Object} data - Transaction data
+     * @returns {Transaction|UtxoTransaction} The reconstructed transaction
+     */
+    static fromJSON(data) {
+        if (Array.isArray(data.inputs)) {
+            return UtxoTransaction.fromJSON(data);
+        }
+
+        const tx = new Transaction(data.senderAddress, data.receiverAddress, data.amount, data.fee ?? 0, data.nonce ?? 0, data.chainId ?? null);
+        tx.timestamp = data.timestamp;
+        tx.signature = data.signature;
+        return tx;
     }
 }
 
@@ -0,0 +1,382 @@
+/**
+ * ========================================
+ * NEKO CHAIN - UTXO MODULE
+ * ========================================
+ * 
+ * The UTXO ledger: transactions that spend unspent outputs of earlier
+ * transactions, instead of moving coins between account balances.
+ * A network picks its ledger in the chain spec ("ledger": "utxo").
+ * 
+ * EDUCATIONAL NOTES:
+ * ==================
+ * 
+ * 1. ACCOUNTS VS UTXOS
+ *    - Account ledger (Ethereum): each address has a balance and a nonce,
+ *      a transaction says "move 5 coins from A to B"
+ *    - UTXO ledger (Bitcoin): coins are "unspent transaction outputs",
+ *      a transaction destroys some outputs (its inputs) and creates new ones
+ *    - Your balance is the sum of the outputs you can spend
+ * 
+ * 2. INPUTS AND OUTPUTS
+ *    - An output is { address, amount }, identified by txid:index
+ *      (an "outpoint")
+ *    - An input points at an outpoint and carries the owner's signature
+ *    - Inputs also repeat the spent output's address and amount, and the
+ *      signature covers them (Bitcoin's segwit signs input amounts too),
+ *      so a signer always knows exactly what it is spending
+ *    - Each output can be spent once: that is the replay protection,
+ *      UTXO transactions need no nonces
+ *    - A coinbase spends nothing, so it carries its block height instead:
+ *      otherwise two rewards to the same address could share a txid, and
+ *      the second would overwrite the first's outputs (Bitcoin's BIP 34)
+ * 
+ * 3. CHANGE
+ *    - Outputs are spent whole. To pay 3 coins from a 10 coin output,
+ *      the transaction pays 3 to the receiver and 7 back to the sender
+ *      (the "change output")
+ * 
+ * 4. FEES
+ *    - Bitcoin's fee is implicit: inputs - outputs
+ *    - Ours is written in the transaction and checked:
+ *      inputs = outputs + fee, so the fee can be read without looking
+ *      up the spent outputs
+ * 
+ * 5. COIN SELECTION
+ *    - Picking which outputs to spend is the wallet's job, not consensus
+ *    - selectCoins() uses an exact match if there is one, otherwise the
+ *      largest outputs first (fewest inputs = smallest transaction)
+ */
+
+const { signData, verifySignature, getKeyPairFromPrivate } = require('./wallet');
+const { sha256, encodeTransaction, encodeTransactionForSigning, decodeTransaction } = require('./encoding');
+const { toUnits, fromUnits } = require('./monetary-policy');
+
+// Ledger models a network can use (chain spec "ledger" field)
+const Ledger = {
+    ACCOUNT: 'account',
+    UTXO: 'utxo'
+};
+
+/**
+ * Build the key of an output: "txid:index".
+ * 
+ * @param {string} txid - Transaction that created the output
+ * @param {number} index - Position of the output in that transaction
+ * @returns {string} Outpoint
+ */
+function getOutpoint(txid, index) {
+    return `${txid}:${index}`;
+}
+
+/**
+ * Add up amounts exactly (in smallest units).
+ * 
+ * @param {Array} items - Objects with an amount
+ * @returns {number} Total in NEKO
+ */
+function sumAmounts(items) {
+    return fromUnits(items.reduce((sum, item) => sum + toUnits(item.amount), 0));
+}
+
+class UtxoTransaction {
+    /**
+     * Create a new UTXO transaction.
+     * 
+     * @param {Array} inputs - Spent outputs: [{ txid, index, address, amount, signature }]
+     * @param {Array} outputs - New outputs: [{ address, amount }]
+     * @param {number} fee - Fee paid to the miner (inputs - outputs)
+     * @param {string|null} chainId - Network the transaction is valid on
+     * @param {number|null} height - Block height, coinbase only (like Bitcoin's BIP 34)
+     */
+    constructor(inputs, outputs, fee = 0, chainId = null, height = null) {
+        this.inputs = inputs;            // Outputs being spent (none for a coinbase)
+        this.outputs = outputs;          // Outputs being created
+        this.fee = fee;                  // Paid to the block's miner
+        this.chainId = chainId;          // Network this is valid on
+        this.height = height;            // Block of a coinbase: makes its txid unique
+        this.timestamp = Date.now();     // When transaction was created
+    }
+
+    // The getters below give a UTXO transaction the same summary fields
+    // as an account transaction (for the pool, history and the API)
+
+    /**
+     * Owner of the first input, or null for a coinbase.
+     */
+    get senderAddress() {
+        return this.inputs.length > 0 ? this.inputs[0].address : null;
+    }
+
+    /**
+     * First output that isn't change.
+     */
+    get receiverAddress() {
+        const payment = this.getPayments()[0] ?? this.outputs[0];
+        return payment ? payment.address : null;
+    }
+
+    /**
+     * Amount paid to others (everything but change).
+     */
+    get amount() {
+        return sumAmounts(this.getPayments());
+    }
+
+    /**
+     * UTXO transactions have no nonces.
+     */
+    get nonce() {
+        return 0;
+    }
+
+    /**
+     * Get the outputs that don't go back to an input's owner.
+     * For a coinbase, every output.
+     * 
+     * @returns {Array} Payment outputs
+     */
+    getPayments() {
+        const owners = new Set(this.inputs.map(input => input.address));
+        return this.outputs.filter(output => !owners.has(output.address));
+    }
+
+    /**
+     * Check whether this is a coinbase (creates coins, spends nothing).
+     * 
+     * @returns {boolean} True if it has no inputs
+     */
+    isCoinbase() {
+        return this.inputs.length === 0;
+    }
+
+    /**
+     * Total value of the spent outputs.
+     */
+    getInputTotal() {
+        return sumAmounts(this.inputs);
+    }
+
+    /**
+     * Total value of the new outputs.
+     */
+    getOutputTotal() {
+        return sumAmounts(this.outputs);
+    }
+
+    /**
+     * Calculate the txid: SHA-256 of the transaction without input signatures.
+     * 
+     * @returns {string} Full 64-character txid
+     * @throws {Error} If a field has the wrong type
+     */
+    calculateHash() {
+        return sha256(encodeTransactionForSigning(this));
+    }
+
+    /**
+     * Sign every input owned by this private key.
+     * Inputs from several owners are signed by each of them in turn.
+     * 
+     * @param {string} privateKey - An input owner's private key
+     * @throws {Error} If the key owns none of the inputs
+     */
+    signTransaction(privateKey) {
+        const address = getKeyPairFromPrivate(privateKey).getPublic('hex');
+        const owned = this.inputs.filter(input => input.address === address);
+
+        if (owned.length === 0) {
+            throw new Error('This key does not own any of the transaction inputs');
+        }
+
+        const txid = this.calculateHash();
+        for (const input of owned) {
+            input.signature = signData(privateKey, txid);
+        }
+    }
+
+    /**
+     * Validate the transaction on its own.
+     * Whether the inputs are unspent is checked against the UTXO set
+     * by the blockchain.
+     * 
+     * Checks performed:
+     * 1. A coinbase has at least one output, no fee and a block height
+     * 2. Otherwise at least one input and one output
+     * 3. Every amount is positive, no outpoint is spent twice
+     * 4. Inputs = outputs + fee
+     * 5. Every input is signed by the owner of the output it spends
+     * 
+     * @param {boolean} checkSignatures - Verify input signatures (skipped below an assume-valid checkpoint)
+     * @returns {boolean} True if transaction is valid
+     */
+    isValid(checkSignatures = true) {
+        if (!Array.isArray(this.inputs) || !Array.isArray(this.outputs) || this.outputs.length === 0) {
+            console.log('Transaction rejected: Needs inputs and at least one output');
+            return false;
+        }
+
+        const validAmount = item => typeof item.amount === 'number' && Number.isFinite(item.amount) && item.amount > 0;
+
+        if (!this.outputs.every(output => typeof output.address === 'string' && output.address.length > 0 && validAmount(output))) {
+            console.log('Transaction rejected: Every output needs an address and a positive amount');
+            return false;
+        }
+
+        if (typeof this.fee !== 'number' || !(this.fee >= 0)) {
+            console.log('Transaction rejected: Fee must not be negative');
+            return false;
+        }
+
+        if (this.isCoinbase()) {
+            return this.fee === 0 && Number.isSafeInteger(this.height) && this.height >= 0;
+        }
+
+        if (!this.inputs.every(validAmount)) {
+            console.log('Transaction rejected: Every input must spend a positive amount');
+            return false;
+        }
+
+        const outpoints = new Set(this.inputs.map(input => getOutpoint(input.txid, input.index)));
+        if (outpoints.size !== this.inputs.length) {
+            console.log('Transaction rejected: An output is spent twice');
+            return false;
+        }
+
+        if (toUnits(this.getInputTotal()) !== toUnits(this.getOutputTotal()) + toUnits(this.fee)) {
+            console.log('Transaction rejected: Inputs must equal outputs + fee');
+            return false;
+        }
+
+        if (!checkSignatures) {
+            return true;
+        }
+
+        const txid = this.calculateHash();
+        for (const input of this.inputs) {
+            if (!input.signature || !verifySignature(input.address, txid, input.signature)) {
+                console.log(`Transaction rejected: Input ${input.txid.substring(0, 16)}...:${input.index} has no valid signature`);
+                return false;
+            }
+        }
+
+        return true;
+    }
+
+    /**
+     * Get a human-readable description of the transaction.
+     * 
+     * @returns {string} Description of the transaction
+     */
+    toString() {
+        if (this.isCoinbase()) {
+            return `Coinbase: ${this.getOutputTotal()} coins in ${this.outputs.length} output(s)`;
+        }
+        return `Transfer: ${this.inputs.length} input(s) -> ${this.outputs.length} output(s), ${this.amount} coins (fee ${this.fee}) from ${this.senderAddress.substring(0, 20)}...`;
+    }
+
+    /**
+     * Encode the transaction, signatures included.
+     * 
+     * @returns {Buffer} Canonical bytes (see encoding.js)
+     */
+    serialize() {
+        return encodeTransaction(this);
+    }
+
+    /**
+     * Decode a UTXO transaction from its canonical bytes.
+     * 
+     * @param {Buffer} bytes - Output of serialize()
+     * @returns {UtxoTransaction} The decoded transaction
+     */
+    static deserialize(bytes) {
+        return UtxoTransaction.fromJSON(decodeTransaction(bytes));
+    }
+
+    /**
+     * Create from plain object (storage or P2P data).
+     * 
+     * @param {Object} data - Transaction data
+     * @returns {UtxoTransaction} The reconstructed transaction
+     */
+    static fromJSON(data) {
+        const tx = new UtxoTransaction(
+            data.inputs.map(({ txid, index, address, amount, signature }) => ({ txid, index, address, amount, signature: signature ?? null })),
+            data.outputs.map(({ address, amount }) => ({ address, amount })),
+            data.fee ?? 0,
+            data.chainId ?? null,
+            data.height ?? null
+        );
+        tx.timestamp = data.timestamp;
+        return tx;
+    }
+}
+
+/**
+ * Pick unspent outputs that cover a target amount.
+ * 
+ * @param {Array} utxos - Spendable outputs: [{ txid, index, address, amount }]
+ * @param {number} target - Amount + fee to cover
+ * @returns {Object|null} { selected, total, change }, or null if the outputs don't cover it
+ */
+function selectCoins(utxos, target) {
+    const targetUnits = toUnits(target);
+
+    // One output that pays exactly: no change output needed
+    const exact = utxos.find(utxo => toUnits(utxo.amount) === targetUnits);
+    if (exact) {
+        return { selected: [exact], total: exact.amount, change: 0 };
+    }
+
+    const selected = [];
+    let totalUnits = 0;
+
+    for (const utxo of [...utxos].sort((a, b) => b.amount - a.amount)) {
+        if (totalUnits >= targetUnits) break;
+        selected.push(utxo);
+        totalUnits += toUnits(utxo.amount);
+    }
+
+    if (totalUnits < targetUnits) {
+        return null;
+    }
+
+    return { selected, total: fromUnits(totalUnits), change: fromUnits(totalUnits - targetUnits) };
+}
+
+/**
+ * Build an unsigned payment: select coins, pay the receiver, return the change.
+ * 
+ * @param {Object} params
+ * @param {Array} params.utxos - Sender's spendable outputs
+ * @param {string} params.from - Sender address (receives the change)
+ * @param {string} params.to - Receiver address
+ * @param {number} params.amount - Amount to pay
+ * @param {number} params.fee - Fee for the miner (default 0)
+ * @param {string} params.chainId - Network the transaction is for
+ * @returns {UtxoTransaction} Transaction ready to be signed
+ * @throws {Error} If the outputs can't cover amount + fee
+ */
+function createUtxoTransaction({ utxos, from, to, amount, fee = 0, chainId }) {
+    const selection = selectCoins(utxos, amount + fee);
+    if (!selection) {
+        throw new Error(`Insufficient balance! Spendable: ${sumAmounts(utxos)}, Need: ${amount + fee} (amount ${amount} + fee ${fee})`);
+    }
+
+    const inputs = selection.selected.map(({ txid, index, address, amount }) => ({ txid, index, address, amount, signature: null }));
+    const outputs = [{ address: to, amount }];
+    if (selection.change > 0) {
+        outputs.push({ address: from, amount: selection.change });
+    }
+
+    return new UtxoTransaction(inputs, outputs, fee, chainId);
+}
+
+module.exports = {
+    Ledger,
+    UtxoTransaction,
+    getOutpoint,
+    sumAmounts,
+    selectCoins,
+    createUtxoTransaction
+};
@@ -0,0 +1,462 @@
+/**
+ * ========================================
+ * NEKO CHAIN - BLOCK VALIDATION MODULE
+ * ========================================
+ * 
+ * One validation pipeline for every block we accept: blocks we mine,
+ * blocks peers broadcast, chains we sync, and chains we load from disk.
+ * 
+ * EDUCATIONAL NOTES:
+ * ==================
+ * 
+ * 1. WHY VALIDATE EVERYTHING?
+ *    - A peer can send us anything - we must never trust it
+ *    - Checking only the hash and proof-of-work is not enough: a miner
+ *      could do real work on a block that mints itself a million coins
+ *    - Every full node re-checks every rule, so cheating miners waste work
+ * 
+ * 2. THE RULES (in order)
+ *    - Genesis:      exactly the block built from our chain spec
+ *    - Header:       index, previous hash, timestamp (after the
+ *                    median-time-past, not too far ahead of network time)
+ *    - Limits:       encoded size and transaction count (chain spec)
+ *    - Seal:         hash, Merkle root, then the consensus engine's rules
+ *                    (consensus.js): difficulty and proof-of-work, the
+ *                    authority's signature and turn, or the slot's
+ *                    proposer's signature and the staking transactions
+ *    - Checkpoints:  a block at a checkpoint height has the listed hash
+ *    - Coinbase:     exactly one, paying exactly reward + fees
+ *    - Transactions: well-formed, signed for this chain ID, no duplicates
+ *                    (the engine's own system transactions are unsigned,
+ *                    the seal check already made sure they are the right ones)
+ *    - Accounts:     replayed from the parent's state, no overspending,
+ *                    nonces used exactly in order
+ *    - UTXOs:        (UTXO networks) every input spends an unspent output
+ *                    of its owner, inputs = outputs + fee
+ * 
+ * 3. CHECKPOINTS AND ASSUME-VALID
+ *    - The chain spec can list known block hashes (height -> hash);
+ *      a chain with another block at such a height is rejected, so
+ *      history below a checkpoint can't be rewritten
+ *    - Signatures are the slowest check. When syncing a chain that
+ *      contains the last checkpoint, an assume-valid node skips them
+ *      below it (Bitcoin Core's -assumevalid): whoever published the
+ *      checkpoint already checked them. Everything else is still checked.
+ *    - This is only safe because the checkpoint hash covers the
+ *      signatures: Merkle leaves are wtxids (block.js), so a chain with
+ *      a swapped signature has another hash at the checkpoint
+ *    - Chains loaded from disk are always checked in full
+ * 
+ * 4. TYPED REJECTIONS
+ *    - Every failure has a reason code (e.g. INSUFFICIENT_BALANCE)
+ *    - Callers can log it, return it over the API, or react to it
+ */
+
+const { toUnits, fromUnits } = require('./monetary-policy');
+const { ZERO_HASH, isUtxoTransaction, encodeBlock } = require('./encoding');
+const { Ledger, getOutpoint } = require('./utxo');
+
+// Reason codes for rejected blocks
+const RejectReason = {
+    MALFORMED_BLOCK: 'MALFORMED_BLOCK',
+    DUPLICATE_BLOCK: 'DUPLICATE_BLOCK',
+    UNKNOWN_PARENT: 'UNKNOWN_PARENT',
+    BAD_GENESIS: 'BAD_GENESIS',
+    BAD_INDEX: 'BAD_INDEX',
+    BAD_PREVIOUS_HASH: 'BAD_PREVIOUS_HASH',
+    BAD_TIMESTAMP: 'BAD_TIMESTAMP',
+    BLOCK_TOO_LARGE: 'BLOCK_TOO_LARGE',
+    TOO_MANY_TRANSACTIONS: 'TOO_MANY_TRANSACTIONS',
+    BAD_HASH: 'BAD_HASH',
+    BAD_MERKLE_ROOT: 'BAD_MERKLE_ROOT',
+    BAD_DIFFICULTY: 'BAD_DIFFICULTY',
+    INSUFFICIENT_WORK: 'INSUFFICIENT_WORK',
+    BAD_SEAL: 'BAD_SEAL',
+    UNAUTHORIZED_SIGNER: 'UNAUTHORIZED_SIGNER',
+    SIGNER_TOO_RECENT: 'SIGNER_TOO_RECENT',
+    BAD_GOVERNANCE: 'BAD_GOVERNANCE',
+    WRONG_PROPOSER: 'WRONG_PROPOSER',
+    BAD_STAKING: 'BAD_STAKING',
+    CHECKPOINT_MISMATCH: 'CHECKPOINT_MISMATCH',
+    FORK_BEFORE_CHECKPOINT: 'FORK_BEFORE_CHECKPOINT',
+    BAD_COINBASE: 'BAD_COINBASE',
+    MALFORMED_TRANSACTION: 'MALFORMED_TRANSACTION',
+    DUPLICATE_TRANSACTION: 'DUPLICATE_TRANSACTION',
+    INVALID_SIGNATURE: 'INVALID_SIGNATURE',
+    INSUFFICIENT_BALANCE: 'INSUFFICIENT_BALANCE',
+    BAD_NONCE: 'BAD_NONCE',
+    WRONG_CHAIN: 'WRONG_CHAIN',
+    WRONG_LEDGER: 'WRONG_LEDGER',
+    MISSING_INPUT: 'MISSING_INPUT',
+    BAD_INPUT: 'BAD_INPUT',
+    UNKNOWN_TEMPLATE: 'UNKNOWN_TEMPLATE'
+};
+
+/**
+ * Error thrown when a block breaks a consensus rule.
+ */
+class ValidationError extends Error {
+    /**
+     * @param {string} reason - One of RejectReason
+     * @param {string} message - Human-readable explanation
+     */
+    constructor(reason, message) {
+        super(message);
+        this.name = 'ValidationError';
+        this.reason = reason;
+    }
+}
+
+/**
+ * Throw a ValidationError unless a condition holds.
+ * 
+ * @param {boolean} condition - The rule that must hold
+ * @param {string} reason - RejectReason if it doesn't
+ * @param {string} message - Explanation if it doesn't
+ */
+function check(condition, reason, message) {
+    if (!condition) {
+        throw new ValidationError(reason, message);
+    }
+}
+
+/**
+ * Check that an amount is a usable number of coins.
+ * 
+ * @param {*} value - Value to check
+ * @returns {boolean} True if it's a finite, non-negative number
+ */
+function isAmount(value) {
+    return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+}
+
+/**
+ * Create an empty account state (the state before genesis).
+ * 
+ * @returns {Object} { balances: Map, nonces: Map } keyed by address,
+ *                   and utxos: Map keyed by outpoint (UTXO networks)
+ */
+function createAccountState() {
+    return { balances: new Map(), nonces: new Map(), utxos: new Map() };
+}
+
+/**
+ * Copy an account state so it can be changed without touching the original.
+ * 
+ * @param {Object} state - Account state
+ * @returns {Object} An independent copy
+ */
+function copyAccountState(state) {
+    return { balances: new Map(state.balances), nonces: new Map(state.nonces), utxos: new Map(state.utxos) };
+}
+
+/**
+ * Apply a list of transactions to an account state (mutates it).
+ * UTXO transactions spend their inputs and create their outputs;
+ * balances are kept for both kinds.
+ * 
+ * @param {Object} state - { balances, nonces, utxos }
+ * @param {Transaction[]} transactions - Transactions to apply, in block order
+ * @param {number|null} height - Height of their block (recorded on new outputs)
+ * @returns {Object} The same state, updated
+ */
+function applyTransactions(state, transactions, height = null) {
+    const { balances, nonces, utxos } = state;
+
+    for (const tx of transactions) {
+        if (isUtxoTransaction(tx)) {
+            for (const input of tx.inputs) {
+                balances.set(input.address, (balances.get(input.address) || 0) - input.amount);
+                utxos.delete(getOutpoint(input.txid, input.index));
+            }
+
+            const txid = tx.calculateHash();
+            tx.outputs.forEach(({ address, amount }, index) => {
+                balances.set(address, (balances.get(address) || 0) + amount);
+                utxos.set(getOutpoint(txid, index), { txid, index, address, amount, height });
+            });
+            continue;
+        }
+
+        if (tx.senderAddress !== null) {
+            balances.set(tx.senderAddress, (balances.get(tx.senderAddress) || 0) - tx.amount - (tx.fee || 0));
+            nonces.set(tx.senderAddress, (tx.nonce || 0) + 1);
+        }
+
+        // Zero-amount transfers are instructions to the consensus engine
+        // (votes, unstakes, slashings) or cancellations paying the sender:
+        // their receiver is not an account (isConsensusAddress in consensus.js)
+        if (tx.amount !== 0) {
+            balances.set(tx.receiverAddress, (balances.get(tx.receiverAddress) || 0) + tx.amount);
+        }
+    }
+    return state;
+}
+
+class BlockValidator {
+    /**
+     * Create a validator bound to a blockchain's consensus parameters.
+     * 
+     * @param {Blockchain} blockchain - Supplies difficulty and reward rules
+     */
+    constructor(blockchain) {
+        this.blockchain = blockchain;
+    }
+
+    /**
+     * Validate a genesis block: it must be exactly the one our chain spec builds.
+     * 
+     * @param {Block} block - Candidate genesis block
+     * @returns {Object} { valid, state } or { valid: false, reason, error }
+     */
+    validateGenesis(block) {
+        try {
+            check(block.index === 0, RejectReason.BAD_GENESIS, 'Genesis block must have index 0');
+            check(block.previousHash === ZERO_HASH, RejectReason.BAD_GENESIS, 'Genesis block must have an all-zero previousHash');
+            check(block.hash === block.calculateHash(), RejectReason.BAD_GENESIS, 'Genesis hash does not match its header');
+            check(block.hasValidMerkleRoot(), RejectReason.BAD_GENESIS, 'Genesis Merkle root does not match its transactions');
+            check(block.hash === this.blockchain.genesisHash, RejectReason.BAD_GENESIS,
+                `Genesis ${block.hash.substring(0, 16)}... is not this network's genesis ${this.blockchain.genesisHash.substring(0, 16)}...`);
+            check(block.transactions.every(tx => tx.senderAddress === null && tx.chainId === this.blockchain.chainId),
+                RejectReason.BAD_GENESIS, 'Genesis block may only contain allocations for this chain');
+
+            // Premine allocations are the starting balances
+            return { valid: true, state: applyTransactions(createAccountState(), block.transactions, 0) };
+        } catch (error) {
+            return this.toResult(error);
+        }
+    }
+
+    /**
+     * Validate a block against its parent.
+     * 
+     * @param {Block} block - The block to validate
+     * @param {Block} parent - The block it builds on
+     * @param {Object} context
+     * @param {Function} context.getBlockAt - Ancestor lookup by height (for retargeting)
+     * @param {Object} context.state - Account state after the parent block
+     * @param {number} context.now - Network-adjusted current time (defaults to Date.now())
+     * @param {boolean} context.assumeValid - Skip signature checks (block is below a trusted checkpoint)
+     * @returns {Object} { valid, state } or { valid: false, reason, error }
+     */
+    validateBlock(block, parent, context) {
+        try {
+            this.checkStructure(block);
+            this.checkHeader(block, parent, context.now ?? Date.now(), context.getBlockAt);
+            this.checkLimits(block);
+            this.checkSeal(block, parent, context.getBlockAt);
+            this.checkCheckpoint(block);
+            this.checkCoinbase(block);
+            const state = this.checkTransactions(block, context.state, !context.assumeValid);
+
+            return { valid: true, state };
+        } catch (error) {
+            return this.toResult(error);
+        }
+    }
+
+    /**
+     * Check that the block has the shape we expect.
+     */
+    checkStructure(block) {
+        check(Number.isInteger(block.index), RejectReason.MALFORMED_BLOCK, 'Block index must be an integer');
+        check(Number.isInteger(block.timestamp), RejectReason.MALFORMED_BLOCK, 'Block timestamp must be an integer');
+        check(Array.isArray(block.transactions), RejectReason.MALFORMED_BLOCK, 'Block transactions must be an array');
+        check(typeof block.difficulty === 'number', RejectReason.MALFORMED_BLOCK, 'Block difficulty must be a number');
+    }
+
+    /**
+     * Check index, link and timestamp against the parent.
+     * 
+     * The timestamp must be later than the median of the last blocks
+     * (median-time-past), not the parent's: one miner with a fast clock
+     * can't force everyone after it to use even later times. The median
+     * only moves forward, so time locks and retargeting can rely on it.
+     */
+    checkHeader(block, parent, now, getBlockAt) {
+        check(block.index === parent.index + 1, RejectReason.BAD_INDEX,
+            `Block index ${block.index} does not follow parent index ${parent.index}`);
+        check(block.previousHash === parent.hash, RejectReason.BAD_PREVIOUS_HASH,
+            'Block previousHash does not match its parent');
+
+        const medianTimePast = this.blockchain.getMedianTimePast(parent, getBlockAt);
+        check(block.timestamp > medianTimePast, RejectReason.BAD_TIMESTAMP,
+            `Block timestamp must be later than the median of the last ${this.blockchain.medianTimeBlocks} blocks (${new Date(medianTimePast).toISOString()})`);
+
+        const maxTimestamp = now + this.blockchain.maxFutureBlockTime;
+        check(block.timestamp <= maxTimestamp, RejectReason.BAD_TIMESTAMP,
+            `Block timestamp is too far in the future (network time allows up to ${new Date(maxTimestamp).toISOString()})`);
+    }
+
+    /**
+     * Check the block is within the chain's size and transaction count
+     * limits. The count is checked first, it is cheap.
+     */
+    checkLimits(block) {
+        const { maxBlockTransactions, maxBlockBytes } = this.blockchain;
+        check(block.transactions.length <= maxBlockTransactions, RejectReason.TOO_MANY_TRANSACTIONS,
+            `Block has ${block.transactions.length} transactions, the limit is ${maxBlockTransactions}`);
+
+        const size = encodeBlock(block).length;
+        check(size <= maxBlockBytes, RejectReason.BLOCK_TOO_LARGE,
+            `Block is ${size} bytes, the limit is ${maxBlockBytes}`);
+    }
+
+    /**
+     * Check the hash and Merkle root, then the seal: proof-of-work or
+     * the authority's or proposer's signature, depending on the consensus engine.
+     */
+    checkSeal(block, parent, getBlockAt) {
+        check(block.hash === block.calculateHash(), RejectReason.BAD_HASH,
+            'Block hash does not match its header');
+        check(block.hasValidMerkleRoot(), RejectReason.BAD_MERKLE_ROOT,
+            'Block Merkle root does not match its transactions');
+
+        this.blockchain.consensus.checkBlock(block, parent, getBlockAt);
+    }
+
+    /**
+     * Check the block against the chain spec's checkpoint at its height, if any.
+     */
+    checkCheckpoint(block) {
+        const expected = this.blockchain.checkpoints.get(block.index);
+        check(expected === undefined || block.hash === expected, RejectReason.CHECKPOINT_MISMATCH,
+            `Block #${block.index} is ${block.hash.substring(0, 16)}..., the checkpoint is ${String(expected).substring(0, 16)}...`);
+    }
+
+    /**
+     * Check the block has exactly one coinbase paying reward + fees.
+     */
+    checkCoinbase(block) {
+        const coinbases = block.transactions.filter(tx => tx.senderAddress === null);
+        check(coinbases.length === 1, RejectReason.BAD_COINBASE,
+            `Block must contain exactly one coinbase, found ${coinbases.length}`);
+
+        const coinbase = coinbases[0];
+        check(typeof coinbase.receiverAddress === 'string' && coinbase.receiverAddress.length > 0,
+            RejectReason.BAD_COINBASE, 'Coinbase must have a receiver');
+        check(isAmount(coinbase.amount) && (coinbase.fee || 0) === 0, RejectReason.BAD_COINBASE,
+            'Coinbase must have a valid amount and no fee');
+
+        // The height makes each coinbase's txid unique, even for the same miner and reward
+        // (a UTXO coinbase carries it in its own field, an account coinbase in its nonce)
+        const height = this.blockchain.ledger === Ledger.UTXO ? coinbase.height : coinbase.nonce;
+        check(height === block.index, RejectReason.BAD_COINBASE,
+            `Coinbase must commit to the block height ${block.index}, found ${height}`);
+
+        const reward = this.blockchain.getMiningReward(block.index);
+        const expected = reward + this.blockchain.getTotalFees(block.transactions);
+        check(toUnits(coinbase.amount) === toUnits(expected), RejectReason.BAD_COINBASE,
+            `Coinbase pays ${coinbase.amount} NEKO, expected ${expected} (reward ${reward} + fees)`);
+    }
+
+    /**
+     * Check every transaction and replay accounts on top of the parent state.
+     * 
+     * @param {Block} block - The block
+     * @param {Object} parentState - Account state after its parent
+     * @param {boolean} checkSignatures - Verify signatures (false below an assume-valid checkpoint)
+     * @returns {Object} Account state after this block
+     */
+    checkTransactions(block, parentState, checkSignatures = true) {
+        const state = copyAccountState(parentState);
+        const seen = new Set();
+        const utxoLedger = this.blockchain.ledger === Ledger.UTXO;
+
+        for (const tx of block.transactions) {
+            check(isUtxoTransaction(tx) === utxoLedger, RejectReason.WRONG_LEDGER,
+                `This network uses the ${this.blockchain.ledger} ledger, the block has ${utxoLedger ? 'an account' : 'a UTXO'} transaction`);
+            check(typeof tx.receiverAddress === 'string' && tx.receiverAddress.length > 0,
+                RejectReason.MALFORMED_TRANSACTION, 'Transaction must have a receiver');
+            check(isAmount(tx.amount) && isAmount(tx.fee || 0), RejectReason.MALFORMED_TRANSACTION,
+                'Transaction amount and fee must be non-negative numbers');
+
+            check(tx.chainId === this.blockchain.chainId, RejectReason.WRONG_CHAIN,
+                `Transaction is for chain ${tx.chainId}, not ${this.blockchain.chainId}`);
+
+            const txHash = tx.calculateHash();
+            check(!seen.has(txHash), RejectReason.DUPLICATE_TRANSACTION,
+                `Transaction ${txHash.substring(0, 16)}... appears twice in the block`);
+            seen.add(txHash);
+
+            if (utxoLedger) {
+                // An unspent output with this txid would be overwritten (Bitcoin's BIP 30)
+                check(!state.utxos.has(getOutpoint(txHash, 0)), RejectReason.DUPLICATE_TRANSACTION,
+                    `Transaction ${txHash.substring(0, 16)}... already has unspent outputs`);
+            }
+
+            if (tx.senderAddress === null) {
+                check(!utxoLedger || tx.isValid(), RejectReason.BAD_COINBASE,
+                    'Coinbase outputs must have an address and a positive amount');
+                continue;
+            }
+
+            // Stake releases and slashings come from the engine, not a key holder
+            check(this.blockchain.consensus.isSystemTransaction(tx) || tx.isValid(checkSignatures), RejectReason.INVALID_SIGNATURE,
+                `Transaction ${txHash.substring(0, 16)}... has an invalid signature or amount`);
+
+            if (utxoLedger) {
+                this.checkInputs(tx, txHash, state);
+                applyTransactions(state, [tx], block.index);
+                continue;
+            }
+
+            const expectedNonce = state.nonces.get(tx.senderAddress) || 0;
+            check(tx.nonce === expectedNonce, RejectReason.BAD_NONCE,
+                `Transaction ${txHash.substring(0, 16)}... has nonce ${tx.nonce}, expected ${expectedNonce}`);
+
+            const available = state.balances.get(tx.senderAddress) || 0;
+            const needed = toUnits(tx.amount) + toUnits(tx.fee);
+            check(toUnits(available) >= needed, RejectReason.INSUFFICIENT_BALANCE,
+                `Sender has ${available} NEKO but transaction ${txHash.substring(0, 16)}... needs ${fromUnits(needed)}`);
+
+            applyTransactions(state, [tx]);
+        }
+
+        // The coinbase is credited after all transfers
+        applyTransactions(state, block.transactions.filter(tx => tx.senderAddress === null), block.index);
+
+        return state;
+    }
+
+    /**
+     * Check that every input of a UTXO transaction spends an unspent
+     * output, with the owner and amount the input claims.
+     * (Signatures and inputs = outputs + fee are checked by tx.isValid().)
+     * 
+     * @param {UtxoTransaction} tx - The transaction
+     * @param {string} txHash - Its txid
+     * @param {Object} state - State before the transaction
+     */
+    checkInputs(tx, txHash, state) {
+        for (const input of tx.inputs) {
+            const outpoint = getOutpoint(input.txid, input.index);
+            const utxo = state.utxos.get(outpoint);
+
+            check(utxo !== undefined, RejectReason.MISSING_INPUT,
+                `Transaction ${txHash.substring(0, 16)}... spends ${input.txid.substring(0, 16)}...:${input.index}, which is not unspent`);
+            check(utxo.address === input.address && toUnits(utxo.amount) === toUnits(input.amount), RejectReason.BAD_INPUT,
+                `Transaction ${txHash.substring(0, 16)}... input ${input.txid.substring(0, 16)}...:${input.index} does not match the output it spends`);
+        }
+    }
+
+    /**
+     * Turn a thrown error into a rejection result.
+     */
+    toResult(error) {
+        if (error instanceof ValidationError) {
+            return { valid: false, reason: error.reason, error: error.message };
+        }
+        return { valid: false, reason: RejectReason.MALFORMED_BLOCK, error: error.message };
+    }
+}
+
+module.exports = {
+    BlockValidator,
+    ValidationError,
+    RejectReason,
+    check,
+    createAccountState,
+    copyAccountState,
+    applyTransactions
+};
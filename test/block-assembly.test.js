@@ -0,0 +1,82 @@
+/**
+ * Block assembly: pending transactions are taken by fee rate in one
+ * pass, and a child paying more than its parent goes in right after it.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const Transaction = require('../src/transaction');
+const { RegtestTools } = require('../src/regtest');
+const { UtxoTransaction, createUtxoTransaction } = require('../src/utxo');
+const { createWallet } = require('../src/wallet');
+const { loadSpec, createChain } = require('./helpers');
+
+// Txids of a candidate block's transactions, coinbase left out
+function getSelectedTxids(blockchain) {
+    return blockchain.createCandidateBlock(createWallet().publicKey).transactions.slice(0, -1).map(tx => tx.calculateHash());
+}
+
+async function pay(blockchain, sender, nonce, fee) {
+    const tx = new Transaction(sender.publicKey, createWallet().publicKey, 1, fee, nonce, blockchain.chainId);
+    tx.signTransaction(sender.privateKey);
+    await blockchain.addTransaction(tx);
+    return tx.calculateHash();
+}
+
+test('a later nonce with a higher fee rate goes in right after its parent', async () => {
+    const blockchain = await createChain(loadSpec('regtest'));
+    const alice = createWallet();
+    const bob = createWallet();
+    await new RegtestTools(blockchain).generate(1, alice.publicKey);
+    await new RegtestTools(blockchain).generate(1, bob.publicKey);
+
+    const parent = await pay(blockchain, alice, 0, 0.001);
+    const child = await pay(blockchain, alice, 1, 1);
+    const other = await pay(blockchain, bob, 0, 0.01);
+
+    assert.deepStrictEqual(getSelectedTxids(blockchain), [other, parent, child]);
+});
+
+test('a full block keeps the highest fee rates and leaves the rest pending', async () => {
+    const blockchain = await createChain(loadSpec('regtest'));
+    const alice = createWallet();
+    const bob = createWallet();
+    await new RegtestTools(blockchain).generate(1, alice.publicKey);
+    await new RegtestTools(blockchain).generate(1, bob.publicKey);
+
+    await pay(blockchain, alice, 0, 0.001);
+    await pay(blockchain, alice, 1, 1);
+    const rich = await pay(blockchain, bob, 0, 0.5);
+    blockchain.maxBlockTransactions = 3;
+
+    // alice's child can't go in without its parent, and there is room for only one more
+    const selected = getSelectedTxids(blockchain);
+    assert.strictEqual(selected.length, 2);
+    assert.strictEqual(selected[0], rich);
+});
+
+test('a UTXO child spending a pending output goes in after its parent', async () => {
+    const blockchain = await createChain({ ...loadSpec('regtest'), ledger: 'utxo' });
+    const alice = createWallet();
+    const bob = createWallet();
+    await new RegtestTools(blockchain).generate(1, alice.publicKey);
+
+    const parent = createUtxoTransaction({
+        utxos: blockchain.getUtxos(alice.publicKey), from: alice.publicKey, to: bob.publicKey,
+        amount: 10, fee: 0.001, chainId: blockchain.chainId
+    });
+    parent.signTransaction(alice.privateKey);
+    await blockchain.addTransaction(parent);
+
+    const parentId = parent.calculateHash();
+    const child = new UtxoTransaction(
+        [{ txid: parentId, index: 0, address: bob.publicKey, amount: 10 }],
+        [{ address: alice.publicKey, amount: 9 }],
+        1,
+        blockchain.chainId
+    );
+    child.signTransaction(bob.privateKey);
+    await blockchain.addTransaction(child);
+
+    assert.deepStrictEqual(getSelectedTxids(blockchain), [parentId, child.calculateHash()]);
+});
@@ -0,0 +1,30 @@
+/**
+ * Chain specs: the numbers consensus depends on are checked when
+ * the spec loads, not when the maths first breaks.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { normalizeChainSpec } = require('../src/chain-spec');
+
+test('the shipped defaults are accepted', () => {
+    assert.doesNotThrow(() => normalizeChainSpec({}));
+    assert.doesNotThrow(() => normalizeChainSpec({ consensus: { minDifficulty: 0, maxDifficulty: 0 } }));
+});
+
+test('unusable consensus and reward numbers are rejected by name', () => {
+    const cases = [
+        [{ consensus: { targetBlockTime: 0 } }, /consensus\.targetBlockTime/],
+        [{ consensus: { retargetInterval: 0 } }, /consensus\.retargetInterval/],
+        [{ consensus: { minDifficulty: -1 } }, /consensus\.minDifficulty/],
+        [{ consensus: { maxDifficulty: 1.5 } }, /consensus\.maxDifficulty/],
+        [{ consensus: { minDifficulty: 5, maxDifficulty: 2 } }, /minDifficulty must not be above/],
+        [{ rewards: { initialReward: 0 } }, /rewards\.initialReward/],
+        [{ rewards: { initialReward: '50' } }, /rewards\.initialReward/],
+        [{ rewards: { halvingInterval: 0 } }, /rewards\.halvingInterval/]
+    ];
+
+    for (const [spec, message] of cases) {
+        assert.throws(() => normalizeChainSpec(spec), message);
+    }
+});
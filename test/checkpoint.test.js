@@ -0,0 +1,39 @@
+/**
+ * Checkpoints and assume-valid: signatures below the last checkpoint
+ * are skipped only because the checkpoint hash commits to them.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const Block = require('../src/block');
+const Transaction = require('../src/transaction');
+const { RegtestTools } = require('../src/regtest');
+const { RejectReason } = require('../src/validation');
+const { createWallet } = require('../src/wallet');
+const { loadSpec, createChain } = require('./helpers');
+
+test('assume-valid does not accept a checkpointed block with another signature', async () => {
+    const spec = loadSpec('regtest');
+    const source = await createChain(spec);
+    const alice = createWallet();
+
+    await new RegtestTools(source).generate(1, alice.publicKey);
+    const payment = new Transaction(alice.publicKey, createWallet().publicKey, 10, 0.1, 0, source.chainId);
+    payment.signTransaction(alice.privateKey);
+    await source.addTransaction(payment);
+    const [checkpointed] = await new RegtestTools(source).generate(1, alice.publicKey);
+
+    const node = await createChain({ ...spec, checkpoints: { 2: checkpointed.hash } }, { blockchain: { assumeValid: true } });
+    assert.deepStrictEqual(node.validateChain(source.chain), { valid: true });
+
+    // Same signed data, a garbage signature: the txid stays, the wtxid and block hash change
+    const forged = Block.deserialize(checkpointed.serialize());
+    const forgedPayment = forged.transactions.find(tx => tx.calculateHash() === payment.calculateHash());
+    forgedPayment.signature = '3006020101020101';
+    forged.merkleRoot = forged.calculateMerkleRoot();
+    forged.hash = forged.calculateHash();
+
+    const result = node.validateChain([...source.chain.slice(0, 2), forged]);
+    assert.strictEqual(result.valid, false);
+    assert.strictEqual(result.reason, RejectReason.CHECKPOINT_MISMATCH);
+});
@@ -0,0 +1,89 @@
+/**
+ * Canonical encoding: decode(encode(x)) is x, encode(decode(bytes))
+ * is bytes, and every other byte string is refused.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const Block = require('../src/block');
+const Transaction = require('../src/transaction');
+const {
+    encodeTransaction, decodeTransaction, encodeTransactionForSigning,
+    encodeBlockHeader, decodeBlockHeader, encodeBlock, decodeBlock
+} = require('../src/encoding');
+const { createWallet } = require('../src/wallet');
+
+function createTransaction(amount = 1.5, fee = 0.01) {
+    const sender = createWallet();
+    const tx = new Transaction(sender.publicKey, createWallet().publicKey, amount, fee, 3, 'neko-test');
+    tx.signTransaction(sender.privateKey);
+    return tx;
+}
+
+test('transactions survive a round trip byte for byte', () => {
+    const tx = createTransaction();
+    const bytes = encodeTransaction(tx);
+    const decoded = Transaction.fromJSON(decodeTransaction(bytes));
+
+    assert.strictEqual(decoded.calculateHash(), tx.calculateHash());
+    assert.strictEqual(decoded.signature, tx.signature);
+    assert.strictEqual(decoded.isValid(), true);
+    assert.deepStrictEqual(encodeTransaction(decoded), bytes);
+});
+
+test('mining rewards (no sender, no signature) survive a round trip', () => {
+    const reward = new Transaction(null, createWallet().publicKey, 50);
+    const decoded = decodeTransaction(encodeTransaction(reward));
+
+    assert.strictEqual(decoded.senderAddress, null);
+    assert.strictEqual(decoded.signature, null);
+    assert.deepStrictEqual(encodeTransaction(decoded), encodeTransaction(reward));
+});
+
+test('the signing form leaves out the signature', () => {
+    const tx = createTransaction();
+    const unsigned = new Transaction(tx.senderAddress, tx.receiverAddress, tx.amount, tx.fee, tx.nonce, tx.chainId);
+    unsigned.timestamp = tx.timestamp;
+
+    assert.deepStrictEqual(encodeTransactionForSigning(unsigned), encodeTransactionForSigning(tx));
+    assert.notDeepStrictEqual(encodeTransaction(unsigned), encodeTransaction(tx));
+});
+
+test('blocks and headers survive a round trip', () => {
+    const block = new Block(7, Date.now(), [createTransaction(), createTransaction(2, 0)], 'ab'.repeat(32), 3);
+    block.nonce = 123456;
+    block.hash = block.calculateHash();
+
+    const bytes = encodeBlock(block);
+    const decoded = decodeBlock(bytes);
+    assert.strictEqual(decoded.hash, block.hash);
+    assert.strictEqual(decoded.transactions.length, 2);
+    assert.deepStrictEqual(encodeBlock(decoded), bytes);
+
+    const header = decodeBlockHeader(encodeBlockHeader(block));
+    assert.deepStrictEqual(header, block.getHeader());
+});
+
+test('non-canonical bytes are refused', () => {
+    const bytes = encodeTransaction(createTransaction());
+
+    // Trailing bytes
+    assert.throws(() => decodeTransaction(Buffer.concat([bytes, Buffer.from([0])])), /trailing/);
+
+    // Cut short
+    assert.throws(() => decodeTransaction(bytes.subarray(0, bytes.length - 1)));
+
+    // Unknown version
+    const future = Buffer.from(bytes);
+    future[0] = 99;
+    assert.throws(() => decodeTransaction(future), /version/);
+
+    // A block header is not a transaction
+    const header = encodeBlockHeader(new Block(1, Date.now(), [], 'ab'.repeat(32), 1));
+    assert.throws(() => decodeTransaction(header), /type/);
+});
+
+test('values without one encoding are refused when encoding', () => {
+    assert.throws(() => encodeTransaction(createTransaction(NaN)), /finite/);
+    assert.throws(() => encodeBlockHeader({ index: -1, timestamp: 0, previousHash: '0'.repeat(64), merkleRoot: '0'.repeat(64), difficulty: 1, nonce: 0 }), /index/);
+});
@@ -0,0 +1,45 @@
+/**
+ * Shared setup for the tests (npm test runs test/*.test.js).
+ */
+
+const { mock } = require('node:test');
+const path = require('path');
+const Blockchain = require('../src/blockchain');
+const { loadChainSpec, toBlockchainOptions } = require('../src/chain-spec');
+
+// Nodes narrate every block, peer and transaction with console.log:
+// the test report should only show the tests
+mock.method(console, 'log', () => {});
+
+/**
+ * Load one of the chain specs in chains/.
+ * 
+ * @param {string} name - Spec name, e.g. 'regtest'
+ * @returns {Object} The normalized chain spec
+ */
+function loadSpec(name) {
+    return loadChainSpec(path.join(__dirname, '..', 'chains', `${name}.json`));
+}
+
+/**
+ * Create and initialize a blockchain from a chain spec.
+ * 
+ * @param {Object} spec - Chain spec (see loadSpec)
+ * @param {Object} options
+ * @param {Storage|null} options.storage - LevelDB storage (default in-memory)
+ * @param {Object} options.blockchain - Extra Blockchain options (e.g. authorityKey)
+ * @returns {Promise<Blockchain>} The initialized blockchain
+ */
+async function createChain(spec, options = {}) {
+    const blockchain = new Blockchain(options.storage ?? null, {
+        ...toBlockchainOptions(spec),
+        ...options.blockchain
+    });
+    await blockchain.initialize();
+    return blockchain;
+}
+
+module.exports = {
+    loadSpec,
+    createChain
+};
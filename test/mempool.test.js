@@ -0,0 +1,122 @@
+/**
+ * Mempool policy: fee rate ordering, eviction when full, expiry and
+ * the per-sender limit.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const Transaction = require('../src/transaction');
+const { Mempool } = require('../src/mempool');
+const { encodeTransaction } = require('../src/encoding');
+const { createWallet } = require('../src/wallet');
+
+const receiver = createWallet().publicKey;
+
+// Unsigned: the mempool only holds transactions the blockchain already
+// checked, and without a signature every one has the same size
+function createTransaction(sender, fee, nonce = 0) {
+    return new Transaction(sender.publicKey, receiver, 1, fee, nonce, 'neko-test');
+}
+
+test('transactions come out highest fee rate first, oldest first on a tie', () => {
+    const mempool = new Mempool();
+    const cheap = createTransaction(createWallet(), 0.001);
+    const rich = createTransaction(createWallet(), 0.1);
+    const tieFirst = createTransaction(createWallet(), 0.01);
+    const tieSecond = createTransaction(createWallet(), 0.01);
+
+    mempool.add(cheap, 1);
+    mempool.add(tieSecond, 3);
+    mempool.add(rich, 4);
+    mempool.add(tieFirst, 2);
+
+    assert.deepStrictEqual(mempool.getSortedEntries().map(entry => entry.tx), [rich, tieFirst, tieSecond, cheap]);
+});
+
+test('a full pool evicts its lowest fee rate and refuses cheaper transactions', () => {
+    const size = encodeTransaction(createTransaction(createWallet(), 0.01)).length;
+    const mempool = new Mempool({ maxBytes: size * 2 });
+
+    const low = createTransaction(createWallet(), 0.01);
+    const mid = createTransaction(createWallet(), 0.02);
+    mempool.add(low, 1);
+    mempool.add(mid, 2);
+
+    assert.throws(() => mempool.add(createTransaction(createWallet(), 0.005), 3), /Mempool is full/);
+    assert.strictEqual(mempool.size, 2);
+
+    const { evicted } = mempool.add(createTransaction(createWallet(), 0.05), 4);
+    assert.deepStrictEqual(evicted, [low]);
+    assert.strictEqual(mempool.has(low.calculateHash()), false);
+    assert.ok(mempool.bytes <= mempool.maxBytes);
+});
+
+test('evicting a transaction evicts the later nonces of its sender', () => {
+    const sender = createWallet();
+    const size = encodeTransaction(createTransaction(sender, 0.01)).length;
+    const mempool = new Mempool({ maxBytes: size * 3 });
+
+    const first = createTransaction(sender, 0.001, 0);
+    const second = createTransaction(sender, 0.03, 1);
+    mempool.add(first, 1);
+    mempool.add(second, 2);
+    mempool.add(createTransaction(createWallet(), 0.02), 3);
+
+    const { evicted } = mempool.add(createTransaction(createWallet(), 0.04), 4);
+    assert.deepStrictEqual(evicted, [first, second]);
+});
+
+test('transactions expire after the expiry time', () => {
+    const mempool = new Mempool({ expiryMs: 1000 });
+    const old = createTransaction(createWallet(), 0.01);
+    const fresh = createTransaction(createWallet(), 0.01);
+    mempool.add(old, 0);
+    mempool.add(fresh, 900);
+
+    assert.deepStrictEqual(mempool.expire(1500), [old]);
+    assert.deepStrictEqual(mempool.getTransactions(), [fresh]);
+});
+
+test('one sender can only have maxPerSender pending transactions', () => {
+    const mempool = new Mempool({ maxPerSender: 2 });
+    const sender = createWallet();
+    mempool.add(createTransaction(sender, 0.01, 0));
+    mempool.add(createTransaction(sender, 0.01, 1));
+
+    assert.throws(() => mempool.add(createTransaction(sender, 0.01, 2)), /limit 2/);
+    assert.throws(() => mempool.add(mempool.getTransactions()[0]), /already in the mempool/);
+});
+
+test('a conflicting transaction must pay a higher fee to replace', () => {
+    const mempool = new Mempool();
+    const sender = createWallet();
+    const original = createTransaction(sender, 0.01, 0);
+    mempool.add(original, 1);
+
+    const sameFee = createTransaction(sender, 0.01, 0);
+    sameFee.amount = 2;
+    assert.throws(() => mempool.checkReplacement(sameFee), /fee higher than 0.01/);
+    assert.deepStrictEqual(mempool.checkReplacement(createTransaction(sender, 0.01, 1)), []);
+
+    const bump = createTransaction(sender, 0.02, 0);
+    const replaces = mempool.checkReplacement(bump);
+    assert.deepStrictEqual(replaces, [original]);
+
+    const { replaced } = mempool.add(bump, 2, replaces);
+    assert.deepStrictEqual(replaced, [original]);
+    assert.deepStrictEqual(mempool.getTransactions(), [bump]);
+    assert.deepStrictEqual(mempool.getReplacement(original.calculateHash()), {
+        tx: original, replacedBy: bump.calculateHash(), replacedAt: 2
+    });
+});
+
+test('a replacement does not count against the sender limit', () => {
+    const mempool = new Mempool({ maxPerSender: 1 });
+    const sender = createWallet();
+    const original = createTransaction(sender, 0.01, 0);
+    mempool.add(original);
+
+    const bump = createTransaction(sender, 0.02, 0);
+    assert.doesNotThrow(() => mempool.add(bump, Date.now(), mempool.checkReplacement(bump)));
+    assert.strictEqual(mempool.size, 1);
+});
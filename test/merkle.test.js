@@ -0,0 +1,104 @@
+/**
+ * Merkle roots and SPV inclusion proofs: every transaction of a block
+ * can be proven against its header alone, and nothing else can.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const Block = require('../src/block');
+const Transaction = require('../src/transaction');
+const { EMPTY_ROOT, computeMerkleRoot, getMerkleProof, verifyMerkleProof } = require('../src/merkle');
+const { verifyTransactionProof } = require('../src/spv');
+const { encodeTransaction } = require('../src/encoding');
+const { createWallet } = require('../src/wallet');
+
+// A block with `count` signed payments (difficulty 0: any hash will do)
+function createBlock(count) {
+    const sender = createWallet();
+    const transactions = [];
+    for (let i = 0; i < count; i++) {
+        const tx = new Transaction(sender.publicKey, createWallet().publicKey, i + 1);
+        tx.signTransaction(sender.privateKey);
+        transactions.push(tx);
+    }
+    return new Block(1, Date.now(), transactions, '0'.repeat(64), 0);
+}
+
+// What GET /transaction/proof/:txid returns
+function getProof(block, position) {
+    const wtxids = block.transactions.map(tx => Transaction.getWtxid(tx));
+    return {
+        txHash: block.transactions[position].calculateHash(),
+        rawTransaction: encodeTransaction(block.transactions[position]).toString('hex'),
+        header: block.getHeader(),
+        branch: getMerkleProof(wtxids, position)
+    };
+}
+
+test('an empty block has the empty root', () => {
+    assert.strictEqual(computeMerkleRoot([]), EMPTY_ROOT);
+});
+
+test('every transaction is proven, for odd and even counts', () => {
+    for (const count of [1, 2, 3, 5, 8]) {
+        const block = createBlock(count);
+        assert.strictEqual(block.hasValidMerkleRoot(), true);
+
+        for (let position = 0; position < count; position++) {
+            const { branch } = getProof(block, position);
+            const wtxid = Transaction.getWtxid(block.transactions[position]);
+            assert.strictEqual(verifyMerkleProof(wtxid, branch, block.merkleRoot), true, `tx ${position} of ${count}`);
+        }
+    }
+});
+
+test('a proof does not verify another transaction or root', () => {
+    const block = createBlock(4);
+    const { branch } = getProof(block, 1);
+    const wtxid = Transaction.getWtxid(block.transactions[1]);
+
+    assert.strictEqual(verifyMerkleProof(Transaction.getWtxid(block.transactions[2]), branch, block.merkleRoot), false);
+    assert.strictEqual(verifyMerkleProof(wtxid, branch, createBlock(4).merkleRoot), false);
+    assert.throws(() => getMerkleProof([wtxid], 1), /out of range/);
+});
+
+test('changing a transaction changes the root and the block hash', () => {
+    const block = createBlock(3);
+    block.transactions[1].amount = 1000;
+
+    assert.strictEqual(block.hasValidMerkleRoot(), false);
+    block.merkleRoot = block.calculateMerkleRoot();
+    assert.notStrictEqual(block.calculateHash(), block.hash);
+});
+
+test('the root commits to signatures, the txid does not', () => {
+    const block = createBlock(2);
+    const tx = block.transactions[0];
+    const txid = tx.calculateHash();
+
+    tx.signature = block.transactions[1].signature;
+
+    assert.strictEqual(tx.calculateHash(), txid);
+    assert.strictEqual(block.hasValidMerkleRoot(), false);
+});
+
+test('SPV proofs check the header, its work and the branch', () => {
+    const block = createBlock(5);
+    const proof = getProof(block, 3);
+    assert.strictEqual(verifyTransactionProof(proof), true);
+
+    // A header that doesn't hash to its claimed hash
+    assert.strictEqual(verifyTransactionProof({ ...proof, header: { ...proof.header, timestamp: proof.header.timestamp + 1 } }), false);
+
+    // A header claiming more work than its hash carries
+    const hardHeader = { ...proof.header, difficulty: 64 };
+    hardHeader.hash = Block.hashHeader(hardHeader);
+    assert.strictEqual(verifyTransactionProof({ ...proof, header: hardHeader }), false);
+
+    // A transaction that isn't in the block
+    assert.strictEqual(verifyTransactionProof({ ...proof, txHash: createBlock(1).transactions[0].calculateHash() }), false);
+
+    // An encoded transaction that isn't the one asked about, or isn't valid
+    assert.strictEqual(verifyTransactionProof({ ...proof, rawTransaction: getProof(block, 2).rawTransaction }), false);
+    assert.strictEqual(verifyTransactionProof({ ...proof, rawTransaction: 'zz' }), false);
+});
@@ -0,0 +1,71 @@
+/**
+ * Several nodes in one process: createNode() on ephemeral ports,
+ * connected over WebSocket P2P, agree on every generated block
+ * and stop cleanly.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createNode } = require('../src/node');
+const { createWallet } = require('../src/wallet');
+const WebSocket = require('ws');
+require('./helpers');
+
+// Poll until check() passes, or fail after timeout milliseconds
+async function waitFor(check, timeout = 5000) {
+    const deadline = Date.now() + timeout;
+    while (!check()) {
+        if (Date.now() > deadline) {
+            throw new Error(`Timed out after ${timeout}ms`);
+        }
+        await new Promise(resolve => setTimeout(resolve, 50));
+    }
+}
+
+test('generated blocks reach every connected node', async (t) => {
+    const nodes = [0, 1, 2].map(() => createNode({ network: 'regtest', port: 0, p2p: true }));
+    t.after(() => Promise.all(nodes.map(node => node.stop())));
+
+    for (const node of nodes) {
+        await node.start();
+    }
+    assert.strictEqual(new Set(nodes.map(node => node.port)).size, 3, 'each node gets its own port');
+    assert.strictEqual(new Set(nodes.map(node => node.p2pUrl)).size, 3);
+
+    // Nodes 1 and 2 are only told about node 0; they learn about each other
+    // from its peer list (PEERS) and connect directly, so the three form a mesh
+    // (blocks are not relayed: each node hears them from the node that made them)
+    assert.strictEqual(await nodes[1].connect(nodes[0].p2pUrl), true);
+    assert.strictEqual(await nodes[2].connect(nodes[0].p2pUrl), true);
+    await waitFor(() => nodes.every(node => node.p2p.getPeers().length === 2));
+
+    const blocks = await nodes[1].regtest.generate(3, createWallet().publicKey);
+    const tip = blocks[blocks.length - 1];
+
+    await waitFor(() => nodes.every(node => node.blockchain.getLatestBlock().hash === tip.hash));
+    for (const node of nodes) {
+        assert.strictEqual(node.blockchain.getLatestBlock().index, 3);
+    }
+});
+
+test('a malformed message from a peer does not crash the node', async (t) => {
+    const node = createNode({ network: 'regtest', port: 0, p2p: true });
+    t.after(() => node.stop());
+    await node.start();
+
+    // No handshake first: any socket can send this
+    const ws = new WebSocket(node.p2pUrl);
+    t.after(() => ws.close());
+    await new Promise((resolve, reject) => {
+        ws.on('open', resolve);
+        ws.on('error', reject);
+    });
+    for (const type of ['NEW_TX', 'NEW_BLOCK', 'CHAIN']) {
+        ws.send(JSON.stringify({ type, data: null }));
+    }
+
+    // The node is still up and answers over HTTP
+    await new Promise(resolve => setTimeout(resolve, 200));
+    const response = await fetch(`${node.url}/`);
+    assert.strictEqual(response.ok, true);
+});
@@ -0,0 +1,135 @@
+/**
+ * Proof-of-authority: authorities take turns, can't sign twice in a
+ * row (of floor(N/2) blocks), and change the authority set by majority vote.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const Blockchain = require('../src/blockchain');
+const Transaction = require('../src/transaction');
+const { loadChainSpec, toBlockchainOptions } = require('../src/chain-spec');
+const {
+    ProofOfAuthority, GovernanceAction, DIFFICULTY_IN_TURN, DIFFICULTY_NO_TURN, getGovernanceAddress
+} = require('../src/consensus');
+const { createWallet } = require('../src/wallet');
+
+const [alice, bob, carol, dave] = [0, 1, 2, 3].map(() => createWallet().publicKey);
+
+// A chain of blocks with only a coinbase, signed by `signers` in order
+function createBlocks(signers) {
+    const blocks = [{ index: 0, hash: 'genesis', transactions: [] }];
+    signers.forEach((signer, i) => {
+        blocks.push({ index: i + 1, hash: `block-${i + 1}`, transactions: [new Transaction(null, signer, 50)] });
+    });
+    return { blocks, getBlockAt: height => blocks[height] };
+}
+
+function vote(engine, state, voter, action, authority) {
+    const tx = new Transaction(voter, getGovernanceAddress(action, authority), 0);
+    return engine.applyVote(state, tx);
+}
+
+test('authorities take turns in order', () => {
+    const engine = new ProofOfAuthority(null, { authorities: [alice, bob, carol] });
+    const { blocks, getBlockAt } = createBlocks([bob, carol]);
+
+    assert.strictEqual(engine.getInTurnAuthority(blocks[0], getBlockAt), bob);
+    assert.strictEqual(engine.getInTurnAuthority(blocks[1], getBlockAt), carol);
+    assert.strictEqual(engine.getInTurnAuthority(blocks[2], getBlockAt), alice);
+
+    assert.strictEqual(engine.getNextDifficulty(blocks[2], getBlockAt, alice), DIFFICULTY_IN_TURN);
+    assert.strictEqual(engine.getNextDifficulty(blocks[2], getBlockAt, bob), DIFFICULTY_NO_TURN);
+});
+
+test('an authority waits floor(N/2) blocks before signing again', () => {
+    const engine = new ProofOfAuthority(null, { authorities: [alice, bob, carol, dave] });
+    const { blocks, getBlockAt } = createBlocks([alice, bob]);
+
+    // Four authorities: none of the last two blocks
+    assert.strictEqual(engine.signedRecently(alice, blocks[2], getBlockAt), true);
+    assert.strictEqual(engine.signedRecently(bob, blocks[2], getBlockAt), true);
+    assert.strictEqual(engine.signedRecently(carol, blocks[2], getBlockAt), false);
+
+    // Two blocks later alice may sign again
+    const later = createBlocks([alice, bob, carol]);
+    assert.strictEqual(engine.signedRecently(alice, later.blocks[3], later.getBlockAt), false);
+});
+
+test('a majority of authorities adds or removes one', () => {
+    const engine = new ProofOfAuthority(null, { authorities: [alice, bob, carol] });
+    let state = engine.genesisState;
+
+    // One vote of three is not a majority
+    state = vote(engine, state, alice, GovernanceAction.ADD, dave);
+    assert.deepStrictEqual(state.authorities, [alice, bob, carol]);
+
+    // Voting twice, or voting without being an authority, doesn't count
+    assert.strictEqual(vote(engine, state, alice, GovernanceAction.ADD, dave), state);
+    assert.strictEqual(vote(engine, state, dave, GovernanceAction.ADD, dave), state);
+
+    state = vote(engine, state, bob, GovernanceAction.ADD, dave);
+    assert.deepStrictEqual(state.authorities, [alice, bob, carol, dave]);
+    assert.strictEqual(state.votes.size, 0);
+
+    // Four authorities: removing one takes three votes
+    state = vote(engine, state, alice, GovernanceAction.REMOVE, carol);
+    state = vote(engine, state, bob, GovernanceAction.REMOVE, carol);
+    assert.ok(state.authorities.includes(carol));
+    state = vote(engine, state, dave, GovernanceAction.REMOVE, carol);
+    assert.deepStrictEqual(state.authorities, [alice, bob, dave]);
+});
+
+test('the last authority cannot be removed', () => {
+    const engine = new ProofOfAuthority(null, { authorities: [alice] });
+    const state = engine.genesisState;
+
+    assert.strictEqual(vote(engine, state, alice, GovernanceAction.REMOVE, alice), state);
+    assert.match(engine.getVoteProblem(state, alice, { action: GovernanceAction.REMOVE, authority: alice }, 'x'), /last authority/);
+});
+
+test('a node seals out of turn once, then waits for another authority', async () => {
+    const authority = createWallet();
+    const other = createWallet();
+    const spec = loadChainSpec(path.join(__dirname, '..', 'chains', 'poa.json'));
+    spec.consensus.authorities = [authority.publicKey, other.publicKey];
+    spec.consensus.blockPeriod = 0;
+
+    const blockchain = new Blockchain(null, { ...toBlockchainOptions(spec), authorityKey: authority.privateKey });
+    await blockchain.initialize();
+
+    // Block 1 is the other authority's turn
+    const block = await blockchain.minePendingTransactions(authority.publicKey);
+    assert.strictEqual(block.difficulty, DIFFICULTY_NO_TURN);
+    assert.strictEqual(blockchain.getLatestBlock().hash, block.hash);
+
+    await assert.rejects(blockchain.minePendingTransactions(authority.publicKey), /signed one of the last blocks/);
+
+    // A block signed by someone else's key is refused
+    const forged = blockchain.createCandidateBlock(authority.publicKey);
+    forged.signature = 'not a signature';
+    assert.strictEqual(blockchain.validateBlock(forged, block).valid, false);
+});
+
+test('a mined vote changes the authorities without creating an account', async () => {
+    const authority = createWallet();
+    const newcomer = createWallet().publicKey;
+    const spec = loadChainSpec(path.join(__dirname, '..', 'chains', 'poa.json'));
+    spec.consensus.authorities = [authority.publicKey];
+    spec.consensus.blockPeriod = 0;
+
+    const blockchain = new Blockchain(null, { ...toBlockchainOptions(spec), authorityKey: authority.privateKey });
+    await blockchain.initialize();
+
+    const address = getGovernanceAddress(GovernanceAction.ADD, newcomer);
+    const ballot = new Transaction(authority.publicKey, address, 0, 0, 0, blockchain.chainId);
+    ballot.signTransaction(authority.privateKey);
+    await blockchain.addTransaction(ballot);
+    const block = await blockchain.minePendingTransactions(authority.publicKey);
+
+    assert.deepStrictEqual(blockchain.consensus.getAuthorities(block), [authority.publicKey, newcomer]);
+    assert.strictEqual(blockchain.accounts.state.balances.has(address), false);
+    assert.strictEqual(blockchain.getStateAt(block).balances.has(address), false);
+    assert.strictEqual((await blockchain.getTransactionsForAddress(address)).total, 0);
+    assert.strictEqual((await blockchain.getTransactionsForAddress(authority.publicKey)).total, 2);
+});
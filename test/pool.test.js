@@ -0,0 +1,133 @@
+/**
+ * Mining pool payouts: rewards are split by share work, minus the pool
+ * fee, over the current round (proportional) or the last N shares (PPLNS).
+ * Payouts are only final once the node confirms them.
+ */
+
+const test = require('node:test');
+const { mock } = require('node:test');
+const assert = require('node:assert');
+const axios = require('axios');
+const { MiningPool } = require('../src/pool');
+const { getWork } = require('../src/difficulty');
+const { createWallet } = require('../src/wallet');
+
+// Payouts are narrated with console.log
+mock.method(console, 'log', () => {});
+
+function createPool(options = {}) {
+    return new MiningPool({ nodeUrl: 'http://localhost:0', poolAddress: 'pool', ...options });
+}
+
+// Record `count` shares of `difficulty` for a worker
+function addShares(pool, worker, count, difficulty = 1) {
+    for (let i = 0; i < count; i++) {
+        pool.shares.push({ worker, weight: getWork(difficulty), timestamp: Date.now() });
+    }
+}
+
+test('proportional payouts split the round by work, minus the pool fee', () => {
+    const pool = createPool({ payoutScheme: 'proportional', poolFee: 0.01 });
+    addShares(pool, 'alice', 3);
+    addShares(pool, 'bob', 1);
+
+    assert.deepStrictEqual(pool.calculateCredits(50, 4), { alice: 37.125, bob: 12.375 });
+});
+
+test('proportional rounds start after the previous block', () => {
+    const pool = createPool({ payoutScheme: 'proportional', poolFee: 0 });
+    addShares(pool, 'alice', 5);
+    pool.roundStart = pool.shares.length;
+    addShares(pool, 'bob', 2);
+
+    assert.deepStrictEqual(pool.calculateCredits(10, 4), { bob: 10 });
+});
+
+test('harder shares weigh more', () => {
+    const pool = createPool({ payoutScheme: 'proportional', poolFee: 0 });
+    addShares(pool, 'alice', 1, 2);    // 16 times the work of a difficulty 1 share
+    addShares(pool, 'bob', 16, 1);
+
+    assert.deepStrictEqual(pool.calculateCredits(10, 4), { alice: 5, bob: 5 });
+});
+
+test('PPLNS pays the last shares worth pplnsWindow blocks of work', () => {
+    const pool = createPool({ payoutScheme: 'pplns', pplnsWindow: 1, poolFee: 0 });
+
+    // A difficulty 2 block is worth 16 difficulty 1 shares
+    addShares(pool, 'early', 10);
+    addShares(pool, 'alice', 12);
+    addShares(pool, 'bob', 4);
+
+    assert.deepStrictEqual(pool.calculateCredits(32, 2), { alice: 24, bob: 8 });
+});
+
+test('credits are rounded down, never paying out more than the reward', () => {
+    const pool = createPool({ payoutScheme: 'proportional', poolFee: 0 });
+    addShares(pool, 'alice', 1);
+    addShares(pool, 'bob', 1);
+    addShares(pool, 'carol', 1);
+
+    const credits = pool.calculateCredits(1, 4);
+    assert.deepStrictEqual(credits, { alice: 0.33333333, bob: 0.33333333, carol: 0.33333333 });
+    assert.ok(Object.values(credits).reduce((sum, amount) => sum + amount, 0) <= 1);
+});
+
+test('unknown schemes and fees outside [0, 1) are refused', () => {
+    assert.throws(() => createPool({ payoutScheme: 'pps' }), /Unknown payout scheme/);
+    assert.throws(() => createPool({ poolFee: 1 }), /Pool fee/);
+});
+
+test('shares from a worker that is not an address are refused', async () => {
+    const pool = createPool();
+
+    assert.deepStrictEqual(await pool.submitShare('alice', 'job', 1), {
+        accepted: false, reason: 'bad-worker', error: 'Worker must be a wallet address (public key)'
+    });
+    assert.strictEqual(pool.workers.size, 0);
+});
+
+test('payouts stay pending until confirmed and come back if dropped or replaced', async t => {
+    const pool = createPool({ minPayout: 1, confirmations: 3 });
+    const addresses = [createWallet().publicKey, createWallet().publicKey, createWallet().publicKey];
+    for (const address of addresses) {
+        pool.getWorker(address).balance = 2;
+    }
+
+    // The node takes every payout, then reports one status per transaction
+    let sent = 0;
+    t.mock.method(axios, 'post', async () => ({ data: { txHash: `tx${sent++}`.padEnd(64, '0') } }));
+    const statuses = [
+        { status: 'confirmed', confirmations: 3 },
+        { status: 'unknown', confirmations: 0 },
+        { status: 'replaced', confirmations: 0 }
+    ];
+    let polled = 0;
+    t.mock.method(axios, 'get', async () => ({ data: statuses[polled++] }));
+
+    await pool.sendPayouts();
+    assert.deepStrictEqual(addresses.map(address => pool.getWorker(address).pending), [2, 2, 2]);
+    assert.strictEqual(pool.getStats().totalPaid, 0);
+
+    await pool.updatePayments();
+    const [paid, dropped, replaced] = addresses.map(address => pool.getWorker(address));
+    assert.deepStrictEqual([paid.balance, paid.pending, paid.paid], [0, 0, 2]);
+    assert.deepStrictEqual([dropped.balance, dropped.pending, dropped.paid], [2, 0, 0]);
+    assert.deepStrictEqual([replaced.balance, replaced.pending, replaced.paid], [2, 0, 0]);
+    assert.deepStrictEqual(pool.payments.map(payment => payment.status), ['confirmed', 'dropped', 'replaced']);
+    assert.strictEqual(pool.getStats().totalPaid, 2);
+});
+
+test('a payout with too few confirmations stays pending', async t => {
+    const pool = createPool({ minPayout: 1, confirmations: 3 });
+    const address = createWallet().publicKey;
+    pool.getWorker(address).balance = 5;
+
+    t.mock.method(axios, 'post', async () => ({ data: { txHash: 'a'.repeat(64) } }));
+    t.mock.method(axios, 'get', async () => ({ data: { status: 'confirmed', confirmations: 2 } }));
+
+    await pool.sendPayouts();
+    await pool.updatePayments();
+    assert.deepStrictEqual(pool.payments.map(payment => payment.status), ['pending']);
+    assert.strictEqual(pool.getWorker(address).pending, 5);
+});
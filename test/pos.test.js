@@ -0,0 +1,189 @@
+/**
+ * Proof-of-stake: proposers are picked by stake, and two signed blocks
+ * for one slot are evidence that slashes the validator.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const Block = require('../src/block');
+const Blockchain = require('../src/blockchain');
+const Transaction = require('../src/transaction');
+const { loadChainSpec, toBlockchainOptions } = require('../src/chain-spec');
+const { ProofOfStake, getSlashingAddress, parseSlashingAddress } = require('../src/consensus');
+const { createWallet, signData } = require('../src/wallet');
+
+const SLOT = 1000;
+
+function createEngine(validators) {
+    return new ProofOfStake({ genesisTimestamp: 0 }, {
+        validators: validators.map(([wallet, stake]) => ({ address: wallet.publicKey, stake })),
+        slotDuration: SLOT,
+        minStake: 100
+    });
+}
+
+// A block proposed and signed by `validator` at `timestamp`
+function signBlock(validator, timestamp) {
+    const block = new Block(1, timestamp, [new Transaction(null, validator.publicKey, 50)], 'ab'.repeat(32), 1);
+    block.signature = signData(validator.privateKey, block.hash);
+    return block;
+}
+
+// The same, as { header, signature }
+function signHeader(validator, timestamp) {
+    const block = signBlock(validator, timestamp);
+    return { header: block.getHeader(), signature: block.signature };
+}
+
+test('proposers are picked in proportion to their stake', () => {
+    const big = createWallet();
+    const small = createWallet();
+    const engine = createEngine([[big, 3000], [small, 1000]]);
+    const state = engine.genesisState;
+    const parent = { index: 0, hash: 'ab'.repeat(32) };
+
+    const counts = new Map([[big.publicKey, 0], [small.publicKey, 0]]);
+    for (let slot = 1; slot <= 400; slot++) {
+        const proposer = engine.getProposer(state, parent, slot);
+        counts.set(proposer, counts.get(proposer) + 1);
+    }
+
+    // About 300 to 100; far outside that would mean the stake is ignored
+    assert.ok(counts.get(big.publicKey) > 240 && counts.get(big.publicKey) < 360, `big validator got ${counts.get(big.publicKey)} of 400 slots`);
+
+    // Every node computes the same proposer
+    assert.strictEqual(engine.getProposer(state, parent, 7), createEngine([[big, 3000], [small, 1000]]).getProposer(state, parent, 7));
+});
+
+test('validators below minStake or slashed never propose', () => {
+    const honest = createWallet();
+    const slashed = createWallet();
+    const engine = createEngine([[honest, 100], [slashed, 5000]]);
+    const state = { ...engine.genesisState, slashed: new Set([slashed.publicKey]) };
+
+    assert.deepStrictEqual(engine.getValidators(state).map(({ address }) => address), [honest.publicKey]);
+    for (let slot = 1; slot <= 20; slot++) {
+        assert.strictEqual(engine.getProposer(state, { hash: 'cd'.repeat(32) }, slot), honest.publicKey);
+    }
+
+    const nobody = createEngine([[createWallet(), 50]]);
+    assert.strictEqual(nobody.getProposer(nobody.genesisState, { hash: 'cd'.repeat(32) }, 1), null);
+});
+
+test('two signed headers for one slot are slashing evidence', () => {
+    const validator = createWallet();
+    const engine = createEngine([[validator, 1000]]);
+    const address = getSlashingAddress(validator.publicKey, signHeader(validator, 5 * SLOT + 10), signHeader(validator, 5 * SLOT + 20));
+
+    const evidence = parseSlashingAddress(address);
+    assert.strictEqual(evidence.validator, validator.publicKey);
+    assert.strictEqual(engine.getEvidenceProblem(engine.genesisState, evidence), null);
+
+    // Once slashed, the same evidence can't be used again
+    const slashedState = { ...engine.genesisState, slashed: new Set([validator.publicKey]) };
+    assert.match(engine.getEvidenceProblem(slashedState, evidence), /already slashed/);
+});
+
+test('headers for different slots, or signed by someone else, are not evidence', () => {
+    const validator = createWallet();
+    const engine = createEngine([[validator, 1000]]);
+
+    const apart = getSlashingAddress(validator.publicKey, signHeader(validator, 5 * SLOT), signHeader(validator, 6 * SLOT));
+    assert.match(engine.getEvidenceProblem(engine.genesisState, parseSlashingAddress(apart)), /different slots/);
+
+    const framed = getSlashingAddress(validator.publicKey, signHeader(validator, 5 * SLOT), signHeader(createWallet(), 5 * SLOT + 1));
+    assert.match(engine.getEvidenceProblem(engine.genesisState, parseSlashingAddress(framed)), /did not sign both/);
+
+    assert.strictEqual(parseSlashingAddress('staking:slash:nonsense'), null);
+});
+
+test('seeing two blocks for one slot keeps evidence against the validator', () => {
+    const validator = createWallet();
+    const engine = createEngine([[validator, 1000]]);
+
+    const block = signBlock(validator, 5 * SLOT + 10);
+    engine.observeBlock(block);
+    engine.observeBlock(block);
+    assert.strictEqual(engine.evidence.size, 0, 'seeing one block twice is not double-signing');
+
+    engine.observeBlock(signBlock(validator, 5 * SLOT + 20));
+
+    assert.strictEqual(engine.evidence.size, 1);
+    const evidence = parseSlashingAddress(engine.evidence.get(validator.publicKey));
+    assert.strictEqual(engine.getEvidenceProblem(engine.genesisState, evidence), null);
+});
+
+test('the proposer of a slot seals a block the chain accepts', async () => {
+    const validator = createWallet();
+    const spec = loadChainSpec(path.join(__dirname, '..', 'chains', 'pos.json'));
+    spec.consensus.validators = [{ address: validator.publicKey, stake: 1000 }];
+
+    const blockchain = new Blockchain(null, { ...toBlockchainOptions(spec), validatorKey: validator.privateKey });
+    await blockchain.initialize();
+
+    const block = await blockchain.minePendingTransactions(validator.publicKey);
+    assert.strictEqual(blockchain.getLatestBlock().hash, block.hash);
+    assert.strictEqual(blockchain.getBalance(validator.publicKey), 50);
+
+    // Someone without stake can't propose
+    const outsider = createWallet();
+    const forged = blockchain.createCandidateBlock(outsider.publicKey);
+    forged.timestamp = block.timestamp + spec.consensus.slotDuration;
+    forged.hash = forged.calculateHash();
+    forged.signature = signData(outsider.privateKey, forged.hash);
+    assert.strictEqual(blockchain.validateBlock(forged, block).valid, false);
+});
+
+test('two seals waiting for the same slot sign only one block', async () => {
+    const validator = createWallet();
+    const spec = loadChainSpec(path.join(__dirname, '..', 'chains', 'pos.json'));
+    spec.consensus.validators = [{ address: validator.publicKey, stake: 1000 }];
+    spec.consensus.slotDuration = 100;
+
+    const lines = [];
+    const blockchain = new Blockchain(null, {
+        ...toBlockchainOptions(spec),
+        validatorKey: validator.privateKey,
+        logger: { log: line => lines.push(line) }
+    });
+    await blockchain.initialize();
+    const engine = blockchain.consensus;
+
+    // Both wait for the start of the next slot
+    const nextSlot = engine.getSlot(blockchain.clock.now()) + 1;
+    const blocks = [0, 1].map(() => {
+        const block = blockchain.createCandidateBlock(validator.publicKey);
+        block.timestamp = engine.getSlotStart(nextSlot);
+        return block;
+    });
+
+    // Whichever wakes up first signs, the other finds the slot taken
+    const results = await Promise.allSettled(blocks.map(block => engine.seal(block)));
+    assert.deepStrictEqual(results.map(result => result.status).sort(), ['fulfilled', 'rejected']);
+    const loser = results.findIndex(result => result.status === 'rejected');
+    assert.match(results[loser].reason.message, new RegExp(`already signed a block for slot ${nextSlot}`));
+    assert.strictEqual(blocks[loser].signature, null);
+
+    assert.ok(lines.some(line => line.includes(`Proposed block 1 in slot ${nextSlot}`)));
+});
+
+test('a seal that fails does not use up its slot', async t => {
+    const validator = createWallet();
+    const spec = loadChainSpec(path.join(__dirname, '..', 'chains', 'pos.json'));
+    spec.consensus.validators = [{ address: validator.publicKey, stake: 1000 }];
+
+    const blockchain = new Blockchain(null, { ...toBlockchainOptions(spec), validatorKey: validator.privateKey });
+    await blockchain.initialize();
+
+    const failing = blockchain.createCandidateBlock(validator.publicKey);
+    t.mock.method(failing, 'calculateHash', () => {
+        throw new Error('hashing failed');
+    });
+    await assert.rejects(blockchain.consensus.seal(failing), /hashing failed/);
+
+    const block = blockchain.createCandidateBlock(validator.publicKey);
+    block.timestamp = failing.timestamp;
+    assert.strictEqual(await blockchain.consensus.seal(block), true);
+    assert.strictEqual(blockchain.consensus.getSlot(block.timestamp), blockchain.consensus.getSlot(failing.timestamp));
+});
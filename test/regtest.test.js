@@ -0,0 +1,166 @@
+/**
+ * Regtest developer mode, through the node's HTTP API: instant blocks,
+ * snapshots with pending transactions, and mock time against the
+ * block timestamp rules.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createNode } = require('../src/node');
+const { encodeBlock } = require('../src/encoding');
+const { RegtestTools } = require('../src/regtest');
+const { createWallet } = require('../src/wallet');
+const { loadSpec, createChain } = require('./helpers');
+
+async function request(node, method, path, body) {
+    const response = await fetch(`${node.url}${path}`, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+}
+
+const get = (node, path) => request(node, 'GET', path);
+const post = (node, path, body = {}) => request(node, 'POST', path, body);
+
+// Offer a block to the node the way a peer would
+function receiveBlock(node, block) {
+    return post(node, '/block/receive', { block: encodeBlock(block).toString('base64') });
+}
+
+test('regtest developer mode', async (t) => {
+    const node = await createNode({ network: 'regtest', port: 0 }).start();
+    t.after(() => node.stop());
+
+    const alice = createWallet();
+    const bob = createWallet();
+
+    await t.test('generate mines blocks instantly', async () => {
+        const { status, body } = await post(node, '/dev/generate', { count: 3, address: alice.publicKey });
+
+        assert.strictEqual(status, 200);
+        assert.strictEqual(body.blocks.length, 3);
+        assert.strictEqual(body.height, 3);
+        assert.strictEqual(body.balance, 150);
+
+        const refused = await post(node, '/dev/generate', { count: 0, address: alice.publicKey });
+        assert.strictEqual(refused.status, 400);
+    });
+
+    await t.test('revert restores the chain and the pending transactions', async () => {
+        const send = amount => post(node, '/transaction', {
+            senderPrivateKey: alice.privateKey, receiverAddress: bob.publicKey, amount, fee: 0.1
+        });
+
+        assert.strictEqual((await send(5)).status, 200);
+        const snapshot = (await post(node, '/dev/snapshot')).body;
+        assert.strictEqual(snapshot.height, 3);
+
+        assert.strictEqual((await send(7)).status, 200);
+        await post(node, '/dev/generate', { count: 2, address: alice.publicKey });
+        assert.strictEqual((await get(node, `/balance/${bob.publicKey}`)).body.balance, 12);
+
+        const reverted = await post(node, `/dev/revert/${snapshot.id}`);
+        assert.strictEqual(reverted.status, 200);
+        assert.strictEqual(reverted.body.removedBlocks, 2);
+        assert.strictEqual((await get(node, '/chain/tip')).body.index, 3);
+        assert.strictEqual((await get(node, `/balance/${bob.publicKey}`)).body.balance, 0);
+
+        // Only the transaction sent before the snapshot is pending again
+        const pending = (await get(node, '/pending')).body.transactions;
+        assert.deepStrictEqual(pending.map(tx => tx.amount), [5]);
+
+        // A snapshot is used up by reverting to it
+        assert.strictEqual((await post(node, `/dev/revert/${snapshot.id}`)).status, 400);
+
+        await post(node, '/dev/generate', { count: 1, address: alice.publicKey });
+        assert.strictEqual((await get(node, `/balance/${bob.publicKey}`)).body.balance, 5);
+    });
+
+    await t.test('mock time moves block timestamps forward', async () => {
+        const hour = 60 * 60 * 1000;
+        const before = Date.now();
+
+        const { status } = await post(node, '/dev/time', { seconds: 3600 });
+        assert.strictEqual(status, 200);
+
+        await post(node, '/dev/generate', { count: 1, address: alice.publicKey });
+        const tip = node.blockchain.getLatestBlock();
+        assert.ok(tip.timestamp >= before + hour, 'the block uses the advanced clock');
+
+        assert.strictEqual((await post(node, '/dev/time', { seconds: -1 })).status, 400);
+    });
+
+    await t.test('blocks must be later than the median-time-past', async () => {
+        const { blockchain } = node;
+        const medianTimePast = blockchain.getMedianTimePast(blockchain.getLatestBlock());
+
+        const block = blockchain.createCandidateBlock(alice.publicKey);
+        block.timestamp = medianTimePast;
+        block.hash = block.calculateHash();
+
+        const { status, body } = await receiveBlock(node, block);
+        assert.strictEqual(status, 400);
+        assert.strictEqual(body.reason, 'BAD_TIMESTAMP');
+        assert.match(body.message, /median/);
+    });
+
+    await t.test('blocks too far ahead of the clock wait for it', async () => {
+        const { blockchain } = node;
+
+        // One minute past what the node's clock allows
+        const block = blockchain.createCandidateBlock(alice.publicKey);
+        block.timestamp = blockchain.clock.now() + blockchain.maxFutureBlockTime + 60 * 1000;
+        block.hash = block.calculateHash();
+
+        const early = await receiveBlock(node, block);
+        assert.strictEqual(early.status, 400);
+        assert.strictEqual(early.body.reason, 'BAD_TIMESTAMP');
+        assert.match(early.body.message, /future/);
+
+        // Two minutes later (on the mock clock) the same block is fine
+        await post(node, '/dev/time', { seconds: 120 });
+
+        const accepted = await receiveBlock(node, block);
+        assert.strictEqual(accepted.status, 200);
+        assert.strictEqual((await get(node, '/chain/tip')).body.hash, block.hash);
+    });
+});
+
+test('revert keeps the clock moving forward', async () => {
+    const blockchain = await createChain(loadSpec('regtest'));
+    const regtest = new RegtestTools(blockchain);
+    const miner = createWallet().publicKey;
+
+    const snapshot = regtest.snapshot();
+    regtest.advanceTime(60 * 60 * 1000);
+    const [late] = await regtest.generate(1, miner);
+    const before = blockchain.clock.now();
+
+    await regtest.revert(snapshot.id);
+    assert.ok(blockchain.clock.now() >= before, 'the clock did not go back');
+
+    // Mined after the revert, on top of the snapshot's tip
+    const [block] = await regtest.generate(1, miner);
+    assert.ok(block.timestamp >= late.timestamp);
+});
+
+test('a proof-of-stake validator can sign its slot again after a revert', async () => {
+    const validator = createWallet();
+    const spec = loadSpec('pos');
+    spec.consensus.validators = [{ address: validator.publicKey, stake: 1000 }];
+    spec.consensus.slotDuration = 60 * 60 * 1000;    // Every block below is in one slot
+
+    const blockchain = await createChain(spec, { blockchain: { validatorKey: validator.privateKey } });
+    const regtest = new RegtestTools(blockchain);
+
+    const snapshot = regtest.snapshot();
+    const [first] = await regtest.generate(1, validator.publicKey);
+    await regtest.revert(snapshot.id);
+
+    const [second] = await regtest.generate(1, validator.publicKey);
+    assert.notStrictEqual(second.hash, first.hash);
+    assert.strictEqual(blockchain.consensus.getSlot(second.timestamp), blockchain.consensus.getSlot(first.timestamp));
+    assert.strictEqual(blockchain.consensus.evidence.size, 0, 'no double-signing evidence against ourselves');
+});
@@ -0,0 +1,80 @@
+/**
+ * Reorganizations: transactions from disconnected blocks go back into
+ * the pending pool only if the new chain still lets them through.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const Transaction = require('../src/transaction');
+const { RegtestTools } = require('../src/regtest');
+const { createWallet } = require('../src/wallet');
+const { loadSpec, createChain } = require('./helpers');
+
+test('a reorg drops requeued transactions the new chain cannot pay for', async () => {
+    const spec = loadSpec('regtest');
+    const ours = await createChain(spec);
+    const theirs = await createChain(spec);
+    const alice = createWallet();
+    const bob = createWallet();
+
+    // Our chain: alice mines a block and spends its reward
+    await new RegtestTools(ours).generate(1, alice.publicKey);
+    const payment = new Transaction(alice.publicKey, bob.publicKey, 40, 0.1, 0, ours.chainId);
+    payment.signTransaction(alice.privateKey);
+    await ours.addTransaction(payment);
+    await new RegtestTools(ours).generate(1, alice.publicKey);
+    assert.strictEqual(ours.getBalance(bob.publicKey), 40);
+
+    // Their heavier chain never paid alice anything
+    const branch = await new RegtestTools(theirs).generate(3, createWallet().publicKey);
+    for (const block of branch) {
+        assert.strictEqual((await ours.addBlock(block)).success, true);
+    }
+
+    assert.strictEqual(ours.getLatestBlock().hash, branch[2].hash);
+    assert.strictEqual(ours.getBalance(alice.publicKey), 0);
+    assert.strictEqual(ours.getPendingTransaction(payment.calculateHash()), null);
+});
+
+test('a reorg requeues transactions the new chain can still pay for', async () => {
+    const spec = loadSpec('regtest');
+    const ours = await createChain(spec);
+    const theirs = await createChain(spec);
+    const alice = createWallet();
+    const bob = createWallet();
+
+    // Both chains pay alice in block 1
+    const [shared] = await new RegtestTools(ours).generate(1, alice.publicKey);
+    assert.strictEqual((await theirs.addBlock(shared)).success, true);
+
+    const payment = new Transaction(alice.publicKey, bob.publicKey, 40, 0.1, 0, ours.chainId);
+    payment.signTransaction(alice.privateKey);
+    await ours.addTransaction(payment);
+    await new RegtestTools(ours).generate(1, alice.publicKey);
+
+    const branch = await new RegtestTools(theirs).generate(2, createWallet().publicKey);
+    for (const block of branch) {
+        assert.strictEqual((await ours.addBlock(block)).success, true);
+    }
+
+    assert.strictEqual(ours.getLatestBlock().hash, branch[1].hash);
+    assert.notStrictEqual(ours.getPendingTransaction(payment.calculateHash()), null);
+});
+
+test('a new transaction waits for the chain change in progress', async () => {
+    const chain = await createChain(loadSpec('regtest'));
+    const alice = createWallet();
+    await new RegtestTools(chain).generate(1, alice.publicKey);
+
+    const payment = new Transaction(alice.publicKey, createWallet().publicKey, 10, 0.1, 0, chain.chainId);
+    payment.signTransaction(alice.privateKey);
+
+    const unlock = await chain.lockChain();
+    const adding = chain.addTransaction(payment);
+    await new Promise(resolve => setImmediate(resolve));
+    assert.strictEqual(chain.getPendingTransaction(payment.calculateHash()), null);
+
+    unlock();
+    await adding;
+    assert.notStrictEqual(chain.getPendingTransaction(payment.calculateHash()), null);
+});
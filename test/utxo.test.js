@@ -0,0 +1,54 @@
+/**
+ * UTXO ledger: coinbase transactions commit to their block height,
+ * so rewards paid to the same address never share a txid.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const Transaction = require('../src/transaction');
+const { RegtestTools } = require('../src/regtest');
+const { UtxoTransaction } = require('../src/utxo');
+const { createWallet } = require('../src/wallet');
+const { loadSpec, createChain } = require('./helpers');
+
+// The regtest chain (instant blocks) on the UTXO ledger
+function createUtxoChain() {
+    return createChain({ ...loadSpec('regtest'), ledger: 'utxo' });
+}
+
+test('consecutive blocks mined to one address all connect', async () => {
+    const blockchain = await createUtxoChain();
+    const miner = createWallet();
+
+    const blocks = await new RegtestTools(blockchain).generate(5, miner.publicKey);
+
+    const coinbases = blocks.map(block => block.transactions[block.transactions.length - 1]);
+    assert.deepStrictEqual(coinbases.map(tx => tx.height), [1, 2, 3, 4, 5]);
+    assert.strictEqual(new Set(coinbases.map(tx => Transaction.getTxid(tx))).size, 5);
+
+    assert.strictEqual(blockchain.getLatestBlock().index, 5);
+    assert.strictEqual(blockchain.getUtxos(miner.publicKey).length, 5);
+    assert.strictEqual(blockchain.getBalance(miner.publicKey), 250);
+});
+
+test('the coinbase height survives encoding', async () => {
+    const blockchain = await createUtxoChain();
+    const coinbase = blockchain.createCandidateBlock(createWallet().publicKey).transactions.at(-1);
+
+    const decoded = UtxoTransaction.deserialize(coinbase.serialize());
+    assert.strictEqual(decoded.height, 1);
+    assert.strictEqual(decoded.calculateHash(), coinbase.calculateHash());
+});
+
+test('a coinbase for another height is rejected', async () => {
+    const blockchain = await createUtxoChain();
+    const block = blockchain.createCandidateBlock(createWallet().publicKey);
+
+    block.transactions.at(-1).height = 7;
+    block.merkleRoot = block.calculateMerkleRoot();
+    block.hash = block.calculateHash();
+
+    const result = blockchain.validateBlock(block, blockchain.getLatestBlock());
+    assert.strictEqual(result.valid, false);
+    assert.strictEqual(result.reason, 'BAD_COINBASE');
+});